@@ -0,0 +1,69 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// A Live TV stream which holds a connection to its provider.
+/// </summary>
+public class ActiveStreamResponse
+{
+    /// <summary>
+    /// Gets or sets the unique id of the stream.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the id of the provider.
+    /// </summary>
+    public int ProviderId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the provider.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the Xtream stream id of the channel.
+    /// </summary>
+    public int StreamId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the channel.
+    /// </summary>
+    public string ChannelName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of consumers sharing the stream.
+    /// </summary>
+    public int ConsumerCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the stream is opened for a recording.
+    /// </summary>
+    public bool IsRecording { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time the stream was opened.
+    /// </summary>
+    public DateTime StartTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of bytes received from the provider.
+    /// </summary>
+    public long BytesRelayed { get; set; }
+}
@@ -0,0 +1,63 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System.ComponentModel.DataAnnotations;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The HTTP retry, failure cache and incremental sync settings.
+/// </summary>
+public class AdvancedSettings
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether transient HTTP errors are retried.
+    /// </summary>
+    public bool EnableHttpRetry { get; set; }
+
+    /// <summary>
+    /// Gets or sets the maximum number of attempts for a request failing with a transient error.
+    /// </summary>
+    [Range(1, 10)]
+    public int HttpRetryMaxAttempts { get; set; }
+
+    /// <summary>
+    /// Gets or sets the delay before the first retry in milliseconds, which doubles on each further retry.
+    /// </summary>
+    [Range(100, 10000)]
+    public int HttpRetryInitialDelayMs { get; set; }
+
+    /// <summary>
+    /// Gets or sets how many hours a persistently failing URL is skipped.
+    /// </summary>
+    [Range(1, 168)]
+    public int HttpFailureCacheExpirationHours { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether a persistent failure raises an error instead of being skipped.
+    /// </summary>
+    public bool HttpRetryThrowOnPersistentFailure { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether cache refreshes only process changed series and movies.
+    /// </summary>
+    public bool IncrementalSyncEnabled { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of hours between forced full syncs.
+    /// </summary>
+    [Range(1, 168)]
+    public int FullSyncIntervalHours { get; set; }
+}
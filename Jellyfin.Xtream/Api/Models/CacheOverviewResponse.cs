@@ -0,0 +1,64 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The contents of one of the plugin's caches.
+/// </summary>
+public class CacheOverviewResponse
+{
+    /// <summary>
+    /// Gets or sets the identifier of the cache, used by the configuration page to pick its actions.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the id of the provider the cache belongs to, sent along with its actions.
+    /// </summary>
+    public int ProviderId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the display name.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of entries.
+    /// </summary>
+    public int Entries { get; set; }
+
+    /// <summary>
+    /// Gets or sets a breakdown of the entries.
+    /// </summary>
+    public string Details { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the size on disk in bytes, or null for caches kept in memory only.
+    /// </summary>
+    public long? SizeBytes { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the cache was last updated.
+    /// </summary>
+    public DateTime? LastUpdated { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the first entries expire.
+    /// </summary>
+    public DateTime? ExpiresAt { get; set; }
+}
@@ -0,0 +1,64 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// A past program in the archive window of a Live TV channel.
+/// </summary>
+public class CatchupProgramResponse
+{
+    /// <summary>
+    /// Gets or sets the Xtream EPG id of the program.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the start time.
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the end time.
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the start time in the provider's local time, which identifies the program in the archive.
+    /// </summary>
+    public DateTime StartLocalTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets the duration in minutes.
+    /// </summary>
+    public int DurationMinutes { get; set; }
+
+    /// <summary>
+    /// Gets or sets the program title.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the program description.
+    /// </summary>
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider lists the program as archived.
+    /// </summary>
+    public bool HasArchive { get; set; }
+}
@@ -0,0 +1,37 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// Preview of the name cleanup rules applied to a Live TV channel.
+/// </summary>
+public class ChannelNamePreviewResponse
+{
+    /// <summary>
+    /// Gets or sets the Xtream API id of the TV channel.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the channel name as returned by the provider.
+    /// </summary>
+    public string OriginalName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the channel name after applying the cleanup rules.
+    /// </summary>
+    public string CleanedName { get; set; } = string.Empty;
+}
@@ -25,6 +25,11 @@ public class ChannelResponse
     /// </summary>
     public int Id { get; set; }
 
+    /// <summary>
+    /// Gets or sets the Xtream API id of the category the TV channel belongs to.
+    /// </summary>
+    public int CategoryId { get; set; }
+
     /// <summary>
     /// Gets or sets the TV channel number.
     /// </summary>
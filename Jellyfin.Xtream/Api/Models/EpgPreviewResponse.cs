@@ -0,0 +1,39 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// A program produced by the EPG mapping of a Live TV channel.
+/// </summary>
+public class EpgPreviewResponse
+{
+    /// <summary>
+    /// Gets or sets the start time, including the time shift.
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the end time, including the time shift.
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the program title.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+}
@@ -0,0 +1,32 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The urls of the M3U playlist and XMLTV guide exported for other IPTV clients.
+/// </summary>
+public class ExportUrlsResponse
+{
+    /// <summary>
+    /// Gets or sets the url of the M3U playlist, or <c>null</c> if the export is disabled.
+    /// </summary>
+    public string? PlaylistUrl { get; set; }
+
+    /// <summary>
+    /// Gets or sets the url of the XMLTV guide, or <c>null</c> if the export is disabled.
+    /// </summary>
+    public string? GuideUrl { get; set; }
+}
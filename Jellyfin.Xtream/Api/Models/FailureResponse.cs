@@ -0,0 +1,65 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using Jellyfin.Xtream.Service;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// A provider request which failed persistently and is skipped until it expires.
+/// </summary>
+public class FailureResponse
+{
+    /// <summary>
+    /// Gets or sets the key identifying the failure.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the kind of request.
+    /// </summary>
+    public FailureType Type { get; set; }
+
+    /// <summary>
+    /// Gets or sets the series, movie or channel ID, if any.
+    /// </summary>
+    public int? ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the series, movie or channel, if known.
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// Gets or sets the URL that failed, without credentials.
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the error details.
+    /// </summary>
+    public string ErrorDetails { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the time of the first failure.
+    /// </summary>
+    public DateTime FirstFailureTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the URL will be requested again.
+    /// </summary>
+    public DateTime ExpiresAt { get; set; }
+}
@@ -0,0 +1,47 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// A channel logo which failed to load.
+/// </summary>
+public class LogoCheckResponse
+{
+    /// <summary>
+    /// Gets or sets the Xtream API id of the TV channel.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider name of the TV channel.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the logo URL which failed to load.
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the URL is a configured override instead of the provider logo.
+    /// </summary>
+    public bool IsOverride { get; set; }
+
+    /// <summary>
+    /// Gets or sets a description of the failure.
+    /// </summary>
+    public string Error { get; set; } = string.Empty;
+}
@@ -0,0 +1,44 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System.Collections.Generic;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The title overrides and ignored titles set while reviewing metadata matches.
+/// </summary>
+public class MetadataReviewSettings
+{
+    /// <summary>
+    /// Gets or sets the TMDb title overrides for movies.
+    /// </summary>
+    public string TmdbTitleOverrides { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the TVDb title overrides for series.
+    /// </summary>
+    public string TvdbTitleOverrides { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the movie titles left out of the review.
+    /// </summary>
+    public IReadOnlyList<string> IgnoredVodMatches { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the series titles left out of the review.
+    /// </summary>
+    public IReadOnlyList<string> IgnoredSeriesMatches { get; set; } = [];
+}
@@ -56,4 +56,9 @@ public class ProviderTestResponse
     /// Gets or sets a value indicating whether or not MPEG-TS is supported by the provider.
     /// </summary>
     public bool SupportsMpegTs { get; set; }
+
+    /// <summary>
+    /// Gets or sets the base url the provider was tested at, which differs from the configured one after a failover.
+    /// </summary>
+    public string ActiveUrl { get; set; } = string.Empty;
 }
@@ -0,0 +1,35 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System.Collections.Generic;
+using Jellyfin.Xtream.Service;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The base urls of a provider with its failover history.
+/// </summary>
+public class ProviderUrlsResponse
+{
+    /// <summary>
+    /// Gets or sets the base url followed by the alternate base urls.
+    /// </summary>
+    public IReadOnlyList<ProviderUrlResponse> Urls { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the recent failovers, most recent first.
+    /// </summary>
+    public IReadOnlyList<FailoverEvent> Failovers { get; set; } = [];
+}
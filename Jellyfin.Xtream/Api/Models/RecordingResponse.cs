@@ -0,0 +1,75 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using MediaBrowser.Model.LiveTv;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// A scheduled, running or finished recording.
+/// </summary>
+public class RecordingResponse
+{
+    /// <summary>
+    /// Gets or sets the id of the recording.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the program.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the channel.
+    /// </summary>
+    public string ChannelName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the start time of the program.
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the end time of the program.
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the status of the recording.
+    /// </summary>
+    public RecordingStatus Status { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether a series timer scheduled the recording.
+    /// </summary>
+    public bool IsSeries { get; set; }
+
+    /// <summary>
+    /// Gets or sets the path of the recorded file, if the recording started.
+    /// </summary>
+    public string? Path { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of bytes recorded.
+    /// </summary>
+    public long BytesRecorded { get; set; }
+
+    /// <summary>
+    /// Gets or sets why the program was not or only partially recorded.
+    /// </summary>
+    public string? Error { get; set; }
+}
@@ -0,0 +1,39 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System.Collections.Generic;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The recordings and series timers of the Live TV channels.
+/// </summary>
+public class RecordingsResponse
+{
+    /// <summary>
+    /// Gets or sets the folder the recordings are saved to.
+    /// </summary>
+    public string RecordingPath { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the recordings ordered by start time.
+    /// </summary>
+    public IReadOnlyList<RecordingResponse> Recordings { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the series timers.
+    /// </summary>
+    public IReadOnlyList<RecordingSeriesResponse> Series { get; set; } = [];
+}
@@ -0,0 +1,39 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System.Collections.Generic;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The items found by searching across all Xtream categories.
+/// </summary>
+public class SearchResultsResponse
+{
+    /// <summary>
+    /// Gets or sets the matching items, limited to the maximum number of search results.
+    /// </summary>
+    public IReadOnlyList<SearchResultResponse> Items { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the total number of matching items, including those left out of <see cref="Items"/>.
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Gets a value indicating whether matching items were left out of <see cref="Items"/>.
+    /// </summary>
+    public bool IsTruncated => TotalCount > Items.Count;
+}
@@ -0,0 +1,52 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The number of open streams of a provider compared to its connection limit.
+/// </summary>
+public class StreamUsageResponse
+{
+    /// <summary>
+    /// Gets or sets the id of the provider.
+    /// </summary>
+    public int ProviderId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the provider.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of streams opened by the server.
+    /// </summary>
+    public int OpenStreams { get; set; }
+
+    /// <summary>
+    /// Gets or sets the maximum number of connections of the account, 0 when unknown or unlimited.
+    /// </summary>
+    public int MaxConnections { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of streams beyond which new streams are refused, 0 when they are never refused.
+    /// </summary>
+    public int StreamLimit { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether at most one more stream can be opened.
+    /// </summary>
+    public bool IsNearLimit { get; set; }
+}
@@ -0,0 +1,35 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+
+namespace Jellyfin.Xtream.Api.Models;
+
+/// <summary>
+/// The XMLTV guide uploaded for mapping Live TV channels.
+/// </summary>
+public class XmltvGuideResponse
+{
+    /// <summary>
+    /// Gets or sets the time the guide was uploaded, or <c>null</c> if no guide was uploaded.
+    /// </summary>
+    public DateTime? UploadTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets the channels of the guide ordered by name.
+    /// </summary>
+    public IReadOnlyList<XmltvChannelResponse> Channels { get; set; } = [];
+}
@@ -13,16 +13,33 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
+using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
+using System.Collections.ObjectModel;
+using System.IO;
 using System.Linq;
+using System.Net.Http;
 using System.Net.Mime;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
 using System.Threading;
+using System.Threading.Channels;
 using System.Threading.Tasks;
+using System.Web;
 using Jellyfin.Xtream.Api.Models;
 using Jellyfin.Xtream.Client;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
+using Jellyfin.Xtream.Service;
+using MediaBrowser.Controller.LiveTv;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Caching.Memory;
 
 namespace Jellyfin.Xtream.Api;
 
@@ -32,8 +49,19 @@ namespace Jellyfin.Xtream.Api;
 [ApiController]
 [Route("[controller]")]
 [Produces(MediaTypeNames.Application.Json)]
-public class XtreamController(IXtreamClient xtreamClient) : ControllerBase
+public class XtreamController(IXtreamClient xtreamClient, IMemoryCache memoryCache, LogoService logoService, XmltvService xmltvService, EpgService epgService, ExportService exportService, CatchupService catchupService, MetadataLookupService metadataLookupService, FailureTrackingService failureTrackingService, RecordingService recordingService, StreamMonitorService streamMonitor) : ControllerBase
 {
+    private const int MaxSearchResults = 100;
+    private const int EpgPreviewCount = 5;
+
+    private static readonly TimeSpan CacheEventsInterval = TimeSpan.FromMilliseconds(500);
+    private static readonly TimeSpan CacheEventsHeartbeat = TimeSpan.FromSeconds(15);
+
+    private static readonly JsonSerializerOptions CacheEventsJsonOptions = new()
+    {
+        Converters = { new JsonStringEnumConverter() }
+    };
+
     private static CategoryResponse CreateCategoryResponse(Category category) =>
         new()
         {
@@ -59,28 +87,379 @@ public class XtreamController(IXtreamClient xtreamClient) : ControllerBase
             CatchupDuration = 0,
         };
 
+    private static List<SearchResultResponse> CreateSearchResultResponses<T>(
+        IEnumerable<T> items,
+        IEnumerable<Category> categories,
+        Func<T, SearchResultResponse> createResponse)
+    {
+        Dictionary<int, string> categoryNames = categories
+            .DistinctBy(category => category.CategoryId)
+            .ToDictionary(category => category.CategoryId, category => category.CategoryName);
+
+        return items
+            .Select(createResponse)
+            .Select(result =>
+            {
+                result.CategoryName = categoryNames.GetValueOrDefault(result.CategoryId, string.Empty);
+                return result;
+            })
+            .ToList();
+    }
+
+    private static SearchResultsResponse FilterByName(IEnumerable<SearchResultResponse> items, string query)
+    {
+        List<SearchResultResponse> matches = items
+            .Where(result => result.Name.Contains(query.Trim(), StringComparison.OrdinalIgnoreCase))
+            .ToList();
+        return new()
+        {
+            Items = matches.Take(MaxSearchResults).ToList(),
+            TotalCount = matches.Count,
+        };
+    }
+
+    private async Task<List<T>> GetCachedListAsync<T>(string name, Func<CancellationToken, Task<List<T>>> fetch, CancellationToken cancellationToken)
+    {
+        string key = $"xtream-search-{Plugin.Instance.DataVersion}-{name}";
+        if (memoryCache.TryGetValue(key, out List<T>? cached) && cached is not null)
+        {
+            return cached;
+        }
+
+        List<T> items = await fetch(cancellationToken).ConfigureAwait(false);
+        memoryCache.Set(key, items, DateTimeOffset.Now.AddMinutes(10));
+        return items;
+    }
+
+    private async Task<List<SearchResultResponse>> GetAllLiveItemsAsync(int providerId, CancellationToken cancellationToken)
+    {
+        ConnectionInfo creds = Plugin.Instance.GetCreds(providerId);
+        List<Category> categories = await GetCachedListAsync(
+          $"live-categories-{providerId}",
+          token => xtreamClient.GetLiveCategoryAsync(creds, token),
+          cancellationToken).ConfigureAwait(false);
+        List<StreamInfo> streams = await GetCachedListAsync(
+          $"live-streams-{providerId}",
+          token => xtreamClient.GetLiveStreamsAsync(creds, token),
+          cancellationToken).ConfigureAwait(false);
+        return CreateSearchResultResponses(streams, categories, CreateSearchResultResponse);
+    }
+
+    private async Task<string> GetLiveChannelNameAsync(string channelId, CancellationToken cancellationToken)
+    {
+        int streamId = StreamService.FromLiveTvChannelId(channelId, out int providerId);
+        try
+        {
+            ConnectionInfo creds = Plugin.Instance.GetCreds(providerId);
+            List<StreamInfo> streams = await GetCachedListAsync(
+              $"live-streams-{providerId}",
+              token => xtreamClient.GetLiveStreamsAsync(creds, token),
+              cancellationToken).ConfigureAwait(false);
+            StreamInfo? stream = streams.Find(stream => stream.StreamId == streamId);
+            if (stream is not null)
+            {
+                return StreamService.ParseName(stream.Name).Title;
+            }
+        }
+        catch (Exception ex) when (ex is HttpRequestException or ArgumentException)
+        {
+            // The recordings are still listed when the provider is unreachable or removed
+        }
+
+        return $"Channel {streamId}";
+    }
+
+    private XmltvGuideResponse CreateXmltvGuideResponse(XmltvGuide? guide) =>
+        new()
+        {
+            UploadTime = guide is null ? null : xmltvService.GetUploadTime(),
+            Channels = guide is null ? [] : guide.Channels.Keys
+                .Union(guide.Programs.Keys, StringComparer.OrdinalIgnoreCase)
+                .Select(id => new XmltvChannelResponse
+                {
+                    Id = id,
+                    Name = guide.Channels.GetValueOrDefault(id) ?? id,
+                    ProgramCount = guide.Programs.GetValueOrDefault(id)?.Count ?? 0,
+                })
+                .OrderBy(channel => channel.Name, StringComparer.OrdinalIgnoreCase)
+                .ToList(),
+        };
+
+    private string GetServerUrl() => $"{Request.Scheme}://{Request.Host}{Request.PathBase}";
+
+    private ExportUrlsResponse CreateExportUrlsResponse()
+    {
+        string token = Plugin.Instance.Configuration.ExportToken;
+        if (string.IsNullOrEmpty(token))
+        {
+            return new();
+        }
+
+        string query = "?token=" + Uri.EscapeDataString(token);
+        return new()
+        {
+            PlaylistUrl = GetServerUrl() + ExportService.PlaylistPath + query,
+            GuideUrl = GetServerUrl() + ExportService.GuidePath + query,
+        };
+    }
+
+    private static bool IsValidExportToken(string? token)
+    {
+        string expected = Plugin.Instance.Configuration.ExportToken;
+        return !string.IsNullOrEmpty(expected)
+            && !string.IsNullOrEmpty(token)
+            && CryptographicOperations.FixedTimeEquals(Encoding.UTF8.GetBytes(token), Encoding.UTF8.GetBytes(expected));
+    }
+
+    private async Task<List<SearchResultResponse>> GetAllVodItemsAsync(int providerId, CancellationToken cancellationToken)
+    {
+        ConnectionInfo creds = Plugin.Instance.GetCreds(providerId);
+        List<Category> categories = await GetCachedListAsync(
+          $"vod-categories-{providerId}",
+          token => xtreamClient.GetVodCategoryAsync(creds, token),
+          cancellationToken).ConfigureAwait(false);
+        List<StreamInfo> streams = await GetCachedListAsync(
+          $"vod-streams-{providerId}",
+          token => xtreamClient.GetVodStreamsAsync(creds, token),
+          cancellationToken).ConfigureAwait(false);
+        return CreateSearchResultResponses(streams, categories, CreateSearchResultResponse);
+    }
+
+    private async Task<List<SearchResultResponse>> GetAllSeriesItemsAsync(int providerId, CancellationToken cancellationToken)
+    {
+        ConnectionInfo creds = Plugin.Instance.GetCreds(providerId);
+        List<Category> categories = await GetCachedListAsync(
+          $"series-categories-{providerId}",
+          token => xtreamClient.GetSeriesCategoryAsync(creds, token),
+          cancellationToken).ConfigureAwait(false);
+        List<Series> series = await GetCachedListAsync(
+          $"series-{providerId}",
+          token => xtreamClient.GetSeriesAsync(creds, token),
+          cancellationToken).ConfigureAwait(false);
+        return CreateSearchResultResponses(series, categories, CreateSearchResultResponse);
+    }
+
+    private static SearchResultResponse CreateSearchResultResponse(StreamInfo stream) =>
+        new()
+        {
+            Id = stream.StreamId,
+            Name = stream.Name,
+            CategoryId = stream.CategoryId ?? 0,
+        };
+
+    private static SearchResultResponse CreateSearchResultResponse(Series series) =>
+        new()
+        {
+            Id = series.SeriesId,
+            Name = series.Name,
+            CategoryId = series.CategoryId,
+        };
+
     private static ChannelResponse CreateChannelResponse(StreamInfo stream) =>
         new()
         {
             Id = stream.StreamId,
+            CategoryId = stream.CategoryId ?? 0,
             LogoUrl = stream.StreamIcon,
             Name = stream.Name,
             Number = stream.Num,
         };
 
+    private static string RedactCredentials(string url) =>
+        Regex.Replace(url, "(username|password)=[^&]*", "$1=***", RegexOptions.IgnoreCase);
+
+    /// <summary>
+    /// Gets the provider which a failed URL belongs to. The item ids in the URL are the provider's own,
+    /// so the provider is recognized by its base url and username.
+    /// </summary>
+    private static int GetFailureProviderId(FailureRecord record)
+    {
+        if (!Uri.TryCreate(record.Url, UriKind.Absolute, out Uri? uri))
+        {
+            return ProviderProfile.PrimaryId;
+        }
+
+        string? username = HttpUtility.ParseQueryString(uri.Query)["username"];
+        ProviderProfile? provider = Plugin.Instance.Configuration.GetProviders().FirstOrDefault(provider =>
+            provider.Username == username
+            && provider.GetBaseUrls().Any(url => record.Url.StartsWith(url + "/", StringComparison.OrdinalIgnoreCase)));
+        return provider?.Id ?? ProviderProfile.PrimaryId;
+    }
+
+    private async Task<Dictionary<int, string>> GetFailureItemNamesAsync(FailureType type, int providerId, CancellationToken cancellationToken)
+    {
+        ConnectionInfo creds = Plugin.Instance.GetCreds(providerId);
+        try
+        {
+            return type switch
+            {
+                FailureType.SeriesInfo => (await GetCachedListAsync($"series-{providerId}", token => xtreamClient.GetSeriesAsync(creds, token), cancellationToken).ConfigureAwait(false))
+                    .GroupBy(series => series.SeriesId)
+                    .ToDictionary(group => group.Key, group => group.First().Name),
+                FailureType.VodInfo => (await GetCachedListAsync($"vod-streams-{providerId}", token => xtreamClient.GetVodStreamsAsync(creds, token), cancellationToken).ConfigureAwait(false))
+                    .GroupBy(stream => stream.StreamId)
+                    .ToDictionary(group => group.Key, group => group.First().Name),
+                FailureType.Epg => (await GetCachedListAsync($"live-streams-{providerId}", token => xtreamClient.GetLiveStreamsAsync(creds, token), cancellationToken).ConfigureAwait(false))
+                    .GroupBy(stream => stream.StreamId)
+                    .ToDictionary(group => group.Key, group => group.First().Name),
+                _ => [],
+            };
+        }
+        catch (HttpRequestException)
+        {
+            // Names are only informative, the failures are still listed without them
+            return [];
+        }
+    }
+
+    private static async Task<CacheStatusResponse> CreateCacheStatusAsync(CacheProgress progress, bool isCachePopulated, SyncStateService syncStateService, Func<SyncState, SyncTimes> selectSyncTimes, CancellationToken cancellationToken)
+    {
+        SyncState syncState = await syncStateService.LoadStateAsync(cancellationToken).ConfigureAwait(false);
+        SyncTimes syncTimes = selectSyncTimes(syncState);
+        return new()
+        {
+            IsRefreshing = progress.IsRefreshing,
+            Phase = progress.Phase,
+            Progress = progress.Progress,
+            Status = progress.Status,
+            Processed = progress.Processed,
+            Total = progress.Total,
+            Errors = progress.Errors,
+            StartTime = progress.StartTime,
+            CompleteTime = progress.CompleteTime,
+            IsCachePopulated = isCachePopulated,
+            LastFullSync = syncTimes.LastFullSync == default ? null : syncTimes.LastFullSync,
+            LastIncrementalSync = syncTimes.LastIncrementalSync == default ? null : syncTimes.LastIncrementalSync,
+        };
+    }
+
+    private async Task StreamCacheEventsAsync(
+        Action<EventHandler<CacheProgress>> subscribe,
+        Action<EventHandler<CacheProgress>> unsubscribe,
+        Func<CancellationToken, Task<CacheStatusResponse>> getStatus,
+        CancellationToken cancellationToken)
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        // A single pending signal is enough, the current status is read when it is sent
+        Channel<bool> changes = Channel.CreateBounded<bool>(new BoundedChannelOptions(1) { FullMode = BoundedChannelFullMode.DropWrite });
+        void OnProgressChanged(object? sender, CacheProgress progress) => changes.Writer.TryWrite(true);
+
+        subscribe(OnProgressChanged);
+        try
+        {
+            changes.Writer.TryWrite(true);
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                using CancellationTokenSource heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                heartbeat.CancelAfter(CacheEventsHeartbeat);
+                try
+                {
+                    await changes.Reader.ReadAsync(heartbeat.Token).ConfigureAwait(false);
+                }
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                {
+                    // Comments keep idle connections open through proxies
+                    await Response.WriteAsync(": heartbeat\n\n", cancellationToken).ConfigureAwait(false);
+                    await Response.Body.FlushAsync(cancellationToken).ConfigureAwait(false);
+                    continue;
+                }
+
+                CacheStatusResponse status = await getStatus(cancellationToken).ConfigureAwait(false);
+                string data = JsonSerializer.Serialize(status, CacheEventsJsonOptions);
+                await Response.WriteAsync($"data: {data}\n\n", cancellationToken).ConfigureAwait(false);
+                await Response.Body.FlushAsync(cancellationToken).ConfigureAwait(false);
+
+                // Progress changes for every processed item, so send at most one event per interval
+                await Task.Delay(CacheEventsInterval, cancellationToken).ConfigureAwait(false);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // The page was closed
+        }
+        finally
+        {
+            unsubscribe(OnProgressChanged);
+        }
+    }
+
+    private static long? GetFileSize(FileInfo file) => file.Exists ? file.Length : null;
+
+    private static string DescribeFailureType(FailureType type) => type switch
+    {
+        FailureType.SeriesInfo => "series info",
+        FailureType.VodInfo => "movie info",
+        FailureType.Epg => "EPG",
+        _ => "other",
+    };
+
+    private static CacheOverviewResponse CreateItemCacheOverview(int providerId, string id, string name, string unit, IEnumerable<Category>? categories, Func<int, int> countItems, CacheProgress progress, int lifetimeHours)
+    {
+        List<Category> categoryList = categories?.ToList() ?? [];
+        int items = categoryList.Sum(category => countItems(category.CategoryId));
+        return new()
+        {
+            Id = id,
+            ProviderId = providerId,
+            Name = name,
+            Entries = items,
+            Details = $"{items} {unit} in {categoryList.Count} categories",
+            LastUpdated = progress.CompleteTime,
+            ExpiresAt = progress.CompleteTime.HasValue ? progress.StartTime?.AddHours(lifetimeHours) : null,
+        };
+    }
+
+    private static async Task<CacheOverviewResponse> CreateSyncStateOverviewAsync(int providerId, string name, SyncStateService syncStateService, CancellationToken cancellationToken)
+    {
+        PluginConfiguration config = Plugin.Instance.Configuration;
+        SyncState syncState = await syncStateService.LoadStateAsync(cancellationToken).ConfigureAwait(false);
+        DateTime? lastSync = new[] { syncState.SeriesSync, syncState.VodSync }
+            .SelectMany(times => new[] { times.LastFullSync, times.LastIncrementalSync })
+            .Where(time => time != default)
+            .Max(time => (DateTime?)time);
+        DateTime? nextFullSync = config.IncrementalSyncEnabled
+            ? new[] { syncState.SeriesSync, syncState.VodSync }
+                .Where(times => times.LastFullSync != default)
+                .Min(times => (DateTime?)times.LastFullSync.AddHours(config.FullSyncIntervalHours))
+            : null;
+        return new()
+        {
+            Id = "SyncState",
+            ProviderId = providerId,
+            Name = name,
+            Entries = syncState.SeriesLastModified.Count + syncState.MoviesAdded.Count,
+            Details = $"{syncState.SeriesLastModified.Count} series, {syncState.MoviesAdded.Count} movies tracked",
+            SizeBytes = GetFileSize(syncStateService.StateFile),
+            LastUpdated = lastSync,
+            ExpiresAt = nextFullSync,
+        };
+    }
+
+    private static IEnumerable<MetadataMatch> FilterMatchesToReview(IEnumerable<MetadataMatch> matches) =>
+        matches
+            .Where(match => match.Status is MetadataMatchStatus.Unmatched
+                or MetadataMatchStatus.MatchedWithoutYear
+                or MetadataMatchStatus.NameMismatch)
+            .OrderBy(match => match.ParsedTitle, StringComparer.OrdinalIgnoreCase);
+
     /// <summary>
     /// Test the configured provider.
     /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the categories.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("TestProvider")]
-    public async Task<ActionResult<ProviderTestResponse>> TestProvider(CancellationToken cancellationToken)
+    public async Task<ActionResult<ProviderTestResponse>> TestProvider([FromQuery] int providerId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
-        PlayerApi info = await xtreamClient.GetUserAndServerInfoAsync(plugin.Creds, cancellationToken).ConfigureAwait(false);
+        PlayerApi info = await xtreamClient.GetUserAndServerInfoAsync(plugin.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
         return Ok(new ProviderTestResponse()
         {
+            ActiveUrl = plugin.GetCreds(providerId).BaseUrl,
             ActiveConnections = info.UserInfo.ActiveCons,
             ExpiryDate = info.UserInfo.ExpDate,
             MaxConnections = info.UserInfo.MaxConnections,
@@ -91,17 +470,55 @@ public class XtreamController(IXtreamClient xtreamClient) : ControllerBase
         });
     }
 
+    /// <summary>
+    /// Get the base urls of a provider and its recent failovers.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="check">Whether to health-check each base url.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The base urls with their health and the failover log.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("ProviderUrls")]
+    public async Task<ActionResult<ProviderUrlsResponse>> GetProviderUrls([FromQuery] int providerId, [FromQuery] bool check, CancellationToken cancellationToken)
+    {
+        Plugin plugin = Plugin.Instance;
+        ProviderProfile? provider = plugin.Configuration.GetProvider(providerId);
+        if (provider is null)
+        {
+            return NotFound();
+        }
+
+        ConnectionInfo creds = plugin.GetCreds(providerId);
+        List<ProviderUrlResponse> urls = [];
+        foreach (string url in provider.GetBaseUrls())
+        {
+            urls.Add(new ProviderUrlResponse()
+            {
+                Url = url,
+                IsActive = string.Equals(url, creds.BaseUrl, StringComparison.OrdinalIgnoreCase),
+                IsHealthy = check ? await xtreamClient.IsHealthyAsync(creds.WithBaseUrl(url), cancellationToken).ConfigureAwait(false) : null,
+            });
+        }
+
+        return Ok(new ProviderUrlsResponse()
+        {
+            Urls = urls,
+            Failovers = plugin.FailoverService.GetLog(providerId),
+        });
+    }
+
     /// <summary>
     /// Get all Live TV categories.
     /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the categories.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("LiveCategories")]
-    public async Task<ActionResult<IEnumerable<CategoryResponse>>> GetLiveCategories(CancellationToken cancellationToken)
+    public async Task<ActionResult<IEnumerable<CategoryResponse>>> GetLiveCategories([FromQuery] int providerId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
-        List<Category> categories = await xtreamClient.GetLiveCategoryAsync(plugin.Creds, cancellationToken).ConfigureAwait(false);
+        List<Category> categories = await xtreamClient.GetLiveCategoryAsync(plugin.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
         return Ok(categories.Select(CreateCategoryResponse));
     }
 
@@ -109,31 +526,67 @@ public class XtreamController(IXtreamClient xtreamClient) : ControllerBase
     /// Get all Live TV streams for the given category.
     /// </summary>
     /// <param name="categoryId">The category for which to fetch the streams.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the streams.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("LiveCategories/{categoryId}")]
-    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetLiveStreams(int categoryId, CancellationToken cancellationToken)
+    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetLiveStreams(int categoryId, [FromQuery] int providerId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
         List<StreamInfo> streams = await xtreamClient.GetLiveStreamsByCategoryAsync(
-          plugin.Creds,
+          plugin.GetCreds(providerId),
           categoryId,
           cancellationToken).ConfigureAwait(false);
         return Ok(streams.Select(CreateItemResponse));
     }
 
+    /// <summary>
+    /// Search all Live TV streams by name across every category.
+    /// </summary>
+    /// <param name="query">The text which must be contained in the stream name.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The matching streams and their total count.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("LiveSearch")]
+    public async Task<ActionResult<SearchResultsResponse>> SearchLiveStreams([FromQuery] string query, [FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return Ok(new SearchResultsResponse());
+        }
+
+        List<SearchResultResponse> items = await GetAllLiveItemsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(FilterByName(items, query));
+    }
+
+    /// <summary>
+    /// Get all Live TV streams across every category.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the streams with their category.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("LiveItems")]
+    public async Task<ActionResult<IEnumerable<SearchResultResponse>>> GetAllLiveItems([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        List<SearchResultResponse> items = await GetAllLiveItemsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(items);
+    }
+
     /// <summary>
     /// Get all VOD categories.
     /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the categories.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("VodCategories")]
-    public async Task<ActionResult<IEnumerable<CategoryResponse>>> GetVodCategories(CancellationToken cancellationToken)
+    public async Task<ActionResult<IEnumerable<CategoryResponse>>> GetVodCategories([FromQuery] int providerId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
-        List<Category> categories = await xtreamClient.GetVodCategoryAsync(plugin.Creds, cancellationToken).ConfigureAwait(false);
+        List<Category> categories = await xtreamClient.GetVodCategoryAsync(plugin.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
         return Ok(categories.Select(CreateCategoryResponse));
     }
 
@@ -141,31 +594,67 @@ public class XtreamController(IXtreamClient xtreamClient) : ControllerBase
     /// Get all VOD streams for the given category.
     /// </summary>
     /// <param name="categoryId">The category for which to fetch the streams.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the streams.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("VodCategories/{categoryId}")]
-    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetVodStreams(int categoryId, CancellationToken cancellationToken)
+    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetVodStreams(int categoryId, [FromQuery] int providerId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
         List<StreamInfo> streams = await xtreamClient.GetVodStreamsByCategoryAsync(
-          plugin.Creds,
+          plugin.GetCreds(providerId),
           categoryId,
           cancellationToken).ConfigureAwait(false);
         return Ok(streams.Select(CreateItemResponse));
     }
 
+    /// <summary>
+    /// Search all VOD streams by name across every category.
+    /// </summary>
+    /// <param name="query">The text which must be contained in the stream name.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The matching streams and their total count.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("VodSearch")]
+    public async Task<ActionResult<SearchResultsResponse>> SearchVodStreams([FromQuery] string query, [FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return Ok(new SearchResultsResponse());
+        }
+
+        List<SearchResultResponse> items = await GetAllVodItemsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(FilterByName(items, query));
+    }
+
+    /// <summary>
+    /// Get all VOD streams across every category.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the streams with their category.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("VodItems")]
+    public async Task<ActionResult<IEnumerable<SearchResultResponse>>> GetAllVodItems([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        List<SearchResultResponse> items = await GetAllVodItemsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(items);
+    }
+
     /// <summary>
     /// Get all Series categories.
     /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the categories.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("SeriesCategories")]
-    public async Task<ActionResult<IEnumerable<CategoryResponse>>> GetSeriesCategories(CancellationToken cancellationToken)
+    public async Task<ActionResult<IEnumerable<CategoryResponse>>> GetSeriesCategories([FromQuery] int providerId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
-        List<Category> categories = await xtreamClient.GetSeriesCategoryAsync(plugin.Creds, cancellationToken).ConfigureAwait(false);
+        List<Category> categories = await xtreamClient.GetSeriesCategoryAsync(plugin.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
         return Ok(categories.Select(CreateCategoryResponse));
     }
 
@@ -173,175 +662,1453 @@ public class XtreamController(IXtreamClient xtreamClient) : ControllerBase
     /// Get all Series streams for the given category.
     /// </summary>
     /// <param name="categoryId">The category for which to fetch the streams.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the streams.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("SeriesCategories/{categoryId}")]
-    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetSeriesStreams(int categoryId, CancellationToken cancellationToken)
+    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetSeriesStreams(int categoryId, [FromQuery] int providerId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
         List<Series> series = await xtreamClient.GetSeriesByCategoryAsync(
-          plugin.Creds,
+          plugin.GetCreds(providerId),
           categoryId,
           cancellationToken).ConfigureAwait(false);
         return Ok(series.Select(CreateItemResponse));
     }
 
+    /// <summary>
+    /// Search all Series by name across every category.
+    /// </summary>
+    /// <param name="query">The text which must be contained in the series name.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The matching series and their total count.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("SeriesSearch")]
+    public async Task<ActionResult<SearchResultsResponse>> SearchSeries([FromQuery] string query, [FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return Ok(new SearchResultsResponse());
+        }
+
+        List<SearchResultResponse> items = await GetAllSeriesItemsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(FilterByName(items, query));
+    }
+
+    /// <summary>
+    /// Get all Series across every category.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the series with their category.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("SeriesItems")]
+    public async Task<ActionResult<IEnumerable<SearchResultResponse>>> GetAllSeriesItems([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        List<SearchResultResponse> items = await GetAllSeriesItemsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(items);
+    }
+
     /// <summary>
     /// Get all configured TV channels.
     /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
     /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
     /// <returns>An enumerable containing the streams.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpGet("LiveTv")]
-    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetLiveTvChannels(CancellationToken cancellationToken)
+    public async Task<ActionResult<IEnumerable<StreamInfo>>> GetLiveTvChannels([FromQuery] int providerId, CancellationToken cancellationToken)
     {
-        IEnumerable<StreamInfo> streams = await Plugin.Instance.StreamService.GetLiveStreams(cancellationToken).ConfigureAwait(false);
+        IEnumerable<StreamInfo> streams = await Plugin.Instance.StreamService.GetLiveStreams(providerId, cancellationToken).ConfigureAwait(false);
         var channels = streams.Select(CreateChannelResponse).ToList();
         return Ok(channels);
     }
 
     /// <summary>
-    /// Get the current cache refresh status.
+    /// Preview the result of channel name cleanup rules on the configured TV channels.
     /// </summary>
-    /// <returns>Cache status information.</returns>
+    /// <param name="rules">The rules to apply, in order.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the original and cleaned channel names.</returns>
     [Authorize(Policy = "RequiresElevation")]
-    [HttpGet("SeriesCacheStatus")]
-    public ActionResult<object> GetSeriesCacheStatus()
+    [HttpPost("LiveNameRulesPreview")]
+    public async Task<ActionResult<IEnumerable<ChannelNamePreviewResponse>>> PreviewLiveNameRules([FromBody] IReadOnlyList<NameCleanupRule> rules, [FromQuery] int providerId, CancellationToken cancellationToken)
     {
-        var (isRefreshing, progress, status, startTime, completeTime) = Plugin.Instance.SeriesCacheService.GetStatus();
-        return Ok(new
+        List<string> errors = rules
+            .Select((rule, index) => (Rule: rule, Index: index))
+            .Where(r => r.Rule.Enabled)
+            .Select(r => (r.Index, Error: ChannelNameCleaner.Validate(r.Rule)))
+            .Where(r => r.Error is not null)
+            .Select(r => $"Rule {r.Index + 1}: {r.Error}")
+            .ToList();
+        if (errors.Count > 0)
         {
-            IsRefreshing = isRefreshing,
-            Progress = progress,
-            Status = status,
-            StartTime = startTime,
-            CompleteTime = completeTime,
-            IsCachePopulated = Plugin.Instance.SeriesCacheService.IsCachePopulated()
-        });
+            return BadRequest(string.Join(Environment.NewLine, errors));
+        }
+
+        ChannelNameCleaner cleaner = new(rules);
+        IEnumerable<StreamInfo> streams = await Plugin.Instance.StreamService.GetLiveStreams(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(streams.Select(stream => new ChannelNamePreviewResponse
+        {
+            Id = stream.StreamId,
+            OriginalName = stream.Name,
+            CleanedName = cleaner.Clean(stream.Name),
+        }));
     }
 
     /// <summary>
-    /// Trigger an immediate cache refresh.
+    /// Preview the next programs the EPG mapping of a TV channel produces.
     /// </summary>
-    /// <param name="fullSync">If true, forces a full sync ignoring incremental sync settings.</param>
-    /// <returns>Status of the refresh operation.</returns>
+    /// <param name="overrides">The overrides containing the EPG mapping.</param>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the next programs.</returns>
     [Authorize(Policy = "RequiresElevation")]
-    [HttpPost("SeriesCacheRefresh")]
-    public ActionResult<object> TriggerCacheRefresh([FromQuery] bool fullSync = false)
+    [HttpPost("LiveEpgPreview")]
+    public async Task<ActionResult<IEnumerable<EpgPreviewResponse>>> PreviewLiveEpg([FromBody] ChannelOverrides overrides, [FromQuery] int streamId, [FromQuery] int providerId, CancellationToken cancellationToken)
     {
-        var (isRefreshing, _, _, _, _) = Plugin.Instance.SeriesCacheService.GetStatus();
-        if (isRefreshing)
+        if (!string.IsNullOrEmpty(overrides.XmltvChannelId))
         {
-            return Ok(new { Success = false, Message = "Cache refresh already in progress" });
-        }
+            XmltvGuide? guide = await xmltvService.GetGuideAsync(cancellationToken).ConfigureAwait(false);
+            if (guide is null)
+            {
+                return BadRequest("No XMLTV guide uploaded.");
+            }
 
-        // Start refresh in background with no cancellation token
-        // (don't use the HTTP request's token as it gets cancelled when request completes)
-        _ = Plugin.Instance.SeriesCacheService.RefreshCacheAsync(null, fullSync, CancellationToken.None);
+            if (!guide.Channels.ContainsKey(overrides.XmltvChannelId) && !guide.Programs.ContainsKey(overrides.XmltvChannelId))
+            {
+                return BadRequest($"The XMLTV guide has no channel {overrides.XmltvChannelId}.");
+            }
+        }
 
-        string message = fullSync ? "Full cache refresh started" : "Cache refresh started";
-        return Ok(new { Success = true, Message = message });
+        DateTime now = DateTime.UtcNow;
+        ICollection<ProgramInfo> programs = await epgService.GetProgramsAsync(providerId, streamId, overrides, cancellationToken).ConfigureAwait(false);
+        return Ok(programs
+            .Where(program => program.EndDate > now)
+            .OrderBy(program => program.StartDate)
+            .Take(EpgPreviewCount)
+            .Select(program => new EpgPreviewResponse
+            {
+                StartDate = program.StartDate,
+                EndDate = program.EndDate,
+                Name = program.Name,
+            }));
     }
 
     /// <summary>
-    /// Clear the series cache completely.
+    /// Check which provider and override logos of the configured TV channels fail to load.
     /// </summary>
-    /// <returns>Status of the clear operation.</returns>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the logos which failed to load.</returns>
     [Authorize(Policy = "RequiresElevation")]
-    [HttpPost("SeriesCacheClear")]
-    public ActionResult<object> ClearSeriesCache()
+    [HttpPost("LiveLogosCheck")]
+    public async Task<ActionResult<IEnumerable<LogoCheckResponse>>> CheckLiveLogos([FromQuery] int providerId, CancellationToken cancellationToken)
     {
-        var (isRefreshing, _, _, _, _) = Plugin.Instance.SeriesCacheService.GetStatus();
-
-        string message = "Cache cleared successfully.";
-        if (isRefreshing)
+        Plugin plugin = Plugin.Instance;
+        ProviderProfile? provider = plugin.Configuration.GetProvider(providerId);
+        if (provider is null)
         {
-            // Cancel the running refresh before clearing (happens asynchronously)
-            Plugin.Instance.SeriesCacheService.CancelRefresh();
-            message = "Cache cleared. Refresh was cancelled.";
+            return NotFound();
         }
 
-        Plugin.Instance.SeriesCacheService.InvalidateCache();
-
-        // Trigger Jellyfin to refresh channel items - since cache is now empty,
-        // the plugin will return empty results and Jellyfin will remove orphaned items from jellyfin.db
-        try
+        IEnumerable<StreamInfo> streams = await plugin.StreamService.GetLiveStreams(providerId, cancellationToken).ConfigureAwait(false);
+        List<LogoCheckResponse> logos = [];
+        foreach (StreamInfo stream in streams)
         {
-            Plugin.Instance.TaskService.CancelIfRunningAndQueue(
-                "Jellyfin.LiveTv",
-                "Jellyfin.LiveTv.Channels.RefreshChannelsScheduledTask");
-            message += " Jellyfin channel refresh triggered to clean up jellyfin.db.";
-        }
-        catch
-        {
-            message += " Warning: Could not trigger Jellyfin cleanup.";
+            if (!string.IsNullOrEmpty(stream.StreamIcon))
+            {
+                logos.Add(new() { Id = stream.StreamId, Name = stream.Name, Url = stream.StreamIcon });
+            }
+
+            if (provider.LiveTvOverrides.TryGetValue(stream.StreamId, out var overrides) && !string.IsNullOrEmpty(overrides.LogoUrl))
+            {
+                logos.Add(new() { Id = stream.StreamId, Name = stream.Name, Url = overrides.LogoUrl, IsOverride = true });
+            }
         }
 
-        return Ok(new { Success = true, Message = message });
+        // Many channels share a logo, so every distinct URL is only requested once.
+        ConcurrentDictionary<string, string?> results = new();
+        await Parallel.ForEachAsync(
+            logos.Select(logo => logo.Url).Distinct().ToList(),
+            new ParallelOptions { MaxDegreeOfParallelism = 8, CancellationToken = cancellationToken },
+            async (url, token) =>
+            {
+                results[url] = await logoService.CheckLogoAsync(url, token).ConfigureAwait(false);
+            }).ConfigureAwait(false);
+
+        return Ok(logos
+            .Where(logo => results[logo.Url] is not null)
+            .Select(logo =>
+            {
+                logo.Error = results[logo.Url]!;
+                return logo;
+            }));
     }
 
     /// <summary>
-    /// Get the current VOD cache refresh status.
+    /// Get the channel logos uploaded to the plugin.
     /// </summary>
-    /// <returns>VOD cache status information.</returns>
+    /// <returns>An enumerable containing the uploaded logos.</returns>
     [Authorize(Policy = "RequiresElevation")]
-    [HttpGet("VodCacheStatus")]
-    public ActionResult<object> GetVodCacheStatus()
+    [HttpGet("Logos")]
+    public ActionResult<IEnumerable<LogoResponse>> GetLogos()
     {
-        var (isRefreshing, progress, status, startTime, completeTime) = Plugin.Instance.VodCacheService.GetStatus();
-        return Ok(new
+        return Ok(logoService.GetLogos().Select(name => new LogoResponse
         {
-            IsRefreshing = isRefreshing,
-            Progress = progress,
-            Status = status,
-            StartTime = startTime,
-            CompleteTime = completeTime,
-            IsCachePopulated = Plugin.Instance.VodCacheService.IsCachePopulated()
-        });
+            Name = name,
+            Url = LogoService.GetLogoUrl(name),
+        }));
     }
 
     /// <summary>
-    /// Trigger an immediate VOD cache refresh.
+    /// Upload a channel logo. The request body contains the image data.
     /// </summary>
-    /// <param name="fullSync">If true, forces a full sync ignoring incremental sync settings.</param>
-    /// <returns>Status of the refresh operation.</returns>
+    /// <param name="name">The file name of the logo.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The stored logo.</returns>
     [Authorize(Policy = "RequiresElevation")]
-    [HttpPost("VodCacheRefresh")]
-    public ActionResult<object> TriggerVodCacheRefresh([FromQuery] bool fullSync = false)
+    [HttpPost("Logos")]
+    public async Task<ActionResult<LogoResponse>> UploadLogo([FromQuery] string name, CancellationToken cancellationToken)
     {
-        var (isRefreshing, _, _, _, _) = Plugin.Instance.VodCacheService.GetStatus();
-        if (isRefreshing)
+        try
         {
-            return Ok(new { Success = false, Message = "VOD cache refresh already in progress" });
+            string stored = await logoService.SaveLogoAsync(name, Request.Body, cancellationToken).ConfigureAwait(false);
+            return Ok(new LogoResponse
+            {
+                Name = stored,
+                Url = LogoService.GetLogoUrl(stored),
+            });
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
         }
-
-        // Start refresh in background with no cancellation token
-        _ = Plugin.Instance.VodCacheService.RefreshCacheAsync(null, fullSync, CancellationToken.None);
-
-        string message = fullSync ? "Full VOD cache refresh started" : "VOD cache refresh started";
-        return Ok(new { Success = true, Message = message });
     }
 
     /// <summary>
-    /// Clear the VOD cache completely.
+    /// Delete an uploaded channel logo.
     /// </summary>
-    /// <returns>Status of the clear operation.</returns>
+    /// <param name="name">The file name of the logo.</param>
+    /// <returns>Status of the delete operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpDelete("Logos/{name}")]
+    public ActionResult<object> DeleteLogo(string name)
+    {
+        if (!logoService.DeleteLogo(name))
+        {
+            return NotFound(new { Success = false, Message = "Logo not found." });
+        }
+
+        return Ok(new { Success = true, Message = "Logo deleted." });
+    }
+
+    /// <summary>
+    /// Get an uploaded channel logo.
+    /// Anonymous access is allowed so that clients can load the logo like any other channel image.
+    /// </summary>
+    /// <param name="name">The file name of the logo.</param>
+    /// <returns>The image file.</returns>
+    [AllowAnonymous]
+    [HttpGet("Logos/{name}")]
+    [Produces("image/png", "image/jpeg", "image/gif", "image/webp")]
+    public ActionResult GetLogo(string name)
+    {
+        string? path = logoService.GetLogoPath(name);
+        if (path is null)
+        {
+            return NotFound();
+        }
+
+        return PhysicalFile(path, LogoService.GetContentType(name)!);
+    }
+
+    /// <summary>
+    /// Get the selected TV channels with an archive.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the channels.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("CatchupChannels")]
+    public async Task<ActionResult<IEnumerable<CatchupChannelResponse>>> GetCatchupChannels([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        IReadOnlyList<StreamInfo> channels = await catchupService.GetChannelsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        return Ok(channels.Select(channel => new CatchupChannelResponse
+        {
+            Id = channel.StreamId,
+            Number = channel.Num,
+            Name = StreamService.ParseName(channel.Name).Title,
+            CatchupDuration = channel.TvArchiveDuration,
+        }));
+    }
+
+    /// <summary>
+    /// Get the past programs of a TV channel within its archive window.
+    /// </summary>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>An enumerable containing the programs, most recent first.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("CatchupPrograms")]
+    public async Task<ActionResult<IEnumerable<CatchupProgramResponse>>> GetCatchupPrograms([FromQuery] int streamId, [FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        IReadOnlyList<StreamInfo> channels = await catchupService.GetChannelsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        StreamInfo? channel = channels.FirstOrDefault(channel => channel.StreamId == streamId);
+        if (channel is null)
+        {
+            return NotFound();
+        }
+
+        IReadOnlyList<EpgInfo> programs = await catchupService.GetProgramsAsync(providerId, channel, cancellationToken).ConfigureAwait(false);
+        return Ok(programs.Select(epg => new CatchupProgramResponse
+        {
+            Id = epg.Id,
+            StartDate = epg.Start,
+            EndDate = epg.End,
+            StartLocalTime = epg.StartLocalTime,
+            DurationMinutes = (int)Math.Ceiling((epg.End - epg.Start).TotalMinutes),
+            Name = StreamService.ParseName(epg.Title).Title,
+            Description = epg.Description,
+            HasArchive = epg.HasArchive,
+        }));
+    }
+
+    /// <summary>
+    /// Check whether the archive of a past program can be played.
+    /// </summary>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="start">The start of the program in the provider's local time.</param>
+    /// <param name="durationMinutes">The duration of the program in minutes.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Whether the program can be played, with the problem if not.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("CatchupCheck")]
+    public async Task<ActionResult<object>> CheckCatchup([FromQuery] int streamId, [FromQuery] DateTime start, [FromQuery] int durationMinutes, [FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        string? error = await catchupService.CheckPlayableAsync(providerId, streamId, start, durationMinutes, cancellationToken).ConfigureAwait(false);
+        return Ok(new { Success = error is null, Message = error ?? "Playable." });
+    }
+
+    /// <summary>
+    /// Get the uploaded XMLTV guide.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The channels of the guide.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("Xmltv")]
+    public async Task<ActionResult<XmltvGuideResponse>> GetXmltvGuide(CancellationToken cancellationToken)
+    {
+        XmltvGuide? guide = await xmltvService.GetGuideAsync(cancellationToken).ConfigureAwait(false);
+        return Ok(CreateXmltvGuideResponse(guide));
+    }
+
+    /// <summary>
+    /// Upload an XMLTV guide, replacing the previous one. The request body contains the XMLTV file.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The channels of the stored guide.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("Xmltv")]
+    [RequestSizeLimit(XmltvService.MaxGuideSize)]
+    public async Task<ActionResult<XmltvGuideResponse>> UploadXmltvGuide(CancellationToken cancellationToken)
+    {
+        try
+        {
+            XmltvGuide guide = await xmltvService.SaveGuideAsync(Request.Body, cancellationToken).ConfigureAwait(false);
+            return Ok(CreateXmltvGuideResponse(guide));
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete the uploaded XMLTV guide.
+    /// </summary>
+    /// <returns>Status of the delete operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpDelete("Xmltv")]
+    public ActionResult<object> DeleteXmltvGuide()
+    {
+        if (!xmltvService.DeleteGuide())
+        {
+            return NotFound(new { Success = false, Message = "No XMLTV guide uploaded." });
+        }
+
+        return Ok(new { Success = true, Message = "XMLTV guide deleted." });
+    }
+
+    /// <summary>
+    /// Get the urls of the M3U playlist and XMLTV guide exported for other IPTV clients.
+    /// </summary>
+    /// <returns>The export urls.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("ExportUrls")]
+    public ActionResult<ExportUrlsResponse> GetExportUrls()
+    {
+        return Ok(CreateExportUrlsResponse());
+    }
+
+    /// <summary>
+    /// Create a new export token, enabling the export. The urls with the previous token stop working.
+    /// </summary>
+    /// <returns>The export urls with the new token.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("ExportToken")]
+    public ActionResult<ExportUrlsResponse> ResetExportToken()
+    {
+        Plugin.Instance.Configuration.ExportToken = ExportService.CreateToken();
+        Plugin.Instance.SaveConfiguration();
+        return Ok(CreateExportUrlsResponse());
+    }
+
+    /// <summary>
+    /// Delete the export token, disabling the export.
+    /// </summary>
+    /// <returns>Status of the delete operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpDelete("ExportToken")]
+    public ActionResult<object> DeleteExportToken()
+    {
+        Plugin.Instance.Configuration.ExportToken = string.Empty;
+        Plugin.Instance.SaveConfiguration();
+        return Ok(new { Success = true, Message = "Export disabled." });
+    }
+
+    /// <summary>
+    /// Get the M3U playlist of the selected TV channels with their overrides applied.
+    /// Anonymous access is allowed for IPTV clients, which authenticate with the export token instead.
+    /// </summary>
+    /// <param name="token">The export token.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The playlist.</returns>
+    [AllowAnonymous]
+    [HttpGet("Export/playlist.m3u")]
+    [Produces("audio/x-mpegurl")]
+    public async Task<ActionResult> GetExportPlaylist([FromQuery] string? token, CancellationToken cancellationToken)
+    {
+        if (!IsValidExportToken(token))
+        {
+            return Unauthorized();
+        }
+
+        string playlist = await exportService.CreatePlaylistAsync(GetServerUrl(), token!, cancellationToken).ConfigureAwait(false);
+        return Content(playlist, "audio/x-mpegurl", Encoding.UTF8);
+    }
+
+    /// <summary>
+    /// Get the XMLTV guide of the selected TV channels with their EPG mapping applied.
+    /// Anonymous access is allowed for IPTV clients, which authenticate with the export token instead.
+    /// </summary>
+    /// <param name="token">The export token.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The guide.</returns>
+    [AllowAnonymous]
+    [HttpGet("Export/guide.xml")]
+    [Produces("application/xml")]
+    public async Task<ActionResult> GetExportGuide([FromQuery] string? token, CancellationToken cancellationToken)
+    {
+        if (!IsValidExportToken(token))
+        {
+            return Unauthorized();
+        }
+
+        byte[] guide = await exportService.CreateGuideAsync(GetServerUrl(), cancellationToken).ConfigureAwait(false);
+        return File(guide, "application/xml");
+    }
+
+    /// <summary>
+    /// Relays the stream of an exported TV channel, so the client never sees the provider address and credentials.
+    /// Anonymous access is allowed for IPTV clients, which authenticate with the export token instead.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="token">The export token.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The MPEG-TS stream, until the client disconnects or the provider ends it.</returns>
+    [AllowAnonymous]
+    [HttpGet("Export/Streams/{providerId}/{streamId}")]
+    public async Task<ActionResult> GetExportStream(int providerId, int streamId, [FromQuery] string? token, CancellationToken cancellationToken)
+    {
+        if (!IsValidExportToken(token))
+        {
+            return Unauthorized();
+        }
+
+        Plugin plugin = Plugin.Instance;
+        ProviderProfile? provider = plugin.Configuration.GetProvider(providerId);
+        if (provider is null)
+        {
+            return NotFound();
+        }
+
+        // Only the channels of the exported lineup are served
+        ConnectionInfo creds = plugin.GetCreds(providerId);
+        List<StreamInfo> streams = await GetCachedListAsync(
+            $"live-streams-{providerId}",
+            cancellation => xtreamClient.GetLiveStreamsAsync(creds, cancellation),
+            cancellationToken).ConfigureAwait(false);
+        StreamInfo? stream = streams.Find(stream => stream.StreamId == streamId);
+        if (stream?.CategoryId is not int categoryId
+            || !provider.LiveTv.TryGetValue(categoryId, out HashSet<int>? selected)
+            || (selected.Count > 0 && !selected.Contains(streamId)))
+        {
+            return NotFound();
+        }
+
+        Restream restream;
+        try
+        {
+            restream = await exportService.OpenStreamAsync(providerId, streamId, cancellationToken).ConfigureAwait(false);
+        }
+        catch (LiveTvConflictException ex)
+        {
+            return StatusCode(StatusCodes.Status503ServiceUnavailable, ex.Message);
+        }
+        catch (HttpRequestException)
+        {
+            return StatusCode(StatusCodes.Status502BadGateway);
+        }
+
+        using (restream)
+        {
+            try
+            {
+                Response.ContentType = "video/mp2t";
+                Stream input = restream.GetStream();
+                await using (input.ConfigureAwait(false))
+                {
+                    await input.CopyToAsync(Response.Body, cancellationToken).ConfigureAwait(false);
+                }
+            }
+            catch (Exception ex) when (ex is OperationCanceledException or IOException)
+            {
+                // The client disconnected or could not keep up with the stream
+            }
+            finally
+            {
+                await restream.Close().ConfigureAwait(false);
+            }
+        }
+
+        return new EmptyResult();
+    }
+
+    /// <summary>
+    /// Get the scheduled, running and finished recordings with the series timers.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The recordings and series timers.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("Recordings")]
+    public async Task<ActionResult<RecordingsResponse>> GetRecordings(CancellationToken cancellationToken)
+    {
+        List<RecordingResponse> recordings = [];
+        foreach (RecordingTimer timer in await recordingService.GetTimersAsync(cancellationToken).ConfigureAwait(false))
+        {
+            recordings.Add(new RecordingResponse()
+            {
+                Id = timer.Id,
+                Name = timer.Name,
+                ChannelName = await GetLiveChannelNameAsync(timer.ChannelId, cancellationToken).ConfigureAwait(false),
+                StartDate = timer.StartDate,
+                EndDate = timer.EndDate,
+                Status = timer.Status,
+                IsSeries = timer.SeriesTimerId is not null,
+                Path = timer.Path,
+                BytesRecorded = recordingService.GetBytesRecorded(timer),
+                Error = timer.Error,
+            });
+        }
+
+        List<RecordingSeriesResponse> series = [];
+        foreach (SeriesTimerInfo seriesTimer in await recordingService.GetSeriesTimersAsync(cancellationToken).ConfigureAwait(false))
+        {
+            series.Add(new RecordingSeriesResponse()
+            {
+                Id = seriesTimer.Id,
+                Name = seriesTimer.Name,
+                ChannelName = await GetLiveChannelNameAsync(seriesTimer.ChannelId, cancellationToken).ConfigureAwait(false),
+                RecordAnyTime = seriesTimer.RecordAnyTime,
+            });
+        }
+
+        return Ok(new RecordingsResponse()
+        {
+            RecordingPath = recordingService.RecordingPath,
+            Recordings = recordings,
+            Series = series,
+        });
+    }
+
+    /// <summary>
+    /// Cancel a scheduled recording, or stop it if it is running.
+    /// </summary>
+    /// <param name="id">The id of the recording.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Status of the cancel operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("Recordings/{id}/Cancel")]
+    public async Task<ActionResult<object>> CancelRecording(string id, CancellationToken cancellationToken)
+    {
+        await recordingService.CancelTimerAsync(id, cancellationToken).ConfigureAwait(false);
+        return Ok(new { Success = true, Message = "Recording cancelled." });
+    }
+
+    /// <summary>
+    /// Remove a recording which is not running from the list. The recorded file is kept.
+    /// </summary>
+    /// <param name="id">The id of the recording.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Status of the remove operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpDelete("Recordings/{id}")]
+    public async Task<ActionResult<object>> RemoveRecording(string id, CancellationToken cancellationToken)
+    {
+        if (!await recordingService.RemoveTimerAsync(id, cancellationToken).ConfigureAwait(false))
+        {
+            return NotFound(new { Success = false, Message = "Recording not found or still running." });
+        }
+
+        return Ok(new { Success = true, Message = "Recording removed." });
+    }
+
+    /// <summary>
+    /// Cancel a series timer with its scheduled recordings.
+    /// </summary>
+    /// <param name="id">The id of the series timer.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Status of the cancel operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("RecordingSeries/{id}/Cancel")]
+    public async Task<ActionResult<object>> CancelRecordingSeries(string id, CancellationToken cancellationToken)
+    {
+        await recordingService.CancelSeriesTimerAsync(id, cancellationToken).ConfigureAwait(false);
+        return Ok(new { Success = true, Message = "Series recording cancelled." });
+    }
+
+    /// <summary>
+    /// Get the Live TV streams which hold a connection to their provider, with the connection usage of each provider.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The open streams and the connection usage.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("ActiveStreams")]
+    public async Task<ActionResult<ActiveStreamsResponse>> GetActiveStreams(CancellationToken cancellationToken)
+    {
+        Plugin plugin = Plugin.Instance;
+        IReadOnlyList<Restream> streams = streamMonitor.GetStreams();
+        List<StreamUsageResponse> providers = [];
+        Dictionary<(int ProviderId, int StreamId), string> channelNames = [];
+        foreach (ProviderProfile provider in plugin.Configuration.GetProviders())
+        {
+            int open = streams.Count(stream => stream.ProviderId == provider.Id);
+            int maxConnections = await streamMonitor.GetMaxConnectionsAsync(provider.Id, cancellationToken).ConfigureAwait(false);
+            int limit = provider.LimitStreams ? await streamMonitor.GetStreamLimitAsync(provider, cancellationToken).ConfigureAwait(false) : 0;
+
+            // Warn when at most one more connection is left
+            int allowed = limit > 0 ? limit : maxConnections;
+            providers.Add(new StreamUsageResponse
+            {
+                ProviderId = provider.Id,
+                ProviderName = provider.Name,
+                OpenStreams = open,
+                MaxConnections = maxConnections,
+                StreamLimit = limit,
+                IsNearLimit = open > 0 && allowed > 0 && open >= allowed - 1,
+            });
+
+            if (open == 0)
+            {
+                continue;
+            }
+
+            try
+            {
+                IEnumerable<StreamInfo> channels = await plugin.StreamService.GetLiveStreamsWithOverrides(provider.Id, cancellationToken).ConfigureAwait(false);
+                foreach (StreamInfo channel in channels)
+                {
+                    channelNames[(provider.Id, channel.StreamId)] = channel.Name;
+                }
+            }
+            catch (HttpRequestException)
+            {
+                // The streams are listed by id
+            }
+        }
+
+        Dictionary<int, string> providerNames = providers.ToDictionary(provider => provider.ProviderId, provider => provider.ProviderName);
+        return Ok(new ActiveStreamsResponse
+        {
+            Streams = streams.Select(stream => new ActiveStreamResponse
+            {
+                Id = stream.UniqueId,
+                ProviderId = stream.ProviderId,
+                ProviderName = providerNames.GetValueOrDefault(stream.ProviderId, string.Empty),
+                StreamId = stream.StreamId,
+                ChannelName = channelNames.GetValueOrDefault((stream.ProviderId, stream.StreamId), $"Stream {stream.StreamId}"),
+                ConsumerCount = stream.ConsumerCount,
+                IsRecording = stream.IsRecording,
+                StartTime = stream.StartTime,
+                BytesRelayed = stream.BytesRelayed,
+            }).ToList(),
+            Providers = providers,
+        });
+    }
+
+    /// <summary>
+    /// Close a Live TV stream, which stops playback for all its consumers and frees its provider connection.
+    /// </summary>
+    /// <param name="id">The unique id of the stream.</param>
+    /// <returns>Status of the close operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("ActiveStreams/{id}/Close")]
+    public async Task<ActionResult<object>> CloseActiveStream(string id)
+    {
+        try
+        {
+            if (!await streamMonitor.CloseAsync(id).ConfigureAwait(false))
+            {
+                return NotFound(new { Success = false, Message = "Stream not found, it may have been closed already." });
+            }
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { Success = false, Message = ex.Message });
+        }
+
+        return Ok(new { Success = true, Message = "Stream closed." });
+    }
+
+    /// <summary>
+    /// Look up the TMDb ID which would be picked for a movie title.
+    /// </summary>
+    /// <param name="title">The provider title of the movie.</param>
+    /// <param name="year">Optional release year.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The cleaned title and the TMDb ID, if any.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("TmdbLookup")]
+    public async Task<ActionResult<MetadataLookupResponse>> LookupTmdbId([FromQuery] string title, [FromQuery] int? year, CancellationToken cancellationToken)
+    {
+        string cleanTitle = StreamService.ParseName(title ?? string.Empty).Title;
+        int? id = await metadataLookupService.LookupMovieTmdbIdAsync(cleanTitle, year, cancellationToken).ConfigureAwait(false);
+        return Ok(new MetadataLookupResponse { Title = cleanTitle, Year = year, ProviderId = id });
+    }
+
+    /// <summary>
+    /// Look up the TVDb ID which would be picked for a series title.
+    /// </summary>
+    /// <param name="title">The provider title of the series.</param>
+    /// <param name="year">Optional premiere year.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The cleaned title and the TVDb ID, if any.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("TvdbLookup")]
+    public async Task<ActionResult<MetadataLookupResponse>> LookupTvdbId([FromQuery] string title, [FromQuery] int? year, CancellationToken cancellationToken)
+    {
+        string cleanTitle = StreamService.ParseName(title ?? string.Empty).Title;
+        int? id = await metadataLookupService.LookupSeriesTvdbIdAsync(cleanTitle, year, cancellationToken).ConfigureAwait(false);
+        return Ok(new MetadataLookupResponse { Title = cleanTitle, Year = year, ProviderId = id });
+    }
+
+    /// <summary>
+    /// Get the movies from the latest cache refresh whose TMDb match needs review:
+    /// unmatched titles, titles matched without a year and titles matched to a very different name.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The movies to review.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("VodMatches")]
+    public async Task<ActionResult<IEnumerable<MetadataMatch>>> GetVodMatches([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        IReadOnlyCollection<MetadataMatch> matches = await Plugin.Instance.GetProviderCaches(providerId).VodCacheService.GetMetadataMatchesAsync(cancellationToken).ConfigureAwait(false);
+        return Ok(FilterMatchesToReview(matches));
+    }
+
+    /// <summary>
+    /// Repeat the TMDb lookup for a single movie using the saved title overrides.
+    /// </summary>
+    /// <param name="id">The Xtream movie ID.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The new match.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("VodMatches/{id}/Relookup")]
+    public async Task<ActionResult<MetadataMatch>> RelookupVodMatch(int id, [FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        MetadataMatch? match = await Plugin.Instance.GetProviderCaches(providerId).VodCacheService.RelookupAsync(id, cancellationToken).ConfigureAwait(false);
+        if (match is null)
+        {
+            return NotFound();
+        }
+
+        return Ok(match);
+    }
+
+    /// <summary>
+    /// Get the series from the latest cache refresh whose TVDb match needs review:
+    /// unmatched titles, titles matched without a year and titles matched to a very different name.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The series to review.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("SeriesMatches")]
+    public async Task<ActionResult<IEnumerable<MetadataMatch>>> GetSeriesMatches([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        IReadOnlyCollection<MetadataMatch> matches = await Plugin.Instance.GetProviderCaches(providerId).SeriesCacheService.GetMetadataMatchesAsync(cancellationToken).ConfigureAwait(false);
+        return Ok(FilterMatchesToReview(matches));
+    }
+
+    /// <summary>
+    /// Repeat the TVDb lookup for a single series using the saved title overrides.
+    /// </summary>
+    /// <param name="id">The Xtream series ID.</param>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The new match.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("SeriesMatches/{id}/Relookup")]
+    public async Task<ActionResult<MetadataMatch>> RelookupSeriesMatch(int id, [FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        MetadataMatch? match = await Plugin.Instance.GetProviderCaches(providerId).SeriesCacheService.RelookupAsync(id, cancellationToken).ConfigureAwait(false);
+        if (match is null)
+        {
+            return NotFound();
+        }
+
+        return Ok(match);
+    }
+
+    /// <summary>
+    /// Update the title overrides and ignored titles of the metadata review.
+    /// They are used by the next lookup, so unlike saving the whole configuration no cache refresh is restarted.
+    /// </summary>
+    /// <param name="settings">The new overrides and ignored titles.</param>
+    /// <returns>Status of the update.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("MetadataReviewSettings")]
+    public ActionResult<object> UpdateMetadataReviewSettings([FromBody] MetadataReviewSettings settings)
+    {
+        PluginConfiguration config = Plugin.Instance.Configuration;
+        config.TmdbTitleOverrides = settings.TmdbTitleOverrides;
+        config.TvdbTitleOverrides = settings.TvdbTitleOverrides;
+        config.IgnoredVodMatches = new Collection<string>(settings.IgnoredVodMatches.ToList());
+        config.IgnoredSeriesMatches = new Collection<string>(settings.IgnoredSeriesMatches.ToList());
+        Plugin.Instance.SaveConfiguration();
+
+        return Ok(new { Success = true, Message = "Review decisions saved." });
+    }
+
+    /// <summary>
+    /// Get the HTTP retry, failure cache and incremental sync settings.
+    /// </summary>
+    /// <returns>The current settings.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("AdvancedSettings")]
+    public ActionResult<AdvancedSettings> GetAdvancedSettings()
+    {
+        PluginConfiguration config = Plugin.Instance.Configuration;
+        return Ok(new AdvancedSettings
+        {
+            EnableHttpRetry = config.EnableHttpRetry,
+            HttpRetryMaxAttempts = config.HttpRetryMaxAttempts,
+            HttpRetryInitialDelayMs = config.HttpRetryInitialDelayMs,
+            HttpFailureCacheExpirationHours = config.HttpFailureCacheExpirationHours,
+            HttpRetryThrowOnPersistentFailure = config.HttpRetryThrowOnPersistentFailure,
+            IncrementalSyncEnabled = config.IncrementalSyncEnabled,
+            FullSyncIntervalHours = config.FullSyncIntervalHours,
+        });
+    }
+
+    /// <summary>
+    /// Update the HTTP retry, failure cache and incremental sync settings.
+    /// These settings take effect on the next request or cache refresh, so no refresh is triggered.
+    /// </summary>
+    /// <param name="settings">The new settings.</param>
+    /// <returns>Status of the update.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("AdvancedSettings")]
+    public ActionResult<object> UpdateAdvancedSettings([FromBody] AdvancedSettings settings)
+    {
+        PluginConfiguration config = Plugin.Instance.Configuration;
+        config.EnableHttpRetry = settings.EnableHttpRetry;
+        config.HttpRetryMaxAttempts = settings.HttpRetryMaxAttempts;
+        config.HttpRetryInitialDelayMs = settings.HttpRetryInitialDelayMs;
+        config.HttpFailureCacheExpirationHours = settings.HttpFailureCacheExpirationHours;
+        config.HttpRetryThrowOnPersistentFailure = settings.HttpRetryThrowOnPersistentFailure;
+        config.IncrementalSyncEnabled = settings.IncrementalSyncEnabled;
+        config.FullSyncIntervalHours = settings.FullSyncIntervalHours;
+        Plugin.Instance.SaveConfiguration();
+
+        return Ok(new { Success = true, Message = "Advanced settings saved." });
+    }
+
+    /// <summary>
+    /// Get the provider requests which failed persistently and are currently skipped.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The failures, oldest first.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("Failures")]
+    public async Task<ActionResult<IEnumerable<FailureResponse>>> GetFailures(CancellationToken cancellationToken)
+    {
+        IReadOnlyCollection<FailureRecord> records = failureTrackingService.GetFailures();
+        Dictionary<string, int> providerIds = records.ToDictionary(record => record.Key, GetFailureProviderId);
+        Dictionary<(FailureType Type, int ProviderId), Dictionary<int, string>> names = [];
+        foreach ((FailureType type, int providerId) in records.Select(record => (record.Type, providerIds[record.Key])).Distinct())
+        {
+            names[(type, providerId)] = await GetFailureItemNamesAsync(type, providerId, cancellationToken).ConfigureAwait(false);
+        }
+
+        return Ok(records.Select(record => new FailureResponse
+        {
+            Id = record.Key,
+            Type = record.Type,
+            ItemId = record.ItemId,
+            Name = record.ItemId is int id && names[(record.Type, providerIds[record.Key])].TryGetValue(id, out string? name) ? name : null,
+            Url = RedactCredentials(record.Url),
+            ErrorDetails = record.ErrorDetails,
+            FirstFailureTime = record.FirstFailureTime,
+            ExpiresAt = record.ExpiresAt,
+        }));
+    }
+
+    /// <summary>
+    /// Forget a failure and request the URL again right away.
+    /// </summary>
+    /// <param name="id">The key of the failure.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Status of the retry.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("Failures/{id}/Retry")]
+    public async Task<ActionResult<object>> RetryFailure(string id, CancellationToken cancellationToken)
+    {
+        FailureRecord? record = failureTrackingService.GetFailure(id);
+        if (record is null)
+        {
+            return NotFound(new { Success = false, Message = "Failure not found, it may have expired." });
+        }
+
+        failureTrackingService.RemoveFailure(id);
+        if (record.ItemId is not int itemId || record.Type == FailureType.Other)
+        {
+            return Ok(new { Success = true, Message = "The failure was removed and the request will be tried again when needed." });
+        }
+
+        ConnectionInfo creds = Plugin.Instance.GetCreds(GetFailureProviderId(record));
+        try
+        {
+            switch (record.Type)
+            {
+                case FailureType.SeriesInfo:
+                    await xtreamClient.GetSeriesStreamsBySeriesAsync(creds, itemId, cancellationToken).ConfigureAwait(false);
+                    break;
+                case FailureType.VodInfo:
+                    await xtreamClient.GetVodInfoAsync(creds, itemId, cancellationToken).ConfigureAwait(false);
+                    break;
+                case FailureType.Epg:
+                    await xtreamClient.GetEpgInfoAsync(creds, itemId, cancellationToken).ConfigureAwait(false);
+                    break;
+            }
+        }
+        catch (Exception ex) when (ex is HttpRequestException || (ex is TaskCanceledException && !cancellationToken.IsCancellationRequested))
+        {
+            // Keep the failure, as it was when it first occurred
+            failureTrackingService.RecordFailure(record.Url, ex.Message, record.FirstFailureTime);
+            return Ok(new { Success = false, Message = $"The request failed again: {ex.Message}" });
+        }
+
+        return Ok(new { Success = true, Message = "The request succeeded." });
+    }
+
+    /// <summary>
+    /// Forget all failures, so every URL is requested again.
+    /// </summary>
+    /// <returns>Status of the clear operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("FailuresClear")]
+    public ActionResult<object> ClearFailures()
+    {
+        failureTrackingService.ClearFailures();
+        return Ok(new { Success = true, Message = "All failures cleared." });
+    }
+
+    /// <summary>
+    /// Get the contents of every cache kept by the plugin.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>One entry per cache.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("CacheOverview")]
+    public async Task<ActionResult<IEnumerable<CacheOverviewResponse>>> GetCacheOverview(CancellationToken cancellationToken)
+    {
+        Plugin plugin = Plugin.Instance;
+
+        await metadataLookupService.LoadCacheAsync(cancellationToken).ConfigureAwait(false);
+        var (movieLookups, seriesLookups, expiredLookups, oldestLookup, newestLookup) = metadataLookupService.GetCacheStats();
+
+        IReadOnlyCollection<FailureRecord> failures = failureTrackingService.GetFailures();
+
+        List<CacheOverviewResponse> itemCaches = [];
+        List<CacheOverviewResponse> syncStates = [];
+        List<ProviderProfile> providers = plugin.Configuration.GetProviders().ToList();
+        foreach (ProviderProfile provider in providers)
+        {
+            ProviderCaches caches = plugin.GetProviderCaches(provider.Id);
+            SeriesCacheService seriesCache = caches.SeriesCacheService;
+            VodCacheService vodCache = caches.VodCacheService;
+
+            // The caches are only named after their provider when there are several
+            string suffix = providers.Count > 1
+                ? $" ({(string.IsNullOrEmpty(provider.Name) ? $"Provider {provider.Id}" : provider.Name)})"
+                : string.Empty;
+            itemCaches.Add(CreateItemCacheOverview(
+                provider.Id,
+                "Series",
+                $"Series{suffix}",
+                "series",
+                seriesCache.GetCachedCategories(),
+                categoryId => seriesCache.GetCachedSeriesList(categoryId)?.Count() ?? 0,
+                seriesCache.GetProgress(),
+                SeriesCacheService.CacheEntryLifetimeHours));
+            itemCaches.Add(CreateItemCacheOverview(
+                provider.Id,
+                "Vod",
+                $"Video On-Demand{suffix}",
+                "movies",
+                vodCache.GetCachedCategories(),
+                categoryId => vodCache.GetCachedMovies(categoryId)?.Count() ?? 0,
+                vodCache.GetProgress(),
+                VodCacheService.CacheEntryLifetimeHours));
+            syncStates.Add(await CreateSyncStateOverviewAsync(provider.Id, $"Incremental sync state{suffix}", caches.SyncStateService, cancellationToken).ConfigureAwait(false));
+        }
+
+        List<CacheOverviewResponse> overview =
+        [
+            .. itemCaches,
+            new()
+            {
+                Id = "Metadata",
+                Name = "Metadata lookups",
+                Entries = movieLookups + seriesLookups,
+                Details = $"{movieLookups} movies, {seriesLookups} series, {expiredLookups} expired",
+                SizeBytes = GetFileSize(metadataLookupService.CacheFile),
+                LastUpdated = newestLookup,
+                ExpiresAt = oldestLookup?.AddDays(MetadataCacheEntry.LifetimeDays),
+            },
+            .. syncStates,
+            new()
+            {
+                Id = "Failures",
+                Name = "Failed requests",
+                Entries = failures.Count,
+                Details = string.Join(", ", failures.GroupBy(failure => failure.Type).Select(group => $"{group.Count()} {DescribeFailureType(group.Key)}")),
+                LastUpdated = failures.Max(failure => (DateTime?)failure.FirstFailureTime),
+                ExpiresAt = failures.Min(failure => (DateTime?)failure.ExpiresAt),
+            },
+        ];
+        return Ok(overview);
+    }
+
+    /// <summary>
+    /// Forget all metadata lookups, so every movie and series is looked up again.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Status of the clear operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("MetadataCacheClear")]
+    public async Task<ActionResult<object>> ClearMetadataCache(CancellationToken cancellationToken)
+    {
+        metadataLookupService.ClearCache();
+        await metadataLookupService.SaveCacheAsync(cancellationToken).ConfigureAwait(false);
+        return Ok(new { Success = true, Message = "Metadata lookups cleared. Movies and series are looked up again during the next refresh." });
+    }
+
+    /// <summary>
+    /// Forget the expired metadata lookups only.
+    /// </summary>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Status of the clear operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("MetadataCacheClearExpired")]
+    public async Task<ActionResult<object>> ClearExpiredMetadataCache(CancellationToken cancellationToken)
+    {
+        int removed = await metadataLookupService.ClearExpiredAsync(cancellationToken).ConfigureAwait(false);
+        return Ok(new { Success = true, Message = $"{removed} expired metadata lookups removed." });
+    }
+
+    /// <summary>
+    /// Reset the incremental sync state, so the next refreshes of the provider process every series and movie.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Status of the reset operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("SyncStateReset")]
+    public async Task<ActionResult<object>> ResetSyncState([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        await Plugin.Instance.GetProviderCaches(providerId).SyncStateService.ResetStateAsync(cancellationToken).ConfigureAwait(false);
+        return Ok(new { Success = true, Message = "Sync state reset. The next refreshes are full refreshes." });
+    }
+
+    /// <summary>
+    /// Get the current cache refresh status.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>Cache status information.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("SeriesCacheStatus")]
+    public async Task<ActionResult<CacheStatusResponse>> GetSeriesCacheStatus([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        ProviderCaches caches = Plugin.Instance.GetProviderCaches(providerId);
+        SeriesCacheService service = caches.SeriesCacheService;
+        return await CreateCacheStatusAsync(service.GetProgress(), service.IsCachePopulated(), caches.SyncStateService, state => state.SeriesSync, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Stream the series cache refresh status as server-sent events, sent whenever the progress changes.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token, cancelled when the page closes the stream.</param>
+    /// <returns>A task which completes when the stream is closed.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("SeriesCacheEvents")]
+    [Produces("text/event-stream")]
+    public Task GetSeriesCacheEvents([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            Response.StatusCode = StatusCodes.Status404NotFound;
+            return Task.CompletedTask;
+        }
+
+        ProviderCaches caches = Plugin.Instance.GetProviderCaches(providerId);
+        SeriesCacheService service = caches.SeriesCacheService;
+        return StreamCacheEventsAsync(
+            handler => service.ProgressChanged += handler,
+            handler => service.ProgressChanged -= handler,
+            token => CreateCacheStatusAsync(service.GetProgress(), service.IsCachePopulated(), caches.SyncStateService, state => state.SeriesSync, token),
+            cancellationToken);
+    }
+
+    /// <summary>
+    /// Get the statistics and errors of the latest series cache refreshes.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The latest refresh runs, newest first.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("SeriesCacheHistory")]
+    public async Task<ActionResult<IEnumerable<RefreshRun>>> GetSeriesCacheHistory([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        return Ok(await Plugin.Instance.GetProviderCaches(providerId).SeriesCacheService.GetRefreshHistoryAsync(cancellationToken).ConfigureAwait(false));
+    }
+
+    /// <summary>
+    /// Trigger an immediate cache refresh.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="fullSync">If true, forces a full sync ignoring incremental sync settings.</param>
+    /// <returns>Status of the refresh operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("SeriesCacheRefresh")]
+    public ActionResult<object> TriggerCacheRefresh([FromQuery] int providerId, [FromQuery] bool fullSync = false)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        SeriesCacheService service = Plugin.Instance.GetProviderCaches(providerId).SeriesCacheService;
+        var (isRefreshing, _, _, _, _) = service.GetStatus();
+        if (isRefreshing)
+        {
+            return Ok(new { Success = false, Message = "Cache refresh already in progress" });
+        }
+
+        // Start refresh in background with no cancellation token
+        // (don't use the HTTP request's token as it gets cancelled when request completes)
+        _ = service.RefreshCacheAsync(null, fullSync, CancellationToken.None);
+
+        string message = fullSync ? "Full cache refresh started" : "Cache refresh started";
+        return Ok(new { Success = true, Message = message });
+    }
+
+    /// <summary>
+    /// Stop a running cache refresh. The data cached so far is kept.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <returns>Status of the cancel operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("SeriesCacheCancel")]
+    public ActionResult<object> CancelSeriesCacheRefresh([FromQuery] int providerId)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        SeriesCacheService service = Plugin.Instance.GetProviderCaches(providerId).SeriesCacheService;
+        var (isRefreshing, _, _, _, _) = service.GetStatus();
+        if (!isRefreshing)
+        {
+            return Ok(new { Success = false, Message = "No cache refresh is running" });
+        }
+
+        service.CancelRefresh();
+        return Ok(new { Success = true, Message = "Cache refresh cancelled, the existing cache is kept" });
+    }
+
+    /// <summary>
+    /// Clear the series cache completely.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <returns>Status of the clear operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("SeriesCacheClear")]
+    public ActionResult<object> ClearSeriesCache([FromQuery] int providerId)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        SeriesCacheService service = Plugin.Instance.GetProviderCaches(providerId).SeriesCacheService;
+        var (isRefreshing, _, _, _, _) = service.GetStatus();
+
+        string message = "Cache cleared successfully.";
+        if (isRefreshing)
+        {
+            // Cancel the running refresh before clearing (happens asynchronously)
+            service.CancelRefresh();
+            message = "Cache cleared. Refresh was cancelled.";
+        }
+
+        service.InvalidateCache();
+
+        // Trigger Jellyfin to refresh channel items - since cache is now empty,
+        // the plugin will return empty results and Jellyfin will remove orphaned items from jellyfin.db
+        try
+        {
+            Plugin.Instance.TaskService.CancelIfRunningAndQueue(
+                "Jellyfin.LiveTv",
+                "Jellyfin.LiveTv.Channels.RefreshChannelsScheduledTask");
+            message += " Jellyfin channel refresh triggered to clean up jellyfin.db.";
+        }
+        catch
+        {
+            message += " Warning: Could not trigger Jellyfin cleanup.";
+        }
+
+        return Ok(new { Success = true, Message = message });
+    }
+
+    /// <summary>
+    /// Get the current VOD cache refresh status.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>VOD cache status information.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("VodCacheStatus")]
+    public async Task<ActionResult<CacheStatusResponse>> GetVodCacheStatus([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        ProviderCaches caches = Plugin.Instance.GetProviderCaches(providerId);
+        VodCacheService service = caches.VodCacheService;
+        return await CreateCacheStatusAsync(service.GetProgress(), service.IsCachePopulated(), caches.SyncStateService, state => state.VodSync, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Stream the VOD cache refresh status as server-sent events, sent whenever the progress changes.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token, cancelled when the page closes the stream.</param>
+    /// <returns>A task which completes when the stream is closed.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("VodCacheEvents")]
+    [Produces("text/event-stream")]
+    public Task GetVodCacheEvents([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            Response.StatusCode = StatusCodes.Status404NotFound;
+            return Task.CompletedTask;
+        }
+
+        ProviderCaches caches = Plugin.Instance.GetProviderCaches(providerId);
+        VodCacheService service = caches.VodCacheService;
+        return StreamCacheEventsAsync(
+            handler => service.ProgressChanged += handler,
+            handler => service.ProgressChanged -= handler,
+            token => CreateCacheStatusAsync(service.GetProgress(), service.IsCachePopulated(), caches.SyncStateService, state => state.VodSync, token),
+            cancellationToken);
+    }
+
+    /// <summary>
+    /// Get the statistics and errors of the latest VOD cache refreshes.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The latest refresh runs, newest first.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpGet("VodCacheHistory")]
+    public async Task<ActionResult<IEnumerable<RefreshRun>>> GetVodCacheHistory([FromQuery] int providerId, CancellationToken cancellationToken)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        return Ok(await Plugin.Instance.GetProviderCaches(providerId).VodCacheService.GetRefreshHistoryAsync(cancellationToken).ConfigureAwait(false));
+    }
+
+    /// <summary>
+    /// Trigger an immediate VOD cache refresh.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <param name="fullSync">If true, forces a full sync ignoring incremental sync settings.</param>
+    /// <returns>Status of the refresh operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("VodCacheRefresh")]
+    public ActionResult<object> TriggerVodCacheRefresh([FromQuery] int providerId, [FromQuery] bool fullSync = false)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        VodCacheService service = Plugin.Instance.GetProviderCaches(providerId).VodCacheService;
+        var (isRefreshing, _, _, _, _) = service.GetStatus();
+        if (isRefreshing)
+        {
+            return Ok(new { Success = false, Message = "VOD cache refresh already in progress" });
+        }
+
+        // Start refresh in background with no cancellation token
+        _ = service.RefreshCacheAsync(null, fullSync, CancellationToken.None);
+
+        string message = fullSync ? "Full VOD cache refresh started" : "VOD cache refresh started";
+        return Ok(new { Success = true, Message = message });
+    }
+
+    /// <summary>
+    /// Stop a running VOD cache refresh. The data cached so far is kept.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <returns>Status of the cancel operation.</returns>
+    [Authorize(Policy = "RequiresElevation")]
+    [HttpPost("VodCacheCancel")]
+    public ActionResult<object> CancelVodCacheRefresh([FromQuery] int providerId)
+    {
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        VodCacheService service = Plugin.Instance.GetProviderCaches(providerId).VodCacheService;
+        var (isRefreshing, _, _, _, _) = service.GetStatus();
+        if (!isRefreshing)
+        {
+            return Ok(new { Success = false, Message = "No VOD cache refresh is running" });
+        }
+
+        service.CancelRefresh();
+        return Ok(new { Success = true, Message = "VOD cache refresh cancelled, the existing cache is kept" });
+    }
+
+    /// <summary>
+    /// Clear the VOD cache completely.
+    /// </summary>
+    /// <param name="providerId">The id of the provider, the primary provider if omitted.</param>
+    /// <returns>Status of the clear operation.</returns>
     [Authorize(Policy = "RequiresElevation")]
     [HttpPost("VodCacheClear")]
-    public ActionResult<object> ClearVodCache()
+    public ActionResult<object> ClearVodCache([FromQuery] int providerId)
     {
-        var (isRefreshing, _, _, _, _) = Plugin.Instance.VodCacheService.GetStatus();
+        if (Plugin.Instance.Configuration.GetProvider(providerId) is null)
+        {
+            return NotFound();
+        }
+
+        VodCacheService service = Plugin.Instance.GetProviderCaches(providerId).VodCacheService;
+        var (isRefreshing, _, _, _, _) = service.GetStatus();
 
         string message = "VOD cache cleared successfully.";
         if (isRefreshing)
         {
             // Cancel the running refresh before clearing (happens asynchronously)
-            Plugin.Instance.VodCacheService.CancelRefresh();
+            service.CancelRefresh();
             message = "VOD cache cleared. Refresh was cancelled.";
         }
 
-        Plugin.Instance.VodCacheService.InvalidateCache();
+        service.InvalidateCache();
 
         // Trigger Jellyfin to refresh channel items
         try
@@ -17,10 +17,12 @@ using System;
 using System.Collections.Generic;
 using System.Globalization;
 using System.Linq;
+using System.Net.Http;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Xtream.Client;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
 using Jellyfin.Xtream.Service;
 using MediaBrowser.Controller.Channels;
 using MediaBrowser.Controller.Providers;
@@ -35,8 +37,9 @@ namespace Jellyfin.Xtream;
 /// The Xtream Codes API channel.
 /// </summary>
 /// <param name="logger">Instance of the <see cref="ILogger"/> interface.</param>
+/// <param name="logoService">Instance of the <see cref="LogoService"/> class.</param>
 /// <param name="xtreamClient">Instance of the <see cref="IXtreamClient"/> interface.</param>
-public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtreamClient) : IChannel, IDisableMediaSourceDisplay
+public class CatchupChannel(ILogger<CatchupChannel> logger, LogoService logoService, IXtreamClient xtreamClient) : IChannel, IDisableMediaSourceDisplay
 {
     private readonly ILogger<CatchupChannel> _logger = logger;
 
@@ -97,13 +100,14 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
 
             Guid guid = Guid.Parse(query.FolderId);
             StreamService.FromGuid(guid, out int prefix, out int categoryId, out int channelId, out int date);
+            StreamService.FromProviderPrefix(prefix, out int providerId);
 
             if (date == 0)
             {
-                return await GetDays(categoryId, channelId, cancellationToken).ConfigureAwait(false);
+                return await GetDays(providerId, categoryId, channelId, cancellationToken).ConfigureAwait(false);
             }
 
-            return await GetStreams(categoryId, channelId, date, cancellationToken).ConfigureAwait(false);
+            return await GetStreams(providerId, categoryId, channelId, date, cancellationToken).ConfigureAwait(false);
         }
         catch (Exception ex)
         {
@@ -116,23 +120,38 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
     {
         Plugin plugin = Plugin.Instance;
         List<ChannelItemInfo> items = [];
-        foreach (StreamInfo channel in await plugin.StreamService.GetLiveStreamsWithOverrides(cancellationToken).ConfigureAwait(false))
+        foreach (ProviderProfile provider in plugin.Configuration.GetProviders())
         {
-            if (!channel.TvArchive)
+            IEnumerable<StreamInfo> channels;
+            try
             {
-                // Channel has no catch-up support.
+                channels = await plugin.StreamService.GetLiveStreamsWithOverrides(provider.Id, cancellationToken).ConfigureAwait(false);
+            }
+            catch (HttpRequestException ex) when (provider.Id != ProviderProfile.PrimaryId)
+            {
+                _logger.LogWarning(ex, "Failed to get the channels of provider {Provider}", provider.Name);
                 continue;
             }
 
-            ParsedName parsedName = StreamService.ParseName(channel.Name);
-            items.Add(new ChannelItemInfo()
+            int prefix = StreamService.ToProviderPrefix(StreamService.CatchupPrefix, provider.Id);
+            foreach (StreamInfo channel in channels)
             {
-                Id = StreamService.ToGuid(StreamService.CatchupPrefix, channel.CategoryId ?? 0, channel.StreamId, 0).ToString(),
-                ImageUrl = channel.StreamIcon,
-                Name = parsedName.Title,
-                Tags = new List<string>(parsedName.Tags),
-                Type = ChannelItemType.Folder,
-            });
+                if (!channel.TvArchive || !plugin.Configuration.IsCatchupExposed(provider, channel.StreamId))
+                {
+                    // Channel has no catch-up support or its catch-up is not exposed.
+                    continue;
+                }
+
+                ParsedName parsedName = StreamService.ParseName(channel.Name);
+                items.Add(new ChannelItemInfo()
+                {
+                    Id = StreamService.ToGuid(prefix, channel.CategoryId ?? 0, channel.StreamId, 0).ToString(),
+                    ImageUrl = logoService.ResolveImageUrl(channel.StreamIcon),
+                    Name = parsedName.Title,
+                    Tags = new List<string>(parsedName.Tags),
+                    Type = ChannelItemType.Folder,
+                });
+            }
         }
 
         ChannelItemResult result = new ChannelItemResult()
@@ -143,11 +162,11 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
         return result;
     }
 
-    private async Task<ChannelItemResult> GetDays(int categoryId, int channelId, CancellationToken cancellationToken)
+    private async Task<ChannelItemResult> GetDays(int providerId, int categoryId, int channelId, CancellationToken cancellationToken)
     {
         Plugin plugin = Plugin.Instance;
 
-        List<StreamInfo> streams = await xtreamClient.GetLiveStreamsByCategoryAsync(plugin.Creds, categoryId, cancellationToken).ConfigureAwait(false);
+        List<StreamInfo> streams = await xtreamClient.GetLiveStreamsByCategoryAsync(plugin.GetCreds(providerId), categoryId, cancellationToken).ConfigureAwait(false);
         StreamInfo channel = streams.FirstOrDefault(s => s.StreamId == channelId)
             ?? throw new ArgumentException($"Channel with id {channelId} not found in category {categoryId}");
         ParsedName parsedName = StreamService.ParseName(channel.Name);
@@ -159,7 +178,7 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
             int day = (int)(channelDay - DateTime.UnixEpoch).TotalDays;
             items.Add(new()
             {
-                Id = StreamService.ToGuid(StreamService.CatchupPrefix, channel.CategoryId ?? 0, channel.StreamId, day).ToString(),
+                Id = StreamService.ToGuid(StreamService.ToProviderPrefix(StreamService.CatchupPrefix, providerId), channel.CategoryId ?? 0, channel.StreamId, day).ToString(),
                 ImageUrl = channel.StreamIcon,
                 Name = channelDay.ToLocalTime().ToString("ddd dd'-'MM'-'yyyy", CultureInfo.InvariantCulture),
                 Tags = new List<string>(parsedName.Tags),
@@ -175,16 +194,18 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
         return result;
     }
 
-    private async Task<ChannelItemResult> GetStreams(int categoryId, int channelId, int day, CancellationToken cancellationToken)
+    private async Task<ChannelItemResult> GetStreams(int providerId, int categoryId, int channelId, int day, CancellationToken cancellationToken)
     {
         DateTime start = DateTime.UnixEpoch.AddDays(day);
         DateTime end = start.AddDays(1);
         Plugin plugin = Plugin.Instance;
+        ConnectionInfo creds = plugin.GetCreds(providerId);
+        int streamPrefix = StreamService.ToProviderPrefix(StreamService.CatchupStreamPrefix, providerId);
 
-        List<StreamInfo> streams = await xtreamClient.GetLiveStreamsByCategoryAsync(plugin.Creds, categoryId, cancellationToken).ConfigureAwait(false);
+        List<StreamInfo> streams = await xtreamClient.GetLiveStreamsByCategoryAsync(creds, categoryId, cancellationToken).ConfigureAwait(false);
         StreamInfo channel = streams.FirstOrDefault(s => s.StreamId == channelId)
             ?? throw new ArgumentException($"Channel with id {channelId} not found in category {categoryId}");
-        EpgListings epgs = await xtreamClient.GetEpgInfoAsync(plugin.Creds, channelId, cancellationToken).ConfigureAwait(false);
+        EpgListings epgs = await xtreamClient.GetEpgInfoAsync(creds, channelId, cancellationToken).ConfigureAwait(false);
         List<ChannelItemInfo> items = [];
 
         // Create fallback single-stream catch-up if no EPG is available.
@@ -198,10 +219,10 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
                         new()
                         {
                             ContentType = ChannelMediaContentType.TvExtra,
-                            Id = StreamService.ToGuid(StreamService.CatchupStreamPrefix, channelId, 0, day).ToString(),
+                            Id = StreamService.ToGuid(streamPrefix, channelId, 0, day).ToString(),
                             IsLiveStream = false,
                             MediaSources = [
-                                plugin.StreamService.GetMediaSourceInfo(StreamType.CatchUp, channelId, start: start, durationMinutes: durationMinutes)
+                                plugin.StreamService.GetMediaSourceInfo(StreamType.CatchUp, channelId, start: start, durationMinutes: durationMinutes, providerId: providerId)
                             ],
                             MediaType = ChannelMediaType.Video,
                             Name = $"No EPG available",
@@ -219,14 +240,14 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
             int durationMinutes = (int)Math.Ceiling((epg.End - epg.Start).TotalMinutes);
             string dateTitle = epg.Start.ToLocalTime().ToString("HH:mm", CultureInfo.InvariantCulture);
             List<MediaSourceInfo> sources = [
-                plugin.StreamService.GetMediaSourceInfo(StreamType.CatchUp, channelId, start: epg.StartLocalTime, durationMinutes: durationMinutes)
+                plugin.StreamService.GetMediaSourceInfo(StreamType.CatchUp, channelId, start: epg.StartLocalTime, durationMinutes: durationMinutes, providerId: providerId)
             ];
 
             items.Add(new()
             {
                 ContentType = ChannelMediaContentType.TvExtra,
                 DateCreated = epg.Start,
-                Id = StreamService.ToGuid(StreamService.CatchupStreamPrefix, channel.StreamId, epg.Id, day).ToString(),
+                Id = StreamService.ToGuid(streamPrefix, channel.StreamId, epg.Id, day).ToString(),
                 IsLiveStream = false,
                 MediaSources = sources,
                 MediaType = ChannelMediaType.Video,
@@ -250,6 +271,7 @@ public class CatchupChannel(ILogger<CatchupChannel> logger, IXtreamClient xtream
     /// <inheritdoc />
     public bool IsEnabledFor(string userId)
     {
-        return Plugin.Instance.Configuration.IsCatchupVisible;
+        PluginConfiguration config = Plugin.Instance.Configuration;
+        return config.GetProviders().Any(provider => provider.CatchupChannels.Count > 0);
     }
 }
@@ -38,6 +38,27 @@ public class ConnectionInfo(string baseUrl, string username, string password)
     /// </summary>
     public string Password { get; set; } = password;
 
+    /// <summary>
+    /// Gets or sets the id of the provider profile these credentials belong to.
+    /// </summary>
+    public int ProviderId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the user agent sent to this provider, or <c>null</c> to use the default user agent.
+    /// </summary>
+    public string? UserAgent { get; set; }
+
+    /// <summary>
+    /// Creates a copy of this connection info using another base url of the same account.
+    /// </summary>
+    /// <param name="baseUrl">The base url including protocol and port number, without trailing slash.</param>
+    /// <returns>The connection info using the given base url.</returns>
+    public ConnectionInfo WithBaseUrl(string baseUrl) => new(baseUrl, UserName, Password)
+    {
+        ProviderId = ProviderId,
+        UserAgent = UserAgent,
+    };
+
     /// <inheritdoc />
     public override string ToString() => $"{BaseUrl} {UserName}:{Password}";
 }
@@ -32,6 +32,8 @@ public interface IXtreamClient
 
     Task<List<StreamInfo>> GetLiveStreamsByCategoryAsync(ConnectionInfo connectionInfo, int categoryId, CancellationToken cancellationToken);
 
+    Task<List<Series>> GetSeriesAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken);
+
     Task<List<Series>> GetSeriesByCategoryAsync(ConnectionInfo connectionInfo, int categoryId, CancellationToken cancellationToken);
 
     Task<List<Category>> GetSeriesCategoryAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken);
@@ -44,5 +46,9 @@ public interface IXtreamClient
 
     Task<VodStreamInfo> GetVodInfoAsync(ConnectionInfo connectionInfo, int streamId, CancellationToken cancellationToken);
 
+    Task<List<StreamInfo>> GetVodStreamsAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken);
+
     Task<List<StreamInfo>> GetVodStreamsByCategoryAsync(ConnectionInfo connectionInfo, int categoryId, CancellationToken cancellationToken);
+
+    Task<bool> IsHealthyAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken);
 }
@@ -22,6 +22,8 @@ using System.Reflection;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
+using Jellyfin.Xtream.Service;
 using Microsoft.Extensions.Logging;
 using Newtonsoft.Json;
 using Newtonsoft.Json.Serialization;
@@ -36,9 +38,20 @@ namespace Jellyfin.Xtream.Client;
 /// Initializes a new instance of the <see cref="XtreamClient"/> class.
 /// </remarks>
 /// <param name="client">The HTTP client used.</param>
+/// <param name="failoverService">The failover service tracking the base url in use for each provider.</param>
+/// <param name="retryHandler">The retry handler retrying transient errors.</param>
+/// <param name="failureTracker">The failure tracking service skipping persistently failing item requests.</param>
 /// <param name="logger">Instance of the <see cref="ILogger"/> interface.</param>
-public class XtreamClient(HttpClient client, ILogger<XtreamClient> logger) : IDisposable, IXtreamClient
+public class XtreamClient(
+    HttpClient client,
+    FailoverService failoverService,
+    RetryHandler retryHandler,
+    FailureTrackingService failureTracker,
+    ILogger<XtreamClient> logger) : IDisposable, IXtreamClient
 {
+    // A base url which does not respond is skipped instead of waiting for the HTTP client timeout
+    private static readonly TimeSpan HealthCheckTimeout = TimeSpan.FromSeconds(10);
+
     private readonly JsonSerializerSettings _serializerSettings = new()
     {
         Error = NullableEventHandler(logger),
@@ -102,11 +115,124 @@ public class XtreamClient(HttpClient client, ILogger<XtreamClient> logger) : IDi
         };
     }
 
-    private async Task<T> QueryApi<T>(ConnectionInfo connectionInfo, string urlPath, CancellationToken cancellationToken)
+    private async Task<string> GetStringAsync(ConnectionInfo connectionInfo, Uri uri, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(connectionInfo.UserAgent))
+        {
+            return await client.GetStringAsync(uri, cancellationToken).ConfigureAwait(false);
+        }
+
+        // Request headers take precedence over the default user agent of the client.
+        using HttpRequestMessage request = new(HttpMethod.Get, uri);
+        request.Headers.TryAddWithoutValidation("User-Agent", connectionInfo.UserAgent);
+        using HttpResponseMessage response = await client.SendAsync(request, cancellationToken).ConfigureAwait(false);
+        response.EnsureSuccessStatusCode();
+        return await response.Content.ReadAsStringAsync(cancellationToken).ConfigureAwait(false);
+    }
+
+    private async Task<T> QueryUrl<T>(ConnectionInfo connectionInfo, string urlPath, CancellationToken cancellationToken)
     {
         Uri uri = new Uri(connectionInfo.BaseUrl + urlPath);
-        string jsonContent = await client.GetStringAsync(uri, cancellationToken).ConfigureAwait(false);
+        string jsonContent = await GetStringAsync(connectionInfo, uri, cancellationToken).ConfigureAwait(false);
+        return Deserialize<T>(uri, jsonContent);
+    }
+
+    private Task<T> QueryUrlWithRetry<T>(ConnectionInfo connectionInfo, string urlPath, CancellationToken cancellationToken) =>
+        retryHandler.ExecuteWithRetryAsync(
+            new Uri(connectionInfo.BaseUrl + urlPath),
+            token => QueryUrl<T>(connectionInfo, urlPath, token),
+            cancellationToken);
+
+    private async Task<T> QueryApi<T>(ConnectionInfo connectionInfo, string urlPath, CancellationToken cancellationToken)
+    {
+        string url = connectionInfo.BaseUrl + urlPath;
+        bool tracked = FailureTrackingService.IsTrackedRequest(url);
+        if (tracked && failureTracker.IsKnownFailure(url))
+        {
+            throw new HttpRequestException("The request failed persistently before and is skipped until the failure expires.");
+        }
+
+        try
+        {
+            try
+            {
+                return await QueryUrlWithRetry<T>(connectionInfo, urlPath, cancellationToken).ConfigureAwait(false);
+            }
+            catch (Exception ex) when (RetryHandler.IsRetryableError(ex, cancellationToken))
+            {
+                // Only fail over once all attempts at the active base url failed
+                ConnectionInfo? failover = await FailOverAsync(connectionInfo, ex.Message, cancellationToken).ConfigureAwait(false);
+                if (failover is null)
+                {
+                    throw;
+                }
+
+                url = failover.BaseUrl + urlPath;
+                return await QueryUrlWithRetry<T>(failover, urlPath, cancellationToken).ConfigureAwait(false);
+            }
+        }
+        catch (Exception ex) when (tracked && RetryHandler.IsRetryableError(ex, cancellationToken))
+        {
+            failureTracker.RecordFailure(url, ex.Message);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Switches the provider of the connection to the next responding alternate base url if its base url does not respond.
+    /// </summary>
+    /// <param name="connectionInfo">The connection of the failed request.</param>
+    /// <param name="reason">The error of the failed request.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The connection to retry the request with, or <c>null</c> if the request should not be retried.</returns>
+    private async Task<ConnectionInfo?> FailOverAsync(ConnectionInfo connectionInfo, string reason, CancellationToken cancellationToken)
+    {
+        ProviderProfile? provider = Plugin.Instance.Configuration.GetProvider(connectionInfo.ProviderId);
+        IReadOnlyList<string> urls = provider?.GetBaseUrls() ?? [];
+        if (provider is null || urls.Count < 2)
+        {
+            return null;
+        }
+
+        SemaphoreSlim providerLock = failoverService.GetLock(provider.Id);
+        await providerLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            string active = failoverService.GetActiveBaseUrl(provider);
+            if (!string.Equals(active, connectionInfo.BaseUrl, StringComparison.OrdinalIgnoreCase))
+            {
+                // Another request already failed over while this one was running
+                return connectionInfo.WithBaseUrl(active);
+            }
+
+            if (failoverService.IsRecentlyHealthy(active) || await IsHealthyAsync(connectionInfo, cancellationToken).ConfigureAwait(false))
+            {
+                // The provider responds, so only this request failed
+                return null;
+            }
 
+            int index = urls.ToList().FindIndex(url => string.Equals(url, active, StringComparison.OrdinalIgnoreCase));
+            foreach (string candidate in urls.Skip(index + 1).Concat(urls.Take(index)))
+            {
+                ConnectionInfo alternate = connectionInfo.WithBaseUrl(candidate);
+                if (await IsHealthyAsync(alternate, cancellationToken).ConfigureAwait(false))
+                {
+                    failoverService.RecordFailover(provider.Id, active, candidate, reason);
+                    return alternate;
+                }
+            }
+
+            failoverService.RecordFailover(provider.Id, active, null, reason);
+            return null;
+        }
+        finally
+        {
+            providerLock.Release();
+        }
+    }
+
+    private T Deserialize<T>(Uri uri, string jsonContent)
+    {
         try
         {
             // Check if we're expecting an object but got an array (empty or non-empty)
@@ -133,6 +259,12 @@ public class XtreamClient(HttpClient client, ILogger<XtreamClient> logger) : IDi
           $"/player_api.php?username={connectionInfo.UserName}&password={connectionInfo.Password}",
           cancellationToken);
 
+    public Task<List<Series>> GetSeriesAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken) =>
+         QueryApi<List<Series>>(
+           connectionInfo,
+           $"/player_api.php?username={connectionInfo.UserName}&password={connectionInfo.Password}&action=get_series",
+           cancellationToken);
+
     public Task<List<Series>> GetSeriesByCategoryAsync(ConnectionInfo connectionInfo, int categoryId, CancellationToken cancellationToken) =>
          QueryApi<List<Series>>(
            connectionInfo,
@@ -145,6 +277,12 @@ public class XtreamClient(HttpClient client, ILogger<XtreamClient> logger) : IDi
            $"/player_api.php?username={connectionInfo.UserName}&password={connectionInfo.Password}&action=get_series_info&series_id={seriesId}",
            cancellationToken);
 
+    public Task<List<StreamInfo>> GetVodStreamsAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken) =>
+         QueryApi<List<StreamInfo>>(
+           connectionInfo,
+           $"/player_api.php?username={connectionInfo.UserName}&password={connectionInfo.Password}&action=get_vod_streams",
+           cancellationToken);
+
     public Task<List<StreamInfo>> GetVodStreamsByCategoryAsync(ConnectionInfo connectionInfo, int categoryId, CancellationToken cancellationToken) =>
          QueryApi<List<StreamInfo>>(
            connectionInfo,
@@ -193,6 +331,37 @@ public class XtreamClient(HttpClient client, ILogger<XtreamClient> logger) : IDi
            $"/player_api.php?username={connectionInfo.UserName}&password={connectionInfo.Password}&action=get_simple_data_table&stream_id={streamId}",
            cancellationToken);
 
+    /// <summary>
+    /// Checks whether the account can log in at the base url of the connection, without failing over.
+    /// </summary>
+    /// <param name="connectionInfo">The connection to check.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>True if the provider responds and accepts the credentials.</returns>
+    public async Task<bool> IsHealthyAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken)
+    {
+        using CancellationTokenSource timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeout.CancelAfter(HealthCheckTimeout);
+        try
+        {
+            PlayerApi info = await QueryUrl<PlayerApi>(
+                connectionInfo,
+                $"/player_api.php?username={connectionInfo.UserName}&password={connectionInfo.Password}",
+                timeout.Token).ConfigureAwait(false);
+            if (info.UserInfo.Auth != 1)
+            {
+                return false;
+            }
+        }
+        catch (Exception ex) when (ex is HttpRequestException or JsonException or UriFormatException || (ex is OperationCanceledException && !cancellationToken.IsCancellationRequested))
+        {
+            logger.LogDebug(ex, "Health check of {Url} failed", connectionInfo.BaseUrl);
+            return false;
+        }
+
+        failoverService.RecordHealthy(connectionInfo.BaseUrl);
+        return true;
+    }
+
     /// <summary>
     /// Dispose the HTTP client.
     /// </summary>
@@ -34,4 +34,20 @@ public class ChannelOverrides
     /// Gets or sets the url of the channel logo.
     /// </summary>
     public string? LogoUrl { get; set; }
+
+    /// <summary>
+    /// Gets or sets the id of another stream of the same provider whose program guide is used for the channel.
+    /// </summary>
+    public int? EpgStreamId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the id of the channel in the uploaded XMLTV guide whose programmes are used for the channel.
+    /// Takes precedence over <see cref="EpgStreamId"/>.
+    /// </summary>
+    public string? XmltvChannelId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of minutes the program guide of the channel is shifted by.
+    /// </summary>
+    public int? EpgShiftMinutes { get; set; }
 }
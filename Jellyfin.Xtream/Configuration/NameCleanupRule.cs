@@ -0,0 +1,47 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Configuration;
+
+/// <summary>
+/// A cleanup rule applied to the provider names of Live TV channels.
+/// </summary>
+public class NameCleanupRule
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether the rule is applied.
+    /// </summary>
+    public bool Enabled { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets the kind of cleanup performed by this rule.
+    /// </summary>
+    public NameCleanupRuleType Type { get; set; }
+
+    /// <summary>
+    /// Gets or sets the regular expression to replace, or the literal prefix to strip.
+    /// </summary>
+    public string Pattern { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the replacement text for regular expression matches.
+    /// </summary>
+    public string Replacement { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the letter case used by <see cref="NameCleanupRuleType.ChangeCase"/> rules.
+    /// </summary>
+    public NameCase Case { get; set; }
+}
@@ -0,0 +1,37 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Configuration;
+
+/// <summary>
+/// The kinds of cleanup rules which can be applied to channel names.
+/// </summary>
+public enum NameCleanupRuleType
+{
+    /// <summary>
+    /// Replace every match of a regular expression.
+    /// </summary>
+    Replace = 0,
+
+    /// <summary>
+    /// Strip a literal prefix from the start of the name.
+    /// </summary>
+    StripPrefix = 1,
+
+    /// <summary>
+    /// Change the letter case of the name.
+    /// </summary>
+    ChangeCase = 2,
+}
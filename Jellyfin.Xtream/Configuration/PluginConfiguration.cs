@@ -15,6 +15,8 @@
 
 using System;
 using System.Collections.Generic;
+using System.Collections.ObjectModel;
+using System.Linq;
 using MediaBrowser.Model.Plugins;
 
 #pragma warning disable CA2227
@@ -30,6 +32,11 @@ public class PluginConfiguration : BasePluginConfiguration
     /// </summary>
     public string BaseUrl { get; set; } = "https://example.com";
 
+    /// <summary>
+    /// Gets or sets the alternate base urls of the same account, one per line, used when the base url is down.
+    /// </summary>
+    public string AlternateBaseUrls { get; set; } = string.Empty;
+
     /// <summary>
     /// Gets or sets the username.
     /// </summary>
@@ -46,7 +53,8 @@ public class PluginConfiguration : BasePluginConfiguration
     public string UserAgent { get; set; } = string.Empty;
 
     /// <summary>
-    /// Gets or sets a value indicating whether the Catch-up channel is visible.
+    /// Gets or sets a value indicating whether catch-up is exposed for every channel with an archive.
+    /// Superseded by the per-channel <see cref="CatchupChannels"/>, into which it is converted once when the plugin starts.
     /// </summary>
     public bool IsCatchupVisible { get; set; }
 
@@ -98,7 +106,7 @@ public class PluginConfiguration : BasePluginConfiguration
 
     /// <summary>
     /// Gets or sets the maximum number of retry attempts for transient HTTP errors.
-    /// Default is 3 attempts. Range: 0-10.
+    /// Default is 3 attempts. Range: 1-10.
     /// </summary>
     public int HttpRetryMaxAttempts { get; set; } = 3;
 
@@ -151,6 +159,11 @@ public class PluginConfiguration : BasePluginConfiguration
     /// </summary>
     public string TvdbTitleOverrides { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Gets or sets the parsed series titles which are hidden from the metadata match review.
+    /// </summary>
+    public Collection<string> IgnoredSeriesMatches { get; set; } = [];
+
     /// <summary>
     /// Gets or sets a value indicating whether VOD caching is enabled.
     /// When enabled, VOD movie data is pre-fetched and cached for faster navigation.
@@ -179,6 +192,11 @@ public class PluginConfiguration : BasePluginConfiguration
     /// </summary>
     public string TmdbTitleOverrides { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Gets or sets the parsed movie titles which are hidden from the metadata match review.
+    /// </summary>
+    public Collection<string> IgnoredVodMatches { get; set; } = [];
+
     /// <summary>
     /// Gets or sets a value indicating whether incremental sync is enabled.
     /// When enabled, only changed series and movies are re-processed during cache refresh.
@@ -230,21 +248,125 @@ public class PluginConfiguration : BasePluginConfiguration
     public SerializableDictionary<int, ChannelOverrides> LiveTvOverrides { get; set; } = [];
 
     /// <summary>
-    /// Gets a hash code based only on cache-relevant configuration for Series.
+    /// Gets or sets the ids of the Live TV streams whose archive is exposed in the Catch-up channel.
+    /// </summary>
+    public HashSet<int> CatchupChannels { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets a value indicating whether new Live TV streams are refused once the stream limit is reached.
+    /// </summary>
+    public bool LimitStreams { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of Live TV streams which may be open at the same time.
+    /// When 0, the maximum number of connections of the provider account is used.
+    /// </summary>
+    public int StreamLimit { get; set; }
+
+    /// <summary>
+    /// Gets or sets the cleanup rules applied to Live TV channel names, in order.
+    /// Explicit name overrides take precedence over these rules.
+    /// </summary>
+    public Collection<NameCleanupRule> LiveTvNameRules { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the folder Live TV recordings are saved to.
+    /// When empty, the recordings are saved to xtream-recordings in the server's data folder.
+    /// </summary>
+    public string RecordingPath { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the token protecting the exported M3U playlist and XMLTV guide.
+    /// When empty, the export is disabled.
+    /// </summary>
+    public string ExportToken { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the primary provider configured by the top-level settings.
+    /// </summary>
+    public string ProviderName { get; set; } = "Primary";
+
+    /// <summary>
+    /// Gets or sets the additional provider accounts.
+    /// </summary>
+    public Collection<ProviderProfile> Providers { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the id given to the next added provider.
+    /// It only increases, so the items of a removed provider never reappear under a new provider.
+    /// </summary>
+    public int NextProviderId { get; set; } = ProviderProfile.PrimaryId + 1;
+
+    /// <summary>
+    /// Gets the primary provider followed by the additional providers with valid ids and credentials.
+    /// The primary provider shares its selections with this configuration.
+    /// </summary>
+    /// <returns>The providers to show content from.</returns>
+    public IEnumerable<ProviderProfile> GetProviders()
+    {
+        yield return new ProviderProfile
+        {
+            Id = ProviderProfile.PrimaryId,
+            Name = ProviderName,
+            BaseUrl = BaseUrl,
+            AlternateBaseUrls = AlternateBaseUrls,
+            Username = Username,
+            Password = Password,
+            UserAgent = UserAgent,
+            LiveTv = LiveTv,
+            Vod = Vod,
+            Series = Series,
+            LiveTvOverrides = LiveTvOverrides,
+            CatchupChannels = CatchupChannels,
+            LimitStreams = LimitStreams,
+            StreamLimit = StreamLimit,
+        };
+
+        HashSet<int> ids = [ProviderProfile.PrimaryId];
+        foreach (ProviderProfile provider in Providers)
+        {
+            if (provider.Id > ProviderProfile.PrimaryId && provider.Id <= ProviderProfile.MaxId && provider.HasCredentials() && ids.Add(provider.Id))
+            {
+                yield return provider;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the provider with the given id.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The provider, or <c>null</c> if no valid provider has the id.</returns>
+    public ProviderProfile? GetProvider(int providerId) =>
+        GetProviders().FirstOrDefault(provider => provider.Id == providerId);
+
+    /// <summary>
+    /// Gets a value indicating whether the archive of a Live TV stream is exposed in the Catch-up channel.
+    /// </summary>
+    /// <param name="provider">The provider of the stream.</param>
+    /// <param name="streamId">The Xtream stream id.</param>
+    /// <returns><c>true</c> if the catch-up of the stream is exposed.</returns>
+    public bool IsCatchupExposed(ProviderProfile provider, int streamId) =>
+        provider.CatchupChannels.Contains(streamId);
+
+    /// <summary>
+    /// Gets a hash code based only on the cache-relevant configuration of a provider for Series.
     /// This excludes settings like refresh frequency that don't affect cached data.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <returns>Hash code for cache invalidation purposes.</returns>
-    public int GetCacheRelevantHash()
+    public int GetCacheRelevantHash(int providerId)
     {
         // Only include settings that affect what data is cached:
         // - Credentials (determines which server/account)
         // - Series selections (determines which series to cache)
         // - FlattenSeriesView (affects data structure)
-        int hash = HashCode.Combine(BaseUrl, Username, Password, FlattenSeriesView);
+        ProviderProfile? provider = GetProvider(providerId);
+        int hash = HashCode.Combine(provider?.BaseUrl, provider?.Username, provider?.Password, FlattenSeriesView);
         hash = HashCode.Combine(hash, UseTvdbForSeriesMetadata, TvdbTitleOverrides);
 
         // Include series selections
-        foreach (var kvp in Series)
+        foreach (var kvp in provider?.Series ?? [])
         {
             hash = HashCode.Combine(hash, kvp.Key);
             foreach (var val in kvp.Value)
@@ -257,21 +379,23 @@ public class PluginConfiguration : BasePluginConfiguration
     }
 
     /// <summary>
-    /// Gets a hash code based only on cache-relevant configuration for VOD.
+    /// Gets a hash code based only on the cache-relevant configuration of a provider for VOD.
     /// This excludes settings like refresh frequency that don't affect cached data.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <returns>Hash code for VOD cache invalidation purposes.</returns>
-    public int GetVodCacheRelevantHash()
+    public int GetVodCacheRelevantHash(int providerId)
     {
         // Only include settings that affect what VOD data is cached:
         // - Credentials (determines which server/account)
         // - VOD selections (determines which movies to cache)
         // - FlattenVodView (affects data structure)
-        int hash = HashCode.Combine(BaseUrl, Username, Password, FlattenVodView);
+        ProviderProfile? provider = GetProvider(providerId);
+        int hash = HashCode.Combine(provider?.BaseUrl, provider?.Username, provider?.Password, FlattenVodView);
         hash = HashCode.Combine(hash, UseTmdbForVodMetadata, TmdbTitleOverrides);
 
         // Include VOD selections
-        foreach (var kvp in Vod)
+        foreach (var kvp in provider?.Vod ?? [])
         {
             hash = HashCode.Combine(hash, kvp.Key);
             foreach (var val in kvp.Value)
@@ -0,0 +1,131 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+#pragma warning disable CA2227
+namespace Jellyfin.Xtream.Configuration;
+
+/// <summary>
+/// An additional Xtream provider account with its own selections.
+/// The primary provider is configured by the top-level <see cref="PluginConfiguration"/> settings.
+/// </summary>
+public class ProviderProfile
+{
+    /// <summary>
+    /// The id of the primary provider.
+    /// </summary>
+    public const int PrimaryId = 0;
+
+    /// <summary>
+    /// The highest provider id, as the id is stored in a single byte of the item ids.
+    /// </summary>
+    public const int MaxId = 255;
+
+    /// <summary>
+    /// Gets or sets the id used to namespace the items of this provider.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name shown in the configuration pages.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the base url including protocol and trailing slash.
+    /// </summary>
+    public string BaseUrl { get; set; } = "https://example.com";
+
+    /// <summary>
+    /// Gets or sets the alternate base urls of the same account, one per line, used when the base url is down.
+    /// </summary>
+    public string AlternateBaseUrls { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the username.
+    /// </summary>
+    public string Username { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the password.
+    /// </summary>
+    public string Password { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the user agent override.
+    /// </summary>
+    public string UserAgent { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the channels displayed in Live TV.
+    /// </summary>
+    public SerializableDictionary<int, HashSet<int>> LiveTv { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the streams displayed in VOD.
+    /// </summary>
+    public SerializableDictionary<int, HashSet<int>> Vod { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the streams displayed in Series.
+    /// </summary>
+    public SerializableDictionary<int, HashSet<int>> Series { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the channel override configuration for Live TV.
+    /// </summary>
+    public SerializableDictionary<int, ChannelOverrides> LiveTvOverrides { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the ids of the Live TV streams whose archive is exposed in the Catch-up channel.
+    /// </summary>
+    public HashSet<int> CatchupChannels { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets a value indicating whether new Live TV streams are refused once the stream limit is reached.
+    /// </summary>
+    public bool LimitStreams { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of Live TV streams which may be open at the same time.
+    /// When 0, the maximum number of connections of the provider account is used.
+    /// </summary>
+    public int StreamLimit { get; set; }
+
+    /// <summary>
+    /// Gets a value indicating whether the credentials of this provider are filled in.
+    /// </summary>
+    /// <returns><c>true</c> if the provider can be queried.</returns>
+    public bool HasCredentials() =>
+        !string.IsNullOrEmpty(BaseUrl) &&
+        BaseUrl != "https://example.com" &&
+        !string.IsNullOrEmpty(Username);
+
+    /// <summary>
+    /// Gets the base url followed by the alternate base urls, in the order in which they are tried.
+    /// </summary>
+    /// <returns>The distinct base urls without trailing slash.</returns>
+    public IReadOnlyList<string> GetBaseUrls() =>
+        AlternateBaseUrls.Split('\n', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries)
+            .Prepend(BaseUrl)
+            .Select(url => url.TrimEnd('/'))
+            .Where(url => url.Length > 0)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+}
+#pragma warning restore CA2227
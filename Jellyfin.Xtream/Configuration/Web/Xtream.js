@@ -51,29 +51,33 @@ const createItemRow = (item, state, update) => {
   return tr;
 }
 
+const isItemSelected = (live, itemId) => live !== undefined && (live.length === 0 || live.includes(itemId));
+
+const setItemSelected = (wrapper, items, itemId, checked) => {
+  let live = wrapper.live;
+  if (checked) {
+    live ??= [];
+    live.push(itemId);
+    if (items.every(s => live.includes(s.Id))) {
+      live = [];
+    }
+  } else {
+    if (live.length === 0) {
+      live = items.map(s => s.Id);
+    }
+    live = live.filter(id => id != itemId);
+    if (live.length === 0) {
+      live = undefined;
+    }
+  }
+  wrapper.live = live;
+}
+
 const populateItemsTable = (wrapper, table, items) => {
   for (let i = 0; i < items.length; ++i) {
     const item = items[i];
-    const state = wrapper.live !== undefined && (wrapper.live.length === 0 || wrapper.live.includes(item.Id));
-    const row = createItemRow(item, state, (e) => {
-      let live = wrapper.live;
-      if (e.target.checked) {
-        live ??= [];
-        live.push(item.Id);
-        if (items.every(s => live.includes(s.Id))) {
-          live = [];
-        }
-      } else {
-        if (live.length === 0) {
-          live = items.map(s => s.Id);
-        }
-        live = live.filter(id => id != item.Id);
-        if (live.length === 0) {
-          live = undefined;
-        }
-      }
-      wrapper.live = live;
-    });
+    const state = isItemSelected(wrapper.live, item.Id);
+    const row = createItemRow(item, state, (e) => setItemSelected(wrapper, items, item.Id, e.target.checked));
     table.appendChild(row);
   }
 }
@@ -128,6 +132,7 @@ const createCategoryRow = (wrapper, category, loadItems) => {
     const table = document.createElement('table');
     loadItems(category.Id).then((items) => {
       populateItemsTable(_wrapper, table, items);
+      tr.dispatchEvent(new CustomEvent('itemsloaded', { bubbles: true }));
       Dashboard.hideLoadingMsg();
     });
     checkbox.onchange = () => {
@@ -148,11 +153,333 @@ const createCategoryRow = (wrapper, category, loadItems) => {
   td.appendChild(expand);
   tr.appendChild(td);
 
-  return tr;
+  return [tr, _wrapper];
+};
+
+const isSelected = (checkbox) => checkbox.checked || checkbox.indeterminate;
+
+const filterCategoriesTable = (table, text, mode) => {
+  const needle = text.trim().toLowerCase();
+  const matchesMode = (checkbox) => mode === 'all' || (mode === 'selected') === isSelected(checkbox);
+
+  table.querySelectorAll(':scope > tr[data-category-id]').forEach((row) => {
+    const nameMatch = row.children[1].textContent.toLowerCase().includes(needle);
+    let anyItemVisible = false;
+    row.querySelectorAll('tr[data-item-id]').forEach((itemRow) => {
+      const itemMatch = itemRow.children[1].textContent.toLowerCase().includes(needle);
+      const visible = (nameMatch || itemMatch) && matchesMode(itemRow.querySelector('input[type="checkbox"]'));
+      itemRow.hidden = !visible;
+      anyItemVisible ||= visible;
+    });
+
+    const categoryVisible = nameMatch && matchesMode(row.querySelector('input[type="checkbox"]'));
+    row.hidden = !categoryVisible && !anyItemVisible;
+  });
+};
+
+const createCategoryFilter = (table) => {
+  const container = document.createElement('div');
+  container.classList.add('categories-filter');
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.setAttribute('is', 'emby-input');
+  search.placeholder = 'Filter categories and expanded items';
+  container.appendChild(search);
+
+  const mode = document.createElement('select');
+  mode.setAttribute('is', 'emby-select');
+  for (const [value, text] of [['all', 'All'], ['selected', 'Selected only'], ['unselected', 'Unselected only']]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.innerText = text;
+    mode.appendChild(option);
+  }
+  container.appendChild(mode);
+
+  const apply = () => filterCategoriesTable(table, search.value, mode.value);
+  search.oninput = apply;
+  mode.onchange = apply;
+  table.addEventListener('itemsloaded', apply);
+  table.addEventListener('selectionchanged', apply);
+
+  return { container, apply };
+};
+
+const createItemSearch = (table, wrappers, searchItems, loadItems) => {
+  const container = document.createElement('div');
+  container.classList.add('items-search');
+
+  const form = document.createElement('div');
+  form.classList.add('categories-filter');
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.setAttribute('is', 'emby-input');
+  search.placeholder = 'Search all items by name';
+  form.appendChild(search);
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.setAttribute('is', 'emby-button');
+  button.classList.add('raised');
+  button.innerText = 'Search';
+  form.appendChild(button);
+  container.appendChild(form);
+
+  const results = document.createElement('table');
+  results.classList.add('categories-table');
+  const tbody = document.createElement('tbody');
+  results.appendChild(tbody);
+  container.appendChild(results);
+
+  const createResultRow = (result) => {
+    const wrapper = wrappers[result.CategoryId];
+    const row = createItemRow(result, isItemSelected(wrapper?.live, result.Id), (e) => {
+      const checked = e.target.checked;
+      Dashboard.showLoadingMsg();
+      loadItems(result.CategoryId).then((items) => {
+        setItemSelected(wrapper, items, result.Id, checked);
+        table.querySelectorAll(`tr[data-category-id="${result.CategoryId}"] tr[data-item-id="${result.Id}"] input[type="checkbox"]`)
+          .forEach((c) => c.checked = checked);
+        Dashboard.hideLoadingMsg();
+      }).catch((error) => {
+        console.error('Failed to update selection:', error);
+        e.target.checked = !checked;
+        Dashboard.hideLoadingMsg();
+      });
+    });
+    row.lastElementChild.innerText = result.CategoryName;
+    if (wrapper === undefined) {
+      // The category is not shown in the table, so the selection cannot be stored.
+      row.querySelector('input[type="checkbox"]').disabled = true;
+    }
+    return row;
+  };
+
+  const runSearch = () => {
+    const query = search.value.trim();
+    tbody.innerHTML = '';
+    if (query.length < 2) {
+      return;
+    }
+
+    Dashboard.showLoadingMsg();
+    const appendMessage = (text) => {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 3;
+      cell.innerText = text;
+      row.appendChild(cell);
+      tbody.appendChild(row);
+    };
+    searchItems(query).then(({ Items: items, TotalCount: totalCount, IsTruncated: isTruncated }) => {
+      if (items.length === 0) {
+        appendMessage('No items found.');
+      }
+      items.forEach((item) => tbody.appendChild(createResultRow(item)));
+      if (isTruncated) {
+        appendMessage(`Showing the first ${items.length} of ${totalCount} matching items. Refine the search to find the others.`);
+      }
+      Dashboard.hideLoadingMsg();
+    }).catch((error) => {
+      console.error('Failed to search items:', error);
+      Dashboard.hideLoadingMsg();
+    });
+  };
+  button.onclick = runSearch;
+  search.onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      runSearch();
+    }
+  };
+
+  return container;
+};
+
+const setSelectedItems = (wrapper, items, selectedIds) => {
+  const selected = items.map(item => item.Id).filter(id => selectedIds.has(id));
+  if (selected.length === 0) {
+    wrapper.live = undefined;
+  } else if (selected.length === items.length) {
+    wrapper.live = [];
+  } else {
+    wrapper.live = selected;
+  }
+}
+
+const syncSelection = (table, data) => {
+  table.querySelectorAll(':scope > tr[data-category-id]').forEach((row) => {
+    const live = data[row.dataset['categoryId']];
+    setCheckboxState(row.querySelector('input[type="checkbox"]'), live);
+    row.querySelectorAll('tr[data-item-id]').forEach((itemRow) => {
+      const itemId = parseInt(itemRow.dataset['itemId'], 10);
+      itemRow.querySelector('input[type="checkbox"]').checked = isItemSelected(live, itemId);
+    });
+  });
+  table.dispatchEvent(new CustomEvent('selectionchanged'));
+};
+
+const restoreSelection = (table, data, saved) => {
+  Object.keys(data).forEach((key) => delete data[key]);
+  Object.assign(data, structuredClone(saved ?? {}));
+  syncSelection(table, data);
+  table.dispatchEvent(new CustomEvent('datachanged', { bubbles: true }));
+};
+
+const createNamePattern = (text, isRegex) => {
+  if (isRegex) {
+    return new RegExp(text, 'i');
+  }
+  // Simple wildcard pattern: '*' matches any text, '?' a single character.
+  const escaped = text
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+const createBulkSelection = (table, data, categories, wrappers, loadItems, loadAllItems) => {
+  const container = document.createElement('div');
+  container.classList.add('bulk-selection');
+
+  const createButton = (text, onclick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('is', 'emby-button');
+    button.classList.add('raised');
+    button.innerText = text;
+    button.onclick = onclick;
+    return button;
+  };
+
+  const run = (action) => {
+    Dashboard.showLoadingMsg();
+    return Promise.resolve().then(action).then(() => {
+      syncSelection(table, data);
+      Dashboard.hideLoadingMsg();
+    }).catch((error) => {
+      console.error('Failed to update selection:', error);
+      syncSelection(table, data);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert('Failed to update selection: ' + error.message);
+    });
+  };
+
+  const invertCategory = (category) => {
+    const wrapper = wrappers[category.Id];
+    const live = wrapper.live;
+    if (live === undefined) {
+      wrapper.live = [];
+      return Promise.resolve();
+    }
+    if (live.length === 0) {
+      wrapper.live = undefined;
+      return Promise.resolve();
+    }
+    return loadItems(category.Id).then((items) => {
+      const inverted = new Set(items.map(item => item.Id).filter(id => !live.includes(id)));
+      setSelectedItems(wrapper, items, inverted);
+    });
+  };
+
+  const actions = document.createElement('div');
+  actions.classList.add('categories-filter');
+  actions.appendChild(createButton('Select all', () => run(() => {
+    categories.forEach((category) => wrappers[category.Id].live = []);
+  })));
+  actions.appendChild(createButton('Select none', () => run(() => {
+    categories.forEach((category) => wrappers[category.Id].live = undefined);
+  })));
+  actions.appendChild(createButton('Invert selection', () => run(() =>
+    Promise.all(categories.map(invertCategory)))));
+  container.appendChild(actions);
+
+  const form = document.createElement('div');
+  form.classList.add('categories-filter');
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.setAttribute('is', 'emby-input');
+  pattern.placeholder = 'Name pattern, e.g. UK |* or *[4K]*';
+  form.appendChild(pattern);
+
+  const regexLabel = document.createElement('label');
+  const regex = document.createElement('input');
+  regex.type = 'checkbox';
+  regexLabel.appendChild(regex);
+  regexLabel.appendChild(document.createTextNode(' Regular expression'));
+  form.appendChild(regexLabel);
+
+  const target = document.createElement('select');
+  target.setAttribute('is', 'emby-select');
+  for (const [value, text] of [['categories', 'Categories'], ['items', 'Items']]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.innerText = text;
+    target.appendChild(option);
+  }
+  form.appendChild(target);
+
+  const selectMatching = (checked) => {
+    const text = pattern.value.trim();
+    if (text.length === 0) {
+      return;
+    }
+
+    let matcher;
+    try {
+      matcher = createNamePattern(text, regex.checked);
+    } catch (error) {
+      Dashboard.alert('Invalid pattern: ' + error.message);
+      return;
+    }
+
+    if (target.value === 'categories') {
+      run(() => categories
+        .filter((category) => matcher.test(category.Name))
+        .forEach((category) => wrappers[category.Id].live = checked ? [] : undefined));
+      return;
+    }
+
+    run(() => loadAllItems().then((allItems) => {
+      const itemsByCategory = {};
+      allItems.forEach((item) => (itemsByCategory[item.CategoryId] ??= []).push(item));
+      for (const categoryId in itemsByCategory) {
+        const wrapper = wrappers[categoryId];
+        const items = itemsByCategory[categoryId];
+        const matched = items.filter((item) => matcher.test(item.Name));
+        if (wrapper === undefined || matched.length === 0) {
+          continue;
+        }
+
+        const live = wrapper.live;
+        const selectedIds = new Set(live === undefined ? [] : live.length === 0 ? items.map(item => item.Id) : live);
+        matched.forEach((item) => checked ? selectedIds.add(item.Id) : selectedIds.delete(item.Id));
+        setSelectedItems(wrapper, items, selectedIds);
+      }
+    }));
+  };
+  form.appendChild(createButton('Select matching', () => selectMatching(true)));
+  form.appendChild(createButton('Deselect matching', () => selectMatching(false)));
+  container.appendChild(form);
+
+  return container;
 };
 
-const populateCategoriesTable = (table, loadConfig, loadCategories, loadItems) => {
+// Tabs populate their tables again each time the view is shown, so the controls of a table are tracked
+// to set up the filter only once and to replace the controls bound to the previous data.
+const categoryFilters = new WeakMap();
+const categoryControls = new WeakMap();
+
+const populateCategoriesTable = (table, loadConfig, loadCategories, loadItems, searchItems, loadAllItems) => {
   Dashboard.showLoadingMsg();
+  const itemsByCategory = {};
+  const loadCachedItems = (categoryId) => {
+    itemsByCategory[categoryId] ??= loadItems(categoryId).catch((error) => {
+      delete itemsByCategory[categoryId];
+      throw error;
+    });
+    return itemsByCategory[categoryId];
+  };
   const fetchConfig = loadConfig();
   const fetchCategories = loadCategories();
 
@@ -161,6 +488,9 @@ const populateCategoriesTable = (table, loadConfig, loadCategories, loadItems) =
       const data = config || {};
       console.log('Categories loaded:', categories);
       console.log('Initial config data:', JSON.stringify(data, null, 2));
+      table.innerHTML = '';
+      (categoryControls.get(table) ?? []).forEach((control) => control.remove());
+      categoryControls.delete(table);
       if (!categories || categories.length === 0) {
         Dashboard.hideLoadingMsg();
         const errorRow = document.createElement('tr');
@@ -176,17 +506,37 @@ const populateCategoriesTable = (table, loadConfig, loadCategories, loadItems) =
         table.appendChild(errorRow);
         return data;
       }
+      const wrappers = {};
       for (let i = 0; i < categories.length; ++i) {
         const category = categories[i];
         const wrapper = {
           get live() { return data[category.Id]; },
           set live(value) {
             data[category.Id] = value;
+            table.dispatchEvent(new CustomEvent('datachanged', { bubbles: true }));
           },
         }
-        const elem = createCategoryRow(wrapper, category, loadItems);
+        const [elem, rowWrapper] = createCategoryRow(wrapper, category, loadCachedItems);
+        wrappers[category.Id] = rowWrapper;
         table.appendChild(elem);
       }
+      const categoriesTable = table.closest('table');
+      let filter = categoryFilters.get(table);
+      if (filter === undefined) {
+        filter = createCategoryFilter(table);
+        categoryFilters.set(table, filter);
+        categoriesTable.parentElement.insertBefore(filter.container, categoriesTable);
+      }
+      const controls = [];
+      if (searchItems) {
+        controls.push(createItemSearch(table, wrappers, searchItems, loadCachedItems));
+      }
+      if (loadAllItems) {
+        controls.push(createBulkSelection(table, data, categories, wrappers, loadCachedItems, loadAllItems));
+      }
+      controls.forEach((control) => categoriesTable.parentElement.insertBefore(control, filter.container));
+      categoryControls.set(table, controls);
+      filter.apply();
       Dashboard.hideLoadingMsg();
       return data;
     })
@@ -197,6 +547,423 @@ const populateCategoriesTable = (table, loadConfig, loadCategories, loadItems) =
     });
 }
 
+const normalizeValue = (value) => {
+  if (Array.isArray(value)) {
+    return [...value].sort();
+  }
+  if (value !== null && typeof value === 'object' && Object.keys(value).length === 0) {
+    return null;
+  }
+  return value ?? null;
+};
+
+const countChanges = (saved, data) => {
+  const keys = new Set([...Object.keys(saved ?? {}), ...Object.keys(data)]);
+  return [...keys].filter((key) =>
+    JSON.stringify(normalizeValue(saved?.[key])) !== JSON.stringify(normalizeValue(data[key]))).length;
+};
+
+const trackChanges = (view, form, data, { unit, loadSaved, restore, extras = {} }) => {
+  // Extras are further settings edited on the page, keyed by the label shown when they differ.
+  const snapshotExtras = () => Object.fromEntries(
+    Object.entries(extras).map(([label, get]) => [label, JSON.stringify(get())]));
+  let saved = structuredClone(data);
+  let savedExtras = snapshotExtras();
+  let changes = 0;
+
+  const indicator = document.createElement('div');
+  indicator.classList.add('unsaved-changes');
+  indicator.hidden = true;
+  const text = document.createElement('span');
+  indicator.appendChild(text);
+  const discard = document.createElement('button');
+  discard.type = 'button';
+  discard.setAttribute('is', 'emby-button');
+  discard.classList.add('raised');
+  discard.innerText = 'Discard changes';
+  indicator.appendChild(discard);
+  form.insertBefore(indicator, form.lastElementChild);
+
+  let scheduled = false;
+  const update = () => {
+    if (scheduled) {
+      return;
+    }
+    scheduled = true;
+    setTimeout(() => {
+      scheduled = false;
+      const changedItems = countChanges(saved, data);
+      const changedExtras = Object.entries(extras)
+        .filter(([label, get]) => JSON.stringify(get()) !== savedExtras[label])
+        .map(([label]) => label);
+      changes = changedItems + changedExtras.length;
+      const parts = changedItems > 0 ? [`${changedItems} ${changedItems === 1 ? unit[0] : unit[1]}`] : [];
+      text.innerText = `Unsaved changes: ${[...parts, ...changedExtras].join(', ')}`;
+      indicator.hidden = changes === 0;
+    });
+  };
+  form.addEventListener('change', update);
+  form.addEventListener('input', update);
+  form.addEventListener('datachanged', update);
+
+  discard.onclick = () => {
+    if (!confirm('Discard all unsaved changes on this page?')) {
+      return;
+    }
+
+    Dashboard.showLoadingMsg();
+    loadSaved().then((value) => {
+      saved = structuredClone(value ?? {});
+      restore(saved);
+      savedExtras = snapshotExtras();
+      update();
+      Dashboard.hideLoadingMsg();
+    }).catch((error) => {
+      console.error('Failed to reload saved configuration:', error);
+      Dashboard.hideLoadingMsg();
+    });
+  };
+
+  const leaveMessage = 'You have unsaved changes that will be lost. Leave this page anyway?';
+  // Tabs and menu links navigate through click handlers, so intercept them before they run.
+  const onClick = (e) => {
+    if (changes === 0 || view.contains(e.target)) {
+      return;
+    }
+    if (e.target.closest('.emby-tab-button, a[href]') && !confirm(leaveMessage)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  };
+  const onBeforeUnload = (e) => {
+    if (changes > 0) {
+      e.preventDefault();
+      e.returnValue = leaveMessage;
+    }
+  };
+  document.addEventListener('click', onClick, true);
+  window.addEventListener('beforeunload', onBeforeUnload);
+
+  // The dashboard does not allow cancelling navigation, so offer to save instead.
+  view.addEventListener('viewbeforehide', () => {
+    if (changes > 0 && confirm('You have unsaved changes. Save them before leaving this page?')) {
+      form.requestSubmit();
+    }
+  }, { once: true });
+  view.addEventListener('viewhide', () => {
+    document.removeEventListener('click', onClick, true);
+    window.removeEventListener('beforeunload', onBeforeUnload);
+    indicator.remove();
+  }, { once: true });
+
+  return {
+    markSaved: () => {
+      saved = structuredClone(data);
+      savedExtras = snapshotExtras();
+      update();
+    },
+  };
+};
+
+const summarizeSelectionChanges = (saved, data, allItems) => {
+  const itemsByCategory = {};
+  const itemNames = {};
+  allItems.forEach((item) => {
+    (itemsByCategory[item.CategoryId] ??= []).push(item);
+    itemNames[item.Id] = item.Name;
+  });
+  const categoryName = (categoryId) => itemsByCategory[categoryId]?.[0].CategoryName || `Category ${categoryId}`;
+  const selectedIds = (live, categoryId) => {
+    if (live === undefined) {
+      return [];
+    }
+    return live.length === 0 ? (itemsByCategory[categoryId] ?? []).map(item => item.Id) : live;
+  };
+
+  const summary = { addedCategories: [], removedCategories: [], addedItems: [], removedItems: [], estimate: 0 };
+  const keys = new Set([...Object.keys(saved ?? {}), ...Object.keys(data)]);
+  for (const key of keys) {
+    const before = saved?.[key] ?? undefined;
+    const after = data[key];
+    summary.estimate += selectedIds(after, key).length;
+    if (before === undefined && after === undefined) {
+      continue;
+    }
+    if (before === undefined) {
+      summary.addedCategories.push(categoryName(key));
+      continue;
+    }
+    if (after === undefined) {
+      summary.removedCategories.push(categoryName(key));
+      continue;
+    }
+
+    const beforeIds = new Set(selectedIds(before, key));
+    const afterIds = new Set(selectedIds(after, key));
+    afterIds.forEach((id) => beforeIds.has(id) || summary.addedItems.push(itemNames[id] ?? `#${id}`));
+    beforeIds.forEach((id) => afterIds.has(id) || summary.removedItems.push(itemNames[id] ?? `#${id}`));
+  }
+  return summary;
+};
+
+const formatNames = (title, names) => {
+  const shown = names.slice(0, 10).join(', ');
+  const more = names.length > 10 ? ` and ${names.length - 10} more` : '';
+  return `${title} (${names.length}): ${shown}${more}`;
+};
+
+const confirmSelectionChanges = (saved, data, loadAllItems, itemsLabel) => {
+  Dashboard.showLoadingMsg();
+  return loadAllItems().catch((error) => {
+    // Without the item list the summary falls back to category and item IDs.
+    console.error('Failed to load items for the change summary:', error);
+    return [];
+  }).then((allItems) => {
+    Dashboard.hideLoadingMsg();
+    const summary = summarizeSelectionChanges(saved, data, allItems);
+    const label = itemsLabel.charAt(0).toUpperCase() + itemsLabel.slice(1);
+    const lines = [
+      [formatNames('Categories added', summary.addedCategories), summary.addedCategories],
+      [formatNames('Categories removed', summary.removedCategories), summary.removedCategories],
+      [formatNames(`${label} added`, summary.addedItems), summary.addedItems],
+      [formatNames(`${label} removed`, summary.removedItems), summary.removedItems],
+    ].filter(([_, names]) => names.length > 0).map(([line]) => line);
+    if (lines.length === 0) {
+      return true;
+    }
+
+    return confirm('The following selection changes will be saved:\n\n' +
+      lines.join('\n\n') +
+      `\n\nThe next cache refresh will include about ${summary.estimate} ${itemsLabel}.` +
+      '\n\nDo you want to save these changes?');
+  });
+};
+
+const parseTitleOverrides = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line.length > 0)
+  .map((line) => {
+    const index = line.indexOf('=');
+    return index < 0 ?
+      { Title: line, Id: '' } :
+      { Title: line.slice(0, index).trim(), Id: line.slice(index + 1).trim() };
+  });
+
+const validateTitleOverrides = (rows) => {
+  const errors = [];
+  const seen = {};
+  rows.forEach((row, index) => {
+    const title = row.Title.trim();
+    const id = row.Id.trim();
+    if (title === '' && id === '') {
+      return;
+    }
+
+    const problems = [];
+    if (title === '') {
+      problems.push('the title is empty');
+    }
+    if (title.includes('=')) {
+      problems.push('the title cannot contain "="');
+    }
+    if (!/^\d+$/.test(id)) {
+      problems.push(id === '' ? 'the ID is empty' : `the ID "${id}" is not a number`);
+    }
+    const key = title.toLowerCase();
+    if (title !== '' && key in seen) {
+      problems.push(`the title is already mapped on row ${seen[key] + 1}`);
+    } else {
+      seen[key] = index;
+    }
+    if (problems.length > 0) {
+      errors.push({ index, message: `Row ${index + 1}: ${problems.join(', ')}.` });
+    }
+  });
+  return errors;
+};
+
+const setTitleOverride = (text, title, id) => {
+  const key = title.trim().toLowerCase();
+  const rows = parseTitleOverrides(text).filter(row => row.Title.toLowerCase() !== key);
+  rows.push({ Title: title.trim(), Id: String(id).trim() });
+  return rows.map(row => `${row.Title}=${row.Id}`).join('\n');
+};
+
+const createTitleOverridesEditor = (container, lookup) => {
+  let rows = [];
+  container.innerHTML = '';
+
+  const table = document.createElement('table');
+  table.classList.add('overrides-table', 'title-overrides-table');
+  table.innerHTML = '<thead><tr><th>Title</th><th>ID</th><th></th><th>Lookup result</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  table.appendChild(tbody);
+  container.appendChild(table);
+
+  const errorList = document.createElement('div');
+  errorList.classList.add('overrides-validation');
+  errorList.hidden = true;
+  container.appendChild(errorList);
+
+  const add = document.createElement('button');
+  add.type = 'button';
+  add.setAttribute('is', 'emby-button');
+  add.classList.add('raised');
+  add.innerText = 'Add override';
+  container.appendChild(add);
+
+  const validate = () => {
+    const errors = validateTitleOverrides(rows);
+    const invalid = new Set(errors.map(error => error.index));
+    tbody.querySelectorAll('tr').forEach((tr, index) => tr.classList.toggle('invalid-row', invalid.has(index)));
+    errorList.innerText = errors.map(error => error.message).join('\n');
+    errorList.hidden = errors.length === 0;
+    return errors.map(error => error.message);
+  };
+
+  const createIconButton = (icon, title, onclick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = title;
+    button.classList.add('paper-icon-button-light');
+    const span = document.createElement('span');
+    span.ariaHidden = true;
+    span.classList.add('material-icons', icon);
+    button.appendChild(span);
+    button.onclick = onclick;
+    return button;
+  };
+
+  const createRow = (row) => {
+    const tr = document.createElement('tr');
+
+    let td = document.createElement('td');
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.setAttribute('is', 'emby-input');
+    title.placeholder = 'Provider title';
+    title.value = row.Title;
+    title.oninput = () => {
+      row.Title = title.value;
+      validate();
+    };
+    td.appendChild(title);
+    tr.appendChild(td);
+
+    td = document.createElement('td');
+    const id = document.createElement('input');
+    id.type = 'text';
+    id.setAttribute('is', 'emby-input');
+    id.inputMode = 'numeric';
+    id.value = row.Id;
+    id.oninput = () => {
+      row.Id = id.value;
+      validate();
+    };
+    td.appendChild(id);
+    tr.appendChild(td);
+
+    const result = document.createElement('td');
+    td = document.createElement('td');
+    td.classList.add('title-override-actions');
+    td.appendChild(createIconButton('search', 'Look up the ID that would be picked without this override', () => {
+      if (row.Title.trim() === '') {
+        return;
+      }
+
+      result.innerText = 'Looking up...';
+      lookup(row.Title.trim()).then((response) => {
+        if (response.ProviderId === null || response.ProviderId === undefined) {
+          result.innerText = `No match for "${response.Title}"`;
+          return;
+        }
+
+        result.innerText = `"${response.Title}" matches ID ${response.ProviderId}`;
+        if (row.Id.trim() === '') {
+          const use = document.createElement('button');
+          use.type = 'button';
+          use.setAttribute('is', 'emby-button');
+          use.innerText = 'Use';
+          use.onclick = () => {
+            row.Id = String(response.ProviderId);
+            id.value = row.Id;
+            use.remove();
+            validate();
+          };
+          result.appendChild(use);
+        }
+      }).catch((error) => {
+        console.error('Metadata lookup failed:', error);
+        result.innerText = 'Lookup failed';
+      });
+    }));
+    td.appendChild(createIconButton('delete', 'Remove', () => {
+      rows = rows.filter(r => r !== row);
+      tr.remove();
+      validate();
+    }));
+    tr.appendChild(td);
+    tr.appendChild(result);
+
+    return tr;
+  };
+
+  const setValue = (text) => {
+    rows = parseTitleOverrides(text);
+    tbody.innerHTML = '';
+    rows.forEach((row) => tbody.appendChild(createRow(row)));
+    validate();
+  };
+
+  add.onclick = () => {
+    const row = { Title: '', Id: '' };
+    rows.push(row);
+    const tr = createRow(row);
+    tbody.appendChild(tr);
+    tr.querySelector('input').focus();
+  };
+
+  return {
+    getValue: () => rows
+      .filter(row => row.Title.trim() !== '' || row.Id.trim() !== '')
+      .map(row => `${row.Title.trim()}=${row.Id.trim()}`)
+      .join('\n'),
+    setValue,
+    validate,
+  };
+};
+
+const setupSplitButton = (toggle, menu, onSelect) => {
+  const closeOnOutsideClick = (e) => {
+    if (!menu.contains(e.target) && !toggle.contains(e.target)) {
+      close();
+    }
+  };
+  const close = () => {
+    menu.hidden = true;
+    document.removeEventListener('click', closeOnOutsideClick, true);
+  };
+
+  toggle.addEventListener('click', () => {
+    if (!menu.hidden) {
+      close();
+      return;
+    }
+    menu.hidden = false;
+    document.addEventListener('click', closeOnOutsideClick, true);
+  });
+  menu.querySelectorAll('button[data-value]').forEach((item) => item.addEventListener('click', () => {
+    close();
+    onSelect(item.dataset.value);
+  }));
+};
+
+const formatSyncTimes = (status) => {
+  const format = (time) => time ? new Date(time).toLocaleString() : 'never';
+  return `Last full sync: ${format(status.LastFullSync)} · Last incremental sync: ${format(status.LastIncrementalSync)}`;
+};
+
 const fetchJson = (url) => {
   return ApiClient.fetch({
     dataType: 'json',
@@ -216,10 +983,301 @@ const fetchJson = (url) => {
   });
 };
 
+const cacheStatusPollInterval = 2000;
+const cacheStatusMaxPollInterval = 60000;
+
+const readEventStream = (response, onData) => {
+  if (!response.ok || !response.body) {
+    throw new Error('Server returned ' + response.status);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  const read = () => reader.read().then(({ done, value }) => {
+    if (done) {
+      throw new Error('The event stream was closed');
+    }
+
+    buffer += value;
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+      if (data) {
+        onData(JSON.parse(data));
+      }
+    }
+    return read();
+  });
+  return read();
+};
+
+const watchCacheStatus = (view, name, { providerId = 0, container, fill, text, syncTimes, cancel, buttons, onRefreshed }) => {
+  // The server pushes progress events, polling is the fallback when the event stream is unavailable.
+  let stopped = false;
+  let timeout = null;
+  let abort = null;
+  let pollDelay = cacheStatusPollInterval;
+  let wasRefreshing = false;
+
+  const render = (status) => {
+    if (wasRefreshing && !status.IsRefreshing) {
+      onRefreshed?.();
+    }
+    wasRefreshing = status.IsRefreshing;
+
+    if (status.IsRefreshing || status.Progress > 0 || status.IsCachePopulated) {
+      container.style.display = 'block';
+      fill.style.width = Math.round(status.Progress * 100) + '%';
+      text.textContent = (status.Status || 'Idle') + (status.Errors > 0 ? ` · ${status.Errors} failed` : '');
+      if (status.IsRefreshing) {
+        text.style.color = '#00a4dc';
+      } else if (status.Progress >= 1.0) {
+        text.style.color = '#4caf50';
+      } else {
+        text.style.color = '#a0a0a0';
+      }
+    } else {
+      container.style.display = 'none';
+    }
+
+    buttons.forEach(button => button.disabled = status.IsRefreshing);
+    cancel.style.display = status.IsRefreshing ? '' : 'none';
+    syncTimes.textContent = formatSyncTimes(status);
+  };
+
+  const poll = (delay) => {
+    timeout = setTimeout(() => fetchJson(withProvider(`Xtream/${name}CacheStatus`, providerId)).then((status) => {
+      pollDelay = cacheStatusPollInterval;
+      render(status);
+    }).catch(() => {
+      pollDelay = Math.min(pollDelay * 2, cacheStatusMaxPollInterval);
+      container.style.display = 'block';
+      text.textContent = `Cannot reach the server, retrying in ${pollDelay / 1000} seconds`;
+      text.style.color = '#a0a0a0';
+    }).finally(() => {
+      if (!stopped) {
+        poll(pollDelay);
+      }
+    }), delay);
+  };
+
+  const subscribe = () => {
+    let received = false;
+    abort = new AbortController();
+    Promise.resolve().then(() => fetch(ApiClient.getUrl(withProvider(`Xtream/${name}CacheEvents`, providerId)), {
+      headers: ApiClient.defaultRequestHeaders(),
+      signal: abort.signal,
+    })).then((response) => readEventStream(response, (status) => {
+      received = true;
+      render(status);
+    })).catch((error) => {
+      if (stopped) {
+        return;
+      }
+
+      if (received) {
+        // The connection dropped, e.g. because the server restarted
+        timeout = setTimeout(subscribe, cacheStatusPollInterval);
+      } else {
+        console.warn('Cache progress events are unavailable, polling instead:', error);
+        poll(0);
+      }
+    });
+  };
+
+  subscribe();
+  view.addEventListener('viewhide', () => {
+    stopped = true;
+    clearTimeout(timeout);
+    abort?.abort();
+  }, { once: true });
+};
+
+const formatDuration = (start, end) => {
+  const seconds = Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000));
+  const parts = [];
+  if (seconds >= 3600) {
+    parts.push(Math.floor(seconds / 3600) + 'h');
+  }
+  if (seconds >= 60) {
+    parts.push(Math.floor(seconds % 3600 / 60) + 'm');
+  }
+  parts.push(seconds % 60 + 's');
+  return parts.join(' ');
+};
+
+const runResults = {
+  Completed: 'Completed',
+  Cancelled: 'Cancelled',
+  Failed: 'Failed',
+};
+
+const createRunErrorsRow = (run, columns) => {
+  const tr = document.createElement('tr');
+  tr.classList.add('refresh-run-errors');
+  const td = document.createElement('td');
+  td.colSpan = columns;
+
+  if (run.ErrorMessage) {
+    const error = document.createElement('div');
+    error.innerText = `The refresh stopped: ${run.ErrorMessage}`;
+    td.appendChild(error);
+  }
+
+  const list = document.createElement('ul');
+  for (const error of run.Errors) {
+    const li = document.createElement('li');
+    li.innerText = `${error.Name} (${error.ItemId}): ${error.Message}`;
+    list.appendChild(li);
+  }
+  td.appendChild(list);
+
+  if (run.Failures > run.Errors.length) {
+    const more = document.createElement('div');
+    more.classList.add('fieldDescription');
+    more.innerText = `${run.Failures - run.Errors.length} more failures are not shown.`;
+    td.appendChild(more);
+  }
+
+  tr.appendChild(td);
+  return tr;
+};
+
+const createRunRow = (run, isSeries, columns) => {
+  const tr = document.createElement('tr');
+  tr.classList.toggle('failed-run', run.Result === 'Failed');
+
+  const cells = [
+    new Date(run.StartTime).toLocaleString(),
+    run.IsIncremental ? 'Incremental' : 'Full',
+    formatDuration(run.StartTime, run.EndTime),
+    runResults[run.Result] || run.Result,
+    run.Categories,
+    isSeries ?
+      `${run.Processed} series, ${run.Seasons} seasons, ${run.Episodes} episodes` :
+      `${run.Processed} movies`,
+    run.Skipped,
+    `${run.MetadataFound} found, ${run.MetadataNotFound} missed`,
+  ];
+  for (const value of cells) {
+    const td = document.createElement('td');
+    td.innerText = value;
+    tr.appendChild(td);
+  }
+
+  const td = document.createElement('td');
+  if (run.Failures > 0 || run.ErrorMessage) {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.setAttribute('is', 'emby-button');
+    toggle.classList.add('raised');
+    toggle.innerText = run.Failures;
+    toggle.title = 'Show the errors of this run';
+    let details = null;
+    toggle.onclick = () => {
+      if (details) {
+        details.remove();
+        details = null;
+      } else {
+        details = createRunErrorsRow(run, columns);
+        tr.after(details);
+      }
+    };
+    td.appendChild(toggle);
+  } else {
+    td.innerText = '0';
+  }
+  tr.appendChild(td);
+
+  return tr;
+};
+
+const loadRefreshHistory = (container, name, providerId = 0) => fetchJson(withProvider(`Xtream/${name}CacheHistory`, providerId)).then((runs) => {
+  container.innerHTML = '';
+  if (runs.length === 0) {
+    const empty = document.createElement('div');
+    empty.classList.add('fieldDescription');
+    empty.innerText = 'No refreshes have run yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const headers = ['Started', 'Type', 'Duration', 'Result', 'Categories', 'Processed', 'Skipped', 'Metadata', 'Failures'];
+  const table = document.createElement('table');
+  table.classList.add('overrides-table', 'refresh-history-table');
+  const thead = document.createElement('thead');
+  const headerRow = document.createElement('tr');
+  for (const header of headers) {
+    const th = document.createElement('th');
+    th.innerText = header;
+    headerRow.appendChild(th);
+  }
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  runs.forEach(run => tbody.appendChild(createRunRow(run, name === 'Series', headers.length)));
+  table.appendChild(tbody);
+  container.appendChild(table);
+}).catch(() => {
+  container.innerText = 'Failed to load the refresh history.';
+});
+
 const filter = (obj, predicate) => Object.keys(obj)
   .filter(key => predicate(obj[key]))
   .reduce((res, key) => (res[key] = obj[key], res), {});
 
+const providerStorageKey = 'jellyfin-xtream-provider';
+
+const getProviders = (config) => [
+  { Id: 0, Name: config.ProviderName },
+  ...config.Providers,
+];
+
+// The primary provider is configured by the top-level settings, which use the same keys as the additional providers.
+const getProviderConfig = (config, providerId) => providerId === 0 ?
+  config :
+  config.Providers.find((provider) => provider.Id === providerId);
+
+const withProvider = (url, providerId) => providerId === 0 ?
+  url :
+  `${url}${url.includes('?') ? '&' : '?'}providerId=${providerId}`;
+
+// The selected provider is shared between the tabs. The tabs set up their content when they are shown,
+// so another provider is shown by hiding the tab, restoring its original markup and showing it again.
+const viewTemplates = new WeakMap();
+
+const selectProvider = (view, providerId) => {
+  sessionStorage.setItem(providerStorageKey, providerId);
+  view.dispatchEvent(new CustomEvent('viewbeforehide'));
+  view.dispatchEvent(new CustomEvent('viewhide'));
+  view.innerHTML = viewTemplates.get(view);
+  view.dispatchEvent(new CustomEvent('viewshow'));
+};
+
+const setupProviderSelect = (view, config, { alwaysVisible = false, template } = {}) => {
+  viewTemplates.set(view, template);
+  const select = view.querySelector('#ProviderSelect');
+  const stored = parseInt(sessionStorage.getItem(providerStorageKey), 10);
+  const providerId = getProviderConfig(config, stored) ? stored : 0;
+
+  select.innerHTML = '';
+  for (const provider of getProviders(config)) {
+    const option = document.createElement('option');
+    option.value = provider.Id;
+    option.innerText = provider.Name || `Provider ${provider.Id}`;
+    select.appendChild(option);
+  }
+  select.value = providerId;
+  select.closest('.selectContainer').hidden = !alwaysVisible && config.Providers.length === 0;
+  select.onchange = () => selectProvider(view, parseInt(select.value, 10));
+  return providerId;
+};
+
 const tabs = [
   {
     href: tab('XtreamCredentials'),
@@ -241,8 +1299,31 @@ const tabs = [
     href: tab('XtreamSeries'),
     name: 'Series',
   },
+  {
+    href: tab('XtreamMetadata'),
+    name: 'Metadata review',
+  },
+  {
+    href: tab('XtreamCache'),
+    name: 'Cache',
+  },
+  {
+    href: tab('XtreamAdvanced'),
+    name: 'Advanced',
+  },
 ];
 
+const formatSize = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+};
+
 const setTabs = (index) => {
   const name = tabs[index].name;
   LibraryMenu.setTabs(name, index, () => tabs);
@@ -253,9 +1334,22 @@ const pluginConfig = {
 };
 
 export default {
+  confirmSelectionChanges,
+  createTitleOverridesEditor,
   fetchJson,
   filter,
+  formatSize,
+  getProviderConfig,
+  loadRefreshHistory,
   pluginConfig,
   populateCategoriesTable,
+  restoreSelection,
+  selectProvider,
   setTabs,
+  setTitleOverride,
+  setupProviderSelect,
+  setupSplitButton,
+  trackChanges,
+  watchCacheStatus,
+  withProvider,
 }
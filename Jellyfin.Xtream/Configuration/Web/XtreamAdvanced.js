@@ -0,0 +1,197 @@
+const checkboxes = [
+  'EnableHttpRetry',
+  'HttpRetryThrowOnPersistentFailure',
+  'IncrementalSyncEnabled',
+];
+
+const numbers = [
+  'HttpRetryMaxAttempts',
+  'HttpRetryInitialDelayMs',
+  'HttpFailureCacheExpirationHours',
+  'FullSyncIntervalHours',
+];
+
+const failureTypes = {
+  SeriesInfo: 'Series info',
+  VodInfo: 'VOD info',
+  Epg: 'EPG',
+  Other: 'Other requests',
+};
+
+const postJson = (url) => ApiClient.fetch({
+  url: ApiClient.getUrl(url),
+  type: 'POST',
+  dataType: 'json',
+}).then((result) => {
+  if (result && typeof result.json === 'function') {
+    return result.json();
+  }
+  return result;
+});
+
+export default function (view) {
+  view.addEventListener("viewshow", () => import(
+    ApiClient.getUrl("web/ConfigurationPage", {
+      name: "Xtream.js",
+    })
+  ).then((Xtream) => Xtream.default
+  ).then((Xtream) => {
+    Xtream.setTabs(7);
+
+    const form = view.querySelector('#XtreamAdvancedForm');
+    const enableHttpRetry = view.querySelector('#EnableHttpRetry');
+    const httpRetryOptions = view.querySelector('#HttpRetryOptionsContainer');
+    const incrementalSync = view.querySelector('#IncrementalSyncEnabled');
+    const fullSyncInterval = view.querySelector('#FullSyncIntervalContainer');
+
+    const updateVisibility = () => {
+      httpRetryOptions.style.display = enableHttpRetry.checked ? 'block' : 'none';
+      fullSyncInterval.style.display = incrementalSync.checked ? 'block' : 'none';
+    };
+    enableHttpRetry.addEventListener('change', updateVisibility);
+    incrementalSync.addEventListener('change', updateVisibility);
+
+    Dashboard.showLoadingMsg();
+    Xtream.fetchJson('Xtream/AdvancedSettings').then((settings) => {
+      checkboxes.forEach((key) => view.querySelector(`#${key}`).checked = settings[key]);
+      numbers.forEach((key) => view.querySelector(`#${key}`).value = settings[key]);
+      updateVisibility();
+      Dashboard.hideLoadingMsg();
+    }).catch((error) => {
+      console.error('Failed to load advanced settings:', error);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert('Failed to load the advanced settings.');
+    });
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+
+      // The form is not validated by the browser, which cannot point at inputs in hidden sections
+      const invalid = numbers
+        .map((key) => view.querySelector(`#${key}`))
+        .find((input) => !input.checkValidity());
+      if (invalid) {
+        const label = view.querySelector(`label[for="${invalid.id}"]`).innerText;
+        Dashboard.alert(`${label} must be a whole number between ${invalid.min} and ${invalid.max}.`);
+        return false;
+      }
+
+      const settings = {};
+      checkboxes.forEach((key) => settings[key] = view.querySelector(`#${key}`).checked);
+      numbers.forEach((key) => settings[key] = parseInt(view.querySelector(`#${key}`).value, 10));
+
+      Dashboard.showLoadingMsg();
+      ApiClient.fetch({
+        url: ApiClient.getUrl('Xtream/AdvancedSettings'),
+        type: 'POST',
+        data: JSON.stringify(settings),
+        contentType: 'application/json',
+        dataType: 'json',
+      }).then((result) => {
+        if (result && typeof result.json === 'function') {
+          return result.json();
+        }
+        return result;
+      }).then((result) => {
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert(result.Message);
+      }).catch((error) => {
+        Dashboard.hideLoadingMsg();
+        const message = error && typeof error.text === 'function' ? error.text() : Promise.resolve(error?.message ?? '');
+        message.then((text) => {
+          console.error('Failed to save advanced settings:', text);
+          Dashboard.alert('Failed to save the advanced settings.');
+        });
+      });
+
+      return false;
+    };
+
+    const failuresContent = view.querySelector('#FailuresContent');
+
+    const createFailureRow = (failure) => {
+      const tr = document.createElement('tr');
+
+      let td = document.createElement('td');
+      td.innerText = failure.Name ? `${failure.Name} (${failure.ItemId})` : (failure.ItemId ?? '-');
+      tr.appendChild(td);
+
+      td = document.createElement('td');
+      td.innerText = failure.ErrorDetails;
+      td.title = failure.Url;
+      tr.appendChild(td);
+
+      for (const time of [failure.FirstFailureTime, failure.ExpiresAt]) {
+        td = document.createElement('td');
+        td.innerText = new Date(time).toLocaleString();
+        tr.appendChild(td);
+      }
+
+      td = document.createElement('td');
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.setAttribute('is', 'emby-button');
+      retry.classList.add('raised');
+      retry.innerText = 'Retry';
+      retry.onclick = () => {
+        retry.disabled = true;
+        postJson(`Xtream/Failures/${encodeURIComponent(failure.Id)}/Retry`).then((result) => {
+          Dashboard.alert(result.Message);
+        }).catch((error) => {
+          console.error('Failed to retry request:', error);
+          Dashboard.alert('Failed to retry the request. It may have expired already.');
+        }).finally(loadFailures);
+      };
+      td.appendChild(retry);
+      tr.appendChild(td);
+
+      return tr;
+    };
+
+    const loadFailures = () => Xtream.fetchJson('Xtream/Failures').then((failures) => {
+      failuresContent.innerHTML = '';
+      if (failures.length === 0) {
+        const empty = document.createElement('div');
+        empty.classList.add('fieldDescription');
+        empty.innerText = 'No requests are being skipped.';
+        failuresContent.appendChild(empty);
+        return;
+      }
+
+      for (const [type, label] of Object.entries(failureTypes)) {
+        const group = failures.filter(failure => failure.Type === type);
+        if (group.length === 0) {
+          continue;
+        }
+
+        const title = document.createElement('h3');
+        title.innerText = `${label} (${group.length})`;
+        failuresContent.appendChild(title);
+
+        const table = document.createElement('table');
+        table.classList.add('overrides-table', 'failures-table');
+        table.innerHTML = '<thead><tr><th>Item</th><th>Error</th><th>First failed</th><th>Skipped until</th><th></th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        group.forEach(failure => tbody.appendChild(createFailureRow(failure)));
+        table.appendChild(tbody);
+        failuresContent.appendChild(table);
+      }
+    }).catch((error) => {
+      console.error('Failed to load failed requests:', error);
+      failuresContent.innerText = 'Failed to load the failed requests.';
+    });
+
+    view.querySelector('#ReloadFailuresBtn').onclick = loadFailures;
+    view.querySelector('#ClearFailuresBtn').onclick = () => {
+      if (!confirm('Forget all failed requests? They will be requested again during the next cache refresh.')) {
+        return;
+      }
+
+      postJson('Xtream/FailuresClear').catch((error) => {
+        console.error('Failed to clear failed requests:', error);
+        Dashboard.alert('Failed to clear the failed requests.');
+      }).finally(loadFailures);
+    };
+    loadFailures();
+  }));
+}
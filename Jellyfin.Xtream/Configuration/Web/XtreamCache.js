@@ -0,0 +1,131 @@
+const postJson = (url) => ApiClient.fetch({
+  url: ApiClient.getUrl(url),
+  type: 'POST',
+  dataType: 'json',
+}).then((result) => {
+  if (result && typeof result.json === 'function') {
+    return result.json();
+  }
+  return result;
+});
+
+const actions = {
+  Series: [
+    { label: 'Refresh', url: 'Xtream/SeriesCacheRefresh' },
+    { label: 'Clear', url: 'Xtream/SeriesCacheClear', confirm: 'Clear the series cache? The next refresh fetches all series from scratch.' },
+  ],
+  Vod: [
+    { label: 'Refresh', url: 'Xtream/VodCacheRefresh' },
+    { label: 'Clear', url: 'Xtream/VodCacheClear', confirm: 'Clear the VOD cache? The next refresh fetches all movies from scratch.' },
+  ],
+  Metadata: [
+    { label: 'Clear expired', url: 'Xtream/MetadataCacheClearExpired' },
+    { label: 'Clear', url: 'Xtream/MetadataCacheClear', confirm: 'Forget all metadata lookups? Every movie and series is looked up again during the next refresh.' },
+  ],
+  SyncState: [
+    { label: 'Reset', url: 'Xtream/SyncStateReset', confirm: 'Reset the sync state? The next refreshes process every series and movie again.' },
+  ],
+  Failures: [
+    { label: 'Clear', url: 'Xtream/FailuresClear', confirm: 'Forget all failed requests? They will be requested again during the next cache refresh.' },
+  ],
+};
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) {
+    return 'In memory';
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+};
+
+const formatTime = (time) => time ? new Date(time).toLocaleString() : '-';
+
+export default function (view) {
+  view.addEventListener("viewshow", () => import(
+    ApiClient.getUrl("web/ConfigurationPage", {
+      name: "Xtream.js",
+    })
+  ).then((Xtream) => Xtream.default
+  ).then((Xtream) => {
+    Xtream.setTabs(6);
+
+    const content = view.querySelector('#CachesContent');
+
+    const createRow = (cache) => {
+      const tr = document.createElement('tr');
+
+      let td = document.createElement('td');
+      td.innerText = cache.Name;
+      tr.appendChild(td);
+
+      td = document.createElement('td');
+      td.innerText = cache.Entries;
+      if (cache.Details) {
+        const details = document.createElement('div');
+        details.classList.add('fieldDescription');
+        details.innerText = cache.Details;
+        td.appendChild(details);
+      }
+      tr.appendChild(td);
+
+      for (const value of [formatSize(cache.SizeBytes), formatTime(cache.LastUpdated), formatTime(cache.ExpiresAt)]) {
+        td = document.createElement('td');
+        td.innerText = value;
+        tr.appendChild(td);
+      }
+
+      td = document.createElement('td');
+      const buttons = document.createElement('div');
+      buttons.classList.add('metadata-review-actions');
+      for (const action of actions[cache.Id] || []) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.setAttribute('is', 'emby-button');
+        button.classList.add('raised');
+        button.innerText = action.label;
+        button.onclick = () => {
+          if (action.confirm && !confirm(action.confirm)) {
+            return;
+          }
+
+          button.disabled = true;
+          postJson(Xtream.withProvider(action.url, cache.ProviderId)).then((result) => {
+            Dashboard.alert(result.Message);
+          }).catch((error) => {
+            console.error(`Failed to ${action.label.toLowerCase()} ${cache.Name}:`, error);
+            Dashboard.alert(`Failed to ${action.label.toLowerCase()} the ${cache.Name.toLowerCase()} cache.`);
+          }).finally(load);
+        };
+        buttons.appendChild(button);
+      }
+      td.appendChild(buttons);
+      tr.appendChild(td);
+
+      return tr;
+    };
+
+    const load = () => Xtream.fetchJson('Xtream/CacheOverview').then((caches) => {
+      content.innerHTML = '';
+      caches.forEach(cache => content.appendChild(createRow(cache)));
+    }).catch((error) => {
+      console.error('Failed to load the cache overview:', error);
+      content.innerHTML = '';
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 6;
+      td.innerText = 'Failed to load the cache overview.';
+      tr.appendChild(td);
+      content.appendChild(tr);
+    });
+
+    view.querySelector('#ReloadCachesBtn').onclick = load;
+    load();
+  }));
+}
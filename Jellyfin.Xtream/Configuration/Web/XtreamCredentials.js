@@ -1,4 +1,123 @@
+const configFormat = 'jellyfin-xtream-config';
+const configVersion = 1;
+const credentialKeys = ['BaseUrl', 'AlternateBaseUrls', 'Username', 'Password', 'ExportToken'];
+
+const omit = (obj, keys) => Object.keys(obj)
+  .filter(key => !keys.includes(key))
+  .reduce((res, key) => (res[key] = obj[key], res), {});
+
+const pick = (obj, keys) => keys
+  .filter(key => key in obj)
+  .reduce((res, key) => (res[key] = obj[key], res), {});
+
+const omitCredentials = (config) => {
+  const result = omit(config, credentialKeys);
+  if (Array.isArray(result.Providers)) {
+    result.Providers = result.Providers.map(provider => omit(provider, credentialKeys));
+  }
+  return result;
+};
+
+// Imported providers keep the credentials of the current provider with the same id.
+const keepCredentials = (imported, current) => {
+  const result = omit(imported, credentialKeys);
+  if (Array.isArray(result.Providers)) {
+    result.Providers = result.Providers.map((provider) => {
+      const existing = current.Providers.find(p => p.Id === provider.Id);
+      return { ...omit(provider, credentialKeys), ...(existing ? pick(existing, credentialKeys) : {}) };
+    });
+  }
+  return result;
+};
+
+const downloadJson = (fileName, data) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+};
+
+const valueType = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+const parseConfigFile = (text, current) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  if (valueType(file) !== 'object' || file.Format !== configFormat) {
+    throw new Error('The file is not a Jellyfin Xtream configuration export.');
+  }
+  if (!Number.isInteger(file.Version) || file.Version < 1 || file.Version > configVersion) {
+    throw new Error(`Unsupported configuration version ${file.Version}; this plugin supports up to version ${configVersion}.`);
+  }
+  if (valueType(file.Configuration) !== 'object') {
+    throw new Error('The file does not contain a configuration object.');
+  }
+
+  const errors = [];
+  const configuration = {};
+  for (const key of Object.keys(file.Configuration)) {
+    const value = file.Configuration[key];
+    if (!(key in current)) {
+      console.warn(`Ignoring unknown configuration key ${key}`);
+      continue;
+    }
+    const expected = valueType(current[key]);
+    if (expected !== 'null' && valueType(value) !== expected) {
+      errors.push(`${key}: expected ${expected} but found ${valueType(value)}`);
+      continue;
+    }
+    configuration[key] = value;
+  }
+  if (errors.length > 0) {
+    throw new Error('Invalid configuration values:\n' + errors.join('\n'));
+  }
+  return configuration;
+};
+
+const describeValue = (key, value) => {
+  if (value === undefined) {
+    return '(not set)';
+  }
+  if (value === '') {
+    return '(empty)';
+  }
+  if (key === 'Password') {
+    return '********';
+  }
+  if (valueType(value) === 'object') {
+    return `${Object.keys(value).length} entries`;
+  }
+  if (valueType(value) === 'array') {
+    return `${value.length} entries`;
+  }
+  if (valueType(value) === 'string' && value.includes('\n')) {
+    return `${value.split('\n').filter(line => line.trim()).length} lines`;
+  }
+  return String(value);
+};
+
+const diffConfig = (current, imported) => Object.keys(imported)
+  .filter(key => JSON.stringify(current[key]) !== JSON.stringify(imported[key]))
+  .map(key => ({
+    key,
+    current: describeValue(key, current[key]),
+    imported: describeValue(key, imported[key]),
+  }));
+
 export default function (view) {
+  const template = view.innerHTML;
   view.addEventListener("viewshow", () => import(
     window.ApiClient.getUrl("web/ConfigurationPage", {
       name: "Xtream.js",
@@ -8,12 +127,27 @@ export default function (view) {
     const pluginId = Xtream.pluginConfig.UniqueId;
     Xtream.setTabs(0);
 
+    let providerId = 0;
+    const nameKey = () => providerId === 0 ? 'ProviderName' : 'Name';
+    const fillForm = (config) => {
+      providerId = Xtream.setupProviderSelect(view, config, { alwaysVisible: true, template });
+      const provider = Xtream.getProviderConfig(config, providerId);
+      view.querySelector('#ProviderName').value = provider[nameKey()];
+      view.querySelector('#BaseUrl').value = provider.BaseUrl;
+      view.querySelector('#AlternateBaseUrls').value = provider.AlternateBaseUrls;
+      view.querySelector('#Username').value = provider.Username;
+      view.querySelector('#Password').value = provider.Password;
+      view.querySelector('#UserAgent').value = provider.UserAgent;
+      view.querySelector('#LimitStreams').checked = provider.LimitStreams;
+      view.querySelector('#StreamLimit').value = provider.StreamLimit;
+      view.querySelector('#RemoveProviderBtn').hidden = providerId === 0;
+    };
+
     Dashboard.showLoadingMsg();
     ApiClient.getPluginConfiguration(pluginId).then(function (config) {
-      view.querySelector('#BaseUrl').value = config.BaseUrl;
-      view.querySelector('#Username').value = config.Username;
-      view.querySelector('#Password').value = config.Password;
-      view.querySelector('#UserAgent').value = config.UserAgent;
+      fillForm(config);
+      reloadStatus();
+      loadStreams();
       Dashboard.hideLoadingMsg();
     });
 
@@ -25,8 +159,9 @@ export default function (view) {
       const time = view.querySelector("#ProviderTime");
       const timezone = view.querySelector("#ProviderTimezone");
       const mpegTs = view.querySelector("#ProviderMpegTs");
+      const activeUrl = view.querySelector("#ProviderActiveUrl");
 
-      Xtream.fetchJson('Xtream/TestProvider').then(response => {
+      Xtream.fetchJson(Xtream.withProvider('Xtream/TestProvider', providerId)).then(response => {
         status.innerText = response.Status;
         expiry.innerText = response.ExpiryDate;
         cons.innerText = response.ActiveConnections;
@@ -34,6 +169,7 @@ export default function (view) {
         time.innerText = response.ServerTime;
         timezone.innerText = response.ServerTimezone;
         mpegTs.innerText = response.SupportsMpegTs;
+        activeUrl.innerText = response.ActiveUrl;
       }).catch((_) => {
         status.innerText = "Failed. Check server logs.";
         expiry.innerText = "";
@@ -42,24 +178,313 @@ export default function (view) {
         time.innerText = "";
         timezone.innerText = "";
         mpegTs.innerText = "";
-      });
+        activeUrl.innerText = "";
+      }).finally(() => loadUrls(false));
     };
-    reloadStatus();
+
+    const urlsContent = view.querySelector('#ProviderUrlsContent');
+    const failoverLog = view.querySelector('#FailoverLogContent');
+
+    const createCell = (row, text) => {
+      const cell = document.createElement('td');
+      cell.innerText = text;
+      row.appendChild(cell);
+    };
+
+    const loadUrls = (check) => Xtream.fetchJson(Xtream.withProvider(`Xtream/ProviderUrls?check=${check}`, providerId)).then((response) => {
+      urlsContent.innerHTML = '';
+      for (const url of response.Urls) {
+        const row = document.createElement('tr');
+        createCell(row, url.Url);
+        createCell(row, url.IsActive ? 'Yes' : '');
+        createCell(row, url.IsHealthy === null ? 'Not checked' : (url.IsHealthy ? 'OK' : 'Not responding'));
+        urlsContent.appendChild(row);
+      }
+
+      failoverLog.innerHTML = '';
+      if (response.Failovers.length === 0) {
+        const empty = document.createElement('div');
+        empty.classList.add('fieldDescription');
+        empty.innerText = 'No failovers since the server started.';
+        failoverLog.appendChild(empty);
+        return;
+      }
+
+      const table = document.createElement('table');
+      table.classList.add('config-diff-table');
+      table.innerHTML = '<thead><tr><th>Time</th><th>From</th><th>To</th><th>Reason</th></tr></thead>';
+      const tbody = document.createElement('tbody');
+      for (const failover of response.Failovers) {
+        const row = document.createElement('tr');
+        createCell(row, new Date(failover.Time).toLocaleString());
+        createCell(row, failover.FromUrl);
+        createCell(row, failover.ToUrl ?? 'None responded');
+        createCell(row, failover.Reason);
+        tbody.appendChild(row);
+      }
+      table.appendChild(tbody);
+      failoverLog.appendChild(table);
+    }).catch((error) => {
+      console.error('Failed to load provider base urls:', error);
+      urlsContent.innerHTML = '';
+      failoverLog.innerHTML = '';
+    });
+
+    const streamWarnings = view.querySelector('#StreamWarnings');
+    const usageContent = view.querySelector('#StreamUsageContent');
+    const streamsContent = view.querySelector('#ActiveStreamsContent');
+
+    const closeStream = (stream) => {
+      if (!confirm(`Close the stream of ${stream.ChannelName}? Playback stops for its ${stream.ConsumerCount} consumer(s).`)) {
+        return;
+      }
+
+      ApiClient.fetch({
+        url: ApiClient.getUrl(`Xtream/ActiveStreams/${encodeURIComponent(stream.Id)}/Close`),
+        type: 'POST',
+        dataType: 'json',
+      }).catch((error) => {
+        console.error('Failed to close stream:', error);
+        Dashboard.alert('Failed to close the stream.');
+      }).finally(loadStreams);
+    };
+
+    const loadStreams = () => Xtream.fetchJson('Xtream/ActiveStreams').then((response) => {
+      const warnings = [];
+      usageContent.innerHTML = '';
+      for (const usage of response.Providers) {
+        const row = document.createElement('tr');
+        createCell(row, usage.ProviderName);
+        createCell(row, usage.MaxConnections > 0 ? `${usage.OpenStreams} of ${usage.MaxConnections}` : `${usage.OpenStreams}`);
+        createCell(row, usage.StreamLimit > 0 ? `Refuses beyond ${usage.StreamLimit}` : 'None');
+        usageContent.appendChild(row);
+
+        if (usage.IsNearLimit) {
+          const limit = usage.StreamLimit > 0 ? usage.StreamLimit : usage.MaxConnections;
+          warnings.push(usage.OpenStreams >= limit
+            ? `${usage.ProviderName}: all ${limit} connections are in use.`
+            : `${usage.ProviderName}: ${usage.OpenStreams} of ${limit} connections are in use.`);
+        }
+      }
+      streamWarnings.innerText = warnings.join('\n');
+      streamWarnings.hidden = warnings.length === 0;
+
+      streamsContent.innerHTML = '';
+      if (response.Streams.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        cell.classList.add('fieldDescription');
+        cell.innerText = 'No streams are open.';
+        row.appendChild(cell);
+        streamsContent.appendChild(row);
+        return;
+      }
+
+      for (const stream of response.Streams) {
+        const row = document.createElement('tr');
+        createCell(row, stream.ChannelName);
+        createCell(row, stream.ProviderName);
+        createCell(row, stream.IsRecording ? 'Recording' : stream.ConsumerCount);
+        createCell(row, new Date(stream.StartTime).toLocaleString());
+        createCell(row, Xtream.formatSize(stream.BytesRelayed));
+        const cell = document.createElement('td');
+        if (!stream.IsRecording) {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.setAttribute('is', 'emby-button');
+          button.classList.add('raised');
+          button.innerText = 'Close stream';
+          button.addEventListener('click', () => closeStream(stream));
+          cell.appendChild(button);
+        }
+        row.appendChild(cell);
+        streamsContent.appendChild(row);
+      }
+    }).catch((error) => {
+      console.error('Failed to load active streams:', error);
+      streamWarnings.innerText = 'Failed to load the active streams. Check server logs.';
+      streamWarnings.hidden = false;
+      usageContent.innerHTML = '';
+      streamsContent.innerHTML = '';
+    });
+
+    view.querySelector('#ReloadStreamsBtn').addEventListener('click', () => {
+      Dashboard.showLoadingMsg();
+      loadStreams().finally(() => Dashboard.hideLoadingMsg());
+    });
+
+    view.querySelector('#CheckUrlsBtn').addEventListener('click', () => {
+      Dashboard.showLoadingMsg();
+      loadUrls(true).finally(() => Dashboard.hideLoadingMsg());
+    });
+
+    view.querySelector('#AddProviderBtn').addEventListener('click', () => {
+      Dashboard.showLoadingMsg();
+      ApiClient.getPluginConfiguration(pluginId).then((config) => {
+        // Ids come from a counter rather than the lowest free id, so a new provider never takes over
+        // the library items, favourites and watch history of a removed one.
+        const id = Math.max(config.NextProviderId ?? 1, ...config.Providers.map(provider => provider.Id + 1));
+        if (id > 255) {
+          Dashboard.hideLoadingMsg();
+          Dashboard.alert('No more providers can be added.');
+          return;
+        }
+
+        config.Providers.push({
+          Id: id,
+          Name: `Provider ${id}`,
+          BaseUrl: 'https://example.com',
+          AlternateBaseUrls: '',
+          Username: '',
+          Password: '',
+          UserAgent: '',
+          LimitStreams: false,
+          StreamLimit: 0,
+          LiveTv: {},
+          Vod: {},
+          Series: {},
+          LiveTvOverrides: {},
+        });
+        config.NextProviderId = id + 1;
+        return ApiClient.updatePluginConfiguration(pluginId, config).then(() => Xtream.selectProvider(view, id));
+      }).catch((error) => {
+        console.error('Failed to add provider:', error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert('Failed to add provider.');
+      });
+    });
+
+    view.querySelector('#RemoveProviderBtn').addEventListener('click', () => {
+      const name = view.querySelector('#ProviderName').value;
+      if (!confirm(`Remove the provider "${name}" with its category selections and overrides?`)) {
+        return;
+      }
+
+      Dashboard.showLoadingMsg();
+      ApiClient.getPluginConfiguration(pluginId).then((config) => {
+        config.Providers = config.Providers.filter(provider => provider.Id !== providerId);
+        return ApiClient.updatePluginConfiguration(pluginId, config).then(() => Xtream.selectProvider(view, 0));
+      }).catch((error) => {
+        console.error('Failed to remove provider:', error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert('Failed to remove provider.');
+      });
+    });
 
     view.querySelector('#UserAgentFromBrowser').addEventListener('click', (e) => {
       e.preventDefault();
       view.querySelector('#UserAgent').value = navigator.userAgent;
     });
 
+    const transferCredentials = view.querySelector('#TransferCredentials');
+    const importFile = view.querySelector('#ImportConfigFile');
+    const importPreview = view.querySelector('#ImportPreview');
+    const importPreviewContent = view.querySelector('#ImportPreviewContent');
+    let pendingImport;
+
+    view.querySelector('#ExportConfigBtn').addEventListener('click', () => {
+      ApiClient.getPluginConfiguration(pluginId).then((config) => {
+        const configuration = transferCredentials.checked ? config : omitCredentials(config);
+        const date = new Date().toISOString().slice(0, 10);
+        downloadJson(`jellyfin-xtream-${date}.json`, {
+          Format: configFormat,
+          Version: configVersion,
+          ExportedAt: new Date().toISOString(),
+          Configuration: configuration,
+        });
+      });
+    });
+
+    view.querySelector('#ImportConfigBtn').addEventListener('click', () => {
+      importFile.value = '';
+      importFile.click();
+    });
+
+    const hidePreview = () => {
+      pendingImport = undefined;
+      importPreview.style.display = 'none';
+      importPreviewContent.innerHTML = '';
+    };
+
+    importFile.addEventListener('change', () => {
+      const file = importFile.files[0];
+      if (!file) {
+        return;
+      }
+
+      hidePreview();
+      Dashboard.showLoadingMsg();
+      Promise.all([file.text(), ApiClient.getPluginConfiguration(pluginId)]).then(([text, config]) => {
+        let imported = parseConfigFile(text, config);
+        if (!transferCredentials.checked) {
+          imported = keepCredentials(imported, config);
+        }
+
+        const changes = diffConfig(config, imported);
+        Dashboard.hideLoadingMsg();
+        if (changes.length === 0) {
+          Dashboard.alert('The imported configuration matches the current configuration.');
+          return;
+        }
+
+        for (const change of changes) {
+          const row = document.createElement('tr');
+          for (const text of [change.key, change.current, change.imported]) {
+            const cell = document.createElement('td');
+            cell.innerText = text;
+            row.appendChild(cell);
+          }
+          importPreviewContent.appendChild(row);
+        }
+        pendingImport = imported;
+        importPreview.style.display = 'block';
+      }).catch((error) => {
+        console.error('Failed to import configuration:', error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert(error.message);
+      });
+    });
+
+    view.querySelector('#CancelImportBtn').addEventListener('click', hidePreview);
+
+    view.querySelector('#ApplyImportBtn').addEventListener('click', () => {
+      if (!pendingImport) {
+        return;
+      }
+
+      const imported = pendingImport;
+      Dashboard.showLoadingMsg();
+      ApiClient.getPluginConfiguration(pluginId).then((config) => {
+        Object.assign(config, imported);
+        return ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
+          hidePreview();
+          fillForm(config);
+          reloadStatus();
+          Dashboard.processPluginConfigurationUpdateResult(result);
+        });
+      }).catch((error) => {
+        console.error('Failed to apply imported configuration:', error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert('Failed to apply imported configuration.');
+      });
+    });
+
     view.querySelector('#XtreamCredentialsForm').addEventListener('submit', (e) => {
       Dashboard.showLoadingMsg();
 
       ApiClient.getPluginConfiguration(pluginId).then((config) => {
-        config.BaseUrl = view.querySelector('#BaseUrl').value;
-        config.Username = view.querySelector('#Username').value;
-        config.Password = view.querySelector('#Password').value;
-        config.UserAgent = view.querySelector('#UserAgent').value;
+        const provider = Xtream.getProviderConfig(config, providerId);
+        provider[nameKey()] = view.querySelector('#ProviderName').value;
+        provider.BaseUrl = view.querySelector('#BaseUrl').value;
+        provider.AlternateBaseUrls = view.querySelector('#AlternateBaseUrls').value;
+        provider.Username = view.querySelector('#Username').value;
+        provider.Password = view.querySelector('#Password').value;
+        provider.UserAgent = view.querySelector('#UserAgent').value;
+        provider.LimitStreams = view.querySelector('#LimitStreams').checked;
+        provider.StreamLimit = Math.max(0, parseInt(view.querySelector('#StreamLimit').value, 10) || 0);
         ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
+          fillForm(config);
           reloadStatus();
           Dashboard.processPluginConfigurationUpdateResult(result);
         });
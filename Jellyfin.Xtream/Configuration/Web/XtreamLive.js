@@ -1,4 +1,375 @@
+const statusLabels = {
+  New: 'Scheduled',
+  ConflictedOk: 'Scheduled',
+  ConflictedNotOk: 'Conflicting',
+  InProgress: 'Recording',
+  Completed: 'Completed',
+  Cancelled: 'Cancelled',
+  Error: 'Failed',
+};
+
+const sendRecordingAction = (url, type) => ApiClient.fetch({
+  url: ApiClient.getUrl(url),
+  type: type,
+  dataType: 'json',
+});
+
+const createButton = (label, onclick) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.setAttribute('is', 'emby-button');
+  button.classList.add('raised');
+  button.innerText = label;
+  button.onclick = () => {
+    button.disabled = true;
+    onclick();
+  };
+  return button;
+};
+
+const createEmptyRow = (colSpan, text) => {
+  const tr = document.createElement('tr');
+  const td = document.createElement('td');
+  td.colSpan = colSpan;
+  td.classList.add('fieldDescription');
+  td.innerText = text;
+  tr.appendChild(td);
+  return tr;
+};
+
+const setupRecordings = (Xtream, view) => {
+  const recordingsContent = view.querySelector('#RecordingsContent');
+  const seriesContent = view.querySelector('#RecordingSeriesContent');
+  const pathDescription = view.querySelector('#RecordingPathDescription');
+
+  const runAction = (url, type, failure) => sendRecordingAction(url, type).catch((error) => {
+    console.error(failure, error);
+    Dashboard.alert(failure);
+  }).finally(load);
+
+  const createRecordingRow = (recording) => {
+    const tr = document.createElement('tr');
+
+    let td = document.createElement('td');
+    td.innerText = recording.Name;
+    if (recording.Error) {
+      const error = document.createElement('div');
+      error.classList.add('fieldDescription');
+      error.innerText = recording.Error;
+      td.appendChild(error);
+    }
+    tr.appendChild(td);
+
+    const values = [
+      recording.ChannelName,
+      new Date(recording.StartDate).toLocaleString(),
+      new Date(recording.EndDate).toLocaleString(),
+      (statusLabels[recording.Status] || recording.Status) + (recording.IsSeries ? ' (series)' : ''),
+      recording.BytesRecorded > 0 ? Xtream.formatSize(recording.BytesRecorded) : '-',
+    ];
+    for (const value of values) {
+      td = document.createElement('td');
+      td.innerText = value;
+      tr.appendChild(td);
+    }
+
+    td = document.createElement('td');
+    if (recording.Status === 'InProgress') {
+      td.appendChild(createButton('Stop', () => {
+        if (confirm(`Stop recording ${recording.Name}?`)) {
+          runAction(`Xtream/Recordings/${recording.Id}/Cancel`, 'POST', 'Failed to stop the recording.');
+        } else {
+          load();
+        }
+      }));
+    } else if (['New', 'ConflictedOk', 'ConflictedNotOk'].includes(recording.Status)) {
+      td.appendChild(createButton('Cancel', () => runAction(`Xtream/Recordings/${recording.Id}/Cancel`, 'POST', 'Failed to cancel the recording.')));
+    } else {
+      td.appendChild(createButton('Remove', () => runAction(`Xtream/Recordings/${recording.Id}`, 'DELETE', 'Failed to remove the recording.')));
+    }
+    tr.appendChild(td);
+
+    return tr;
+  };
+
+  const createSeriesRow = (series) => {
+    const tr = document.createElement('tr');
+    for (const value of [series.Name, series.ChannelName, series.RecordAnyTime ? 'Any time' : 'Same time slot']) {
+      const td = document.createElement('td');
+      td.innerText = value;
+      tr.appendChild(td);
+    }
+
+    const td = document.createElement('td');
+    td.appendChild(createButton('Cancel', () => {
+      if (confirm(`Stop recording new episodes of ${series.Name}? Its scheduled recordings are cancelled too.`)) {
+        runAction(`Xtream/RecordingSeries/${series.Id}/Cancel`, 'POST', 'Failed to cancel the series recording.');
+      } else {
+        load();
+      }
+    }));
+    tr.appendChild(td);
+
+    return tr;
+  };
+
+  const load = () => Xtream.fetchJson('Xtream/Recordings').then((response) => {
+    pathDescription.innerText = `Recordings are written to ${response.RecordingPath}.`;
+
+    recordingsContent.innerHTML = '';
+    if (response.Recordings.length === 0) {
+      recordingsContent.appendChild(createEmptyRow(7, 'No recordings scheduled.'));
+    }
+    response.Recordings.forEach((recording) => recordingsContent.appendChild(createRecordingRow(recording)));
+
+    seriesContent.innerHTML = '';
+    if (response.Series.length === 0) {
+      seriesContent.appendChild(createEmptyRow(4, 'No series recordings.'));
+    }
+    response.Series.forEach((series) => seriesContent.appendChild(createSeriesRow(series)));
+  }).catch((error) => {
+    console.error('Failed to load recordings:', error);
+    recordingsContent.innerHTML = '';
+    recordingsContent.appendChild(createEmptyRow(7, 'Failed to load recordings.'));
+  });
+
+  view.querySelector('#ReloadRecordingsBtn').onclick = load;
+  load();
+};
+
+const copyToClipboard = (input) => {
+  // The clipboard API is only available on secure origins
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(input.value);
+  }
+  input.select();
+  return document.execCommand('copy') ? Promise.resolve() : Promise.reject(new Error('Copy failed'));
+};
+
+const setupExport = (Xtream, view) => {
+  const urls = view.querySelector('#ExportUrls');
+  const playlistUrl = view.querySelector('#ExportPlaylistUrl');
+  const guideUrl = view.querySelector('#ExportGuideUrl');
+  const resetButton = view.querySelector('#ResetExportTokenBtn');
+  const disableButton = view.querySelector('#DisableExportBtn');
+
+  const showUrls = (response) => {
+    const enabled = !!response.PlaylistUrl;
+    urls.hidden = !enabled;
+    playlistUrl.value = response.PlaylistUrl ?? '';
+    guideUrl.value = response.GuideUrl ?? '';
+    resetButton.querySelector('span').innerText = enabled ? 'Generate new token' : 'Enable export';
+    disableButton.hidden = !enabled;
+  };
+
+  const load = () => Xtream.fetchJson('Xtream/ExportUrls').then(showUrls).catch((error) => {
+    console.error('Failed to load the export urls:', error);
+  });
+
+  view.querySelectorAll('button[data-copy]').forEach((button) => {
+    button.onclick = () => copyToClipboard(view.querySelector(`#${button.dataset['copy']}`))
+      .then(() => Dashboard.alert('Copied to the clipboard.'))
+      .catch(() => Dashboard.alert('Failed to copy. Select the url and copy it manually.'));
+  });
+
+  resetButton.onclick = () => {
+    if (!urls.hidden && !confirm('Generate a new token? Clients using the current urls have to be updated.')) {
+      return;
+    }
+    ApiClient.fetch({
+      url: ApiClient.getUrl('Xtream/ExportToken'),
+      type: 'POST',
+      dataType: 'json',
+    }).then((result) => {
+      if (result && typeof result.json === 'function') {
+        return result.json();
+      }
+      return result;
+    }).then(showUrls).catch((error) => {
+      console.error('Failed to create the export token:', error);
+      Dashboard.alert('Failed to create the export token.');
+    });
+  };
+
+  disableButton.onclick = () => {
+    if (!confirm('Disable the export? Clients using the urls lose access to the channels.')) {
+      return;
+    }
+    ApiClient.fetch({
+      url: ApiClient.getUrl('Xtream/ExportToken'),
+      type: 'DELETE',
+    }).then(load).catch((error) => {
+      console.error('Failed to disable the export:', error);
+      Dashboard.alert('Failed to disable the export.');
+    });
+  };
+
+  load();
+};
+
+const setupCatchup = (Xtream, view, config, providerId) => {
+  const channelsContent = view.querySelector('#CatchupChannelsContent');
+  const browser = view.querySelector('#CatchupBrowser');
+  const programsContent = view.querySelector('#CatchupProgramsContent');
+  const checkAll = view.querySelector('#CheckCatchupBtn');
+  const legacy = config.IsCatchupVisible;
+  const exposed = new Set(Xtream.getProviderConfig(config, providerId).CatchupChannels ?? []);
+  view.querySelector('#CatchupLegacy').hidden = !legacy;
+  let checks = [];
+
+  const checkProgram = (channel, program, status) => {
+    status.innerText = 'Checking...';
+    return ApiClient.fetch({
+      url: Xtream.withProvider(ApiClient.getUrl('Xtream/CatchupCheck', {
+        streamId: channel.Id,
+        start: program.StartLocalTime,
+        durationMinutes: program.DurationMinutes,
+      }), providerId),
+      type: 'POST',
+      dataType: 'json',
+    }).then((result) => {
+      if (result && typeof result.json === 'function') {
+        return result.json();
+      }
+      return result;
+    }).then((result) => {
+      status.innerText = result.Success ? 'Playable' : `Not playable: ${result.Message}`;
+      status.style.color = result.Success ? '' : '#ff6b6b';
+    }).catch((error) => {
+      console.error('Failed to check the program:', error);
+      status.innerText = 'Check failed';
+      status.style.color = '#ff6b6b';
+    });
+  };
+
+  const browse = (channel) => {
+    view.querySelector('#CatchupBrowserTitle').innerText = `${channel.Name} (${channel.CatchupDuration} days)`;
+    programsContent.innerHTML = '';
+    checks = [];
+    browser.hidden = false;
+    Xtream.fetchJson(Xtream.withProvider(`Xtream/CatchupPrograms?streamId=${channel.Id}`, providerId)).then((programs) => {
+      if (programs.length === 0) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 5;
+        td.classList.add('fieldDescription');
+        td.innerText = 'The guide lists no past programs for this channel.';
+        tr.appendChild(td);
+        programsContent.appendChild(tr);
+        return;
+      }
+
+      for (const program of programs) {
+        const tr = document.createElement('tr');
+        const values = [
+          new Date(program.StartDate).toLocaleString(),
+          new Date(program.EndDate).toLocaleTimeString(),
+          program.Name,
+          program.HasArchive ? 'Listed' : 'Not listed',
+        ];
+        for (const value of values) {
+          const td = document.createElement('td');
+          td.innerText = value;
+          tr.appendChild(td);
+        }
+        tr.children[2].title = program.Description;
+
+        const td = document.createElement('td');
+        const status = document.createElement('span');
+        const check = document.createElement('button');
+        check.type = 'button';
+        check.setAttribute('is', 'emby-button');
+        check.classList.add('raised');
+        check.innerText = 'Check';
+        check.onclick = () => checkProgram(channel, program, status);
+        checks.push(() => checkProgram(channel, program, status));
+        td.appendChild(check);
+        td.appendChild(status);
+        tr.appendChild(td);
+        programsContent.appendChild(tr);
+      }
+    });
+  };
+
+  // The provider limits the connections, so the programs are checked one at a time
+  checkAll.onclick = () => {
+    checkAll.disabled = true;
+    checks.reduce((previous, check) => previous.then(check), Promise.resolve())
+      .finally(() => checkAll.disabled = false);
+  };
+
+  Xtream.fetchJson(Xtream.withProvider('Xtream/CatchupChannels', providerId)).then((channels) => {
+    channelsContent.innerHTML = '';
+    if (channels.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 4;
+      td.classList.add('fieldDescription');
+      td.innerText = 'None of the selected channels has an archive.';
+      tr.appendChild(td);
+      channelsContent.appendChild(tr);
+    }
+
+    for (const channel of channels) {
+      if (legacy) {
+        exposed.add(channel.Id);
+      }
+
+      const tr = document.createElement('tr');
+      let td = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = exposed.has(channel.Id);
+      checkbox.onchange = () => checkbox.checked ? exposed.add(channel.Id) : exposed.delete(channel.Id);
+      td.appendChild(checkbox);
+      tr.appendChild(td);
+
+      for (const value of [`${channel.Number} ${channel.Name}`, `${channel.CatchupDuration} days`]) {
+        td = document.createElement('td');
+        td.innerText = value;
+        tr.appendChild(td);
+      }
+
+      td = document.createElement('td');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.setAttribute('is', 'emby-button');
+      button.classList.add('raised');
+      button.innerText = 'Browse';
+      button.onclick = () => browse(channel);
+      td.appendChild(button);
+      tr.appendChild(td);
+      channelsContent.appendChild(tr);
+    }
+  });
+
+  // Stores the selection in a freshly loaded configuration before it is saved.
+  return (config) => {
+    const apply = () => {
+      Xtream.getProviderConfig(config, providerId).CatchupChannels = [...exposed];
+      config.IsCatchupVisible = false;
+    };
+    if (!config.IsCatchupVisible) {
+      apply();
+      return Promise.resolve();
+    }
+
+    // The global setting exposed every channel, which is kept for the other providers
+    const others = [0, ...(config.Providers ?? []).map(provider => provider.Id)].filter(id => id !== providerId);
+    return Promise.all(others.map((id) => Xtream.fetchJson(Xtream.withProvider('Xtream/CatchupChannels', id))
+      .then((channels) => {
+        const providerConfig = Xtream.getProviderConfig(config, id);
+        if (providerConfig) {
+          providerConfig.CatchupChannels = channels.map(channel => channel.Id);
+        }
+      })
+      .catch(() => { })
+    )).then(apply);
+  };
+};
+
 export default function (view) {
+  const template = view.innerHTML;
   view.addEventListener("viewshow", () => import(
     ApiClient.getUrl("web/ConfigurationPage", {
       name: "Xtream.js",
@@ -7,30 +378,50 @@ export default function (view) {
   ).then((Xtream) => {
     const pluginId = Xtream.pluginConfig.UniqueId;
     Xtream.setTabs(1);
+    setupExport(Xtream, view);
+    setupRecordings(Xtream, view);
 
     const getConfig = ApiClient.getPluginConfiguration(pluginId);
-    const visible = view.querySelector("#Visible");
-    getConfig.then((config) => visible.checked = config.IsCatchupVisible);
+    const recordingPath = view.querySelector("#RecordingPath");
+    getConfig.then((config) => recordingPath.value = config.RecordingPath || '');
     const table = view.querySelector('#LiveContent');
-    Xtream.populateCategoriesTable(
-      table,
-      () => getConfig.then((config) => config.LiveTv),
-      () => Xtream.fetchJson('Xtream/LiveCategories'),
-      (categoryId) => Xtream.fetchJson(`Xtream/LiveCategories/${categoryId}`),
-    ).then((data) => {
-      view.querySelector('#XtreamLiveForm').addEventListener('submit', (e) => {
-        Dashboard.showLoadingMsg();
-
-        ApiClient.getPluginConfiguration(pluginId).then((config) => {
-          config.IsCatchupVisible = visible.checked;
-          config.LiveTv = data;
-          ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
+    getConfig.then((config) => {
+      const providerId = Xtream.setupProviderSelect(view, config, { template });
+      const applyCatchup = setupCatchup(Xtream, view, config, providerId);
+      const withProvider = (url) => Xtream.withProvider(url, providerId);
+      return Xtream.populateCategoriesTable(
+        table,
+        () => Xtream.getProviderConfig(config, providerId).LiveTv,
+        () => Xtream.fetchJson(withProvider('Xtream/LiveCategories')),
+        (categoryId) => Xtream.fetchJson(withProvider(`Xtream/LiveCategories/${categoryId}`)),
+        (query) => Xtream.fetchJson(withProvider(`Xtream/LiveSearch?query=${encodeURIComponent(query)}`)),
+        () => Xtream.fetchJson(withProvider('Xtream/LiveItems')),
+      ).then((data) => {
+        const form = view.querySelector('#XtreamLiveForm');
+        const changes = Xtream.trackChanges(view, form, data, {
+          unit: ['category', 'categories'],
+          loadSaved: () => ApiClient.getPluginConfiguration(pluginId).then((config) => Xtream.getProviderConfig(config, providerId).LiveTv),
+          restore: (saved) => Xtream.restoreSelection(table, data, saved),
+        });
+        form.addEventListener('submit', (e) => {
+          Dashboard.showLoadingMsg();
+
+          ApiClient.getPluginConfiguration(pluginId).then((config) => applyCatchup(config).then(() => {
+            config.RecordingPath = recordingPath.value.trim();
+            Xtream.getProviderConfig(config, providerId).LiveTv = data;
+            return ApiClient.updatePluginConfiguration(pluginId, config);
+          })).then((result) => {
+            changes.markSaved();
             Dashboard.processPluginConfigurationUpdateResult(result);
+          }).catch((error) => {
+            Dashboard.hideLoadingMsg();
+            console.error('Failed to save configuration:', error);
+            Dashboard.alert('Failed to save the configuration.');
           });
-        });
 
-        e.preventDefault();
-        return false;
+          e.preventDefault();
+          return false;
+        });
       });
     }).catch((error) => {
       console.error('Failed to load Live TV categories:', error);
@@ -1,4 +1,280 @@
+const csvColumns = ['ChannelId', 'OriginalNumber', 'OriginalName', 'OriginalLogoUrl', 'Number', 'Name', 'LogoUrl'];
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseCsv = (text) => {
+  // Spreadsheets in some locales export with semicolons instead of commas.
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; ++i) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        ++i;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        ++i;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+};
+
+const exportOverrides = (channels, data) => {
+  const lines = [csvColumns.join(',')];
+  for (const channel of channels) {
+    const overrides = data[channel.Id] ?? {};
+    lines.push([
+      channel.Id,
+      channel.Number,
+      channel.Name,
+      channel.LogoUrl,
+      overrides.Number,
+      overrides.Name,
+      overrides.LogoUrl,
+    ].map(escapeCsv).join(','));
+  }
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+};
+
+const parseOverrides = (text, channels, data) => {
+  const rows = parseCsv(text.replace(/^\ufeff/, ''));
+  const header = (rows.shift() ?? []).map(h => h.trim());
+  const idColumn = header.indexOf('ChannelId');
+  if (idColumn < 0) {
+    throw new Error('The CSV file has no ChannelId column.');
+  }
+
+  const channelIds = new Set(channels.map(channel => channel.Id));
+  const columns = ['Number', 'Name', 'LogoUrl']
+    .map(name => [name, header.indexOf(name)])
+    .filter(([_, index]) => index >= 0);
+  const errors = [];
+  const updates = {};
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const rawId = (row[idColumn] ?? '').trim();
+    const id = /^\d+$/.test(rawId) ? parseInt(rawId, 10) : NaN;
+    if (!channelIds.has(id)) {
+      errors.push(`Line ${line}: unknown channel ID "${rawId}".`);
+      return;
+    }
+    if (id in updates) {
+      errors.push(`Line ${line}: channel ID ${id} appears more than once.`);
+      return;
+    }
+
+    const overrides = { ...data[id] };
+    for (const [name, column] of columns) {
+      const value = (row[column] ?? '').trim();
+      if (value === '') {
+        delete overrides[name];
+      } else if (name !== 'Number') {
+        overrides[name] = value;
+      } else if (/^\d+$/.test(value)) {
+        overrides.Number = parseInt(value, 10);
+      } else {
+        errors.push(`Line ${line}: channel number "${value}" is not numeric.`);
+      }
+    }
+    updates[id] = overrides;
+  });
+  return { updates, errors };
+};
+
+const findDuplicateNumbers = (channels, data) => {
+  const byNumber = {};
+  for (const channel of channels) {
+    const overridden = data[channel.Id]?.Number !== undefined;
+    const number = overridden ? data[channel.Id].Number : channel.Number;
+    (byNumber[number] ??= []).push({ channel, overridden });
+  }
+  // Only report clashes caused by an override; the provider's own numbering is left alone.
+  return Object.keys(byNumber)
+    .filter(number => byNumber[number].length > 1 && byNumber[number].some(entry => entry.overridden))
+    .map(number => [number, byNumber[number].map(entry => entry.channel)]);
+};
+
+const renumberSequential = (channels, start) =>
+  channels.map((channel, index) => [channel, start + index]);
+
+const renumberByCategory = (channels, starts) => {
+  const next = { ...starts };
+  return channels
+    .filter(channel => next[channel.CategoryId] !== undefined)
+    .map(channel => [channel, next[channel.CategoryId]++]);
+};
+
+const applyNumbers = (data, assignments) => {
+  const result = { ...data };
+  for (const [channel, number] of assignments) {
+    result[channel.Id] = { ...data[channel.Id], Number: number };
+  }
+  return result;
+};
+
+const nameRuleTypes = [['Replace', 'Regex replace'], ['StripPrefix', 'Strip prefix'], ['ChangeCase', 'Change case']];
+const nameCases = [['Title', 'Title Case'], ['Upper', 'UPPER CASE'], ['Lower', 'lower case']];
+
+const createSelect = (options, value, onchange) => {
+  const select = document.createElement('select');
+  select.setAttribute('is', 'emby-select');
+  for (const [optionValue, text] of options) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.innerText = text;
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.onchange = () => onchange(select.value);
+  return select;
+};
+
+const createNameRuleRow = (rule, onchange, onmoveup, onremove) => {
+  const tr = document.createElement('tr');
+
+  let td = document.createElement('td');
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = rule.Enabled !== false;
+  enabled.onchange = () => {
+    rule.Enabled = enabled.checked;
+    onchange();
+  };
+  td.appendChild(enabled);
+  tr.appendChild(td);
+
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.setAttribute('is', 'emby-input');
+  pattern.value = rule.Pattern ?? '';
+  pattern.oninput = () => {
+    rule.Pattern = pattern.value;
+    onchange();
+  };
+
+  const replacement = document.createElement('input');
+  replacement.type = 'text';
+  replacement.setAttribute('is', 'emby-input');
+  replacement.value = rule.Replacement ?? '';
+  replacement.oninput = () => {
+    rule.Replacement = replacement.value;
+    onchange();
+  };
+
+  const nameCase = createSelect(nameCases, rule.Case ?? 'Title', (value) => {
+    rule.Case = value;
+    onchange();
+  });
+
+  const updateInputs = () => {
+    pattern.hidden = rule.Type === 'ChangeCase';
+    pattern.placeholder = rule.Type === 'StripPrefix' ? 'Prefix, e.g. UK:' : 'Regular expression, e.g. \\|FHD\\|';
+    replacement.hidden = rule.Type !== 'Replace';
+    nameCase.hidden = rule.Type !== 'ChangeCase';
+  };
+
+  td = document.createElement('td');
+  td.appendChild(createSelect(nameRuleTypes, rule.Type, (value) => {
+    rule.Type = value;
+    updateInputs();
+    onchange();
+  }));
+  tr.appendChild(td);
+
+  td = document.createElement('td');
+  td.appendChild(pattern);
+  td.appendChild(nameCase);
+  tr.appendChild(td);
+
+  td = document.createElement('td');
+  td.appendChild(replacement);
+  tr.appendChild(td);
+
+  td = document.createElement('td');
+  for (const [icon, title, onclick] of [['arrow_upward', 'Move up', onmoveup], ['delete', 'Remove', onremove]]) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = title;
+    button.classList.add('paper-icon-button-light');
+    const span = document.createElement('span');
+    span.ariaHidden = true;
+    span.classList.add('material-icons', icon);
+    button.appendChild(span);
+    button.onclick = onclick;
+    td.appendChild(button);
+  }
+  tr.appendChild(td);
+
+  updateInputs();
+  return tr;
+};
+
+const localLogoPrefix = '/Xtream/Logos/';
+
+const logoSource = (url) => url.startsWith(localLogoPrefix) ? ApiClient.getUrl(url.slice(1)) : url;
+
+const createLogoThumbnail = (url, title) => {
+  const img = document.createElement('img');
+  img.classList.add('logo-thumb');
+  img.title = title;
+  img.alt = '';
+  img.loading = 'lazy';
+  if (url) {
+    img.onerror = () => {
+      img.classList.add('broken-logo');
+      img.title = `${title} failed to load`;
+    };
+    img.src = logoSource(url);
+  } else {
+    img.hidden = true;
+  }
+  return img;
+};
+
+const describeEpgMapping = (overrides) => {
+  const parts = [];
+  if (overrides.XmltvChannelId) {
+    parts.push(`XMLTV ${overrides.XmltvChannelId}`);
+  } else if (overrides.EpgStreamId) {
+    parts.push(`Stream ${overrides.EpgStreamId}`);
+  }
+  if (overrides.EpgShiftMinutes) {
+    parts.push(`${overrides.EpgShiftMinutes > 0 ? '+' : ''}${overrides.EpgShiftMinutes} min`);
+  }
+  return parts.join(', ');
+};
+
 export default function (view) {
+  const template = view.innerHTML;
   const createChannelRow = (channel, overrides) => {
     const tr = document.createElement('tr');
     tr.dataset['channelId'] = channel.Id;
@@ -9,9 +285,12 @@ export default function (view) {
     number.setAttribute('is', 'emby-input');
     number.placeholder = channel.Number;
     number.value = overrides.Number ?? '';
-    number.onchange = () => number.value ?
-      overrides.Number = parseInt(number.value) :
-      delete overrides.Number;
+    number.onchange = () => {
+      number.value ?
+        overrides.Number = parseInt(number.value) :
+        delete overrides.Number;
+      tr.dispatchEvent(new CustomEvent('numberchanged', { bubbles: true }));
+    };
     td.appendChild(number);
     tr.appendChild(td);
 
@@ -28,15 +307,46 @@ export default function (view) {
     tr.appendChild(td);
 
     td = document.createElement('td');
+    const logo = document.createElement('div');
+    logo.classList.add('logo-cell');
+    logo.appendChild(createLogoThumbnail(channel.LogoUrl, 'Provider logo'));
     const image = document.createElement('input');
     image.type = 'text';
     image.setAttribute('is', 'emby-input');
+    image.setAttribute('list', 'LocalLogos');
     image.placeholder = channel.LogoUrl;
     image.value = overrides.LogoUrl ?? '';
-    image.onchange = () => image.value ?
-      overrides.LogoUrl = image.value :
-      delete overrides.LogoUrl;
-    td.appendChild(image);
+    const overrideThumbnail = createLogoThumbnail(overrides.LogoUrl, 'Override logo');
+    image.onchange = () => {
+      image.value ?
+        overrides.LogoUrl = image.value :
+        delete overrides.LogoUrl;
+      const thumbnail = createLogoThumbnail(overrides.LogoUrl, 'Override logo');
+      logo.replaceChild(thumbnail, logo.lastElementChild);
+    };
+    logo.appendChild(image);
+    logo.appendChild(overrideThumbnail);
+    td.appendChild(logo);
+    tr.appendChild(td);
+
+    td = document.createElement('td');
+    const epg = document.createElement('div');
+    epg.classList.add('logo-cell');
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.title = 'Edit EPG mapping';
+    edit.classList.add('paper-icon-button-light');
+    const icon = document.createElement('span');
+    icon.ariaHidden = true;
+    icon.classList.add('material-icons', 'edit');
+    edit.appendChild(icon);
+    edit.onclick = () => tr.dispatchEvent(new CustomEvent('editepg', { bubbles: true }));
+    epg.appendChild(edit);
+    const summary = document.createElement('span');
+    summary.classList.add('epg-summary');
+    summary.innerText = describeEpgMapping(overrides);
+    epg.appendChild(summary);
+    td.appendChild(epg);
     tr.appendChild(td);
 
     return tr;
@@ -52,28 +362,647 @@ export default function (view) {
     Xtream.setTabs(2);
 
     const getConfig = ApiClient.getPluginConfiguration(pluginId);
+    const getProviderId = getConfig.then((config) => Xtream.setupProviderSelect(view, config, { template }));
+    const fetchProviderJson = (url) => getProviderId.then((providerId) => Xtream.fetchJson(Xtream.withProvider(url, providerId)));
     const table = view.querySelector('#LiveChannels');
     Dashboard.showLoadingMsg();
     Promise.all([
-      getConfig.then((config) => config.LiveTvOverrides),
-      Xtream.fetchJson('Xtream/LiveTv'),
-    ]).then(([data, channels]) => {
+      getProviderId,
+      Promise.all([getConfig, getProviderId]).then(([config, providerId]) => Xtream.getProviderConfig(config, providerId).LiveTvOverrides),
+      fetchProviderJson('Xtream/LiveTv'),
+      fetchProviderJson('Xtream/LiveCategories'),
+      getConfig.then((config) => config.LiveTvNameRules ?? []),
+    ]).then(([providerId, data, channels, categories, nameRules]) => {
+      const filter = view.querySelector('#OverridesFilter');
+      const overriddenOnly = view.querySelector('#OverriddenOnly');
+      const validation = view.querySelector('#OverridesValidation');
+      const importFile = view.querySelector('#ImportOverridesFile');
+
+      const showValidation = (messages) => {
+        validation.innerText = messages.join('\n');
+        validation.hidden = messages.length === 0;
+      };
+
+      const markDuplicates = () => {
+        const duplicates = new Set(findDuplicateNumbers(channels, data)
+          .flatMap(([_, duplicateChannels]) => duplicateChannels.map(channel => channel.Id)));
+        table.querySelectorAll('tr[data-channel-id]').forEach((row) =>
+          row.classList.toggle('duplicate-number', duplicates.has(parseInt(row.dataset['channelId'], 10))));
+      };
+
+      const filterChannels = () => {
+        const needle = filter.value.trim().toLowerCase();
+        const channelsById = Object.fromEntries(channels.map(channel => [channel.Id, channel]));
+        table.querySelectorAll('tr[data-channel-id]').forEach((row) => {
+          const channel = channelsById[row.dataset['channelId']];
+          const overrides = data[channel.Id];
+          const text = [channel.Id, channel.Number, channel.Name, overrides.Number, overrides.Name]
+            .filter(value => value !== undefined)
+            .join(' ')
+            .toLowerCase();
+          row.hidden = !text.includes(needle) || (overriddenOnly.checked && Object.keys(overrides).length === 0);
+        });
+      };
+
+      const populateChannels = () => {
+        table.innerHTML = '';
+        for (const channel of channels) {
+          data[channel.Id] ??= {};
+          const row = createChannelRow(channel, data[channel.Id]);
+          table.appendChild(row);
+        }
+        markDuplicates();
+        filterChannels();
+      };
+      populateChannels();
+      Dashboard.hideLoadingMsg();
+
+      filter.oninput = filterChannels;
+      overriddenOnly.onchange = filterChannels;
+      table.addEventListener('numberchanged', markDuplicates);
+
+      view.querySelector('#ExportOverridesBtn').onclick = () => {
+        const blob = new Blob([exportOverrides(channels, data)], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'jellyfin-xtream-overrides.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+      };
+
+      view.querySelector('#ImportOverridesBtn').onclick = () => {
+        importFile.value = '';
+        importFile.click();
+      };
+
+      const renumberMode = view.querySelector('#RenumberMode');
+      const renumberStart = view.querySelector('#RenumberStart');
+      const renumberCategories = view.querySelector('#RenumberCategoriesContent');
+      const renumberCollisions = view.querySelector('#RenumberCollisions');
+      const renumberPreview = view.querySelector('#RenumberPreview');
+      const renumberPreviewContent = view.querySelector('#RenumberPreviewContent');
+      const renumberApply = view.querySelector('#RenumberApplyBtn');
+      let pendingNumbers;
+
+      renumberCategories.innerHTML = '';
+      for (const category of categories) {
+        const count = channels.filter(channel => channel.CategoryId === category.Id).length;
+        if (count === 0) {
+          continue;
+        }
+
+        const tr = document.createElement('tr');
+        tr.dataset['categoryId'] = category.Id;
+        let td = document.createElement('td');
+        const start = document.createElement('input');
+        start.type = 'number';
+        start.min = 1;
+        start.setAttribute('is', 'emby-input');
+        td.appendChild(start);
+        tr.appendChild(td);
+        td = document.createElement('td');
+        td.innerText = category.Name;
+        tr.appendChild(td);
+        td = document.createElement('td');
+        td.innerText = count;
+        tr.appendChild(td);
+        renumberCategories.appendChild(tr);
+      }
+
+      const resetPreview = () => {
+        pendingNumbers = undefined;
+        renumberApply.disabled = true;
+        renumberPreview.hidden = true;
+        renumberPreviewContent.innerHTML = '';
+        renumberCollisions.hidden = true;
+      };
+
+      renumberMode.onchange = () => {
+        view.querySelector('#RenumberSequential').hidden = renumberMode.value !== 'sequential';
+        view.querySelector('#RenumberCategories').hidden = renumberMode.value !== 'category';
+        resetPreview();
+      };
+
+      view.querySelector('#RenumberPreviewBtn').onclick = () => {
+        resetPreview();
+        let assignments;
+        if (renumberMode.value === 'sequential') {
+          const start = parseInt(renumberStart.value, 10);
+          if (!(start > 0)) {
+            Dashboard.alert('Enter a starting number of at least 1.');
+            return;
+          }
+          assignments = renumberSequential(channels, start);
+        } else {
+          const starts = {};
+          renumberCategories.querySelectorAll('tr[data-category-id]').forEach((row) => {
+            const start = parseInt(row.querySelector('input').value, 10);
+            if (start > 0) {
+              starts[row.dataset['categoryId']] = start;
+            }
+          });
+          assignments = renumberByCategory(channels, starts);
+        }
+        if (assignments.length === 0) {
+          Dashboard.alert('No channels to renumber. Enter a starting number for at least one category.');
+          return;
+        }
+
+        const renumbered = applyNumbers(data, assignments);
+        const duplicates = findDuplicateNumbers(channels, renumbered);
+        const collisions = new Set(duplicates.flatMap(([_, duplicateChannels]) => duplicateChannels.map(channel => channel.Id)));
+        for (const [channel, number] of assignments) {
+          const tr = document.createElement('tr');
+          tr.classList.toggle('duplicate-number', collisions.has(channel.Id));
+          for (const text of [data[channel.Id].Number ?? channel.Number, number, data[channel.Id].Name ?? channel.Name]) {
+            const td = document.createElement('td');
+            td.innerText = text;
+            tr.appendChild(td);
+          }
+          renumberPreviewContent.appendChild(tr);
+        }
+        if (duplicates.length > 0) {
+          renumberCollisions.innerText = ['Colliding channel numbers:', ...duplicates.map(([number, duplicateChannels]) =>
+            `Number ${number} is used by ${duplicateChannels.map(channel => channel.Name).join(', ')}.`)].join('\n');
+          renumberCollisions.hidden = false;
+        }
+        renumberPreview.hidden = false;
+        renumberApply.disabled = false;
+        pendingNumbers = { assignments, collisions: duplicates.length };
+      };
+
+      renumberApply.onclick = () => {
+        if (!pendingNumbers) {
+          return;
+        }
+        if (pendingNumbers.collisions > 0 &&
+          !confirm(`The new numbering has ${pendingNumbers.collisions} colliding channel numbers. Apply anyway?`)) {
+          return;
+        }
+
+        for (const [channel, number] of pendingNumbers.assignments) {
+          data[channel.Id].Number = number;
+        }
+        const count = pendingNumbers.assignments.length;
+        resetPreview();
+        populateChannels();
+        table.dispatchEvent(new CustomEvent('datachanged', { bubbles: true }));
+        Dashboard.alert(`Renumbered ${count} channels. Save to apply them.`);
+      };
+
+      importFile.onchange = () => {
+        const file = importFile.files[0];
+        if (!file) {
+          return;
+        }
+
+        file.text().then((text) => {
+          const { updates, errors } = parseOverrides(text, channels, data);
+          if (errors.length > 0) {
+            showValidation(['The CSV file was not imported:', ...errors]);
+            return;
+          }
+
+          const duplicates = findDuplicateNumbers(channels, { ...data, ...updates })
+            .map(([number, duplicateChannels]) => `Number ${number} is used by ${duplicateChannels.map(channel => channel.Name).join(', ')}.`);
+          if (duplicates.length > 0) {
+            showValidation(['Duplicate channel numbers:', ...duplicates]);
+            if (!confirm(`The imported overrides contain ${duplicates.length} duplicate channel numbers. Import anyway?`)) {
+              return;
+            }
+          } else {
+            showValidation([]);
+          }
+
+          Object.assign(data, updates);
+          populateChannels();
+          table.dispatchEvent(new CustomEvent('datachanged', { bubbles: true }));
+          Dashboard.alert(`Imported overrides for ${Object.keys(updates).length} channels. Save to apply them.`);
+        }).catch((error) => {
+          console.error('Failed to import overrides:', error);
+          showValidation([`The CSV file was not imported: ${error.message}`]);
+        });
+      };
+
+      const nameRulesTable = view.querySelector('#NameRulesContent');
+      const nameRulesErrors = view.querySelector('#NameRulesErrors');
+      const nameRulesSummary = view.querySelector('#NameRulesSummary');
+      const nameRulesPreview = view.querySelector('#NameRulesPreview');
+      const nameRulesPreviewContent = view.querySelector('#NameRulesPreviewContent');
+      let previewTimeout;
+
+      const previewNameRules = () => {
+        ApiClient.fetch({
+          url: Xtream.withProvider(ApiClient.getUrl('Xtream/LiveNameRulesPreview'), providerId),
+          type: 'POST',
+          data: JSON.stringify(nameRules),
+          contentType: 'application/json',
+          dataType: 'json',
+        }).then((result) => {
+          if (result && typeof result.json === 'function') {
+            return result.json();
+          }
+          return result;
+        }).then((preview) => {
+          const changed = preview.filter(channel => channel.CleanedName !== channel.OriginalName);
+          nameRulesErrors.hidden = true;
+          nameRulesSummary.innerText = `${changed.length} of ${preview.length} channel names are changed by these rules.`;
+          nameRulesPreviewContent.innerHTML = '';
+          for (const channel of changed) {
+            const tr = document.createElement('tr');
+            for (const text of [channel.OriginalName, channel.CleanedName]) {
+              const td = document.createElement('td');
+              td.innerText = text;
+              tr.appendChild(td);
+            }
+            nameRulesPreviewContent.appendChild(tr);
+          }
+          nameRulesPreview.hidden = changed.length === 0;
+        }).catch((error) => {
+          const message = error && typeof error.text === 'function' ? error.text() : Promise.resolve(error?.message ?? '');
+          message.then((text) => {
+            nameRulesErrors.innerText = text || 'Failed to preview the name rules.';
+            nameRulesErrors.hidden = false;
+          });
+        });
+      };
+
+      const schedulePreview = () => {
+        clearTimeout(previewTimeout);
+        previewTimeout = setTimeout(previewNameRules, 500);
+      };
+
+      const nameRulesChanged = () => {
+        nameRulesTable.dispatchEvent(new CustomEvent('datachanged', { bubbles: true }));
+        schedulePreview();
+      };
+
+      const populateNameRules = () => {
+        nameRulesTable.innerHTML = '';
+        nameRules.forEach((rule, index) => {
+          nameRulesTable.appendChild(createNameRuleRow(
+            rule,
+            schedulePreview,
+            () => {
+              if (index > 0) {
+                nameRules.splice(index - 1, 0, ...nameRules.splice(index, 1));
+                populateNameRules();
+                nameRulesChanged();
+              }
+            },
+            () => {
+              nameRules.splice(index, 1);
+              populateNameRules();
+              nameRulesChanged();
+            }));
+        });
+      };
+      populateNameRules();
+      previewNameRules();
+
+      view.querySelector('#AddNameRuleBtn').onclick = () => {
+        nameRules.push({ Enabled: true, Type: 'Replace', Pattern: '', Replacement: '', Case: 'Title' });
+        populateNameRules();
+        nameRulesChanged();
+      };
+
+      const logoCheckResults = view.querySelector('#LogoCheckResults');
+      const localLogos = view.querySelector('#LocalLogos');
+      const localLogosList = view.querySelector('#LocalLogosContent');
+      const logoFile = view.querySelector('#UploadLogoFile');
+
+      view.querySelector('#CheckLogosBtn').onclick = () => {
+        Dashboard.showLoadingMsg();
+        ApiClient.fetch({
+          url: Xtream.withProvider(ApiClient.getUrl('Xtream/LiveLogosCheck'), providerId),
+          type: 'POST',
+          dataType: 'json',
+        }).then((result) => {
+          if (result && typeof result.json === 'function') {
+            return result.json();
+          }
+          return result;
+        }).then((failures) => {
+          Dashboard.hideLoadingMsg();
+          const failed = new Set(failures.map(failure => failure.Id));
+          table.querySelectorAll('tr[data-channel-id]').forEach((row) =>
+            row.classList.toggle('broken-logo', failed.has(parseInt(row.dataset['channelId'], 10))));
+          logoCheckResults.innerText = failures.length === 0 ?
+            'All channel logos loaded successfully.' :
+            [`${failures.length} logos failed to load:`, ...failures.map(failure =>
+              `${failure.Name}: ${failure.IsOverride ? 'override' : 'provider'} logo ${failure.Url} (${failure.Error})`)].join('\n');
+          logoCheckResults.hidden = false;
+        }).catch((error) => {
+          console.error('Failed to check logos:', error);
+          Dashboard.hideLoadingMsg();
+          Dashboard.alert('Failed to check logos. Check the server logs.');
+        });
+      };
+
+      const loadLocalLogos = () => Xtream.fetchJson('Xtream/Logos').then((logos) => {
+        localLogos.innerHTML = '';
+        localLogosList.innerHTML = '';
+        for (const logo of logos) {
+          const option = document.createElement('option');
+          option.value = logo.Url;
+          option.innerText = logo.Name;
+          localLogos.appendChild(option);
+
+          const tr = document.createElement('tr');
+          let td = document.createElement('td');
+          td.appendChild(createLogoThumbnail(logo.Url, logo.Name));
+          tr.appendChild(td);
+          td = document.createElement('td');
+          td.innerText = logo.Url;
+          tr.appendChild(td);
+          td = document.createElement('td');
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.title = 'Delete';
+          remove.classList.add('paper-icon-button-light');
+          const icon = document.createElement('span');
+          icon.ariaHidden = true;
+          icon.classList.add('material-icons', 'delete');
+          remove.appendChild(icon);
+          remove.onclick = () => {
+            if (!confirm(`Delete the logo ${logo.Name}? Channels using it will fall back to the provider logo.`)) {
+              return;
+            }
+            ApiClient.fetch({
+              url: ApiClient.getUrl(`Xtream/Logos/${encodeURIComponent(logo.Name)}`),
+              type: 'DELETE',
+            }).then(loadLocalLogos).catch((error) => {
+              console.error('Failed to delete logo:', error);
+              Dashboard.alert('Failed to delete the logo.');
+            });
+          };
+          td.appendChild(remove);
+          tr.appendChild(td);
+          localLogosList.appendChild(tr);
+        }
+      });
+      loadLocalLogos();
+
+      view.querySelector('#UploadLogoBtn').onclick = () => {
+        logoFile.value = '';
+        logoFile.click();
+      };
+
+      logoFile.onchange = () => {
+        const file = logoFile.files[0];
+        if (!file) {
+          return;
+        }
+
+        Dashboard.showLoadingMsg();
+        ApiClient.fetch({
+          url: ApiClient.getUrl('Xtream/Logos', { name: file.name }),
+          type: 'POST',
+          data: file,
+          contentType: file.type || 'application/octet-stream',
+          dataType: 'json',
+        }).then(() => loadLocalLogos()).then(() => {
+          Dashboard.hideLoadingMsg();
+        }).catch((error) => {
+          console.error('Failed to upload logo:', error);
+          Dashboard.hideLoadingMsg();
+          const message = error && typeof error.text === 'function' ? error.text() : Promise.resolve('');
+          message.then((text) => Dashboard.alert(text || 'Failed to upload the logo.'));
+        });
+      };
+
+      const epgTool = view.querySelector('#EpgMappingTool');
+      const epgChannel = view.querySelector('#EpgChannel');
+      const epgSource = view.querySelector('#EpgSource');
+      const epgStreamId = view.querySelector('#EpgStreamId');
+      const xmltvChannelId = view.querySelector('#XmltvChannelId');
+      const epgShift = view.querySelector('#EpgShiftMinutes');
+      const epgPreview = view.querySelector('#EpgPreview');
+      const epgPreviewContent = view.querySelector('#EpgPreviewContent');
+      const epgPreviewErrors = view.querySelector('#EpgPreviewErrors');
+      const epgStreams = view.querySelector('#EpgStreams');
+      const xmltvStatus = view.querySelector('#XmltvStatus');
+      const xmltvChannels = view.querySelector('#XmltvChannels');
+      const xmltvFile = view.querySelector('#UploadXmltvFile');
+
+      epgChannel.innerHTML = '';
+      epgStreams.innerHTML = '';
       for (const channel of channels) {
-        data[channel.Id] ??= {};
-        const row = createChannelRow(channel, data[channel.Id]);
-        table.appendChild(row);
+        const option = document.createElement('option');
+        option.value = channel.Id;
+        option.innerText = `${channel.Number} ${channel.Name}`;
+        epgChannel.appendChild(option);
+
+        const stream = document.createElement('option');
+        stream.value = channel.Id;
+        stream.innerText = channel.Name;
+        epgStreams.appendChild(stream);
       }
-      Dashboard.hideLoadingMsg();
 
-      view.querySelector('#XtreamLiveOverridesForm').addEventListener('submit', (e) => {
+      const resetEpgPreview = () => {
+        epgPreview.hidden = true;
+        epgPreviewContent.innerHTML = '';
+        epgPreviewErrors.hidden = true;
+      };
+
+      const updateEpgInputs = () => {
+        view.querySelector('#EpgStreamContainer').hidden = epgSource.value !== 'stream';
+        view.querySelector('#XmltvChannelContainer').hidden = epgSource.value !== 'xmltv';
+      };
+
+      const showEpgMapping = () => {
+        const overrides = data[epgChannel.value] ?? {};
+        epgSource.value = overrides.XmltvChannelId ? 'xmltv' : overrides.EpgStreamId ? 'stream' : 'own';
+        epgStreamId.value = overrides.EpgStreamId ?? '';
+        xmltvChannelId.value = overrides.XmltvChannelId ?? '';
+        epgShift.value = overrides.EpgShiftMinutes ?? '';
+        updateEpgInputs();
+        resetEpgPreview();
+      };
+
+      const updateEpgMapping = () => {
+        const overrides = data[epgChannel.value];
+        if (!overrides) {
+          return;
+        }
+
+        delete overrides.EpgStreamId;
+        delete overrides.XmltvChannelId;
+        delete overrides.EpgShiftMinutes;
+        const streamId = parseInt(epgStreamId.value, 10);
+        if (epgSource.value === 'stream' && streamId > 0) {
+          overrides.EpgStreamId = streamId;
+        }
+        if (epgSource.value === 'xmltv' && xmltvChannelId.value.trim() !== '') {
+          overrides.XmltvChannelId = xmltvChannelId.value.trim();
+        }
+        const shift = parseInt(epgShift.value, 10);
+        if (shift) {
+          overrides.EpgShiftMinutes = shift;
+        }
+
+        const summary = table.querySelector(`tr[data-channel-id="${epgChannel.value}"] .epg-summary`);
+        if (summary) {
+          summary.innerText = describeEpgMapping(overrides);
+        }
+        resetEpgPreview();
+      };
+
+      epgChannel.onchange = showEpgMapping;
+      epgSource.onchange = () => {
+        updateEpgInputs();
+        updateEpgMapping();
+      };
+      epgStreamId.onchange = updateEpgMapping;
+      xmltvChannelId.onchange = updateEpgMapping;
+      epgShift.onchange = updateEpgMapping;
+      showEpgMapping();
+
+      table.addEventListener('editepg', (e) => {
+        epgChannel.value = e.target.dataset['channelId'];
+        showEpgMapping();
+        epgTool.open = true;
+        epgTool.scrollIntoView();
+      });
+
+      view.querySelector('#EpgPreviewBtn').onclick = () => {
+        resetEpgPreview();
+        ApiClient.fetch({
+          url: Xtream.withProvider(ApiClient.getUrl('Xtream/LiveEpgPreview', { streamId: epgChannel.value }), providerId),
+          type: 'POST',
+          data: JSON.stringify(data[epgChannel.value] ?? {}),
+          contentType: 'application/json',
+          dataType: 'json',
+        }).then((result) => {
+          if (result && typeof result.json === 'function') {
+            return result.json();
+          }
+          return result;
+        }).then((programs) => {
+          if (programs.length === 0) {
+            epgPreviewErrors.innerText = 'The mapping produces no upcoming programs.';
+            epgPreviewErrors.hidden = false;
+            return;
+          }
+
+          for (const program of programs) {
+            const tr = document.createElement('tr');
+            for (const text of [new Date(program.StartDate).toLocaleString(), new Date(program.EndDate).toLocaleString(), program.Name]) {
+              const td = document.createElement('td');
+              td.innerText = text;
+              tr.appendChild(td);
+            }
+            epgPreviewContent.appendChild(tr);
+          }
+          epgPreview.hidden = false;
+        }).catch((error) => {
+          const message = error && typeof error.text === 'function' ? error.text() : Promise.resolve(error?.message ?? '');
+          message.then((text) => {
+            epgPreviewErrors.innerText = text || 'Failed to preview the EPG mapping.';
+            epgPreviewErrors.hidden = false;
+          });
+        });
+      };
+
+      const showXmltvGuide = (guide) => {
+        xmltvStatus.innerText = guide.UploadTime ?
+          `Uploaded ${new Date(guide.UploadTime).toLocaleString()} with ${guide.Channels.length} channels.` :
+          'No XMLTV guide uploaded.';
+        view.querySelector('#DeleteXmltvBtn').disabled = !guide.UploadTime;
+        xmltvChannels.innerHTML = '';
+        for (const channel of guide.Channels) {
+          const option = document.createElement('option');
+          option.value = channel.Id;
+          option.innerText = `${channel.Name} (${channel.ProgramCount} programs)`;
+          xmltvChannels.appendChild(option);
+        }
+      };
+
+      const loadXmltvGuide = () => Xtream.fetchJson('Xtream/Xmltv').then(showXmltvGuide).catch((error) => {
+        console.error('Failed to load the XMLTV guide:', error);
+        xmltvStatus.innerText = 'Failed to load the XMLTV guide.';
+      });
+      loadXmltvGuide();
+
+      view.querySelector('#UploadXmltvBtn').onclick = () => {
+        xmltvFile.value = '';
+        xmltvFile.click();
+      };
+
+      xmltvFile.onchange = () => {
+        const file = xmltvFile.files[0];
+        if (!file) {
+          return;
+        }
+
+        Dashboard.showLoadingMsg();
+        ApiClient.fetch({
+          url: ApiClient.getUrl('Xtream/Xmltv'),
+          type: 'POST',
+          data: file,
+          contentType: file.type || 'application/octet-stream',
+          dataType: 'json',
+        }).then((result) => {
+          if (result && typeof result.json === 'function') {
+            return result.json();
+          }
+          return result;
+        }).then((guide) => {
+          Dashboard.hideLoadingMsg();
+          showXmltvGuide(guide);
+        }).catch((error) => {
+          console.error('Failed to upload the XMLTV guide:', error);
+          Dashboard.hideLoadingMsg();
+          const message = error && typeof error.text === 'function' ? error.text() : Promise.resolve('');
+          message.then((text) => Dashboard.alert(text || 'Failed to upload the XMLTV guide.'));
+        });
+      };
+
+      view.querySelector('#DeleteXmltvBtn').onclick = () => {
+        if (!confirm('Delete the XMLTV guide? Channels mapped to it will have no programs until another guide is uploaded.')) {
+          return;
+        }
+        ApiClient.fetch({
+          url: ApiClient.getUrl('Xtream/Xmltv'),
+          type: 'DELETE',
+        }).then(loadXmltvGuide).catch((error) => {
+          console.error('Failed to delete the XMLTV guide:', error);
+          Dashboard.alert('Failed to delete the XMLTV guide.');
+        });
+      };
+
+      const form = view.querySelector('#XtreamLiveOverridesForm');
+      let savedNameRules = [];
+      const changes = Xtream.trackChanges(view, form, data, {
+        unit: ['channel', 'channels'],
+        loadSaved: () => ApiClient.getPluginConfiguration(pluginId).then((config) => {
+          savedNameRules = config.LiveTvNameRules ?? [];
+          return Xtream.getProviderConfig(config, providerId).LiveTvOverrides;
+        }),
+        restore: (saved) => {
+          Object.keys(data).forEach((key) => delete data[key]);
+          Object.assign(data, structuredClone(saved));
+          nameRules.splice(0, nameRules.length, ...savedNameRules);
+          populateChannels();
+          showEpgMapping();
+          populateNameRules();
+          schedulePreview();
+        },
+        extras: { 'name rules': () => nameRules },
+      });
+      form.addEventListener('submit', (e) => {
         Dashboard.showLoadingMsg();
 
         ApiClient.getPluginConfiguration(pluginId).then((config) => {
-          config.LiveTvOverrides = Xtream.filter(
+          config.LiveTvNameRules = nameRules;
+          Xtream.getProviderConfig(config, providerId).LiveTvOverrides = Xtream.filter(
             data,
             overrides => Object.keys(overrides).length > 0
           );
           ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
+            changes.markSaved();
             Dashboard.processPluginConfigurationUpdateResult(result);
           });
         });
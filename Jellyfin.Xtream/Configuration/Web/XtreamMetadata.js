@@ -0,0 +1,231 @@
+const libraries = {
+  Vod: {
+    overrides: 'TmdbTitleOverrides',
+    ignored: 'IgnoredVodMatches',
+    noun: 'movies',
+    link: (id) => `https://www.themoviedb.org/movie/${id}`,
+  },
+  Series: {
+    overrides: 'TvdbTitleOverrides',
+    ignored: 'IgnoredSeriesMatches',
+    noun: 'series',
+    link: (id) => `https://thetvdb.com/dereferrer/series/${id}`,
+  },
+};
+
+const reasons = {
+  Matched: 'Matched',
+  Overridden: 'Title override',
+  Unmatched: 'No match found',
+  MatchedWithoutYear: 'No year to confirm the match',
+  NameMismatch: 'Matched name differs',
+};
+
+export default function (view) {
+  const template = view.innerHTML;
+  view.addEventListener("viewshow", () => import(
+    ApiClient.getUrl("web/ConfigurationPage", {
+      name: "Xtream.js",
+    })
+  ).then((Xtream) => Xtream.default
+  ).then((Xtream) => {
+    const pluginId = Xtream.pluginConfig.UniqueId;
+    Xtream.setTabs(5);
+
+    const matchType = view.querySelector('#MatchType');
+    const showIgnored = view.querySelector('#ShowIgnored');
+    const reload = view.querySelector('#ReloadMatchesBtn');
+    const summary = view.querySelector('#MatchSummary');
+    const table = view.querySelector('#MatchesContent');
+    const getProviderId = ApiClient.getPluginConfiguration(pluginId).then((config) => Xtream.setupProviderSelect(view, config, { template }));
+
+    let config = null;
+    let matches = [];
+
+    const library = () => libraries[matchType.value];
+
+    const isIgnored = (match) => {
+      const key = match.ParsedTitle.toLowerCase();
+      return (config[library().ignored] || []).some(title => title.toLowerCase() === key);
+    };
+
+    // Only the review settings are saved, as saving the whole configuration restarts the cache refreshes
+    const updateConfig = (update) => {
+      Dashboard.showLoadingMsg();
+      return ApiClient.getPluginConfiguration(pluginId).then((latest) => {
+        update(latest);
+        return ApiClient.fetch({
+          url: ApiClient.getUrl('Xtream/MetadataReviewSettings'),
+          type: 'POST',
+          data: JSON.stringify({
+            TmdbTitleOverrides: latest.TmdbTitleOverrides || '',
+            TvdbTitleOverrides: latest.TvdbTitleOverrides || '',
+            IgnoredVodMatches: latest.IgnoredVodMatches || [],
+            IgnoredSeriesMatches: latest.IgnoredSeriesMatches || [],
+          }),
+          contentType: 'application/json',
+          dataType: 'json',
+        }).then(() => {
+          config = latest;
+          Dashboard.hideLoadingMsg();
+        });
+      }).catch((error) => {
+        Dashboard.hideLoadingMsg();
+        console.error('Failed to save configuration:', error);
+        Dashboard.alert('Failed to save the configuration.');
+        throw error;
+      });
+    };
+
+    const setOverride = (match, id) => updateConfig((latest) => {
+      const key = library().overrides;
+      latest[key] = Xtream.setTitleOverride(latest[key] || '', match.ParsedTitle, id);
+    });
+
+    const setIgnored = (match, ignored) => updateConfig((latest) => {
+      const key = library().ignored;
+      const title = match.ParsedTitle.toLowerCase();
+      latest[key] = (latest[key] || []).filter(t => t.toLowerCase() !== title);
+      if (ignored) {
+        latest[key].push(match.ParsedTitle);
+      }
+    });
+
+    const createButton = (text, onclick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.setAttribute('is', 'emby-button');
+      button.classList.add('raised');
+      button.innerText = text;
+      button.onclick = onclick;
+      return button;
+    };
+
+    const describeMatch = (match) => {
+      const cell = document.createElement('td');
+      if (match.ProviderId) {
+        const link = document.createElement('a');
+        link.href = library().link(match.ProviderId);
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.innerText = match.ProviderId;
+        const name = match.MatchedName ?
+          `${match.MatchedName}${match.MatchedYear ? ` (${match.MatchedYear})` : ''} ` :
+          '';
+        cell.append(name, '[', link, ']');
+      } else {
+        cell.innerText = '-';
+      }
+      return cell;
+    };
+
+    const createRow = (match) => {
+      const tr = document.createElement('tr');
+      tr.dataset.itemId = match.Id;
+      const ignored = isIgnored(match);
+      tr.classList.toggle('ignored-match', ignored);
+
+      let td = document.createElement('td');
+      td.innerText = match.Name;
+      tr.appendChild(td);
+
+      td = document.createElement('td');
+      td.innerText = match.Year ? `${match.ParsedTitle} (${match.Year})` : match.ParsedTitle;
+      tr.appendChild(td);
+
+      tr.appendChild(describeMatch(match));
+
+      const reason = document.createElement('td');
+      reason.innerText = reasons[match.Status] || match.Status;
+      tr.appendChild(reason);
+
+      td = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.classList.add('metadata-review-actions');
+
+      if (match.ProviderId) {
+        actions.appendChild(createButton('Accept', () => setOverride(match, match.ProviderId).then(() => {
+          reason.innerText = `Accepted as ${match.ProviderId}`;
+        })));
+      }
+
+      const id = document.createElement('input');
+      id.type = 'text';
+      id.setAttribute('is', 'emby-input');
+      id.inputMode = 'numeric';
+      id.placeholder = 'ID';
+      actions.appendChild(id);
+      actions.appendChild(createButton('Override', () => {
+        const value = id.value.trim();
+        if (!/^\d+$/.test(value)) {
+          Dashboard.alert('Enter a numeric ID.');
+          return;
+        }
+
+        setOverride(match, value).then(() => {
+          reason.innerText = `Overridden with ${value}`;
+        });
+      }));
+
+      actions.appendChild(createButton(ignored ? 'Unignore' : 'Ignore', () => setIgnored(match, !ignored).then(render)));
+
+      actions.appendChild(createButton('Re-lookup', () => {
+        reason.innerText = 'Looking up...';
+        getProviderId.then((providerId) => ApiClient.fetch({
+          url: ApiClient.getUrl(Xtream.withProvider(`Xtream/${matchType.value}Matches/${match.Id}/Relookup`, providerId)),
+          type: 'POST',
+          dataType: 'json',
+        })).then(result => {
+          if (result && typeof result.json === 'function') {
+            return result.json();
+          }
+          return result;
+        }).then((updated) => {
+          matches = matches.map(m => m.Id === updated.Id ? updated : m);
+          tr.replaceWith(createRow(updated));
+        }).catch((error) => {
+          console.error('Metadata re-lookup failed:', error);
+          reason.innerText = 'Lookup failed';
+        });
+      }));
+
+      td.appendChild(actions);
+      tr.appendChild(td);
+      return tr;
+    };
+
+    const render = () => {
+      table.innerHTML = '';
+      const visible = matches.filter(match => showIgnored.checked || !isIgnored(match));
+      const hidden = matches.length - visible.length;
+      if (matches.length === 0) {
+        summary.innerText = `Nothing to review. Lookups are recorded while the ${library().noun} cache refreshes.`;
+      } else {
+        summary.innerText = `${matches.length} ${library().noun} to review` + (hidden > 0 ? `, ${hidden} ignored` : '') + '.';
+      }
+      visible.forEach(match => table.appendChild(createRow(match)));
+    };
+
+    const load = () => {
+      Dashboard.showLoadingMsg();
+      return Promise.all([
+        ApiClient.getPluginConfiguration(pluginId),
+        getProviderId.then((providerId) => Xtream.fetchJson(Xtream.withProvider(`Xtream/${matchType.value}Matches`, providerId))),
+      ]).then(([loadedConfig, loadedMatches]) => {
+        config = loadedConfig;
+        matches = loadedMatches;
+        render();
+        Dashboard.hideLoadingMsg();
+      }).catch((error) => {
+        Dashboard.hideLoadingMsg();
+        console.error('Failed to load metadata matches:', error);
+        summary.innerText = 'Failed to load metadata matches.';
+      });
+    };
+
+    matchType.onchange = load;
+    showIgnored.onchange = render;
+    reload.onclick = load;
+    load();
+  }));
+}
@@ -1,4 +1,5 @@
 export default function (view) {
+  const template = view.innerHTML;
   view.addEventListener("viewshow", () => import(
     ApiClient.getUrl("web/ConfigurationPage", {
       name: "Xtream.js",
@@ -9,12 +10,18 @@ export default function (view) {
     Xtream.setTabs(4);
 
     const getConfig = ApiClient.getPluginConfiguration(pluginId);
+    const getProviderId = getConfig.then((config) => Xtream.setupProviderSelect(view, config, { template }));
     const visible = view.querySelector("#Visible");
     const flattenSeriesView = view.querySelector("#FlattenSeriesView");
     const enableCaching = view.querySelector("#EnableCaching");
     const cacheOptionsContainer = view.querySelector("#CacheOptionsContainer");
     const cacheRefreshMinutes = view.querySelector("#SeriesCacheRefreshMinutes");
     const refreshCacheBtn = view.querySelector("#RefreshCacheBtn");
+    const refreshMenuBtn = view.querySelector("#RefreshMenuBtn");
+    const refreshMenu = view.querySelector("#RefreshMenu");
+    const cancelRefreshBtn = view.querySelector("#CancelRefreshBtn");
+    const syncTimes = view.querySelector("#SyncTimes");
+    const refreshHistory = view.querySelector("#RefreshHistoryContent");
     const clearCacheBtn = view.querySelector("#ClearCacheBtn");
     const cacheStatusContainer = view.querySelector("#CacheStatusContainer");
     const cacheProgressFill = view.querySelector("#CacheProgressFill");
@@ -30,7 +37,9 @@ export default function (view) {
     // Artwork Injector settings
     const useTvdbForSeriesMetadata = view.querySelector("#UseTvdbForSeriesMetadata");
     const tvdbOptionsContainer = view.querySelector("#TvdbOptionsContainer");
-    const tvdbTitleOverrides = view.querySelector("#TvdbTitleOverrides");
+    const tvdbTitleOverrides = Xtream.createTitleOverridesEditor(
+      view.querySelector("#TvdbTitleOverridesEditor"),
+      (title) => Xtream.fetchJson(`Xtream/TvdbLookup?title=${encodeURIComponent(title)}`));
 
     // Toggle cache options visibility
     function updateCacheOptionsVisibility() {
@@ -70,7 +79,7 @@ export default function (view) {
 
       // Artwork Injector settings
       useTvdbForSeriesMetadata.checked = config.UseTvdbForSeriesMetadata !== false;
-      tvdbTitleOverrides.value = config.TvdbTitleOverrides || '';
+      tvdbTitleOverrides.setValue(config.TvdbTitleOverrides || '');
 
       updateCacheOptionsVisibility();
       updateParallelismDisplay();
@@ -78,8 +87,8 @@ export default function (view) {
       updateTvdbOptionsVisibility();
     });
 
-    // Refresh Now button handler
-    refreshCacheBtn.addEventListener('click', () => {
+    // Refresh buttons: the main button refreshes incrementally when enabled, the menu also offers a full refresh
+    function triggerRefresh(fullSync) {
       // Check if already refreshing
       if (refreshCacheBtn.disabled) {
         Dashboard.alert('Cache refresh is already in progress. Please wait for it to complete.');
@@ -89,11 +98,11 @@ export default function (view) {
       refreshCacheBtn.disabled = true;
       refreshCacheBtn.querySelector('span').textContent = 'Starting...';
 
-      ApiClient.fetch({
-        url: ApiClient.getUrl('Xtream/SeriesCacheRefresh'),
+      getProviderId.then((providerId) => ApiClient.fetch({
+        url: ApiClient.getUrl(Xtream.withProvider(`Xtream/SeriesCacheRefresh?fullSync=${fullSync}`, providerId)),
         type: 'POST',
         dataType: 'json'
-      })
+      }))
         .then(result => {
           // Handle both Response object and parsed JSON
           if (result && typeof result.json === 'function') {
@@ -118,12 +127,45 @@ export default function (view) {
           refreshCacheBtn.disabled = false;
           refreshCacheBtn.querySelector('span').textContent = 'Refresh Now';
         });
+    }
+
+    refreshCacheBtn.addEventListener('click', () => triggerRefresh(false));
+    Xtream.setupSplitButton(refreshMenuBtn, refreshMenu, (value) => triggerRefresh(value === 'full'));
+
+    // Cancel Refresh button handler
+    cancelRefreshBtn.addEventListener('click', () => {
+      cancelRefreshBtn.disabled = true;
+      getProviderId.then((providerId) => ApiClient.fetch({
+        url: ApiClient.getUrl(Xtream.withProvider('Xtream/SeriesCacheCancel', providerId)),
+        type: 'POST',
+        dataType: 'json'
+      }))
+        .then(result => {
+          if (result && typeof result.json === 'function') {
+            return result.json();
+          }
+          return result;
+        })
+        .then(result => {
+          if (result.Success) {
+            cacheStatusText.textContent = 'Cancelling...';
+          } else {
+            Dashboard.alert(result.Message || 'Failed to cancel the refresh');
+          }
+        })
+        .catch(err => {
+          console.error('Failed to cancel cache refresh:', err);
+          Dashboard.alert('Failed to cancel cache refresh: ' + err.message);
+        })
+        .finally(() => {
+          cancelRefreshBtn.disabled = false;
+        });
     });
 
     // Clear Cache button handler
     clearCacheBtn.addEventListener('click', () => {
       // Check if a refresh is currently running
-      Xtream.fetchJson('Xtream/SeriesCacheStatus')
+      getProviderId.then((providerId) => Xtream.fetchJson(Xtream.withProvider('Xtream/SeriesCacheStatus', providerId)))
         .then((status) => {
           let confirmMessage = 'Are you sure you want to clear the cache? Next refresh will fetch all data from scratch.';
           if (status.IsRefreshing) {
@@ -150,10 +192,10 @@ export default function (view) {
       clearCacheBtn.disabled = true;
       clearCacheBtn.querySelector('span').textContent = 'Clearing...';
 
-      fetch(ApiClient.getUrl('Xtream/SeriesCacheClear'), {
+      getProviderId.then((providerId) => fetch(ApiClient.getUrl(Xtream.withProvider('Xtream/SeriesCacheClear', providerId)), {
         method: 'POST',
         headers: ApiClient.defaultRequestHeaders()
-      })
+      }))
         .then(response => {
           console.log('Clear cache response status:', response.status);
           if (!response.ok) {
@@ -183,127 +225,122 @@ export default function (view) {
         });
     }
 
-    // Poll cache status every 2 seconds
-    let statusPollInterval;
-    function updateCacheStatus() {
-      Xtream.fetchJson('Xtream/SeriesCacheStatus')
-        .then((status) => {
-          if (status.IsRefreshing || status.Progress > 0 || status.IsCachePopulated) {
-            cacheStatusContainer.style.display = 'block';
-            const progressPercent = Math.round(status.Progress * 100);
-            cacheProgressFill.style.width = progressPercent + '%';
-            cacheStatusText.textContent = status.Status || 'Idle';
-
-            if (status.IsRefreshing) {
-              cacheStatusText.style.color = '#00a4dc';
-              refreshCacheBtn.disabled = true;
-              // Clear Cache button stays enabled - it will cancel the refresh
-            } else {
-              refreshCacheBtn.disabled = false;
-              if (status.Progress >= 1.0) {
-                cacheStatusText.style.color = '#4caf50';
-              } else {
-                cacheStatusText.style.color = '#a0a0a0';
-              }
-            }
-          } else {
-            cacheStatusContainer.style.display = 'none';
-            refreshCacheBtn.disabled = false;
-          }
-        })
-        .catch(() => {
-          // Silently fail if API is not available
+    // Show the cache progress of the selected provider while the page is open
+    getProviderId.then((providerId) => {
+      Xtream.watchCacheStatus(view, 'Series', {
+        providerId,
+        container: cacheStatusContainer,
+        fill: cacheProgressFill,
+        text: cacheStatusText,
+        syncTimes: syncTimes,
+        cancel: cancelRefreshBtn,
+        buttons: [refreshCacheBtn, refreshMenuBtn],
+        onRefreshed: () => Xtream.loadRefreshHistory(refreshHistory, 'Series', providerId),
+      });
+      Xtream.loadRefreshHistory(refreshHistory, 'Series', providerId);
+    });
+    const table = view.querySelector('#SeriesContent');
+    Promise.all([getConfig, getProviderId]).then(([config, providerId]) => {
+      const withProvider = (url) => Xtream.withProvider(url, providerId);
+      const loadAllItems = () => Xtream.fetchJson(withProvider('Xtream/SeriesItems'));
+      return Xtream.populateCategoriesTable(
+        table,
+        () => Xtream.getProviderConfig(config, providerId).Series,
+        () => Xtream.fetchJson(withProvider('Xtream/SeriesCategories')),
+        (categoryId) => Xtream.fetchJson(withProvider(`Xtream/SeriesCategories/${categoryId}`)),
+        (query) => Xtream.fetchJson(withProvider(`Xtream/SeriesSearch?query=${encodeURIComponent(query)}`)),
+        loadAllItems,
+      ).then((data) => {
+        const form = view.querySelector('#XtreamSeriesForm');
+        const changes = Xtream.trackChanges(view, form, data, {
+          unit: ['category', 'categories'],
+          loadSaved: () => ApiClient.getPluginConfiguration(pluginId).then((config) => Xtream.getProviderConfig(config, providerId).Series),
+          restore: (saved) => Xtream.restoreSelection(table, data, saved),
         });
-    }
+        form.addEventListener('submit', (e) => {
+          e.preventDefault();
 
-    // Start polling when view is shown
-    updateCacheStatus();
-    statusPollInterval = setInterval(updateCacheStatus, 2000);
+          // Guard: only save if categories actually loaded into the table
+          if (table.querySelectorAll('tr[data-category-id]').length === 0) {
+            Dashboard.alert('Cannot save: series categories failed to load. Please check your credentials and refresh the page.');
+            return false;
+          }
 
-    // Clean up interval when view is hidden
-    view.addEventListener("viewhide", () => {
-      if (statusPollInterval) {
-        clearInterval(statusPollInterval);
-      }
-    });
-    const table = view.querySelector('#SeriesContent');
-    Xtream.populateCategoriesTable(
-      table,
-      () => getConfig.then((config) => config.Series),
-      () => Xtream.fetchJson('Xtream/SeriesCategories'),
-      (categoryId) => Xtream.fetchJson(`Xtream/SeriesCategories/${categoryId}`),
-    ).then((data) => {
-      view.querySelector('#XtreamSeriesForm').addEventListener('submit', (e) => {
-        e.preventDefault();
-
-        // Guard: only save if categories actually loaded into the table
-        if (table.querySelectorAll('tr[data-category-id]').length === 0) {
-          Dashboard.alert('Cannot save: series categories failed to load. Please check your credentials and refresh the page.');
-          return false;
-        }
-
-        Dashboard.showLoadingMsg();
-
-        // Validate configuration before saving
-        let warnings = [];
-        if (visible.checked && flattenSeriesView.checked) {
-          // In flatten mode, check if any categories have series selected
-          let hasAnySelection = false;
-          for (let categoryId in data) {
-            if (data[categoryId] !== undefined) {
-              hasAnySelection = true;
-              break;
-            }
+          const titleOverrideErrors = tvdbTitleOverrides.validate();
+          if (titleOverrideErrors.length > 0) {
+            Dashboard.alert('Cannot save: fix the title overrides first.\n\n' + titleOverrideErrors.join('\n'));
+            return false;
           }
-          if (!hasAnySelection) {
-            warnings.push('Series visibility is enabled but no categories have series selected. Users will see an empty list.');
+
+          Dashboard.showLoadingMsg();
+
+          // Validate configuration before saving
+          let warnings = [];
+          if (visible.checked && flattenSeriesView.checked) {
+            // In flatten mode, check if any categories have series selected
+            let hasAnySelection = false;
+            for (let categoryId in data) {
+              if (data[categoryId] !== undefined) {
+                hasAnySelection = true;
+                break;
+              }
+            }
+            if (!hasAnySelection) {
+              warnings.push('Series visibility is enabled but no categories have series selected. Users will see an empty list.');
+            }
           }
-        }
 
-        if (warnings.length > 0) {
-          let proceed = confirm('Configuration warnings:\n\n' + warnings.join('\n\n') + '\n\nDo you want to save anyway?');
-          if (!proceed) {
-            Dashboard.hideLoadingMsg();
-            e.preventDefault();
-            return false;
+          if (warnings.length > 0) {
+            let proceed = confirm('Configuration warnings:\n\n' + warnings.join('\n\n') + '\n\nDo you want to save anyway?');
+            if (!proceed) {
+              Dashboard.hideLoadingMsg();
+              e.preventDefault();
+              return false;
+            }
           }
-        }
-
-        ApiClient.getPluginConfiguration(pluginId).then((config) => {
-          config.IsSeriesVisible = visible.checked;
-          config.FlattenSeriesView = flattenSeriesView.checked;
-          config.EnableSeriesCaching = enableCaching.checked;
-
-          // Validate refresh frequency (min: 10, max: 1380 to prevent exceeding 24h cache expiration)
-          let refreshMinutes = parseInt(cacheRefreshMinutes.value, 10) || 600;
-          if (refreshMinutes < 10) refreshMinutes = 10;
-          if (refreshMinutes > 1380) refreshMinutes = 1380;
-          config.SeriesCacheExpirationMinutes = refreshMinutes;
-
-          // Validate parallelism (1-10)
-          let parallelism = parseInt(cacheParallelism.value, 10) || 3;
-          if (parallelism < 1) parallelism = 1;
-          if (parallelism > 10) parallelism = 10;
-          config.CacheRefreshParallelism = parallelism;
-
-          // Validate min delay (0-1000)
-          let minDelay = parseInt(cacheMinDelay.value, 10) || 100;
-          if (minDelay < 0) minDelay = 0;
-          if (minDelay > 1000) minDelay = 1000;
-          config.CacheRefreshMinDelayMs = minDelay;
-
-          // Metadata Lookup settings
-          config.EnableTvdbLookup = enableTvdbLookup.checked;
-
-          // Artwork Injector settings
-          config.UseTvdbForSeriesMetadata = useTvdbForSeriesMetadata.checked;
-          config.TvdbTitleOverrides = tvdbTitleOverrides.value;
-
-          config.Series = data;
-          console.log('Saving series configuration:', JSON.stringify(data, null, 2));
-          ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
-            Dashboard.processPluginConfigurationUpdateResult(result);
-          });
+
+          ApiClient.getPluginConfiguration(pluginId).then((config) => Xtream.confirmSelectionChanges(Xtream.getProviderConfig(config, providerId).Series, data, loadAllItems, 'series').then((proceed) => {
+            if (!proceed) {
+              return;
+            }
+
+            Dashboard.showLoadingMsg();
+            config.IsSeriesVisible = visible.checked;
+            config.FlattenSeriesView = flattenSeriesView.checked;
+            config.EnableSeriesCaching = enableCaching.checked;
+
+            // Validate refresh frequency (min: 10, max: 1380 to prevent exceeding 24h cache expiration)
+            let refreshMinutes = parseInt(cacheRefreshMinutes.value, 10) || 600;
+            if (refreshMinutes < 10) refreshMinutes = 10;
+            if (refreshMinutes > 1380) refreshMinutes = 1380;
+            config.SeriesCacheExpirationMinutes = refreshMinutes;
+
+            // Validate parallelism (1-10)
+            let parallelism = parseInt(cacheParallelism.value, 10) || 3;
+            if (parallelism < 1) parallelism = 1;
+            if (parallelism > 10) parallelism = 10;
+            config.CacheRefreshParallelism = parallelism;
+
+            // Validate min delay (0-1000)
+            let minDelay = parseInt(cacheMinDelay.value, 10) || 100;
+            if (minDelay < 0) minDelay = 0;
+            if (minDelay > 1000) minDelay = 1000;
+            config.CacheRefreshMinDelayMs = minDelay;
+
+            // Metadata Lookup settings
+            config.EnableTvdbLookup = enableTvdbLookup.checked;
+
+            // Artwork Injector settings
+            config.UseTvdbForSeriesMetadata = useTvdbForSeriesMetadata.checked;
+            config.TvdbTitleOverrides = tvdbTitleOverrides.getValue();
+
+            Xtream.getProviderConfig(config, providerId).Series = data;
+            console.log('Saving series configuration:', JSON.stringify(data, null, 2));
+            ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
+              changes.markSaved();
+              Dashboard.processPluginConfigurationUpdateResult(result);
+            });
+          }));
         });
       });
     }).catch((error) => {
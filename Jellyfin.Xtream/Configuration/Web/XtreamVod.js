@@ -1,4 +1,5 @@
 export default function (view) {
+  const template = view.innerHTML;
   view.addEventListener("viewshow", () => import(
     ApiClient.getUrl("web/ConfigurationPage", {
       name: "Xtream.js",
@@ -9,6 +10,7 @@ export default function (view) {
     Xtream.setTabs(3);
 
     const getConfig = ApiClient.getPluginConfiguration(pluginId);
+    const getProviderId = getConfig.then((config) => Xtream.setupProviderSelect(view, config, { template }));
     const visible = view.querySelector("#Visible");
     const flattenVodView = view.querySelector("#FlattenVodView");
     const tmdbOverride = view.querySelector("#TmdbOverride");
@@ -18,6 +20,11 @@ export default function (view) {
     const vodCacheOptionsContainer = view.querySelector("#VodCacheOptionsContainer");
     const vodCacheRefreshMinutes = view.querySelector("#VodCacheRefreshMinutes");
     const vodRefreshCacheBtn = view.querySelector("#VodRefreshCacheBtn");
+    const vodRefreshMenuBtn = view.querySelector("#VodRefreshMenuBtn");
+    const vodRefreshMenu = view.querySelector("#VodRefreshMenu");
+    const vodCancelRefreshBtn = view.querySelector("#VodCancelRefreshBtn");
+    const vodSyncTimes = view.querySelector("#VodSyncTimes");
+    const vodRefreshHistory = view.querySelector("#VodRefreshHistoryContent");
     const vodClearCacheBtn = view.querySelector("#VodClearCacheBtn");
     const vodCacheStatusContainer = view.querySelector("#VodCacheStatusContainer");
     const vodCacheProgressFill = view.querySelector("#VodCacheProgressFill");
@@ -33,7 +40,9 @@ export default function (view) {
     // Artwork Injector settings
     const useTmdbForVodMetadata = view.querySelector("#UseTmdbForVodMetadata");
     const tmdbOptionsContainer = view.querySelector("#TmdbOptionsContainer");
-    const tmdbTitleOverrides = view.querySelector("#TmdbTitleOverrides");
+    const tmdbTitleOverrides = Xtream.createTitleOverridesEditor(
+      view.querySelector("#TmdbTitleOverridesEditor"),
+      (title) => Xtream.fetchJson(`Xtream/TmdbLookup?title=${encodeURIComponent(title)}`));
 
     // Toggle cache options visibility
     function updateCacheOptionsVisibility() {
@@ -76,7 +85,7 @@ export default function (view) {
 
       // Artwork Injector settings
       useTmdbForVodMetadata.checked = config.UseTmdbForVodMetadata !== false;
-      tmdbTitleOverrides.value = config.TmdbTitleOverrides || '';
+      tmdbTitleOverrides.setValue(config.TmdbTitleOverrides || '');
 
       updateCacheOptionsVisibility();
       updateParallelismDisplay();
@@ -84,8 +93,8 @@ export default function (view) {
       updateTmdbOptionsVisibility();
     });
 
-    // Refresh Now button handler
-    vodRefreshCacheBtn.addEventListener('click', () => {
+    // Refresh buttons: the main button refreshes incrementally when enabled, the menu also offers a full refresh
+    function triggerRefresh(fullSync) {
       if (vodRefreshCacheBtn.disabled) {
         Dashboard.alert('VOD cache refresh is already in progress. Please wait for it to complete.');
         return;
@@ -94,11 +103,11 @@ export default function (view) {
       vodRefreshCacheBtn.disabled = true;
       vodRefreshCacheBtn.querySelector('span').textContent = 'Starting...';
 
-      ApiClient.fetch({
-        url: ApiClient.getUrl('Xtream/VodCacheRefresh'),
+      getProviderId.then((providerId) => ApiClient.fetch({
+        url: ApiClient.getUrl(Xtream.withProvider(`Xtream/VodCacheRefresh?fullSync=${fullSync}`, providerId)),
         type: 'POST',
         dataType: 'json'
-      })
+      }))
         .then(result => {
           if (result && typeof result.json === 'function') {
             return result.json();
@@ -122,11 +131,44 @@ export default function (view) {
           vodRefreshCacheBtn.disabled = false;
           vodRefreshCacheBtn.querySelector('span').textContent = 'Refresh Now';
         });
+    }
+
+    vodRefreshCacheBtn.addEventListener('click', () => triggerRefresh(false));
+    Xtream.setupSplitButton(vodRefreshMenuBtn, vodRefreshMenu, (value) => triggerRefresh(value === 'full'));
+
+    // Cancel Refresh button handler
+    vodCancelRefreshBtn.addEventListener('click', () => {
+      vodCancelRefreshBtn.disabled = true;
+      getProviderId.then((providerId) => ApiClient.fetch({
+        url: ApiClient.getUrl(Xtream.withProvider('Xtream/VodCacheCancel', providerId)),
+        type: 'POST',
+        dataType: 'json'
+      }))
+        .then(result => {
+          if (result && typeof result.json === 'function') {
+            return result.json();
+          }
+          return result;
+        })
+        .then(result => {
+          if (result.Success) {
+            vodCacheStatusText.textContent = 'Cancelling...';
+          } else {
+            Dashboard.alert(result.Message || 'Failed to cancel the refresh');
+          }
+        })
+        .catch(err => {
+          console.error('Failed to cancel cache refresh:', err);
+          Dashboard.alert('Failed to cancel cache refresh: ' + err.message);
+        })
+        .finally(() => {
+          vodCancelRefreshBtn.disabled = false;
+        });
     });
 
     // Clear Cache button handler
     vodClearCacheBtn.addEventListener('click', () => {
-      Xtream.fetchJson('Xtream/VodCacheStatus')
+      getProviderId.then((providerId) => Xtream.fetchJson(Xtream.withProvider('Xtream/VodCacheStatus', providerId)))
         .then((status) => {
           let confirmMessage = 'Are you sure you want to clear the VOD cache? Next refresh will fetch all data from scratch.';
           if (status.IsRefreshing) {
@@ -151,10 +193,10 @@ export default function (view) {
       vodClearCacheBtn.disabled = true;
       vodClearCacheBtn.querySelector('span').textContent = 'Clearing...';
 
-      fetch(ApiClient.getUrl('Xtream/VodCacheClear'), {
+      getProviderId.then((providerId) => fetch(ApiClient.getUrl(Xtream.withProvider('Xtream/VodCacheClear', providerId)), {
         method: 'POST',
         headers: ApiClient.defaultRequestHeaders()
-      })
+      }))
         .then(response => {
           if (!response.ok) {
             throw new Error('Server returned ' + response.status);
@@ -181,107 +223,103 @@ export default function (view) {
         });
     }
 
-    // Poll cache status every 2 seconds
-    let statusPollInterval;
-    function updateVodCacheStatus() {
-      Xtream.fetchJson('Xtream/VodCacheStatus')
-        .then((status) => {
-          if (status.IsRefreshing || status.Progress > 0 || status.IsCachePopulated) {
-            vodCacheStatusContainer.style.display = 'block';
-            const progressPercent = Math.round(status.Progress * 100);
-            vodCacheProgressFill.style.width = progressPercent + '%';
-            vodCacheStatusText.textContent = status.Status || 'Idle';
-
-            if (status.IsRefreshing) {
-              vodCacheStatusText.style.color = '#00a4dc';
-              vodRefreshCacheBtn.disabled = true;
-            } else {
-              vodRefreshCacheBtn.disabled = false;
-              if (status.Progress >= 1.0) {
-                vodCacheStatusText.style.color = '#4caf50';
-              } else {
-                vodCacheStatusText.style.color = '#a0a0a0';
-              }
-            }
-          } else {
-            vodCacheStatusContainer.style.display = 'none';
-            vodRefreshCacheBtn.disabled = false;
-          }
-        })
-        .catch(() => {
-          // Silently fail if API is not available
+    // Show the cache progress of the selected provider while the page is open
+    getProviderId.then((providerId) => {
+      Xtream.watchCacheStatus(view, 'Vod', {
+        providerId,
+        container: vodCacheStatusContainer,
+        fill: vodCacheProgressFill,
+        text: vodCacheStatusText,
+        syncTimes: vodSyncTimes,
+        cancel: vodCancelRefreshBtn,
+        buttons: [vodRefreshCacheBtn, vodRefreshMenuBtn],
+        onRefreshed: () => Xtream.loadRefreshHistory(vodRefreshHistory, 'Vod', providerId),
+      });
+      Xtream.loadRefreshHistory(vodRefreshHistory, 'Vod', providerId);
+    });
+
+    const table = view.querySelector('#VodContent');
+    Promise.all([getConfig, getProviderId]).then(([config, providerId]) => {
+      const withProvider = (url) => Xtream.withProvider(url, providerId);
+      const loadAllItems = () => Xtream.fetchJson(withProvider('Xtream/VodItems'));
+      return Xtream.populateCategoriesTable(
+        table,
+        () => Xtream.getProviderConfig(config, providerId).Vod,
+        () => Xtream.fetchJson(withProvider('Xtream/VodCategories')),
+        (categoryId) => Xtream.fetchJson(withProvider(`Xtream/VodCategories/${categoryId}`)),
+        (query) => Xtream.fetchJson(withProvider(`Xtream/VodSearch?query=${encodeURIComponent(query)}`)),
+        loadAllItems,
+      ).then((data) => {
+        const form = view.querySelector('#XtreamVodForm');
+        const changes = Xtream.trackChanges(view, form, data, {
+          unit: ['category', 'categories'],
+          loadSaved: () => ApiClient.getPluginConfiguration(pluginId).then((config) => Xtream.getProviderConfig(config, providerId).Vod),
+          restore: (saved) => Xtream.restoreSelection(table, data, saved),
         });
-    }
+        form.addEventListener('submit', (e) => {
+          e.preventDefault();
 
-    // Start polling when view is shown
-    updateVodCacheStatus();
-    statusPollInterval = setInterval(updateVodCacheStatus, 2000);
+          // Guard: only save if categories actually loaded into the table
+          if (table.querySelectorAll('tr[data-category-id]').length === 0) {
+            Dashboard.alert('Cannot save: VOD categories failed to load. Please check your credentials and refresh the page.');
+            return false;
+          }
 
-    // Clean up interval when view is hidden
-    view.addEventListener("viewhide", () => {
-      if (statusPollInterval) {
-        clearInterval(statusPollInterval);
-      }
-    });
+          const titleOverrideErrors = tmdbTitleOverrides.validate();
+          if (titleOverrideErrors.length > 0) {
+            Dashboard.alert('Cannot save: fix the title overrides first.\n\n' + titleOverrideErrors.join('\n'));
+            return false;
+          }
+
+          Dashboard.showLoadingMsg();
+
+          ApiClient.getPluginConfiguration(pluginId).then((config) => Xtream.confirmSelectionChanges(Xtream.getProviderConfig(config, providerId).Vod, data, loadAllItems, 'movies').then((proceed) => {
+            if (!proceed) {
+              return;
+            }
+
+            Dashboard.showLoadingMsg();
+            config.IsVodVisible = visible.checked;
+            config.IsTmdbVodOverride = tmdbOverride.checked;
+            config.FlattenVodView = flattenVodView.checked;
+
+            // Cache settings
+            config.EnableVodCaching = enableVodCaching.checked;
+
+            // Validate refresh frequency
+            let refreshMinutes = parseInt(vodCacheRefreshMinutes.value, 10) || 600;
+            if (refreshMinutes < 10) refreshMinutes = 10;
+            if (refreshMinutes > 1380) refreshMinutes = 1380;
+            config.VodCacheExpirationMinutes = refreshMinutes;
+
+            // Validate parallelism (shared with series - these will sync)
+            let parallelism = parseInt(vodCacheParallelism.value, 10) || 3;
+            if (parallelism < 1) parallelism = 1;
+            if (parallelism > 10) parallelism = 10;
+            config.CacheRefreshParallelism = parallelism;
+
+            // Validate min delay (shared with series - these will sync)
+            let minDelay = parseInt(vodCacheMinDelay.value, 10) || 100;
+            if (minDelay < 0) minDelay = 0;
+            if (minDelay > 1000) minDelay = 1000;
+            config.CacheRefreshMinDelayMs = minDelay;
+
+            // Metadata Lookup settings
+            config.EnableTmdbLookup = enableTmdbLookup.checked;
+
+            // Artwork Injector settings
+            config.UseTmdbForVodMetadata = useTmdbForVodMetadata.checked;
+            config.TmdbTitleOverrides = tmdbTitleOverrides.getValue();
+
+            Xtream.getProviderConfig(config, providerId).Vod = data;
+            ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
+              changes.markSaved();
+              Dashboard.processPluginConfigurationUpdateResult(result);
+            });
+          }));
 
-    const table = view.querySelector('#VodContent');
-    Xtream.populateCategoriesTable(
-      table,
-      () => getConfig.then((config) => config.Vod),
-      () => Xtream.fetchJson('Xtream/VodCategories'),
-      (categoryId) => Xtream.fetchJson(`Xtream/VodCategories/${categoryId}`),
-    ).then((data) => {
-      view.querySelector('#XtreamVodForm').addEventListener('submit', (e) => {
-        e.preventDefault();
-
-        // Guard: only save if categories actually loaded into the table
-        if (table.querySelectorAll('tr[data-category-id]').length === 0) {
-          Dashboard.alert('Cannot save: VOD categories failed to load. Please check your credentials and refresh the page.');
           return false;
-        }
-
-        Dashboard.showLoadingMsg();
-
-        ApiClient.getPluginConfiguration(pluginId).then((config) => {
-          config.IsVodVisible = visible.checked;
-          config.IsTmdbVodOverride = tmdbOverride.checked;
-          config.FlattenVodView = flattenVodView.checked;
-
-          // Cache settings
-          config.EnableVodCaching = enableVodCaching.checked;
-
-          // Validate refresh frequency
-          let refreshMinutes = parseInt(vodCacheRefreshMinutes.value, 10) || 600;
-          if (refreshMinutes < 10) refreshMinutes = 10;
-          if (refreshMinutes > 1380) refreshMinutes = 1380;
-          config.VodCacheExpirationMinutes = refreshMinutes;
-
-          // Validate parallelism (shared with series - these will sync)
-          let parallelism = parseInt(vodCacheParallelism.value, 10) || 3;
-          if (parallelism < 1) parallelism = 1;
-          if (parallelism > 10) parallelism = 10;
-          config.CacheRefreshParallelism = parallelism;
-
-          // Validate min delay (shared with series - these will sync)
-          let minDelay = parseInt(vodCacheMinDelay.value, 10) || 100;
-          if (minDelay < 0) minDelay = 0;
-          if (minDelay > 1000) minDelay = 1000;
-          config.CacheRefreshMinDelayMs = minDelay;
-
-          // Metadata Lookup settings
-          config.EnableTmdbLookup = enableTmdbLookup.checked;
-
-          // Artwork Injector settings
-          config.UseTmdbForVodMetadata = useTmdbForVodMetadata.checked;
-          config.TmdbTitleOverrides = tmdbTitleOverrides.value;
-
-          config.Vod = data;
-          ApiClient.updatePluginConfiguration(pluginId, config).then((result) => {
-            Dashboard.processPluginConfigurationUpdateResult(result);
-          });
         });
-
-        return false;
       });
     }).catch((error) => {
       console.error('Failed to load VOD categories:', error);
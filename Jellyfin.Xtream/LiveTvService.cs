@@ -20,14 +20,14 @@ using System.Linq;
 using System.Net.Http;
 using System.Threading;
 using System.Threading.Tasks;
-using Jellyfin.Xtream.Client;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
 using Jellyfin.Xtream.Service;
 using MediaBrowser.Controller;
 using MediaBrowser.Controller.Library;
 using MediaBrowser.Controller.LiveTv;
 using MediaBrowser.Model.Dto;
-using Microsoft.Extensions.Caching.Memory;
+using MediaBrowser.Model.LiveTv;
 using Microsoft.Extensions.Logging;
 
 namespace Jellyfin.Xtream;
@@ -41,9 +41,11 @@ namespace Jellyfin.Xtream;
 /// <param name="appHost">Instance of the <see cref="IServerApplicationHost"/> interface.</param>
 /// <param name="httpClientFactory">Instance of the <see cref="IHttpClientFactory"/> interface.</param>
 /// <param name="logger">Instance of the <see cref="ILogger"/> interface.</param>
-/// <param name="memoryCache">Instance of the <see cref="IMemoryCache"/> interface.</param>
-/// <param name="xtreamClient">Instance of the <see cref="IXtreamClient"/> interface.</param>
-public class LiveTvService(IServerApplicationHost appHost, IHttpClientFactory httpClientFactory, ILogger<LiveTvService> logger, IMemoryCache memoryCache, IXtreamClient xtreamClient) : ILiveTvService, ISupportsDirectStreamProvider
+/// <param name="logoService">Instance of the <see cref="LogoService"/> class.</param>
+/// <param name="epgService">Instance of the <see cref="EpgService"/> class.</param>
+/// <param name="recordingService">Instance of the <see cref="RecordingService"/> class.</param>
+/// <param name="streamMonitor">Instance of the <see cref="StreamMonitorService"/> class.</param>
+public class LiveTvService(IServerApplicationHost appHost, IHttpClientFactory httpClientFactory, ILogger<LiveTvService> logger, LogoService logoService, EpgService epgService, RecordingService recordingService, StreamMonitorService streamMonitor) : ILiveTvService, ISupportsDirectStreamProvider
 {
     /// <inheritdoc />
     public string Name => "Xtream Live";
@@ -56,17 +58,32 @@ public class LiveTvService(IServerApplicationHost appHost, IHttpClientFactory ht
     {
         Plugin plugin = Plugin.Instance;
         List<ChannelInfo> items = [];
-        foreach (StreamInfo channel in await plugin.StreamService.GetLiveStreamsWithOverrides(cancellationToken).ConfigureAwait(false))
+        foreach (ProviderProfile provider in plugin.Configuration.GetProviders())
         {
-            ParsedName parsed = StreamService.ParseName(channel.Name);
-            items.Add(new ChannelInfo()
+            IEnumerable<StreamInfo> channels;
+            try
             {
-                Id = StreamService.ToGuid(StreamService.LiveTvPrefix, channel.StreamId, 0, 0).ToString(),
-                Number = channel.Num.ToString(CultureInfo.InvariantCulture),
-                ImageUrl = channel.StreamIcon,
-                Name = parsed.Title,
-                Tags = parsed.Tags,
-            });
+                channels = await plugin.StreamService.GetLiveStreamsWithOverrides(provider.Id, cancellationToken).ConfigureAwait(false);
+            }
+            catch (HttpRequestException ex) when (provider.Id != ProviderProfile.PrimaryId)
+            {
+                // An unreachable additional provider should not hide the channels of the others
+                logger.LogWarning(ex, "Failed to get the channels of provider {Provider}", provider.Name);
+                continue;
+            }
+
+            foreach (StreamInfo channel in channels)
+            {
+                ParsedName parsed = StreamService.ParseName(channel.Name);
+                items.Add(new ChannelInfo()
+                {
+                    Id = StreamService.ToLiveTvChannelId(channel.StreamId, provider.Id),
+                    Number = channel.Num.ToString(CultureInfo.InvariantCulture),
+                    ImageUrl = logoService.ResolveImageUrl(channel.StreamIcon),
+                    Name = parsed.Title,
+                    Tags = parsed.Tags,
+                });
+            }
         }
 
         return items;
@@ -75,49 +92,52 @@ public class LiveTvService(IServerApplicationHost appHost, IHttpClientFactory ht
     /// <inheritdoc />
     public Task CancelTimerAsync(string timerId, CancellationToken cancellationToken)
     {
-        throw new NotImplementedException();
+        return recordingService.CancelTimerAsync(timerId, cancellationToken);
     }
 
     /// <inheritdoc />
     public Task CreateTimerAsync(TimerInfo info, CancellationToken cancellationToken)
     {
-        throw new NotImplementedException();
+        return recordingService.CreateTimerAsync(info, cancellationToken);
     }
 
     /// <inheritdoc />
-    public Task<IEnumerable<TimerInfo>> GetTimersAsync(CancellationToken cancellationToken)
+    public async Task<IEnumerable<TimerInfo>> GetTimersAsync(CancellationToken cancellationToken)
     {
-        return Task.FromResult<IEnumerable<TimerInfo>>(new List<TimerInfo>());
+        IReadOnlyList<RecordingTimer> timers = await recordingService.GetTimersAsync(cancellationToken).ConfigureAwait(false);
+        return timers
+            .Where(timer => timer.IsPending || timer.Status == RecordingStatus.InProgress)
+            .Select(timer => timer.ToTimerInfo());
     }
 
     /// <inheritdoc />
-    public Task<IEnumerable<SeriesTimerInfo>> GetSeriesTimersAsync(CancellationToken cancellationToken)
+    public async Task<IEnumerable<SeriesTimerInfo>> GetSeriesTimersAsync(CancellationToken cancellationToken)
     {
-        return Task.FromResult<IEnumerable<SeriesTimerInfo>>(new List<SeriesTimerInfo>());
+        return await recordingService.GetSeriesTimersAsync(cancellationToken).ConfigureAwait(false);
     }
 
     /// <inheritdoc />
     public Task CreateSeriesTimerAsync(SeriesTimerInfo info, CancellationToken cancellationToken)
     {
-        throw new NotImplementedException();
+        return recordingService.CreateSeriesTimerAsync(info, cancellationToken);
     }
 
     /// <inheritdoc />
     public Task UpdateSeriesTimerAsync(SeriesTimerInfo info, CancellationToken cancellationToken)
     {
-        throw new NotImplementedException();
+        return recordingService.UpdateSeriesTimerAsync(info, cancellationToken);
     }
 
     /// <inheritdoc />
     public Task UpdateTimerAsync(TimerInfo updatedTimer, CancellationToken cancellationToken)
     {
-        throw new NotImplementedException();
+        return recordingService.UpdateTimerAsync(updatedTimer, cancellationToken);
     }
 
     /// <inheritdoc />
     public Task CancelSeriesTimerAsync(string timerId, CancellationToken cancellationToken)
     {
-        throw new NotImplementedException();
+        return recordingService.CancelSeriesTimerAsync(timerId, cancellationToken);
     }
 
     /// <inheritdoc />
@@ -156,42 +176,7 @@ public class LiveTvService(IServerApplicationHost appHost, IHttpClientFactory ht
     /// <inheritdoc />
     public async Task<IEnumerable<ProgramInfo>> GetProgramsAsync(string channelId, DateTime startDateUtc, DateTime endDateUtc, CancellationToken cancellationToken)
     {
-        Guid guid = Guid.Parse(channelId);
-        StreamService.FromGuid(guid, out int prefix, out int streamId, out int _, out int _);
-        if (prefix != StreamService.LiveTvPrefix)
-        {
-            throw new ArgumentException("Unsupported channel");
-        }
-
-        string key = $"xtream-epg-{channelId}";
-        ICollection<ProgramInfo>? items = null;
-        if (memoryCache.TryGetValue(key, out ICollection<ProgramInfo>? o))
-        {
-            items = o;
-        }
-        else
-        {
-            items = new List<ProgramInfo>();
-            Plugin plugin = Plugin.Instance;
-            {
-                EpgListings epgs = await xtreamClient.GetEpgInfoAsync(plugin.Creds, streamId, cancellationToken).ConfigureAwait(false);
-                foreach (EpgInfo epg in epgs.Listings)
-                {
-                    items.Add(new()
-                    {
-                        Id = StreamService.ToGuid(StreamService.EpgPrefix, streamId, epg.Id, 0).ToString(),
-                        ChannelId = channelId,
-                        StartDate = epg.Start,
-                        EndDate = epg.End,
-                        Name = epg.Title,
-                        Overview = epg.Description,
-                    });
-                }
-            }
-
-            memoryCache.Set(key, items, DateTimeOffset.Now.AddMinutes(10));
-        }
-
+        ICollection<ProgramInfo> items = await epgService.GetProgramsAsync(channelId, cancellationToken).ConfigureAwait(false);
         return from epg in items
                where epg.EndDate >= startDateUtc && epg.StartDate < endDateUtc
                select epg;
@@ -206,20 +191,15 @@ public class LiveTvService(IServerApplicationHost appHost, IHttpClientFactory ht
     /// <inheritdoc />
     public async Task<ILiveStream> GetChannelStreamWithDirectStreamProvider(string channelId, string streamId, List<ILiveStream> currentLiveStreams, CancellationToken cancellationToken)
     {
-        Guid guid = Guid.Parse(channelId);
-        StreamService.FromGuid(guid, out int prefix, out int channel, out int _, out int _);
-        if (prefix != StreamService.LiveTvPrefix)
-        {
-            throw new ArgumentException("Unsupported channel");
-        }
-
+        int channel = StreamService.FromLiveTvChannelId(channelId, out int providerId);
         Plugin plugin = Plugin.Instance;
-        MediaSourceInfo mediaSourceInfo = plugin.StreamService.GetMediaSourceInfo(StreamType.Live, channel, restream: true);
+        MediaSourceInfo mediaSourceInfo = plugin.StreamService.GetMediaSourceInfo(StreamType.Live, channel, restream: true, providerId: providerId);
         ILiveStream? stream = currentLiveStreams.Find(stream => stream.TunerHostId == Restream.TunerHost && stream.MediaSource.Id == mediaSourceInfo.Id);
 
         if (stream == null)
         {
-            stream = new Restream(appHost, httpClientFactory, logger, mediaSourceInfo);
+            // Sharing an open stream does not take another connection, opening one checks the stream limit
+            stream = new Restream(appHost, httpClientFactory, logger, streamMonitor, mediaSourceInfo, providerId, channel);
             await stream.Open(cancellationToken).ConfigureAwait(false);
         }
 
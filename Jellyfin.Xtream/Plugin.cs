@@ -14,11 +14,15 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Globalization;
+using System.Linq;
 using System.Reflection;
+using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Xtream.Client;
+using Jellyfin.Xtream.Client.Models;
 using Jellyfin.Xtream.Configuration;
 using Jellyfin.Xtream.Service;
 using MediaBrowser.Common.Configuration;
@@ -42,6 +46,8 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
 {
     private static Plugin? _instance;
     private readonly ILogger<Plugin> _logger;
+    private readonly ConcurrentDictionary<int, ProviderCaches> _providerCaches = new();
+    private readonly Func<int, ProviderCaches> _createProviderCaches;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="Plugin"/> class.
@@ -52,6 +58,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     /// <param name="xtreamClient">Instance of the <see cref="IXtreamClient"/> interface.</param>
     /// <param name="memoryCache">Instance of the <see cref="IMemoryCache"/> interface.</param>
     /// <param name="failureTrackingService">Instance of the <see cref="FailureTrackingService"/> class.</param>
+    /// <param name="failoverService">Instance of the <see cref="Service.FailoverService"/> class.</param>
     /// <param name="channelManager">Instance of the <see cref="IChannelManager"/> interface.</param>
     /// <param name="libraryManager">Instance of the <see cref="ILibraryManager"/> interface.</param>
     /// <param name="providerManager">Instance of the <see cref="IProviderManager"/> interface.</param>
@@ -65,6 +72,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
         IXtreamClient xtreamClient,
         IMemoryCache memoryCache,
         FailureTrackingService failureTrackingService,
+        FailoverService failoverService,
         IChannelManager channelManager,
         ILibraryManager libraryManager,
         IProviderManager providerManager,
@@ -75,6 +83,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     {
         _instance = this;
         XtreamClient = xtreamClient;
+        FailoverService = failoverService;
         ChannelManager = channelManager;
         LibraryManager = libraryManager;
         if (XtreamClient is XtreamClient client)
@@ -86,41 +95,38 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
         TaskService = new(taskManager);
         _logger = logger;
 
-        // Create sync state service for incremental sync support
-        SyncStateService = new Service.SyncStateService(
+        // The metadata matches of all providers share a file per library, keyed by provider and item
+        MetadataMatchStore seriesMatches = new(
             applicationPaths,
-            loggerFactory.CreateLogger<Service.SyncStateService>());
-
-        SeriesCacheService = new Service.SeriesCacheService(
-            StreamService,
-            memoryCache,
-            failureTrackingService,
-            SyncStateService,
-            loggerFactory.CreateLogger<Service.SeriesCacheService>(),
-            providerManager,
-            serverConfigManager);
+            "series-matches.json",
+            loggerFactory.CreateLogger<MetadataMatchStore>());
+        MetadataMatchStore vodMatches = new(
+            applicationPaths,
+            "vod-matches.json",
+            loggerFactory.CreateLogger<MetadataMatchStore>());
 
-        VodCacheService = new Service.VodCacheService(
+        _createProviderCaches = providerId => new ProviderCaches(
+            providerId,
+            applicationPaths,
             StreamService,
             memoryCache,
             failureTrackingService,
-            SyncStateService,
-            loggerFactory.CreateLogger<Service.VodCacheService>(),
+            seriesMatches,
+            vodMatches,
+            loggerFactory,
             providerManager,
             serverConfigManager);
 
-        // Start series cache refresh in background (don't await - let it run async)
+        // Start the cache refreshes in background (don't await - let them run async)
         // Only refresh if caching is enabled and credentials are configured
-        if (Configuration.EnableSeriesCaching &&
-            !string.IsNullOrEmpty(Configuration.BaseUrl) &&
-            Configuration.BaseUrl != "https://example.com" &&
-            !string.IsNullOrEmpty(Configuration.Username))
+        bool hasCredentials = Configuration.GetProviders().Any(provider => provider.HasCredentials());
+        if (Configuration.EnableSeriesCaching && hasCredentials)
         {
             _ = Task.Run(async () =>
             {
                 try
                 {
-                    await SeriesCacheService.RefreshCacheAsync().ConfigureAwait(false);
+                    await RefreshSeriesCachesAsync().ConfigureAwait(false);
                 }
                 catch (Exception ex)
                 {
@@ -137,18 +143,13 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
             _logger.LogInformation("Skipping initial series cache refresh - credentials not configured");
         }
 
-        // Start VOD cache refresh in background (don't await - let it run async)
-        // Only refresh if caching is enabled and credentials are configured
-        if (Configuration.EnableVodCaching &&
-            !string.IsNullOrEmpty(Configuration.BaseUrl) &&
-            Configuration.BaseUrl != "https://example.com" &&
-            !string.IsNullOrEmpty(Configuration.Username))
+        if (Configuration.EnableVodCaching && hasCredentials)
         {
             _ = Task.Run(async () =>
             {
                 try
                 {
-                    await VodCacheService.RefreshCacheAsync().ConfigureAwait(false);
+                    await RefreshVodCachesAsync().ConfigureAwait(false);
                 }
                 catch (Exception ex)
                 {
@@ -164,6 +165,11 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
         {
             _logger.LogInformation("Skipping initial VOD cache refresh - credentials not configured");
         }
+
+        if (Configuration.IsCatchupVisible)
+        {
+            _ = Task.Run(MigrateCatchupVisibleAsync);
+        }
     }
 
     /// <inheritdoc />
@@ -173,9 +179,28 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     public override Guid Id => Guid.Parse("5d774c35-8567-46d3-a950-9bb8227a0c5d");
 
     /// <summary>
-    /// Gets the Xtream connection info with credentials.
+    /// Gets the Xtream connection info with credentials of the primary provider.
     /// </summary>
-    public ConnectionInfo Creds => new(Configuration.BaseUrl, Configuration.Username, Configuration.Password);
+    public ConnectionInfo Creds => GetCreds(ProviderProfile.PrimaryId);
+
+    /// <summary>
+    /// Gets the Xtream connection info with credentials of the given provider.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The connection info of the provider, using the base url it failed over to if any.</returns>
+    /// <exception cref="ArgumentException">No provider has the given id.</exception>
+    public ConnectionInfo GetCreds(int providerId)
+    {
+        ProviderProfile provider = Configuration.GetProvider(providerId)
+            ?? throw new ArgumentException($"Unknown provider {providerId}", nameof(providerId));
+        return new(FailoverService.GetActiveBaseUrl(provider), provider.Username, provider.Password)
+        {
+            ProviderId = provider.Id,
+
+            // The user agent of the primary provider is the default of the HTTP client
+            UserAgent = providerId == ProviderProfile.PrimaryId ? null : provider.UserAgent,
+        };
+    }
 
     /// <summary>
     /// Gets the data version used to trigger a cache invalidation on plugin update or config change.
@@ -183,16 +208,20 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     public string DataVersion => Assembly.GetCallingAssembly().GetName().Version?.ToString() + Configuration.GetHashCode();
 
     /// <summary>
-    /// Gets the cache-specific data version that only changes when cache-relevant settings change.
+    /// Gets the cache-specific data version of a provider that only changes when its cache-relevant settings change.
     /// This excludes settings like refresh frequency that don't affect cached data.
     /// </summary>
-    public string CacheDataVersion => Assembly.GetCallingAssembly().GetName().Version?.ToString() + Configuration.GetCacheRelevantHash();
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The series cache data version.</returns>
+    public string GetCacheDataVersion(int providerId) => Assembly.GetCallingAssembly().GetName().Version?.ToString() + Configuration.GetCacheRelevantHash(providerId);
 
     /// <summary>
-    /// Gets the VOD cache-specific data version that only changes when VOD cache-relevant settings change.
+    /// Gets the VOD cache-specific data version of a provider that only changes when its VOD cache-relevant settings change.
     /// This excludes settings like refresh frequency that don't affect cached data.
     /// </summary>
-    public string VodCacheDataVersion => Assembly.GetCallingAssembly().GetName().Version?.ToString() + Configuration.GetVodCacheRelevantHash();
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The VOD cache data version.</returns>
+    public string GetVodCacheDataVersion(int providerId) => Assembly.GetCallingAssembly().GetName().Version?.ToString() + Configuration.GetVodCacheRelevantHash(providerId);
 
     /// <summary>
     /// Gets the current plugin instance.
@@ -206,6 +235,11 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
 
     private IXtreamClient XtreamClient { get; init; }
 
+    /// <summary>
+    /// Gets the failover service instance.
+    /// </summary>
+    public FailoverService FailoverService { get; init; }
+
     /// <summary>
     /// Gets the task service instance.
     /// </summary>
@@ -222,19 +256,51 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     public ILibraryManager LibraryManager { get; init; }
 
     /// <summary>
-    /// Gets the sync state service instance for incremental sync support.
+    /// Gets the series and VOD caches of the given provider.
     /// </summary>
-    public Service.SyncStateService SyncStateService { get; init; }
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The caches of the provider.</returns>
+    /// <exception cref="ArgumentException">No provider has the given id.</exception>
+    public ProviderCaches GetProviderCaches(int providerId)
+    {
+        if (Configuration.GetProvider(providerId) is null)
+        {
+            throw new ArgumentException($"Unknown provider {providerId}", nameof(providerId));
+        }
+
+        return _providerCaches.GetOrAdd(providerId, _createProviderCaches);
+    }
 
     /// <summary>
-    /// Gets the series cache service instance.
+    /// Refreshes the series caches of the providers with credentials, one provider after another.
     /// </summary>
-    public Service.SeriesCacheService SeriesCacheService { get; init; }
+    /// <param name="progress">Optional progress reporter (0.0 to 1.0) over all providers.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public Task RefreshSeriesCachesAsync(IProgress<double>? progress = null, CancellationToken cancellationToken = default) =>
+        RefreshCachesAsync((caches, providerProgress) => caches.SeriesCacheService.RefreshCacheAsync(providerProgress, false, cancellationToken), progress);
 
     /// <summary>
-    /// Gets the VOD cache service instance.
+    /// Refreshes the VOD caches of the providers with credentials, one provider after another.
     /// </summary>
-    public Service.VodCacheService VodCacheService { get; init; }
+    /// <param name="progress">Optional progress reporter (0.0 to 1.0) over all providers.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public Task RefreshVodCachesAsync(IProgress<double>? progress = null, CancellationToken cancellationToken = default) =>
+        RefreshCachesAsync((caches, providerProgress) => caches.VodCacheService.RefreshCacheAsync(providerProgress, false, cancellationToken), progress);
+
+    private async Task RefreshCachesAsync(Func<ProviderCaches, IProgress<double>?, Task> refresh, IProgress<double>? progress)
+    {
+        List<ProviderProfile> providers = Configuration.GetProviders().Where(provider => provider.HasCredentials()).ToList();
+        for (int i = 0; i < providers.Count; i++)
+        {
+            int index = i;
+            IProgress<double>? providerProgress = progress == null
+                ? null
+                : new Progress<double>(value => progress.Report((index + value) / providers.Count));
+            await refresh(GetProviderCaches(providers[i].Id), providerProgress).ConfigureAwait(false);
+        }
+    }
 
     private static PluginPageInfo CreateStatic(string name) => new()
     {
@@ -251,6 +317,10 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     {
         return new[]
         {
+            CreateStatic("XtreamAdvanced.html"),
+            CreateStatic("XtreamAdvanced.js"),
+            CreateStatic("XtreamCache.html"),
+            CreateStatic("XtreamCache.js"),
             CreateStatic("XtreamCredentials.html"),
             CreateStatic("XtreamCredentials.js"),
             CreateStatic("Xtream.css"),
@@ -259,6 +329,8 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
             CreateStatic("XtreamLive.js"),
             CreateStatic("XtreamLiveOverrides.html"),
             CreateStatic("XtreamLiveOverrides.js"),
+            CreateStatic("XtreamMetadata.html"),
+            CreateStatic("XtreamMetadata.js"),
             CreateStatic("XtreamSeries.html"),
             CreateStatic("XtreamSeries.js"),
             CreateStatic("XtreamVod.html"),
@@ -266,6 +338,36 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
         };
     }
 
+    /// <summary>
+    /// Converts the former global catch-up setting into a selection of every channel with an archive.
+    /// The setting is only cleared once the channels of all providers are known, so a failure is retried on the next start.
+    /// </summary>
+    private async Task MigrateCatchupVisibleAsync()
+    {
+        try
+        {
+            List<(ProviderProfile Provider, List<int> Channels)> selections = [];
+            foreach (ProviderProfile provider in Configuration.GetProviders())
+            {
+                IEnumerable<StreamInfo> channels = await StreamService.GetLiveStreamsWithOverrides(provider.Id, CancellationToken.None).ConfigureAwait(false);
+                selections.Add((provider, channels.Where(channel => channel.TvArchive).Select(channel => channel.StreamId).ToList()));
+            }
+
+            foreach ((ProviderProfile provider, List<int> channels) in selections)
+            {
+                provider.CatchupChannels.UnionWith(channels);
+            }
+
+            Configuration.IsCatchupVisible = false;
+            SaveConfiguration();
+            _logger.LogInformation("Converted the catch-up setting into a selection of {Count} channels", selections.Sum(selection => selection.Channels.Count));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to convert the catch-up setting into a selection per channel");
+        }
+    }
+
     /// <inheritdoc />
     public override void UpdateConfiguration(BasePluginConfiguration configuration)
     {
@@ -292,15 +394,16 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
             }
         }
 
-        // Refresh series cache in background when configuration changes
+        // Refresh the caches in background when configuration changes
         // Only refresh if caching is enabled and credentials are configured
-        if (Configuration.EnableSeriesCaching &&
-            !string.IsNullOrEmpty(Configuration.BaseUrl) &&
-            Configuration.BaseUrl != "https://example.com" &&
-            !string.IsNullOrEmpty(Configuration.Username))
+        bool hasCredentials = Configuration.GetProviders().Any(provider => provider.HasCredentials());
+        if (Configuration.EnableSeriesCaching && hasCredentials)
         {
             // Cancel any running refresh so the new one can start with updated settings
-            SeriesCacheService.CancelRefresh();
+            foreach (ProviderCaches caches in _providerCaches.Values)
+            {
+                caches.SeriesCacheService.CancelRefresh();
+            }
 
             _ = Task.Run(async () =>
             {
@@ -308,7 +411,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
                 {
                     // Small delay to allow cancellation to propagate
                     await Task.Delay(500).ConfigureAwait(false);
-                    await SeriesCacheService.RefreshCacheAsync().ConfigureAwait(false);
+                    await RefreshSeriesCachesAsync().ConfigureAwait(false);
                 }
                 catch (Exception ex)
                 {
@@ -319,18 +422,19 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
         else if (!Configuration.EnableSeriesCaching)
         {
             // Clear cache when caching is disabled
-            SeriesCacheService.InvalidateCache();
+            foreach (ProviderCaches caches in _providerCaches.Values)
+            {
+                caches.SeriesCacheService.InvalidateCache();
+            }
         }
 
-        // Refresh VOD cache in background when configuration changes
-        // Only refresh if caching is enabled and credentials are configured
-        if (Configuration.EnableVodCaching &&
-            !string.IsNullOrEmpty(Configuration.BaseUrl) &&
-            Configuration.BaseUrl != "https://example.com" &&
-            !string.IsNullOrEmpty(Configuration.Username))
+        if (Configuration.EnableVodCaching && hasCredentials)
         {
             // Cancel any running refresh so the new one can start with updated settings
-            VodCacheService.CancelRefresh();
+            foreach (ProviderCaches caches in _providerCaches.Values)
+            {
+                caches.VodCacheService.CancelRefresh();
+            }
 
             _ = Task.Run(async () =>
             {
@@ -338,7 +442,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
                 {
                     // Small delay to allow cancellation to propagate
                     await Task.Delay(500).ConfigureAwait(false);
-                    await VodCacheService.RefreshCacheAsync().ConfigureAwait(false);
+                    await RefreshVodCachesAsync().ConfigureAwait(false);
                 }
                 catch (Exception ex)
                 {
@@ -349,7 +453,10 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
         else if (!Configuration.EnableVodCaching)
         {
             // Clear cache when caching is disabled
-            VodCacheService.InvalidateCache();
+            foreach (ProviderCaches caches in _providerCaches.Values)
+            {
+                caches.VodCacheService.InvalidateCache();
+            }
         }
 
         // Force a refresh of TV guide on configuration update.
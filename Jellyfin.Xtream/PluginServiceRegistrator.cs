@@ -39,6 +39,15 @@ public class PluginServiceRegistrator : IPluginServiceRegistrator
         serviceCollection.AddSingleton<IXtreamClient, XtreamClient>();
         serviceCollection.AddSingleton<RetryHandler>();
         serviceCollection.AddSingleton<FailureTrackingService>();
+        serviceCollection.AddSingleton<FailoverService>();
+        serviceCollection.AddSingleton<LogoService>();
+        serviceCollection.AddSingleton<XmltvService>();
+        serviceCollection.AddSingleton<EpgService>();
+        serviceCollection.AddSingleton<CatchupService>();
+        serviceCollection.AddSingleton<ExportService>();
+        serviceCollection.AddSingleton<StreamMonitorService>();
+        serviceCollection.AddSingleton<RecordingService>();
+        serviceCollection.AddHostedService(sp => sp.GetRequiredService<RecordingService>());
         serviceCollection.AddSingleton<MetadataLookupService>(sp =>
             new MetadataLookupService(
                 sp.GetRequiredService<IProviderManager>(),
@@ -17,9 +17,11 @@ using System;
 using System.Collections.Generic;
 using System.Data;
 using System.Linq;
+using System.Net.Http;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
 using Jellyfin.Xtream.Service;
 using MediaBrowser.Controller.Channels;
 using MediaBrowser.Controller.Entities;
@@ -104,20 +106,21 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
             }
 
             Guid guid = Guid.Parse(query.FolderId);
-            StreamService.FromGuid(guid, out int prefix, out int categoryId, out int seriesId, out int seasonId);
+            StreamService.FromGuid(guid, out int value, out int categoryId, out int seriesId, out int seasonId);
+            int prefix = StreamService.FromProviderPrefix(value, out int providerId);
             if (prefix == StreamService.SeriesCategoryPrefix)
             {
-                return await GetSeries(categoryId, cancellationToken).ConfigureAwait(false);
+                return await GetSeries(providerId, categoryId, cancellationToken).ConfigureAwait(false);
             }
 
             if (prefix == StreamService.SeriesPrefix)
             {
-                return await GetSeasons(seriesId, cancellationToken).ConfigureAwait(false);
+                return await GetSeasons(providerId, seriesId, cancellationToken).ConfigureAwait(false);
             }
 
             if (prefix == StreamService.SeasonPrefix)
             {
-                return await GetEpisodes(seriesId, seasonId, cancellationToken).ConfigureAwait(false);
+                return await GetEpisodes(providerId, seriesId, seasonId, cancellationToken).ConfigureAwait(false);
             }
         }
         catch (Exception ex)
@@ -132,12 +135,15 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         };
     }
 
-    private ChannelItemInfo CreateChannelItemInfo(Series series)
+    private static SeriesCacheService GetCache(int providerId) =>
+        Plugin.Instance.GetProviderCaches(providerId).SeriesCacheService;
+
+    private ChannelItemInfo CreateChannelItemInfo(int providerId, Series series)
     {
         ParsedName parsedName = StreamService.ParseName(series.Name);
 
         // Use cached TVDb image if available, otherwise fall back to Xtream cover
-        string? imageUrl = Plugin.Instance.SeriesCacheService.GetCachedTmdbImageUrl(series.SeriesId);
+        string? imageUrl = GetCache(providerId).GetCachedTmdbImageUrl(series.SeriesId);
         imageUrl ??= series.Cover;
 
         return new ChannelItemInfo()
@@ -146,7 +152,7 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
             DateModified = series.LastModified,
             FolderType = ChannelFolderType.Series,
             Genres = GetGenres(series.Genre),
-            Id = StreamService.ToGuid(StreamService.SeriesPrefix, series.CategoryId, series.SeriesId, 0).ToString(),
+            Id = StreamService.ToGuid(StreamService.ToProviderPrefix(StreamService.SeriesPrefix, providerId), series.CategoryId, series.SeriesId, 0).ToString(),
             ImageUrl = imageUrl,
             Name = parsedName.Title,
             SeriesName = parsedName.Title,
@@ -179,7 +185,7 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         }).ToList();
     }
 
-    private ChannelItemInfo CreateChannelItemInfo(int seriesId, SeriesStreamInfo series, int seasonId)
+    private ChannelItemInfo CreateChannelItemInfo(int providerId, int seriesId, SeriesStreamInfo series, int seasonId)
     {
         Client.Models.SeriesInfo serie = series.Info;
         string name = $"Season {seasonId}";
@@ -202,7 +208,7 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
             }
         }
 
-        cover ??= Plugin.Instance.SeriesCacheService.GetCachedTmdbImageUrl(seriesId);
+        cover ??= GetCache(providerId).GetCachedTmdbImageUrl(seriesId);
         cover ??= series.Info.Cover;
 
         return new()
@@ -210,7 +216,7 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
             DateCreated = created,
             FolderType = ChannelFolderType.Season,
             Genres = GetGenres(serie.Genre),
-            Id = StreamService.ToGuid(StreamService.SeasonPrefix, serie.CategoryId, seriesId, seasonId).ToString(),
+            Id = StreamService.ToGuid(StreamService.ToProviderPrefix(StreamService.SeasonPrefix, providerId), serie.CategoryId, seriesId, seasonId).ToString(),
             ImageUrl = cover,
             IndexNumber = seasonId,
             Name = name,
@@ -221,7 +227,7 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         };
     }
 
-    private ChannelItemInfo CreateChannelItemInfo(int seriesId, SeriesStreamInfo series, Season? season, Episode episode)
+    private ChannelItemInfo CreateChannelItemInfo(int providerId, int seriesId, SeriesStreamInfo series, Season? season, Episode episode)
     {
         Client.Models.SeriesInfo serie = series.Info;
         ParsedName parsedName = StreamService.ParseName(episode.Title);
@@ -232,14 +238,16 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
                 episode.EpisodeId,
                 episode.ContainerExtension,
                 videoInfo: episode.Info?.Video,
-                audioInfo: episode.Info?.Audio)
+                audioInfo: episode.Info?.Audio,
+                providerId: providerId)
         ];
 
-        string? cover = Plugin.Instance.SeriesCacheService.GetCachedEpisodeImageUrl(
+        SeriesCacheService cache = GetCache(providerId);
+        string? cover = cache.GetCachedEpisodeImageUrl(
             seriesId, episode.Season, episode.EpisodeNum);
         cover ??= episode.Info?.MovieImage;
         cover ??= season?.Cover;
-        cover ??= Plugin.Instance.SeriesCacheService.GetCachedTmdbImageUrl(seriesId);
+        cover ??= cache.GetCachedTmdbImageUrl(seriesId);
         cover ??= serie.Cover;
 
         return new()
@@ -247,7 +255,7 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
             ContentType = ChannelMediaContentType.Episode,
             DateCreated = episode.Added,
             Genres = GetGenres(serie.Genre),
-            Id = StreamService.ToGuid(StreamService.EpisodePrefix, 0, 0, episode.EpisodeId).ToString(),
+            Id = StreamService.ToGuid(StreamService.ToProviderPrefix(StreamService.EpisodePrefix, providerId), 0, 0, episode.EpisodeId).ToString(),
             ImageUrl = cover,
             IndexNumber = episode.EpisodeNum,
             IsLiveStream = false,
@@ -266,14 +274,33 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         };
     }
 
-    private async Task<ChannelItemResult> GetCategories(CancellationToken cancellationToken)
+    private async Task<List<(int ProviderId, Category Category)>> GetAllCategories(CancellationToken cancellationToken)
     {
-        // Try cache first
-        IEnumerable<Category>? cachedCategories = Plugin.Instance.SeriesCacheService.GetCachedCategories();
-        IEnumerable<Category> categories = cachedCategories ?? await Plugin.Instance.StreamService.GetSeriesCategories(cancellationToken).ConfigureAwait(false);
+        List<(int ProviderId, Category Category)> categories = [];
+        foreach (ProviderProfile provider in Plugin.Instance.Configuration.GetProviders())
+        {
+            try
+            {
+                // Try cache first
+                IEnumerable<Category>? cachedCategories = GetCache(provider.Id).GetCachedCategories();
+                IEnumerable<Category> providerCategories = cachedCategories ?? await Plugin.Instance.StreamService.GetSeriesCategories(provider.Id, cancellationToken).ConfigureAwait(false);
+                categories.AddRange(providerCategories.Select(category => (provider.Id, category)));
+            }
+            catch (HttpRequestException ex) when (provider.Id != ProviderProfile.PrimaryId)
+            {
+                // An unreachable additional provider should not hide the content of the others
+                logger.LogWarning(ex, "Failed to get the series categories of provider {Provider}", provider.Name);
+            }
+        }
 
+        return categories;
+    }
+
+    private async Task<ChannelItemResult> GetCategories(CancellationToken cancellationToken)
+    {
+        List<(int ProviderId, Category Category)> categories = await GetAllCategories(cancellationToken).ConfigureAwait(false);
         List<ChannelItemInfo> items = new(
-            categories.Select((Category category) => StreamService.CreateChannelItemInfo(StreamService.SeriesCategoryPrefix, category)));
+            categories.Select(c => StreamService.CreateChannelItemInfo(StreamService.SeriesCategoryPrefix, c.ProviderId, c.Category)));
         return new()
         {
             Items = items,
@@ -284,20 +311,18 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
     private async Task<ChannelItemResult> GetAllSeriesFlattened(CancellationToken cancellationToken)
     {
         logger.LogInformation("GetAllSeriesFlattened called");
-        // Try cache first for categories
-        IEnumerable<Category>? cachedCategories = Plugin.Instance.SeriesCacheService.GetCachedCategories();
-        IEnumerable<Category> categories = cachedCategories ?? await Plugin.Instance.StreamService.GetSeriesCategories(cancellationToken).ConfigureAwait(false);
+        List<(int ProviderId, Category Category)> categories = await GetAllCategories(cancellationToken).ConfigureAwait(false);
 
-        logger.LogInformation("GetAllSeriesFlattened found {Count} categories", categories.Count());
+        logger.LogInformation("GetAllSeriesFlattened found {Count} categories", categories.Count);
         List<ChannelItemInfo> items = new();
 
         // Get all series from all selected categories
-        foreach (Category category in categories)
+        foreach ((int providerId, Category category) in categories)
         {
             try
             {
                 // Try to get from cache first
-                IEnumerable<Series>? cachedSeries = Plugin.Instance.SeriesCacheService.GetCachedSeriesList(category.CategoryId);
+                IEnumerable<Series>? cachedSeries = GetCache(providerId).GetCachedSeriesList(category.CategoryId);
                 IEnumerable<Series> series;
 
                 if (cachedSeries != null)
@@ -308,11 +333,11 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
                 else
                 {
                     // Fallback to API if cache miss
-                    series = await Plugin.Instance.StreamService.GetSeries(category.CategoryId, cancellationToken).ConfigureAwait(false);
+                    series = await Plugin.Instance.StreamService.GetSeries(providerId, category.CategoryId, cancellationToken).ConfigureAwait(false);
                     logger.LogInformation("GetAllSeriesFlattened got {Count} series from API for category {CategoryId}", series.Count(), category.CategoryId);
                 }
 
-                items.AddRange(series.Select(CreateChannelItemInfo));
+                items.AddRange(series.Select(serie => CreateChannelItemInfo(providerId, serie)));
             }
             catch (Exception ex)
             {
@@ -331,10 +356,10 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         };
     }
 
-    private async Task<ChannelItemResult> GetSeries(int categoryId, CancellationToken cancellationToken)
+    private async Task<ChannelItemResult> GetSeries(int providerId, int categoryId, CancellationToken cancellationToken)
     {
-        IEnumerable<Series> series = await Plugin.Instance.StreamService.GetSeries(categoryId, cancellationToken).ConfigureAwait(false);
-        List<ChannelItemInfo> items = new(series.Select(CreateChannelItemInfo));
+        IEnumerable<Series> series = await Plugin.Instance.StreamService.GetSeries(providerId, categoryId, cancellationToken).ConfigureAwait(false);
+        List<ChannelItemInfo> items = new(series.Select(serie => CreateChannelItemInfo(providerId, serie)));
         return new()
         {
             Items = items,
@@ -342,11 +367,11 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         };
     }
 
-    private async Task<ChannelItemResult> GetSeasons(int seriesId, CancellationToken cancellationToken)
+    private async Task<ChannelItemResult> GetSeasons(int providerId, int seriesId, CancellationToken cancellationToken)
     {
         logger.LogInformation("GetSeasons called - seriesId: {SeriesId}", seriesId);
         // Try cache first
-        SeriesStreamInfo? cachedSeriesInfo = Plugin.Instance.SeriesCacheService.GetCachedSeriesInfo(seriesId);
+        SeriesStreamInfo? cachedSeriesInfo = GetCache(providerId).GetCachedSeriesInfo(seriesId);
 
         IEnumerable<Tuple<SeriesStreamInfo, int>> seasons;
         if (cachedSeriesInfo != null)
@@ -360,11 +385,11 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         {
             // Fallback to API call
             logger.LogWarning("GetSeasons cache MISS for series {SeriesId} - falling back to API call", seriesId);
-            seasons = await Plugin.Instance.StreamService.GetSeasons(seriesId, cancellationToken).ConfigureAwait(false);
+            seasons = await Plugin.Instance.StreamService.GetSeasons(providerId, seriesId, cancellationToken).ConfigureAwait(false);
         }
 
         List<ChannelItemInfo> items = new(
-            seasons.Select((Tuple<SeriesStreamInfo, int> tuple) => CreateChannelItemInfo(seriesId, tuple.Item1, tuple.Item2)));
+            seasons.Select((Tuple<SeriesStreamInfo, int> tuple) => CreateChannelItemInfo(providerId, seriesId, tuple.Item1, tuple.Item2)));
         return new()
         {
             Items = items,
@@ -372,29 +397,30 @@ public class SeriesChannel(ILogger<SeriesChannel> logger) : IChannel, IDisableMe
         };
     }
 
-    private async Task<ChannelItemResult> GetEpisodes(int seriesId, int seasonId, CancellationToken cancellationToken)
+    private async Task<ChannelItemResult> GetEpisodes(int providerId, int seriesId, int seasonId, CancellationToken cancellationToken)
     {
         logger.LogInformation("GetEpisodes called - seriesId: {SeriesId}, seasonId: {SeasonId}", seriesId, seasonId);
         // Try cache first
-        IEnumerable<Episode>? cachedEpisodes = Plugin.Instance.SeriesCacheService.GetCachedEpisodes(seriesId, seasonId);
-        Season? cachedSeason = Plugin.Instance.SeriesCacheService.GetCachedSeason(seriesId, seasonId);
-        SeriesStreamInfo? cachedSeriesInfo = Plugin.Instance.SeriesCacheService.GetCachedSeriesInfo(seriesId);
+        SeriesCacheService cache = GetCache(providerId);
+        IEnumerable<Episode>? cachedEpisodes = cache.GetCachedEpisodes(seriesId, seasonId);
+        Season? cachedSeason = cache.GetCachedSeason(seriesId, seasonId);
+        SeriesStreamInfo? cachedSeriesInfo = cache.GetCachedSeriesInfo(seriesId);
 
         List<ChannelItemInfo> items;
         if (cachedEpisodes != null && cachedSeriesInfo != null)
         {
             // Use cached data
             items = new List<ChannelItemInfo>(
-                cachedEpisodes.Select(episode => CreateChannelItemInfo(seriesId, cachedSeriesInfo, cachedSeason, episode)));
+                cachedEpisodes.Select(episode => CreateChannelItemInfo(providerId, seriesId, cachedSeriesInfo, cachedSeason, episode)));
             logger.LogInformation("GetEpisodes cache HIT for series {SeriesId} season {SeasonId} - returning {Count} episodes from cache", seriesId, seasonId, items.Count);
         }
         else
         {
             // Fallback to API call
             logger.LogWarning("GetEpisodes cache MISS for series {SeriesId} season {SeasonId} (cachedEpisodes: {HasEpisodes}, cachedSeriesInfo: {HasInfo}) - falling back to API call", seriesId, seasonId, cachedEpisodes != null, cachedSeriesInfo != null);
-            IEnumerable<Tuple<SeriesStreamInfo, Season?, Episode>> episodes = await Plugin.Instance.StreamService.GetEpisodes(seriesId, seasonId, cancellationToken).ConfigureAwait(false);
+            IEnumerable<Tuple<SeriesStreamInfo, Season?, Episode>> episodes = await Plugin.Instance.StreamService.GetEpisodes(providerId, seriesId, seasonId, cancellationToken).ConfigureAwait(false);
             items = new List<ChannelItemInfo>(
-                episodes.Select((Tuple<SeriesStreamInfo, Season?, Episode> tuple) => CreateChannelItemInfo(seriesId, tuple.Item1, tuple.Item2, tuple.Item3)));
+                episodes.Select((Tuple<SeriesStreamInfo, Season?, Episode> tuple) => CreateChannelItemInfo(providerId, seriesId, tuple.Item1, tuple.Item2, tuple.Item3)));
         }
 
         logger.LogInformation("GetEpisodes returning {Count} episodes for seriesId: {SeriesId}, seasonId: {SeasonId}", items.Count, seriesId, seasonId);
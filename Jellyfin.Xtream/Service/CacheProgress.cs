@@ -0,0 +1,69 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// A snapshot of the progress of a cache refresh.
+/// </summary>
+public class CacheProgress
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether a refresh is running.
+    /// </summary>
+    public bool IsRefreshing { get; set; }
+
+    /// <summary>
+    /// Gets or sets the current step of the refresh.
+    /// </summary>
+    public CacheRefreshPhase Phase { get; set; }
+
+    /// <summary>
+    /// Gets or sets the overall progress, from 0.0 to 1.0.
+    /// </summary>
+    public double Progress { get; set; }
+
+    /// <summary>
+    /// Gets or sets the human readable status.
+    /// </summary>
+    public string Status { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of series or movies processed so far.
+    /// </summary>
+    public int Processed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of series or movies to process.
+    /// </summary>
+    public int Total { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of series or movies which failed to process.
+    /// </summary>
+    public int Errors { get; set; }
+
+    /// <summary>
+    /// Gets or sets the start time of the latest refresh.
+    /// </summary>
+    public DateTime? StartTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets the completion time of the latest successful refresh.
+    /// </summary>
+    public DateTime? CompleteTime { get; set; }
+}
@@ -0,0 +1,72 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The step a cache refresh is currently in.
+/// </summary>
+public enum CacheRefreshPhase
+{
+    /// <summary>
+    /// No refresh has run since the cache was created or invalidated.
+    /// </summary>
+    Idle = 0,
+
+    /// <summary>
+    /// The refresh is loading its sync state.
+    /// </summary>
+    Starting = 1,
+
+    /// <summary>
+    /// The categories are being fetched.
+    /// </summary>
+    FetchingCategories = 2,
+
+    /// <summary>
+    /// The series or movie lists of every category are being fetched.
+    /// </summary>
+    FetchingItems = 3,
+
+    /// <summary>
+    /// The individual series or movies are being processed.
+    /// </summary>
+    ProcessingItems = 4,
+
+    /// <summary>
+    /// Artwork and metadata are being looked up.
+    /// </summary>
+    FetchingMetadata = 5,
+
+    /// <summary>
+    /// The cached items are being added to the Jellyfin database.
+    /// </summary>
+    PopulatingDatabase = 6,
+
+    /// <summary>
+    /// The refresh finished.
+    /// </summary>
+    Completed = 7,
+
+    /// <summary>
+    /// The refresh was cancelled.
+    /// </summary>
+    Cancelled = 8,
+
+    /// <summary>
+    /// The refresh stopped because of an error.
+    /// </summary>
+    Failed = 9,
+}
@@ -0,0 +1,147 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Xtream.Client;
+using Jellyfin.Xtream.Client.Models;
+using MediaBrowser.Common.Net;
+using MediaBrowser.Controller.LiveTv;
+using MediaBrowser.Model.Dto;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Lists the archived programs of the Live TV channels with catch-up and checks whether they can be played.
+/// </summary>
+/// <param name="xtreamClient">Instance of the <see cref="IXtreamClient"/> interface.</param>
+/// <param name="httpClientFactory">Instance of the <see cref="IHttpClientFactory"/> interface.</param>
+/// <param name="streamMonitor">Instance of the <see cref="StreamMonitorService"/> class.</param>
+public class CatchupService(IXtreamClient xtreamClient, IHttpClientFactory httpClientFactory, StreamMonitorService streamMonitor)
+{
+    private static readonly TimeSpan CheckTimeout = TimeSpan.FromSeconds(15);
+
+    /// <summary>
+    /// Gets the selected Live TV channels of a provider which have an archive.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The channels ordered by number, with their overrides applied.</returns>
+    public async Task<IReadOnlyList<StreamInfo>> GetChannelsAsync(int providerId, CancellationToken cancellationToken)
+    {
+        IEnumerable<StreamInfo> streams = await Plugin.Instance.StreamService.GetLiveStreamsWithOverrides(providerId, cancellationToken).ConfigureAwait(false);
+        return streams.Where(stream => stream.TvArchive).OrderBy(stream => stream.Num).ToList();
+    }
+
+    /// <summary>
+    /// Gets the programs of a channel which ended within its archive window.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="channel">The channel.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The programs, most recent first.</returns>
+    public async Task<IReadOnlyList<EpgInfo>> GetProgramsAsync(int providerId, StreamInfo channel, CancellationToken cancellationToken)
+    {
+        EpgListings epgs = await xtreamClient.GetEpgInfoAsync(Plugin.Instance.GetCreds(providerId), channel.StreamId, cancellationToken).ConfigureAwait(false);
+        DateTime now = DateTime.UtcNow;
+        DateTime archiveStart = now.AddDays(-channel.TvArchiveDuration);
+        return epgs.Listings
+            .Where(epg => epg.End <= now && epg.Start >= archiveStart)
+            .OrderByDescending(epg => epg.Start)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Checks whether the archive of a program can be played by requesting the start of the catch-up stream.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="start">The start of the program in the provider's local time.</param>
+    /// <param name="durationMinutes">The duration of the program in minutes.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>A description of the problem, or null if the program can be played.</returns>
+    public async Task<string?> CheckPlayableAsync(int providerId, int streamId, DateTime start, int durationMinutes, CancellationToken cancellationToken)
+    {
+        MediaSourceInfo mediaSource = Plugin.Instance.StreamService.GetMediaSourceInfo(StreamType.CatchUp, streamId, start: start, durationMinutes: durationMinutes, providerId: providerId);
+        try
+        {
+            // The check takes a connection to the provider like any other stream
+            using IDisposable reservation = await streamMonitor.ReserveAsync(providerId, cancellationToken).ConfigureAwait(false);
+            using CancellationTokenSource timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+            timeout.CancelAfter(CheckTimeout);
+            HttpClient client = httpClientFactory.CreateClient(NamedClient.Default);
+            HttpResponseMessage response = await GetAsync(client, new Uri(mediaSource.Path), mediaSource, timeout.Token).ConfigureAwait(false);
+
+            // Like the restream, follow a redirect from HTTPS to HTTP which the client refuses to follow
+            if ((int)response.StatusCode is >= 300 and < 400 && response.Headers.Location is not null)
+            {
+                Uri location = response.Headers.Location;
+                response.Dispose();
+                response = await GetAsync(client, location, mediaSource, timeout.Token).ConfigureAwait(false);
+            }
+
+            using (response)
+            {
+                if (!response.IsSuccessStatusCode)
+                {
+                    return $"HTTP {(int)response.StatusCode} {response.ReasonPhrase}";
+                }
+
+                string? mediaType = response.Content.Headers.ContentType?.MediaType;
+                if (mediaType is not null && (mediaType.StartsWith("text/", StringComparison.OrdinalIgnoreCase) || mediaType.EndsWith("/json", StringComparison.OrdinalIgnoreCase)))
+                {
+                    return $"Not a video stream ({mediaType})";
+                }
+
+                Stream stream = await response.Content.ReadAsStreamAsync(timeout.Token).ConfigureAwait(false);
+                await using (stream.ConfigureAwait(false))
+                {
+                    byte[] buffer = new byte[188];
+                    if (await stream.ReadAsync(buffer, timeout.Token).ConfigureAwait(false) == 0)
+                    {
+                        return "The archive returned no data";
+                    }
+                }
+            }
+
+            return null;
+        }
+        catch (Exception ex) when (ex is HttpRequestException or LiveTvConflictException)
+        {
+            return ex.Message;
+        }
+        catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            return "Timed out";
+        }
+    }
+
+    private static async Task<HttpResponseMessage> GetAsync(HttpClient client, Uri uri, MediaSourceInfo mediaSource, CancellationToken cancellationToken)
+    {
+        // Send the headers the provider requires, such as its user agent
+        using HttpRequestMessage request = new(HttpMethod.Get, uri);
+        foreach ((string name, string value) in mediaSource.RequiredHttpHeaders)
+        {
+            request.Headers.TryAddWithoutValidation(name, value);
+        }
+
+        return await client.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken).ConfigureAwait(false);
+    }
+}
@@ -0,0 +1,131 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text.RegularExpressions;
+using Jellyfin.Xtream.Configuration;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Applies <see cref="NameCleanupRule"/>s to Live TV channel names.
+/// </summary>
+public class ChannelNameCleaner
+{
+    private static readonly TimeSpan _matchTimeout = TimeSpan.FromMilliseconds(100);
+
+    private readonly List<Func<string, string>> _steps;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ChannelNameCleaner"/> class.
+    /// Disabled and invalid rules are skipped.
+    /// </summary>
+    /// <param name="rules">The rules to apply, in order.</param>
+    public ChannelNameCleaner(IEnumerable<NameCleanupRule> rules)
+    {
+        _steps = rules
+            .Where(rule => rule.Enabled && Validate(rule) is null)
+            .Select(CreateStep)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Gets a value indicating whether any rule will be applied.
+    /// </summary>
+    public bool HasRules => _steps.Count > 0;
+
+    /// <summary>
+    /// Checks whether a rule can be applied.
+    /// </summary>
+    /// <param name="rule">The rule to check.</param>
+    /// <returns>A description of the problem, or null if the rule is valid.</returns>
+    public static string? Validate(NameCleanupRule rule)
+    {
+        switch (rule.Type)
+        {
+            case NameCleanupRuleType.Replace:
+                if (string.IsNullOrEmpty(rule.Pattern))
+                {
+                    return "The regular expression is empty.";
+                }
+
+                try
+                {
+                    _ = new Regex(rule.Pattern, RegexOptions.IgnoreCase, _matchTimeout);
+                }
+                catch (ArgumentException ex)
+                {
+                    return $"Invalid regular expression: {ex.Message}";
+                }
+
+                return null;
+            case NameCleanupRuleType.StripPrefix:
+                return string.IsNullOrEmpty(rule.Pattern) ? "The prefix is empty." : null;
+            case NameCleanupRuleType.ChangeCase:
+                return null;
+            default:
+                return $"Unknown rule type {rule.Type}.";
+        }
+    }
+
+    /// <summary>
+    /// Applies the rules to a channel name.
+    /// </summary>
+    /// <param name="name">The provider name of the channel.</param>
+    /// <returns>The cleaned name, or the original name if the rules would leave it empty.</returns>
+    public string Clean(string name)
+    {
+        string result = name;
+        foreach (Func<string, string> step in _steps)
+        {
+            try
+            {
+                result = step(result);
+            }
+            catch (RegexMatchTimeoutException)
+            {
+                // Skip rules which take too long on this name.
+            }
+        }
+
+        result = result.Trim();
+        return string.IsNullOrEmpty(result) ? name : result;
+    }
+
+    private static Func<string, string> CreateStep(NameCleanupRule rule)
+    {
+        switch (rule.Type)
+        {
+            case NameCleanupRuleType.Replace:
+                Regex regex = new(rule.Pattern, RegexOptions.IgnoreCase, _matchTimeout);
+                string replacement = rule.Replacement;
+                return name => regex.Replace(name, replacement);
+            case NameCleanupRuleType.StripPrefix:
+                string prefix = rule.Pattern;
+                return name => name.StartsWith(prefix, StringComparison.OrdinalIgnoreCase) ? name[prefix.Length..].TrimStart() : name;
+            default:
+                TextInfo textInfo = CultureInfo.InvariantCulture.TextInfo;
+                return rule.Case switch
+                {
+                    NameCase.Upper => textInfo.ToUpper,
+                    NameCase.Lower => textInfo.ToLower,
+                    _ => name => textInfo.ToTitleCase(textInfo.ToLower(name)),
+                };
+        }
+    }
+}
@@ -0,0 +1,119 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Xtream.Client;
+using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
+using MediaBrowser.Controller.LiveTv;
+using Microsoft.Extensions.Caching.Memory;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Provides the program guide of the Live TV channels, applying the EPG mapping of the channel overrides.
+/// </summary>
+/// <param name="xtreamClient">Instance of the <see cref="IXtreamClient"/> interface.</param>
+/// <param name="xmltvService">Instance of the <see cref="XmltvService"/> class.</param>
+/// <param name="memoryCache">Instance of the <see cref="IMemoryCache"/> interface.</param>
+public class EpgService(IXtreamClient xtreamClient, XmltvService xmltvService, IMemoryCache memoryCache)
+{
+    /// <summary>
+    /// Gets the programs of a Live TV channel. Programs from the provider are cached for ten minutes.
+    /// </summary>
+    /// <param name="channelId">The id of the Live TV channel.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The programs of the channel.</returns>
+    /// <exception cref="ArgumentException">The id is not a Live TV channel id.</exception>
+    public async Task<ICollection<ProgramInfo>> GetProgramsAsync(string channelId, CancellationToken cancellationToken)
+    {
+        int streamId = StreamService.FromLiveTvChannelId(channelId, out int providerId);
+        ChannelOverrides? overrides = null;
+        Plugin.Instance.Configuration.GetProvider(providerId)?.LiveTvOverrides.TryGetValue(streamId, out overrides);
+        if (!string.IsNullOrEmpty(overrides?.XmltvChannelId))
+        {
+            // The uploaded guide is kept in memory already
+            return await GetProgramsAsync(providerId, streamId, overrides, cancellationToken).ConfigureAwait(false);
+        }
+
+        // The mapping is part of the key, so changing it does not have to wait for the cache to expire
+        string key = string.Create(CultureInfo.InvariantCulture, $"xtream-epg-{channelId}-{overrides?.EpgStreamId}-{overrides?.EpgShiftMinutes}");
+        if (memoryCache.TryGetValue(key, out ICollection<ProgramInfo>? cached) && cached is not null)
+        {
+            return cached;
+        }
+
+        ICollection<ProgramInfo> items = await GetProgramsAsync(providerId, streamId, overrides, cancellationToken).ConfigureAwait(false);
+        memoryCache.Set(key, items, DateTimeOffset.Now.AddMinutes(10));
+        return items;
+    }
+
+    /// <summary>
+    /// Gets the programs an EPG mapping produces for a Live TV channel, bypassing the cache.
+    /// </summary>
+    /// <param name="providerId">The id of the provider of the channel.</param>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="overrides">The overrides containing the EPG mapping, or null to use the channel's own guide.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The programs of the channel.</returns>
+    public async Task<ICollection<ProgramInfo>> GetProgramsAsync(int providerId, int streamId, ChannelOverrides? overrides, CancellationToken cancellationToken)
+    {
+        string channelId = StreamService.ToLiveTvChannelId(streamId, providerId);
+        int prefix = StreamService.ToProviderPrefix(StreamService.EpgPrefix, providerId);
+        TimeSpan shift = TimeSpan.FromMinutes(overrides?.EpgShiftMinutes ?? 0);
+        List<ProgramInfo> items = [];
+
+        if (!string.IsNullOrEmpty(overrides?.XmltvChannelId))
+        {
+            IReadOnlyList<XmltvProgram> programs = await xmltvService.GetProgramsAsync(overrides.XmltvChannelId, cancellationToken).ConfigureAwait(false);
+            foreach (XmltvProgram program in programs)
+            {
+                items.Add(new()
+                {
+                    // XMLTV programmes have no id, a channel has at most one programme starting per minute
+                    Id = StreamService.ToGuid(prefix, streamId, (int)(new DateTimeOffset(program.Start).ToUnixTimeSeconds() / 60), 1).ToString(),
+                    ChannelId = channelId,
+                    StartDate = program.Start + shift,
+                    EndDate = program.End + shift,
+                    Name = program.Title,
+                    Overview = program.Description,
+                });
+            }
+
+            return items;
+        }
+
+        Plugin plugin = Plugin.Instance;
+        EpgListings epgs = await xtreamClient.GetEpgInfoAsync(plugin.GetCreds(providerId), overrides?.EpgStreamId ?? streamId, cancellationToken).ConfigureAwait(false);
+        foreach (EpgInfo epg in epgs.Listings)
+        {
+            items.Add(new()
+            {
+                Id = StreamService.ToGuid(prefix, streamId, epg.Id, 0).ToString(),
+                ChannelId = channelId,
+                StartDate = epg.Start + shift,
+                EndDate = epg.End + shift,
+                Name = epg.Title,
+                Overview = epg.Description,
+            });
+        }
+
+        return items;
+    }
+}
@@ -0,0 +1,295 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using System.Xml;
+using Jellyfin.Xtream.Client;
+using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.LiveTv;
+using MediaBrowser.Model.Dto;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Creates an M3U playlist and an XMLTV guide of the selected Live TV channels for other IPTV clients.
+/// The channel overrides are applied, so the clients see the same lineup as Jellyfin.
+/// </summary>
+/// <param name="xtreamClient">Instance of the <see cref="IXtreamClient"/> interface.</param>
+/// <param name="epgService">Instance of the <see cref="EpgService"/> class.</param>
+/// <param name="logger">Instance of the <see cref="ILogger"/> interface.</param>
+/// <param name="appHost">Instance of the <see cref="IServerApplicationHost"/> interface.</param>
+/// <param name="httpClientFactory">Instance of the <see cref="IHttpClientFactory"/> interface.</param>
+/// <param name="streamMonitor">Instance of the <see cref="StreamMonitorService"/> class.</param>
+public class ExportService(
+    IXtreamClient xtreamClient,
+    EpgService epgService,
+    ILogger<ExportService> logger,
+    IServerApplicationHost appHost,
+    IHttpClientFactory httpClientFactory,
+    StreamMonitorService streamMonitor)
+{
+    /// <summary>
+    /// The path of the exported playlist, relative to the server address.
+    /// </summary>
+    public const string PlaylistPath = "/Xtream/Export/playlist.m3u";
+
+    /// <summary>
+    /// The path of the exported guide, relative to the server address.
+    /// </summary>
+    public const string GuidePath = "/Xtream/Export/guide.xml";
+
+    /// <summary>
+    /// The path under which the exported streams are served, relative to the server address.
+    /// </summary>
+    public const string StreamPath = "/Xtream/Export/Streams";
+
+    /// <summary>
+    /// Creates a new export token.
+    /// </summary>
+    /// <returns>A random token.</returns>
+    public static string CreateToken() => Guid.NewGuid().ToString("N");
+
+    /// <summary>
+    /// Gets the XMLTV channel id of a stream in the export.
+    /// </summary>
+    /// <param name="providerId">The id of the provider of the stream.</param>
+    /// <param name="streamId">The Xtream stream id.</param>
+    /// <returns>The channel id.</returns>
+    public static string ToExportChannelId(int providerId, int streamId) =>
+        string.Create(CultureInfo.InvariantCulture, $"xtream-{providerId}-{streamId}");
+
+    /// <summary>
+    /// Creates the M3U playlist of the selected channels.
+    /// The streams are served through the plugin, so the playlist does not contain the provider credentials.
+    /// </summary>
+    /// <param name="serverUrl">The address of the server as seen by the client, without trailing slash.</param>
+    /// <param name="token">The export token added to the stream and guide urls.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The playlist.</returns>
+    public async Task<string> CreatePlaylistAsync(string serverUrl, string token, CancellationToken cancellationToken)
+    {
+        string query = "?token=" + Uri.EscapeDataString(token);
+        StringBuilder playlist = new();
+        playlist.Append(CultureInfo.InvariantCulture, $"#EXTM3U x-tvg-url=\"{serverUrl}{GuidePath}{query}\"\n");
+        foreach ((int providerId, StreamInfo stream, string group) in await GetChannelsAsync(cancellationToken).ConfigureAwait(false))
+        {
+            string logo = GetLogoUrl(serverUrl, stream.StreamIcon);
+            playlist.Append(CultureInfo.InvariantCulture, $"#EXTINF:-1 tvg-id=\"{ToExportChannelId(providerId, stream.StreamId)}\"");
+            playlist.Append(CultureInfo.InvariantCulture, $" tvg-chno=\"{stream.Num}\" tvg-name=\"{ToAttribute(GetName(stream))}\"");
+            if (!string.IsNullOrEmpty(logo))
+            {
+                playlist.Append(CultureInfo.InvariantCulture, $" tvg-logo=\"{ToAttribute(logo)}\"");
+            }
+
+            playlist.Append(CultureInfo.InvariantCulture, $" group-title=\"{ToAttribute(group)}\",{GetName(stream)}\n");
+            playlist.Append(CultureInfo.InvariantCulture, $"{serverUrl}{StreamPath}/{providerId}/{stream.StreamId}{query}\n");
+        }
+
+        return playlist.ToString();
+    }
+
+    /// <summary>
+    /// Opens the connection to the provider for an exported stream, which the server relays to the client.
+    /// The connection counts towards the stream limit of the provider and is listed with the open streams.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The opened stream, which must be closed once the client disconnects.</returns>
+    /// <exception cref="LiveTvConflictException">The stream limit is reached.</exception>
+    public async Task<Restream> OpenStreamAsync(int providerId, int streamId, CancellationToken cancellationToken)
+    {
+        MediaSourceInfo mediaSource = Plugin.Instance.StreamService.GetMediaSourceInfo(StreamType.Live, streamId, restream: true, providerId: providerId);
+        Restream restream = new(appHost, httpClientFactory, logger, streamMonitor, mediaSource, providerId, streamId);
+        try
+        {
+            await restream.Open(cancellationToken).ConfigureAwait(false);
+        }
+        catch
+        {
+            restream.Dispose();
+            throw;
+        }
+
+        restream.ConsumerCount++;
+        return restream;
+    }
+
+    /// <summary>
+    /// Creates the XMLTV guide of the selected channels, applying their EPG mapping.
+    /// </summary>
+    /// <param name="serverUrl">The address of the server as seen by the client, without trailing slash.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The UTF-8 encoded guide.</returns>
+    public async Task<byte[]> CreateGuideAsync(string serverUrl, CancellationToken cancellationToken)
+    {
+        List<(int ProviderId, StreamInfo Stream, string Group)> channels = await GetChannelsAsync(cancellationToken).ConfigureAwait(false);
+        ConcurrentDictionary<string, ICollection<ProgramInfo>> programs = new();
+        await Parallel.ForEachAsync(
+            channels,
+            new ParallelOptions { MaxDegreeOfParallelism = 4, CancellationToken = cancellationToken },
+            async (channel, token) =>
+            {
+                string channelId = StreamService.ToLiveTvChannelId(channel.Stream.StreamId, channel.ProviderId);
+                try
+                {
+                    programs[channelId] = await epgService.GetProgramsAsync(channelId, token).ConfigureAwait(false);
+                }
+                catch (HttpRequestException ex)
+                {
+                    // A channel without a guide should not break the guide of the others
+                    logger.LogWarning(ex, "Failed to get the programs of channel {Name} for the export", channel.Stream.Name);
+                }
+            }).ConfigureAwait(false);
+
+        using MemoryStream output = new();
+        XmlWriterSettings settings = new()
+        {
+            Async = true,
+            Encoding = new UTF8Encoding(false),
+            Indent = true,
+
+            // Invalid characters are stripped from the texts instead, one control character in a program must not abort the guide
+            CheckCharacters = false,
+        };
+        XmlWriter writer = XmlWriter.Create(output, settings);
+        await using (writer.ConfigureAwait(false))
+        {
+            await writer.WriteStartDocumentAsync().ConfigureAwait(false);
+            await writer.WriteStartElementAsync(null, "tv", null).ConfigureAwait(false);
+            await writer.WriteAttributeStringAsync(null, "generator-info-name", null, "Jellyfin.Xtream").ConfigureAwait(false);
+            foreach ((int providerId, StreamInfo stream, _) in channels)
+            {
+                await writer.WriteStartElementAsync(null, "channel", null).ConfigureAwait(false);
+                await writer.WriteAttributeStringAsync(null, "id", null, ToExportChannelId(providerId, stream.StreamId)).ConfigureAwait(false);
+                await writer.WriteElementStringAsync(null, "display-name", null, ToXmlText(GetName(stream))).ConfigureAwait(false);
+                string logo = GetLogoUrl(serverUrl, stream.StreamIcon);
+                if (!string.IsNullOrEmpty(logo))
+                {
+                    await writer.WriteStartElementAsync(null, "icon", null).ConfigureAwait(false);
+                    await writer.WriteAttributeStringAsync(null, "src", null, ToXmlText(logo)).ConfigureAwait(false);
+                    await writer.WriteEndElementAsync().ConfigureAwait(false);
+                }
+
+                await writer.WriteEndElementAsync().ConfigureAwait(false);
+            }
+
+            foreach ((int providerId, StreamInfo stream, _) in channels)
+            {
+                string channelId = StreamService.ToLiveTvChannelId(stream.StreamId, providerId);
+                if (!programs.TryGetValue(channelId, out ICollection<ProgramInfo>? channelPrograms))
+                {
+                    continue;
+                }
+
+                foreach (ProgramInfo program in channelPrograms.OrderBy(program => program.StartDate))
+                {
+                    await writer.WriteStartElementAsync(null, "programme", null).ConfigureAwait(false);
+                    await writer.WriteAttributeStringAsync(null, "start", null, ToXmltvTime(program.StartDate)).ConfigureAwait(false);
+                    await writer.WriteAttributeStringAsync(null, "stop", null, ToXmltvTime(program.EndDate)).ConfigureAwait(false);
+                    await writer.WriteAttributeStringAsync(null, "channel", null, ToExportChannelId(providerId, stream.StreamId)).ConfigureAwait(false);
+                    await writer.WriteElementStringAsync(null, "title", null, ToXmlText(program.Name ?? string.Empty)).ConfigureAwait(false);
+                    if (!string.IsNullOrEmpty(program.Overview))
+                    {
+                        await writer.WriteElementStringAsync(null, "desc", null, ToXmlText(program.Overview)).ConfigureAwait(false);
+                    }
+
+                    await writer.WriteEndElementAsync().ConfigureAwait(false);
+                }
+            }
+
+            await writer.WriteEndElementAsync().ConfigureAwait(false);
+            await writer.WriteEndDocumentAsync().ConfigureAwait(false);
+        }
+
+        return output.ToArray();
+    }
+
+    private static string GetName(StreamInfo stream) => StreamService.ParseName(stream.Name).Title;
+
+    private static string GetLogoUrl(string serverUrl, string? logoUrl)
+    {
+        // Providers send channels without logo as null
+        if (string.IsNullOrEmpty(logoUrl))
+        {
+            return string.Empty;
+        }
+
+        return logoUrl.StartsWith(LogoService.UrlPrefix, StringComparison.OrdinalIgnoreCase) ? serverUrl + logoUrl : logoUrl;
+    }
+
+    private static string ToXmlText(string value)
+    {
+        StringBuilder text = new(value.Length);
+        for (int i = 0; i < value.Length; i++)
+        {
+            if (XmlConvert.IsXmlChar(value[i]))
+            {
+                text.Append(value[i]);
+            }
+            else if (i + 1 < value.Length && XmlConvert.IsXmlSurrogatePair(value[i + 1], value[i]))
+            {
+                text.Append(value, i, 2);
+                i++;
+            }
+        }
+
+        return text.ToString();
+    }
+
+    private static string ToAttribute(string value) => value.Replace('"', '\'').Replace('\n', ' ').Replace('\r', ' ');
+
+    private static string ToXmltvTime(DateTime time) =>
+        time.ToUniversalTime().ToString("yyyyMMddHHmmss '+0000'", CultureInfo.InvariantCulture);
+
+    private async Task<List<(int ProviderId, StreamInfo Stream, string Group)>> GetChannelsAsync(CancellationToken cancellationToken)
+    {
+        Plugin plugin = Plugin.Instance;
+        List<(int ProviderId, StreamInfo Stream, string Group)> channels = [];
+        foreach (ProviderProfile provider in plugin.Configuration.GetProviders())
+        {
+            try
+            {
+                List<Category> categories = await xtreamClient.GetLiveCategoryAsync(plugin.GetCreds(provider.Id), cancellationToken).ConfigureAwait(false);
+                Dictionary<int, string> groups = categories
+                    .GroupBy(category => category.CategoryId)
+                    .ToDictionary(group => group.Key, group => StreamService.ParseName(group.First().CategoryName).Title);
+                foreach (StreamInfo stream in await plugin.StreamService.GetLiveStreamsWithOverrides(provider.Id, cancellationToken).ConfigureAwait(false))
+                {
+                    channels.Add((provider.Id, stream, groups.GetValueOrDefault(stream.CategoryId ?? 0, string.Empty)));
+                }
+            }
+            catch (HttpRequestException ex) when (provider.Id != ProviderProfile.PrimaryId)
+            {
+                // An unreachable additional provider should not hide the channels of the others
+                logger.LogWarning(ex, "Failed to get the channels of provider {Provider} for the export", provider.Name);
+            }
+        }
+
+        return channels.OrderBy(channel => channel.Stream.Num).ToList();
+    }
+}
@@ -0,0 +1,49 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// A switch of a provider to another base url after the active one stopped responding.
+/// </summary>
+public class FailoverEvent
+{
+    /// <summary>
+    /// Gets or sets the time of the failover.
+    /// </summary>
+    public DateTime Time { get; set; }
+
+    /// <summary>
+    /// Gets or sets the id of the provider.
+    /// </summary>
+    public int ProviderId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the base url which stopped responding.
+    /// </summary>
+    public string FromUrl { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the base url switched to, or <c>null</c> if none of the base urls responded.
+    /// </summary>
+    public string? ToUrl { get; set; }
+
+    /// <summary>
+    /// Gets or sets the error of the request which triggered the failover.
+    /// </summary>
+    public string Reason { get; set; } = string.Empty;
+}
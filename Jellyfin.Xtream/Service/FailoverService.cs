@@ -0,0 +1,130 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using Jellyfin.Xtream.Configuration;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Keeps track of the base url in use for each provider and of the failovers between them.
+/// </summary>
+/// <param name="logger">The logger instance.</param>
+public class FailoverService(ILogger<FailoverService> logger)
+{
+    private const int MaxLogEntries = 50;
+
+    // Failures of single items would otherwise health-check the provider for every item
+    private static readonly TimeSpan HealthyCheckValidity = TimeSpan.FromMinutes(1);
+
+    private readonly ConcurrentDictionary<int, string> _activeUrls = new();
+    private readonly ConcurrentDictionary<int, SemaphoreSlim> _locks = new();
+    private readonly ConcurrentDictionary<string, DateTime> _lastHealthy = new(StringComparer.OrdinalIgnoreCase);
+    private readonly LinkedList<FailoverEvent> _log = new();
+
+    /// <summary>
+    /// Gets the base url in use for the given provider.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <returns>The active base url, which is the configured base url until a failover happened.</returns>
+    public string GetActiveBaseUrl(ProviderProfile provider)
+    {
+        IReadOnlyList<string> urls = provider.GetBaseUrls();
+
+        // A base url removed from the configuration is no longer used
+        if (_activeUrls.TryGetValue(provider.Id, out string? active) && urls.Contains(active, StringComparer.OrdinalIgnoreCase))
+        {
+            return active;
+        }
+
+        return urls.Count > 0 ? urls[0] : provider.BaseUrl;
+    }
+
+    /// <summary>
+    /// Gets the lock which serializes the failovers of the given provider.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The lock of the provider.</returns>
+    public SemaphoreSlim GetLock(int providerId) => _locks.GetOrAdd(providerId, _ => new SemaphoreSlim(1, 1));
+
+    /// <summary>
+    /// Records that the given base url responded to a health check.
+    /// </summary>
+    /// <param name="url">The base url.</param>
+    public void RecordHealthy(string url) => _lastHealthy[url] = DateTime.UtcNow;
+
+    /// <summary>
+    /// Checks whether the given base url responded to a health check within the last minute.
+    /// </summary>
+    /// <param name="url">The base url.</param>
+    /// <returns>True if the base url is known to be healthy.</returns>
+    public bool IsRecentlyHealthy(string url) =>
+        _lastHealthy.TryGetValue(url, out DateTime time) && DateTime.UtcNow - time < HealthyCheckValidity;
+
+    /// <summary>
+    /// Records a failover of the given provider and switches to the new base url.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="fromUrl">The base url which stopped responding.</param>
+    /// <param name="toUrl">The base url to switch to, or <c>null</c> if none of the base urls responded.</param>
+    /// <param name="reason">The error of the request which triggered the failover.</param>
+    public void RecordFailover(int providerId, string fromUrl, string? toUrl, string reason)
+    {
+        if (toUrl is null)
+        {
+            logger.LogError("Provider {ProviderId} is not reachable at {Url} nor at any alternate base url: {Reason}", providerId, fromUrl, reason);
+        }
+        else
+        {
+            _lastHealthy.TryRemove(fromUrl, out _);
+            _activeUrls[providerId] = toUrl;
+            logger.LogWarning("Provider {ProviderId} failed over from {FromUrl} to {ToUrl}: {Reason}", providerId, fromUrl, toUrl, reason);
+        }
+
+        lock (_log)
+        {
+            _log.AddFirst(new FailoverEvent
+            {
+                Time = DateTime.UtcNow,
+                ProviderId = providerId,
+                FromUrl = fromUrl,
+                ToUrl = toUrl,
+                Reason = reason,
+            });
+            while (_log.Count > MaxLogEntries)
+            {
+                _log.RemoveLast();
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the recent failovers of the given provider.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The failovers, most recent first.</returns>
+    public IReadOnlyList<FailoverEvent> GetLog(int providerId)
+    {
+        lock (_log)
+        {
+            return _log.Where(entry => entry.ProviderId == providerId).ToList();
+        }
+    }
+}
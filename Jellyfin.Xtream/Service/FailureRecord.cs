@@ -0,0 +1,59 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// A provider URL which failed persistently and is skipped until it expires.
+/// </summary>
+public class FailureRecord
+{
+    /// <summary>
+    /// Gets or sets the key identifying this record.
+    /// </summary>
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the URL that failed.
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the kind of request, derived from the URL.
+    /// </summary>
+    public FailureType Type { get; set; }
+
+    /// <summary>
+    /// Gets or sets the series, movie or channel ID from the URL, if any.
+    /// </summary>
+    public int? ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets error details.
+    /// </summary>
+    public string ErrorDetails { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the time of first failure.
+    /// </summary>
+    public DateTime FirstFailureTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets the expiration time.
+    /// </summary>
+    public DateTime ExpiresAt { get; set; }
+}
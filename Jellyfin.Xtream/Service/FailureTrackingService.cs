@@ -1,8 +1,12 @@
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
+using System.Collections.Specialized;
+using System.Globalization;
 using System.Linq;
 using System.Security.Cryptography;
 using System.Text;
+using System.Web;
 using Microsoft.Extensions.Caching.Memory;
 using Microsoft.Extensions.Logging;
 
@@ -17,6 +21,9 @@ public class FailureTrackingService
     private readonly IMemoryCache _memoryCache;
     private readonly ILogger<FailureTrackingService> _logger;
 
+    // IMemoryCache cannot be enumerated, so the records are also indexed here
+    private readonly ConcurrentDictionary<string, FailureRecord> _records = new();
+
     /// <summary>
     /// Initializes a new instance of the <see cref="FailureTrackingService"/> class.
     /// </summary>
@@ -51,7 +58,8 @@ public class FailureTrackingService
     /// </summary>
     /// <param name="url">The URL that failed.</param>
     /// <param name="errorDetails">Details about the error.</param>
-    public void RecordFailure(string url, string errorDetails)
+    /// <param name="firstFailureTime">The time of the first failure, when the URL failed before its record was removed.</param>
+    public void RecordFailure(string url, string errorDetails, DateTime? firstFailureTime = null)
     {
         string cacheKey = GetCacheKey(url);
         int expirationHours = Plugin.Instance?.Configuration.HttpFailureCacheExpirationHours ?? 24;
@@ -61,15 +69,23 @@ public class FailureTrackingService
             AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(expirationHours)
         };
 
+        DateTime now = DateTime.UtcNow;
+        var (type, itemId) = ParseRequest(url);
         var failureRecord = new FailureRecord
         {
+            Key = cacheKey,
             Url = url,
+            Type = type,
+            ItemId = itemId,
             ErrorDetails = errorDetails,
-            FirstFailureTime = DateTime.UtcNow,
-            ExpiresAt = DateTime.UtcNow.AddHours(expirationHours)
+            FirstFailureTime = firstFailureTime ?? (_records.TryGetValue(cacheKey, out FailureRecord? previous) && previous.ExpiresAt > now
+                ? previous.FirstFailureTime
+                : now),
+            ExpiresAt = now.AddHours(expirationHours)
         };
 
         _memoryCache.Set(cacheKey, failureRecord, cacheOptions);
+        _records[cacheKey] = failureRecord;
 
         _logger.LogWarning(
             "Recorded persistent failure for URL: {Url}. Will skip retries for {Hours} hours. Error: {Error}",
@@ -78,16 +94,56 @@ public class FailureTrackingService
             errorDetails);
     }
 
+    /// <summary>
+    /// Gets a single failure record.
+    /// </summary>
+    /// <param name="key">The key of the record.</param>
+    /// <returns>The failure record, or null if it does not exist or has expired.</returns>
+    public FailureRecord? GetFailure(string key)
+    {
+        return GetFailures().FirstOrDefault(record => record.Key == key);
+    }
+
+    /// <summary>
+    /// Gets all failure records which have not expired yet, oldest first.
+    /// </summary>
+    /// <returns>The failure records.</returns>
+    public IReadOnlyCollection<FailureRecord> GetFailures()
+    {
+        // Drop records whose cache entry has expired or was evicted
+        foreach (string key in _records.Keys)
+        {
+            if (!_memoryCache.TryGetValue(key, out _))
+            {
+                _records.TryRemove(key, out _);
+            }
+        }
+
+        return _records.Values.OrderBy(record => record.FirstFailureTime).ToList();
+    }
+
+    /// <summary>
+    /// Removes a single failure record, so the URL is requested again.
+    /// </summary>
+    /// <param name="key">The key of the record.</param>
+    /// <returns>True if a record was removed.</returns>
+    public bool RemoveFailure(string key)
+    {
+        _memoryCache.Remove(key);
+        return _records.TryRemove(key, out _);
+    }
+
     /// <summary>
     /// Clears all failure records from the cache.
     /// </summary>
     public void ClearFailures()
     {
-        _logger.LogInformation("Clearing all HTTP failure records (cache invalidation not supported, entries will expire naturally)");
+        foreach (string key in _records.Keys)
+        {
+            RemoveFailure(key);
+        }
 
-        // Note: IMemoryCache doesn't provide a way to enumerate or clear specific entries.
-        // Entries will expire based on their TTL. This method is here for future extensibility
-        // if we switch to a cache implementation that supports selective clearing.
+        _logger.LogInformation("Cleared all HTTP failure records");
     }
 
     /// <summary>
@@ -96,12 +152,43 @@ public class FailureTrackingService
     /// <returns>A tuple containing the count of failures and a list of failed URLs.</returns>
     public (int Count, List<string> Items) GetFailureStats()
     {
-        // Note: IMemoryCache doesn't provide enumeration capabilities.
-        // We return empty stats here. For production use, consider using a cache
-        // implementation that supports enumeration, or maintain a separate tracking structure.
-        _logger.LogDebug("Failure stats requested (enumeration not supported by IMemoryCache)");
+        List<string> urls = GetFailures().Select(record => record.Url).ToList();
+        return (urls.Count, urls);
+    }
+
+    /// <summary>
+    /// Checks whether failures of a URL are tracked, which is the case for the requests about a single item.
+    /// Requests for whole lists are never skipped, as a refresh cannot do without them.
+    /// </summary>
+    /// <param name="url">The URL.</param>
+    /// <returns>True for series info, VOD info and EPG requests.</returns>
+    public static bool IsTrackedRequest(string url) => ParseRequest(url).Type != FailureType.Other;
 
-        return (0, new List<string>());
+    /// <summary>
+    /// Determines the kind of request and the item it is about from an Xtream API URL.
+    /// </summary>
+    /// <param name="url">The URL.</param>
+    /// <returns>The request type and item ID.</returns>
+    private static (FailureType Type, int? ItemId) ParseRequest(string url)
+    {
+        if (!Uri.TryCreate(url, UriKind.Absolute, out Uri? uri))
+        {
+            return (FailureType.Other, null);
+        }
+
+        NameValueCollection query = HttpUtility.ParseQueryString(uri.Query);
+        (FailureType type, string? idParameter) = query["action"] switch
+        {
+            "get_series_info" => (FailureType.SeriesInfo, "series_id"),
+            "get_vod_info" => (FailureType.VodInfo, "vod_id"),
+            "get_simple_data_table" or "get_short_epg" => (FailureType.Epg, "stream_id"),
+            _ => (FailureType.Other, null),
+        };
+
+        int? itemId = idParameter is not null && int.TryParse(query[idParameter], NumberStyles.Integer, CultureInfo.InvariantCulture, out int id)
+            ? id
+            : null;
+        return (type, itemId);
     }
 
     /// <summary>
@@ -117,30 +204,4 @@ public class FailureTrackingService
         return CacheKeyPrefix + hash;
     }
 #pragma warning restore CA5351
-
-    /// <summary>
-    /// Represents a failure record stored in the cache.
-    /// </summary>
-    private sealed class FailureRecord
-    {
-        /// <summary>
-        /// Gets or sets the URL that failed.
-        /// </summary>
-        public string Url { get; set; } = string.Empty;
-
-        /// <summary>
-        /// Gets or sets error details.
-        /// </summary>
-        public string ErrorDetails { get; set; } = string.Empty;
-
-        /// <summary>
-        /// Gets or sets the time of first failure.
-        /// </summary>
-        public DateTime FirstFailureTime { get; set; }
-
-        /// <summary>
-        /// Gets or sets the expiration time.
-        /// </summary>
-        public DateTime ExpiresAt { get; set; }
-    }
 }
@@ -0,0 +1,42 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The kind of provider request which failed.
+/// </summary>
+public enum FailureType
+{
+    /// <summary>
+    /// Any other request.
+    /// </summary>
+    Other = 0,
+
+    /// <summary>
+    /// Fetching the seasons and episodes of a series.
+    /// </summary>
+    SeriesInfo = 1,
+
+    /// <summary>
+    /// Fetching the details of a movie.
+    /// </summary>
+    VodInfo = 2,
+
+    /// <summary>
+    /// Fetching the program guide of a channel.
+    /// </summary>
+    Epg = 3,
+}
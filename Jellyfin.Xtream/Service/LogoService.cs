@@ -0,0 +1,249 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using MediaBrowser.Common.Configuration;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Stores channel logos uploaded by the administrator and checks logo URLs.
+/// </summary>
+public partial class LogoService
+{
+    /// <summary>
+    /// The path under which uploaded logos are served by the plugin API.
+    /// </summary>
+    public const string UrlPrefix = "/Xtream/Logos/";
+
+    /// <summary>
+    /// The maximum size of an uploaded logo in bytes.
+    /// </summary>
+    public const int MaxLogoSize = 2 * 1024 * 1024;
+
+    private static readonly Dictionary<string, string> _contentTypes = new(StringComparer.OrdinalIgnoreCase)
+    {
+        [".gif"] = "image/gif",
+        [".jpeg"] = "image/jpeg",
+        [".jpg"] = "image/jpeg",
+        [".png"] = "image/png",
+        [".webp"] = "image/webp",
+    };
+
+    private readonly IHttpClientFactory _httpClientFactory;
+    private readonly ILogger<LogoService> _logger;
+    private readonly string _logoPath;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="LogoService"/> class.
+    /// </summary>
+    /// <param name="applicationPaths">Application paths for determining the logo location.</param>
+    /// <param name="httpClientFactory">Instance of the <see cref="IHttpClientFactory"/> interface.</param>
+    /// <param name="logger">Logger instance.</param>
+    public LogoService(IApplicationPaths applicationPaths, IHttpClientFactory httpClientFactory, ILogger<LogoService> logger)
+    {
+        _httpClientFactory = httpClientFactory;
+        _logger = logger;
+        _logoPath = Path.Combine(applicationPaths.PluginConfigurationsPath, "Jellyfin.Xtream", "logos");
+    }
+
+    /// <summary>
+    /// Gets the file names of all uploaded logos.
+    /// </summary>
+    /// <returns>The file names, sorted alphabetically.</returns>
+    public IEnumerable<string> GetLogos()
+    {
+        if (!Directory.Exists(_logoPath))
+        {
+            return [];
+        }
+
+        return Directory.EnumerateFiles(_logoPath)
+            .Select(Path.GetFileName)
+            .OfType<string>()
+            .Where(name => GetContentType(name) is not null)
+            .Order(StringComparer.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// Gets the content type of a logo file.
+    /// </summary>
+    /// <param name="fileName">The file name of the logo.</param>
+    /// <returns>The content type, or null if the file type is not supported.</returns>
+    public static string? GetContentType(string fileName) =>
+        _contentTypes.GetValueOrDefault(Path.GetExtension(fileName));
+
+    /// <summary>
+    /// Gets the URL path under which a logo is served.
+    /// </summary>
+    /// <param name="fileName">The file name of the logo.</param>
+    /// <returns>The URL path, relative to the server address.</returns>
+    public static string GetLogoUrl(string fileName) => UrlPrefix + Uri.EscapeDataString(fileName);
+
+    /// <summary>
+    /// Gets the local path of an uploaded logo.
+    /// </summary>
+    /// <param name="fileName">The file name of the logo.</param>
+    /// <returns>The full path, or null if no such logo exists.</returns>
+    public string? GetLogoPath(string fileName)
+    {
+        if (!IsValidFileName(fileName))
+        {
+            return null;
+        }
+
+        string path = Path.Combine(_logoPath, fileName);
+        return File.Exists(path) ? path : null;
+    }
+
+    /// <summary>
+    /// Resolves a logo URL to the local file when it points at an uploaded logo.
+    /// Jellyfin accepts both local paths and remote URLs as channel images.
+    /// </summary>
+    /// <param name="url">The configured logo URL.</param>
+    /// <returns>The local path for uploaded logos, otherwise the URL unchanged.</returns>
+    public string ResolveImageUrl(string url)
+    {
+        // Providers send channels without logo as null
+        if (string.IsNullOrEmpty(url) || !url.StartsWith(UrlPrefix, StringComparison.OrdinalIgnoreCase))
+        {
+            return url;
+        }
+
+        string fileName = Uri.UnescapeDataString(url[UrlPrefix.Length..]);
+        return GetLogoPath(fileName) ?? url;
+    }
+
+    /// <summary>
+    /// Stores an uploaded logo, replacing an existing logo with the same name.
+    /// </summary>
+    /// <param name="fileName">The original file name of the logo.</param>
+    /// <param name="content">The image data.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The file name under which the logo was stored.</returns>
+    /// <exception cref="ArgumentException">When the file type is not supported or the file is too large.</exception>
+    public async Task<string> SaveLogoAsync(string fileName, Stream content, CancellationToken cancellationToken)
+    {
+        string name = UnsafeCharacters().Replace(Path.GetFileName(fileName), "-");
+        if (!IsValidFileName(name))
+        {
+            throw new ArgumentException($"Unsupported logo file '{fileName}'. Use a PNG, JPEG, GIF or WebP image.", nameof(fileName));
+        }
+
+        using MemoryStream buffer = new();
+        byte[] chunk = new byte[81920];
+        int read;
+        while ((read = await content.ReadAsync(chunk, cancellationToken).ConfigureAwait(false)) > 0)
+        {
+            buffer.Write(chunk, 0, read);
+            if (buffer.Length > MaxLogoSize)
+            {
+                throw new ArgumentException($"The logo is larger than {MaxLogoSize / 1024 / 1024} MB.", nameof(content));
+            }
+        }
+
+        if (buffer.Length == 0)
+        {
+            throw new ArgumentException("The logo file is empty.", nameof(content));
+        }
+
+        Directory.CreateDirectory(_logoPath);
+        await File.WriteAllBytesAsync(Path.Combine(_logoPath, name), buffer.ToArray(), cancellationToken).ConfigureAwait(false);
+        _logger.LogInformation("Stored channel logo {Name} ({Size} bytes)", name, buffer.Length);
+        return name;
+    }
+
+    /// <summary>
+    /// Deletes an uploaded logo.
+    /// </summary>
+    /// <param name="fileName">The file name of the logo.</param>
+    /// <returns>True if the logo was deleted.</returns>
+    public bool DeleteLogo(string fileName)
+    {
+        string? path = GetLogoPath(fileName);
+        if (path is null)
+        {
+            return false;
+        }
+
+        File.Delete(path);
+        _logger.LogInformation("Deleted channel logo {Name}", fileName);
+        return true;
+    }
+
+    /// <summary>
+    /// Checks whether a logo URL can be loaded by the server.
+    /// </summary>
+    /// <param name="url">The logo URL to check.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A description of the problem, or null if the logo loads.</returns>
+    public async Task<string?> CheckLogoAsync(string url, CancellationToken cancellationToken)
+    {
+        if (url.StartsWith(UrlPrefix, StringComparison.OrdinalIgnoreCase))
+        {
+            return ResolveImageUrl(url) == url ? "Uploaded logo not found" : null;
+        }
+
+        if (!Uri.TryCreate(url, UriKind.Absolute, out Uri? uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+        {
+            return "Not a valid http(s) URL";
+        }
+
+        try
+        {
+            using CancellationTokenSource timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+            timeout.CancelAfter(TimeSpan.FromSeconds(10));
+            HttpClient client = _httpClientFactory.CreateClient();
+            using HttpResponseMessage response = await client.GetAsync(uri, HttpCompletionOption.ResponseHeadersRead, timeout.Token).ConfigureAwait(false);
+            if (!response.IsSuccessStatusCode)
+            {
+                return $"HTTP {(int)response.StatusCode} {response.ReasonPhrase}";
+            }
+
+            string? mediaType = response.Content.Headers.ContentType?.MediaType;
+            if (mediaType is not null && !mediaType.StartsWith("image/", StringComparison.OrdinalIgnoreCase))
+            {
+                return $"Not an image ({mediaType})";
+            }
+
+            return null;
+        }
+        catch (HttpRequestException ex)
+        {
+            return ex.Message;
+        }
+        catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            return "Timed out";
+        }
+    }
+
+    private static bool IsValidFileName(string fileName) =>
+        !string.IsNullOrWhiteSpace(fileName)
+        && fileName == Path.GetFileName(fileName)
+        && !fileName.StartsWith('.')
+        && GetContentType(fileName) is not null;
+
+    [GeneratedRegex(@"[^A-Za-z0-9._-]")]
+    private static partial Regex UnsafeCharacters();
+}
@@ -22,6 +22,11 @@ namespace Jellyfin.Xtream.Service;
 /// </summary>
 public class MetadataCacheEntry
 {
+    /// <summary>
+    /// The number of days after which a lookup is repeated.
+    /// </summary>
+    public const int LifetimeDays = 30;
+
     /// <summary>
     /// Gets or sets the provider ID (TMDb for movies, TVDb for series).
     /// Null if the lookup found no results.
@@ -35,7 +40,7 @@ public class MetadataCacheEntry
 
     /// <summary>
     /// Gets a value indicating whether this cache entry has expired.
-    /// Cache entries expire after 30 days.
+    /// Cache entries expire after <see cref="LifetimeDays"/> days.
     /// </summary>
-    public bool IsExpired => DateTime.UtcNow - LookupDate > TimeSpan.FromDays(30);
+    public bool IsExpired => DateTime.UtcNow - LookupDate > TimeSpan.FromDays(LifetimeDays);
 }
@@ -78,6 +78,11 @@ public class MetadataLookupService
             CacheFileName);
     }
 
+    /// <summary>
+    /// Gets the file the cache is persisted to.
+    /// </summary>
+    public FileInfo CacheFile => new(_cachePath);
+
     /// <summary>
     /// Looks up the TMDb ID for a movie using Jellyfin's provider infrastructure.
     /// </summary>
@@ -364,15 +369,47 @@ public class MetadataLookupService
         _logger.LogInformation("Metadata cache cleared");
     }
 
+    /// <summary>
+    /// Removes the expired entries, so they are looked up again when needed.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The number of removed entries.</returns>
+    public async Task<int> ClearExpiredAsync(CancellationToken cancellationToken = default)
+    {
+        await LoadCacheAsync(cancellationToken).ConfigureAwait(false);
+
+        int removed = 0;
+        foreach (var cache in new[] { _movieCache, _seriesCache })
+        {
+            foreach (var kvp in cache.Where(kvp => kvp.Value.IsExpired))
+            {
+                if (cache.TryRemove(kvp.Key, out _))
+                {
+                    removed++;
+                }
+            }
+        }
+
+        await SaveCacheAsync(cancellationToken).ConfigureAwait(false);
+        _logger.LogInformation("Removed {Count} expired metadata cache entries", removed);
+        return removed;
+    }
+
     /// <summary>
     /// Gets statistics about the current cache state.
     /// </summary>
-    /// <returns>Tuple of (movie count, series count, expired count).</returns>
-    public (int Movies, int Series, int Expired) GetCacheStats()
+    /// <returns>Tuple of (movie count, series count, expired count, oldest and newest lookup date).</returns>
+    public (int Movies, int Series, int Expired, DateTime? OldestLookup, DateTime? NewestLookup) GetCacheStats()
     {
         int expiredMovies = _movieCache.Values.Count(e => e.IsExpired);
         int expiredSeries = _seriesCache.Values.Count(e => e.IsExpired);
-
-        return (_movieCache.Count, _seriesCache.Count, expiredMovies + expiredSeries);
+        List<DateTime> lookupDates = _movieCache.Values.Concat(_seriesCache.Values).Select(e => e.LookupDate).ToList();
+
+        return (
+            _movieCache.Count,
+            _seriesCache.Count,
+            expiredMovies + expiredSeries,
+            lookupDates.Count > 0 ? lookupDates.Min() : null,
+            lookupDates.Count > 0 ? lookupDates.Max() : null);
     }
 }
@@ -0,0 +1,74 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The result of the latest metadata lookup for a single movie or series.
+/// </summary>
+public class MetadataMatch
+{
+    /// <summary>
+    /// Gets or sets the id of the provider offering the item.
+    /// </summary>
+    public int ProviderProfileId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the Xtream stream or series ID.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name as returned by the provider.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the title after removing tags, as used for title overrides and searching.
+    /// </summary>
+    public string ParsedTitle { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the year found in the provider name, if any.
+    /// </summary>
+    public int? Year { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the matched TMDb/TVDb entry.
+    /// </summary>
+    public string? MatchedName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the year of the matched TMDb/TVDb entry.
+    /// </summary>
+    public int? MatchedYear { get; set; }
+
+    /// <summary>
+    /// Gets or sets the matched TMDb ID for movies or TVDb ID for series.
+    /// </summary>
+    public string? ProviderId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the match outcome.
+    /// </summary>
+    public MetadataMatchStatus Status { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the lookup was performed.
+    /// </summary>
+    public DateTime LookupDate { get; set; }
+}
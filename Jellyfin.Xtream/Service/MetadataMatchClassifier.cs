@@ -0,0 +1,159 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Globalization;
+using System.Linq;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Decides how confident a TMDb/TVDb match for a provider title is.
+/// </summary>
+public static partial class MetadataMatchClassifier
+{
+    /// <summary>
+    /// The similarity below which a matched name is considered to differ a lot from the parsed title.
+    /// </summary>
+    public const double MinimumSimilarity = 0.6;
+
+    /// <summary>
+    /// Creates the match record for a lookup result.
+    /// </summary>
+    /// <param name="providerProfileId">The id of the provider offering the item.</param>
+    /// <param name="id">The Xtream stream or series ID.</param>
+    /// <param name="name">The name as returned by the provider.</param>
+    /// <param name="providerId">The matched TMDb/TVDb ID, if any.</param>
+    /// <param name="matchedName">The name of the matched entry, if any.</param>
+    /// <param name="matchedYear">The year of the matched entry, if any.</param>
+    /// <param name="overridden">Whether the match came from a title override.</param>
+    /// <returns>The classified match.</returns>
+    public static MetadataMatch Classify(int providerProfileId, int id, string name, string? providerId, string? matchedName, int? matchedYear, bool overridden)
+    {
+        string parsedTitle = StreamService.ParseName(name).Title;
+        MetadataMatch match = new()
+        {
+            ProviderProfileId = providerProfileId,
+            Id = id,
+            Name = name,
+            ParsedTitle = parsedTitle,
+            Year = ExtractYear(name),
+            MatchedName = matchedName,
+            MatchedYear = matchedYear,
+            ProviderId = providerId,
+            LookupDate = DateTime.UtcNow,
+        };
+
+        if (overridden)
+        {
+            match.Status = MetadataMatchStatus.Overridden;
+        }
+        else if (string.IsNullOrEmpty(providerId) && string.IsNullOrEmpty(matchedName))
+        {
+            match.Status = MetadataMatchStatus.Unmatched;
+        }
+        else if (matchedName != null && Similarity(parsedTitle, matchedName) < MinimumSimilarity)
+        {
+            match.Status = MetadataMatchStatus.NameMismatch;
+        }
+        else if (match.Year is null)
+        {
+            match.Status = MetadataMatchStatus.MatchedWithoutYear;
+        }
+        else
+        {
+            match.Status = MetadataMatchStatus.Matched;
+        }
+
+        return match;
+    }
+
+    /// <summary>
+    /// Finds a release year in a provider name, such as "Title (2019)" or "Title 2019".
+    /// </summary>
+    /// <param name="name">The provider name.</param>
+    /// <returns>The last year found, or null.</returns>
+    public static int? ExtractYear(string name)
+    {
+        Match? last = YearRegex().Matches(name).LastOrDefault();
+        return last is null ? null : int.Parse(last.Value, CultureInfo.InvariantCulture);
+    }
+
+    /// <summary>
+    /// Computes how similar two titles are, ignoring case, punctuation and years.
+    /// </summary>
+    /// <param name="a">The first title.</param>
+    /// <param name="b">The second title.</param>
+    /// <returns>A value between 0 (completely different) and 1 (equal).</returns>
+    public static double Similarity(string a, string b)
+    {
+        string left = Normalize(a);
+        string right = Normalize(b);
+        int length = Math.Max(left.Length, right.Length);
+        if (length == 0)
+        {
+            return 1;
+        }
+
+        return 1 - ((double)Distance(left, right) / length);
+    }
+
+    private static string Normalize(string title)
+    {
+        StringBuilder builder = new();
+        foreach (char c in YearRegex().Replace(title, string.Empty).Normalize(NormalizationForm.FormD))
+        {
+            if (char.IsLetterOrDigit(c))
+            {
+                builder.Append(char.ToLowerInvariant(c));
+            }
+            else if (char.IsWhiteSpace(c) && builder.Length > 0 && builder[^1] != ' ')
+            {
+                builder.Append(' ');
+            }
+        }
+
+        return builder.ToString().Trim();
+    }
+
+    private static int Distance(string a, string b)
+    {
+        int[] previous = new int[b.Length + 1];
+        int[] current = new int[b.Length + 1];
+        for (int j = 0; j <= b.Length; j++)
+        {
+            previous[j] = j;
+        }
+
+        for (int i = 1; i <= a.Length; i++)
+        {
+            current[0] = i;
+            for (int j = 1; j <= b.Length; j++)
+            {
+                int cost = a[i - 1] == b[j - 1] ? 0 : 1;
+                current[j] = Math.Min(Math.Min(current[j - 1] + 1, previous[j] + 1), previous[j - 1] + cost);
+            }
+
+            (previous, current) = (current, previous);
+        }
+
+        return previous[b.Length];
+    }
+
+    [GeneratedRegex(@"(?<!\d)(?:19|20)\d{2}(?!\d)")]
+    private static partial Regex YearRegex();
+}
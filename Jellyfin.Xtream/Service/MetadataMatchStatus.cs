@@ -0,0 +1,47 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The outcome of matching a provider title to a TMDb/TVDb entry.
+/// </summary>
+public enum MetadataMatchStatus
+{
+    /// <summary>
+    /// The title was matched by name search and the match looks plausible.
+    /// </summary>
+    Matched = 0,
+
+    /// <summary>
+    /// The title was matched through a configured title override.
+    /// </summary>
+    Overridden = 1,
+
+    /// <summary>
+    /// No match was found.
+    /// </summary>
+    Unmatched = 2,
+
+    /// <summary>
+    /// A match was found, but no year was available to confirm it.
+    /// </summary>
+    MatchedWithoutYear = 3,
+
+    /// <summary>
+    /// A match was found, but the matched name differs a lot from the parsed title.
+    /// </summary>
+    NameMismatch = 4,
+}
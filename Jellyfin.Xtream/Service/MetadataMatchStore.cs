@@ -0,0 +1,226 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading;
+using System.Threading.Tasks;
+using MediaBrowser.Common.Configuration;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Service for persisting the results of the latest metadata lookups for the metadata match review.
+/// The matches of every provider are stored as a JSON file in the plugin's data directory,
+/// so they are kept across restarts and incremental refreshes which skip unchanged items.
+/// </summary>
+public class MetadataMatchStore : IDisposable
+{
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private readonly string _storePath;
+    private readonly ILogger<MetadataMatchStore>? _logger;
+    private readonly SemaphoreSlim _fileLock = new(1, 1);
+    private readonly ConcurrentDictionary<(int ProviderId, int Id), MetadataMatch> _matches = new();
+    private bool _loaded;
+    private bool _disposed;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="MetadataMatchStore"/> class.
+    /// </summary>
+    /// <param name="applicationPaths">Application paths for determining plugin data directory.</param>
+    /// <param name="fileName">The name of the match file.</param>
+    /// <param name="logger">Optional logger instance.</param>
+    public MetadataMatchStore(IApplicationPaths applicationPaths, string fileName, ILogger<MetadataMatchStore>? logger = null)
+    {
+        _logger = logger;
+        string pluginDataPath = Path.Combine(applicationPaths.PluginConfigurationsPath, "Jellyfin.Xtream");
+        Directory.CreateDirectory(pluginDataPath);
+        _storePath = Path.Combine(pluginDataPath, fileName);
+    }
+
+    /// <summary>
+    /// Loads the saved matches, unless they were loaded before.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task LoadAsync(CancellationToken cancellationToken = default)
+    {
+        if (_loaded)
+        {
+            return;
+        }
+
+        await _fileLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            await LoadMatchesAsync(cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the latest lookup results of a provider.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The lookup results.</returns>
+    public async Task<IReadOnlyCollection<MetadataMatch>> GetMatchesAsync(int providerId, CancellationToken cancellationToken = default)
+    {
+        await LoadAsync(cancellationToken).ConfigureAwait(false);
+        return _matches.Values.Where(match => match.ProviderProfileId == providerId).ToList();
+    }
+
+    /// <summary>
+    /// Gets the latest lookup result of a single item.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="id">The Xtream stream or series ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The lookup result, or null if the item was never looked up.</returns>
+    public async Task<MetadataMatch?> GetMatchAsync(int providerId, int id, CancellationToken cancellationToken = default)
+    {
+        await LoadAsync(cancellationToken).ConfigureAwait(false);
+        return _matches.GetValueOrDefault((providerId, id));
+    }
+
+    /// <summary>
+    /// Stores the outcome of a lookup, replacing the previous outcome for the item.
+    /// The change is written to disk by <see cref="SaveAsync"/>.
+    /// </summary>
+    /// <param name="match">The lookup result.</param>
+    public void Record(MetadataMatch match)
+    {
+        _matches[(match.ProviderProfileId, match.Id)] = match;
+    }
+
+    /// <summary>
+    /// Forgets the lookup result of an item which the provider no longer offers.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="id">The Xtream stream or series ID.</param>
+    public void Remove(int providerId, int id)
+    {
+        _matches.TryRemove((providerId, id), out _);
+    }
+
+    /// <summary>
+    /// Forgets the lookup results of a provider, before a full refresh looks up all its items again.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    public void Clear(int providerId)
+    {
+        foreach ((int ProviderId, int Id) key in _matches.Keys.Where(key => key.ProviderId == providerId))
+        {
+            _matches.TryRemove(key, out _);
+        }
+    }
+
+    /// <summary>
+    /// Writes the matches to disk.
+    /// Failures to save are logged, so recording the matches never fails a refresh.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task SaveAsync(CancellationToken cancellationToken = default)
+    {
+        await _fileLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            await LoadMatchesAsync(cancellationToken).ConfigureAwait(false);
+            List<MetadataMatch> matches = _matches.Values
+                .OrderBy(match => match.ProviderProfileId)
+                .ThenBy(match => match.Id)
+                .ToList();
+            string json = JsonSerializer.Serialize(matches, JsonOptions);
+            await File.WriteAllTextAsync(_storePath, json, cancellationToken).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "Failed to save metadata matches to {Path}", _storePath);
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    /// <inheritdoc />
+    public void Dispose()
+    {
+        Dispose(true);
+        GC.SuppressFinalize(this);
+    }
+
+    /// <summary>
+    /// Releases the unmanaged resources used by the MetadataMatchStore and optionally releases the managed resources.
+    /// </summary>
+    /// <param name="disposing">True to release both managed and unmanaged resources; false to release only unmanaged resources.</param>
+    protected virtual void Dispose(bool disposing)
+    {
+        if (_disposed)
+        {
+            return;
+        }
+
+        if (disposing)
+        {
+            _fileLock?.Dispose();
+        }
+
+        _disposed = true;
+    }
+
+    private async Task LoadMatchesAsync(CancellationToken cancellationToken)
+    {
+        if (_loaded)
+        {
+            return;
+        }
+
+        if (File.Exists(_storePath))
+        {
+            try
+            {
+                string json = await File.ReadAllTextAsync(_storePath, cancellationToken).ConfigureAwait(false);
+                foreach (MetadataMatch match in JsonSerializer.Deserialize<List<MetadataMatch>>(json, JsonOptions) ?? [])
+                {
+                    // Lookups recorded before the file was loaded are newer than the saved ones
+                    _matches.TryAdd((match.ProviderProfileId, match.Id), match);
+                }
+            }
+            catch (JsonException ex)
+            {
+                _logger?.LogWarning(ex, "Error loading metadata matches from {Path}, starting fresh", _storePath);
+            }
+        }
+
+        _loaded = true;
+    }
+}
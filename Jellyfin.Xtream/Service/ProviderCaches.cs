@@ -0,0 +1,102 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using Jellyfin.Xtream.Configuration;
+using MediaBrowser.Common.Configuration;
+using MediaBrowser.Controller.Configuration;
+using MediaBrowser.Controller.Providers;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The series and VOD caches of a single provider, with their sync state and refresh history.
+/// </summary>
+public class ProviderCaches
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ProviderCaches"/> class.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="applicationPaths">Application paths for determining plugin data directory.</param>
+    /// <param name="streamService">The stream service instance.</param>
+    /// <param name="memoryCache">The memory cache instance.</param>
+    /// <param name="failureTrackingService">The failure tracking service instance.</param>
+    /// <param name="seriesMatches">The store of the TVDb lookup results of every provider.</param>
+    /// <param name="vodMatches">The store of the TMDb lookup results of every provider.</param>
+    /// <param name="loggerFactory">The logger factory.</param>
+    /// <param name="providerManager">The provider manager for metadata lookups.</param>
+    /// <param name="serverConfigManager">The server configuration manager for the metadata language.</param>
+    public ProviderCaches(
+        int providerId,
+        IApplicationPaths applicationPaths,
+        StreamService streamService,
+        IMemoryCache memoryCache,
+        FailureTrackingService failureTrackingService,
+        MetadataMatchStore seriesMatches,
+        MetadataMatchStore vodMatches,
+        ILoggerFactory loggerFactory,
+        IProviderManager providerManager,
+        IServerConfigurationManager serverConfigManager)
+    {
+        // The files of the primary provider keep the names from before additional providers were cached
+        string suffix = providerId == ProviderProfile.PrimaryId ? string.Empty : $"-{providerId}";
+
+        SyncStateService = new(
+            applicationPaths,
+            $"sync-state{suffix}.json",
+            loggerFactory.CreateLogger<SyncStateService>());
+
+        SeriesCacheService = new(
+            providerId,
+            streamService,
+            memoryCache,
+            failureTrackingService,
+            SyncStateService,
+            new RefreshHistoryService(applicationPaths, $"series-refresh-history{suffix}.json", loggerFactory.CreateLogger<RefreshHistoryService>()),
+            seriesMatches,
+            loggerFactory.CreateLogger<SeriesCacheService>(),
+            providerManager,
+            serverConfigManager);
+
+        VodCacheService = new(
+            providerId,
+            streamService,
+            memoryCache,
+            failureTrackingService,
+            SyncStateService,
+            new RefreshHistoryService(applicationPaths, $"vod-refresh-history{suffix}.json", loggerFactory.CreateLogger<RefreshHistoryService>()),
+            vodMatches,
+            loggerFactory.CreateLogger<VodCacheService>(),
+            providerManager,
+            serverConfigManager);
+    }
+
+    /// <summary>
+    /// Gets the incremental sync state shared by the series and VOD caches of the provider.
+    /// </summary>
+    public SyncStateService SyncStateService { get; }
+
+    /// <summary>
+    /// Gets the series cache of the provider.
+    /// </summary>
+    public SeriesCacheService SeriesCacheService { get; }
+
+    /// <summary>
+    /// Gets the VOD cache of the provider.
+    /// </summary>
+    public VodCacheService VodCacheService { get; }
+}
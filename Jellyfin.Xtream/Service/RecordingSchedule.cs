@@ -0,0 +1,37 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System.Collections.ObjectModel;
+using MediaBrowser.Controller.LiveTv;
+
+#pragma warning disable CA2227
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The timers stored by the <see cref="RecordingService"/>.
+/// </summary>
+public class RecordingSchedule
+{
+    /// <summary>
+    /// Gets or sets the recordings, including the finished ones.
+    /// </summary>
+    public Collection<RecordingTimer> Timers { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the series timers, which schedule a recording for each matching program.
+    /// </summary>
+    public Collection<SeriesTimerInfo> SeriesTimers { get; set; } = [];
+}
+#pragma warning restore CA2227
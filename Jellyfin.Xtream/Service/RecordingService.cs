@@ -0,0 +1,824 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading;
+using System.Threading.Tasks;
+using MediaBrowser.Common.Configuration;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.LiveTv;
+using MediaBrowser.Model.Dto;
+using MediaBrowser.Model.LiveTv;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Records Live TV programs for the timers of the <see cref="LiveTvService"/>.
+/// The timers are stored as a JSON file in the plugin's data directory.
+/// </summary>
+public class RecordingService : BackgroundService
+{
+    /// <summary>
+    /// The number of finished recordings kept in the schedule.
+    /// </summary>
+    public const int MaxFinishedTimers = 100;
+
+    private static readonly TimeSpan CheckInterval = TimeSpan.FromSeconds(30);
+    private static readonly TimeSpan SeriesScheduleInterval = TimeSpan.FromMinutes(15);
+    private static readonly TimeSpan StallTimeout = TimeSpan.FromMinutes(1);
+    private static readonly TimeSpan ReconnectDelay = TimeSpan.FromSeconds(30);
+
+    // Series timers match programs starting at the same time of day, as the guide times are not exact
+    private static readonly TimeSpan SeriesStartTolerance = TimeSpan.FromMinutes(5);
+
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private readonly IServerApplicationHost _appHost;
+    private readonly IHttpClientFactory _httpClientFactory;
+    private readonly EpgService _epgService;
+    private readonly StreamMonitorService _streamMonitor;
+    private readonly ILogger<RecordingService> _logger;
+    private readonly string _schedulePath;
+    private readonly string _defaultRecordingPath;
+    private readonly SemaphoreSlim _lock = new(1, 1);
+    private readonly ConcurrentDictionary<string, CancellationTokenSource> _active = new();
+    private readonly ConcurrentDictionary<string, long> _progress = new();
+    private RecordingSchedule? _schedule;
+    private DateTime _lastSeriesSchedule = DateTime.MinValue;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="RecordingService"/> class.
+    /// </summary>
+    /// <param name="appHost">Instance of the <see cref="IServerApplicationHost"/> interface.</param>
+    /// <param name="httpClientFactory">Instance of the <see cref="IHttpClientFactory"/> interface.</param>
+    /// <param name="applicationPaths">Application paths for determining the plugin data and recording directories.</param>
+    /// <param name="epgService">Instance of the <see cref="EpgService"/> class.</param>
+    /// <param name="streamMonitor">Instance of the <see cref="StreamMonitorService"/> class.</param>
+    /// <param name="logger">The logger instance.</param>
+    public RecordingService(
+        IServerApplicationHost appHost,
+        IHttpClientFactory httpClientFactory,
+        IApplicationPaths applicationPaths,
+        EpgService epgService,
+        StreamMonitorService streamMonitor,
+        ILogger<RecordingService> logger)
+    {
+        _appHost = appHost;
+        _httpClientFactory = httpClientFactory;
+        _epgService = epgService;
+        _streamMonitor = streamMonitor;
+        _logger = logger;
+
+        string pluginDataPath = Path.Combine(applicationPaths.PluginConfigurationsPath, "Jellyfin.Xtream");
+        Directory.CreateDirectory(pluginDataPath);
+        _schedulePath = Path.Combine(pluginDataPath, "recordings.json");
+        _defaultRecordingPath = Path.Combine(applicationPaths.DataPath, "xtream-recordings");
+    }
+
+    /// <summary>
+    /// Gets the folder the recordings are saved to.
+    /// </summary>
+    public string RecordingPath
+    {
+        get
+        {
+            string? configured = Plugin.Instance?.Configuration.RecordingPath;
+            return string.IsNullOrWhiteSpace(configured) ? _defaultRecordingPath : configured;
+        }
+    }
+
+    /// <summary>
+    /// Gets all recordings, including the finished ones.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The recordings ordered by start time.</returns>
+    public async Task<IReadOnlyList<RecordingTimer>> GetTimersAsync(CancellationToken cancellationToken)
+    {
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            return schedule.Timers.OrderBy(timer => timer.StartDate).ToList();
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the number of bytes recorded so far, including the running part of a recording.
+    /// </summary>
+    /// <param name="timer">The recording.</param>
+    /// <returns>The size of the recording in bytes.</returns>
+    public long GetBytesRecorded(RecordingTimer timer) =>
+        timer.BytesRecorded + _progress.GetValueOrDefault(timer.Id);
+
+    /// <summary>
+    /// Gets the series timers.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The series timers.</returns>
+    public async Task<IReadOnlyList<SeriesTimerInfo>> GetSeriesTimersAsync(CancellationToken cancellationToken)
+    {
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            return schedule.SeriesTimers.ToList();
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Schedules a recording.
+    /// </summary>
+    /// <param name="info">The timer to create.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    /// <exception cref="ArgumentException">The channel is not a Live TV channel.</exception>
+    public async Task CreateTimerAsync(TimerInfo info, CancellationToken cancellationToken)
+    {
+        StreamService.FromLiveTvChannelId(info.ChannelId, out int providerId);
+        await _streamMonitor.GetMaxConnectionsAsync(providerId, cancellationToken).ConfigureAwait(false);
+
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            if (!string.IsNullOrEmpty(info.ProgramId) && schedule.Timers.Any(timer => timer.ProgramId == info.ProgramId && (timer.IsPending || timer.Status == RecordingStatus.InProgress)))
+            {
+                _logger.LogInformation("Program {Name} is already scheduled for recording", info.Name);
+                return;
+            }
+
+            RecordingTimer timer = RecordingTimer.FromTimerInfo(info);
+            schedule.Timers.Add(timer);
+            UpdateConflicts(schedule);
+            await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+            _logger.LogInformation("Scheduled recording of {Name} at {Start}", timer.Name, timer.StartDate);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Updates the times and padding of a scheduled recording.
+    /// </summary>
+    /// <param name="info">The updated timer.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task UpdateTimerAsync(TimerInfo info, CancellationToken cancellationToken)
+    {
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            RecordingTimer? timer = schedule.Timers.FirstOrDefault(timer => timer.Id == info.Id);
+            if (timer is null || !timer.IsPending)
+            {
+                return;
+            }
+
+            timer.StartDate = info.StartDate;
+            timer.EndDate = info.EndDate;
+            timer.PrePaddingSeconds = info.PrePaddingSeconds;
+            timer.PostPaddingSeconds = info.PostPaddingSeconds;
+            UpdateConflicts(schedule);
+            await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Cancels a scheduled recording, or stops it if it is running.
+    /// </summary>
+    /// <param name="timerId">The id of the timer.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task CancelTimerAsync(string timerId, CancellationToken cancellationToken)
+    {
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            // Timers are claimed under the lock, so a due timer is either still pending or registered as running
+            if (_active.TryGetValue(timerId, out CancellationTokenSource? running))
+            {
+                try
+                {
+                    // The recording marks itself as cancelled when it stops
+                    await running.CancelAsync().ConfigureAwait(false);
+                    return;
+                }
+                catch (ObjectDisposedException)
+                {
+                    // The recording finished in the meantime
+                }
+            }
+
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            RecordingTimer? timer = schedule.Timers.FirstOrDefault(timer => timer.Id == timerId);
+            if (timer is null || !timer.IsPending)
+            {
+                return;
+            }
+
+            timer.Status = RecordingStatus.Cancelled;
+            UpdateConflicts(schedule);
+            await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Removes a recording which is not running from the schedule. The recorded file is kept.
+    /// </summary>
+    /// <param name="timerId">The id of the timer.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the recording was removed, false if it is unknown or running.</returns>
+    public async Task<bool> RemoveTimerAsync(string timerId, CancellationToken cancellationToken)
+    {
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            RecordingTimer? timer = schedule.Timers.FirstOrDefault(timer => timer.Id == timerId);
+            if (timer is null || timer.Status == RecordingStatus.InProgress)
+            {
+                return false;
+            }
+
+            schedule.Timers.Remove(timer);
+            UpdateConflicts(schedule);
+            await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+            return true;
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Creates a series timer and schedules its matching programs.
+    /// </summary>
+    /// <param name="info">The series timer to create.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    /// <exception cref="ArgumentException">The channel is not a Live TV channel.</exception>
+    public async Task CreateSeriesTimerAsync(SeriesTimerInfo info, CancellationToken cancellationToken)
+    {
+        StreamService.FromLiveTvChannelId(info.ChannelId, out _);
+
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            info.Id = Guid.NewGuid().ToString("N");
+            schedule.SeriesTimers.Add(info);
+            await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+            _logger.LogInformation("Created series timer for {Name}", info.Name);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+
+        await ScheduleSeriesTimersAsync([info], cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Updates a series timer and the padding of its scheduled recordings.
+    /// </summary>
+    /// <param name="info">The updated series timer.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task UpdateSeriesTimerAsync(SeriesTimerInfo info, CancellationToken cancellationToken)
+    {
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            int index = schedule.SeriesTimers.ToList().FindIndex(seriesTimer => seriesTimer.Id == info.Id);
+            if (index < 0)
+            {
+                return;
+            }
+
+            schedule.SeriesTimers[index] = info;
+            foreach (RecordingTimer timer in schedule.Timers.Where(timer => timer.SeriesTimerId == info.Id && timer.IsPending))
+            {
+                timer.PrePaddingSeconds = info.PrePaddingSeconds;
+                timer.PostPaddingSeconds = info.PostPaddingSeconds;
+            }
+
+            UpdateConflicts(schedule);
+            await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+
+        await ScheduleSeriesTimersAsync([info], cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Removes a series timer with its scheduled recordings. Running recordings are finished.
+    /// </summary>
+    /// <param name="seriesTimerId">The id of the series timer.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task CancelSeriesTimerAsync(string seriesTimerId, CancellationToken cancellationToken)
+    {
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            SeriesTimerInfo? seriesTimer = schedule.SeriesTimers.FirstOrDefault(seriesTimer => seriesTimer.Id == seriesTimerId);
+            if (seriesTimer is null)
+            {
+                return;
+            }
+
+            schedule.SeriesTimers.Remove(seriesTimer);
+            foreach (RecordingTimer timer in schedule.Timers.Where(timer => timer.SeriesTimerId == seriesTimerId && timer.IsPending).ToList())
+            {
+                schedule.Timers.Remove(timer);
+            }
+
+            UpdateConflicts(schedule);
+            await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+            _logger.LogInformation("Removed series timer for {Name}", seriesTimer.Name);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <inheritdoc />
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        await _lock.WaitAsync(stoppingToken).ConfigureAwait(false);
+        try
+        {
+            // Recordings interrupted by a server restart continue while their program is on
+            RecordingSchedule schedule = await LoadAsync(stoppingToken).ConfigureAwait(false);
+            foreach (RecordingTimer timer in schedule.Timers.Where(timer => timer.Status == RecordingStatus.InProgress))
+            {
+                timer.Status = RecordingStatus.New;
+            }
+        }
+        finally
+        {
+            _lock.Release();
+        }
+
+        using PeriodicTimer periodicTimer = new(CheckInterval);
+        do
+        {
+            try
+            {
+                await CheckTimersAsync(stoppingToken).ConfigureAwait(false);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogError(ex, "Failed to check the recording timers");
+            }
+        }
+        while (await periodicTimer.WaitForNextTickAsync(stoppingToken).ConfigureAwait(false));
+    }
+
+    private static bool MatchesSeriesTimer(SeriesTimerInfo seriesTimer, ProgramInfo program)
+    {
+        if (!string.Equals(program.Name, seriesTimer.Name, StringComparison.OrdinalIgnoreCase))
+        {
+            return false;
+        }
+
+        if (seriesTimer.Days is { Count: > 0 } days && !days.Contains(program.StartDate.ToLocalTime().DayOfWeek))
+        {
+            return false;
+        }
+
+        return seriesTimer.RecordAnyTime ||
+            (program.StartDate.TimeOfDay - seriesTimer.StartDate.TimeOfDay).Duration() < SeriesStartTolerance;
+    }
+
+    private static string ToFileName(string name)
+    {
+        char[] invalid = Path.GetInvalidFileNameChars();
+        string fileName = new string(name.Select(c => invalid.Contains(c) ? '_' : c).ToArray()).Trim();
+        return fileName.Length == 0 ? "Recording" : fileName;
+    }
+
+    private static int GetProviderId(string channelId)
+    {
+        StreamService.FromLiveTvChannelId(channelId, out int providerId);
+        return providerId;
+    }
+
+    private async Task<RecordingSchedule> LoadAsync(CancellationToken cancellationToken)
+    {
+        if (_schedule is not null)
+        {
+            return _schedule;
+        }
+
+        if (File.Exists(_schedulePath))
+        {
+            try
+            {
+                string json = await File.ReadAllTextAsync(_schedulePath, cancellationToken).ConfigureAwait(false);
+                _schedule = JsonSerializer.Deserialize<RecordingSchedule>(json, JsonOptions);
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogError(ex, "Failed to load the recording timers from {Path}", _schedulePath);
+            }
+        }
+
+        _schedule ??= new RecordingSchedule();
+        return _schedule;
+    }
+
+    private async Task SaveAsync(RecordingSchedule schedule, CancellationToken cancellationToken)
+    {
+        try
+        {
+            string json = JsonSerializer.Serialize(schedule, JsonOptions);
+            await File.WriteAllTextAsync(_schedulePath, json, cancellationToken).ConfigureAwait(false);
+        }
+        catch (IOException ex)
+        {
+            _logger.LogError(ex, "Failed to save the recording timers to {Path}", _schedulePath);
+        }
+    }
+
+    /// <summary>
+    /// Marks the pending recordings which would exceed the connection limit of their provider as conflicting.
+    /// Running recordings and the earliest scheduled ones take precedence.
+    /// </summary>
+    private void UpdateConflicts(RecordingSchedule schedule)
+    {
+        foreach (IGrouping<int, RecordingTimer> group in schedule.Timers
+            .Where(timer => timer.IsPending || timer.Status == RecordingStatus.InProgress)
+            .GroupBy(timer => GetProviderId(timer.ChannelId)))
+        {
+            int maxConnections = _streamMonitor.GetKnownMaxConnections(group.Key);
+            List<RecordingTimer> accepted = group.Where(timer => timer.Status == RecordingStatus.InProgress).ToList();
+            foreach (RecordingTimer timer in group.Where(timer => timer.IsPending).OrderBy(timer => timer.RecordingStart))
+            {
+                int overlapping = accepted.Count(other => other.RecordingStart < timer.RecordingEnd && timer.RecordingStart < other.RecordingEnd);
+                if (maxConnections > 0 && overlapping >= maxConnections)
+                {
+                    timer.Status = RecordingStatus.ConflictedNotOk;
+                }
+                else
+                {
+                    timer.Status = RecordingStatus.New;
+                    accepted.Add(timer);
+                }
+            }
+        }
+    }
+
+    private async Task ScheduleSeriesTimersAsync(IReadOnlyCollection<SeriesTimerInfo> seriesTimers, CancellationToken cancellationToken)
+    {
+        List<(SeriesTimerInfo SeriesTimer, ProgramInfo Program)> matches = [];
+        foreach (SeriesTimerInfo seriesTimer in seriesTimers)
+        {
+            ICollection<ProgramInfo> programs;
+            try
+            {
+                programs = await _epgService.GetProgramsAsync(seriesTimer.ChannelId, cancellationToken).ConfigureAwait(false);
+            }
+            catch (Exception ex) when (ex is HttpRequestException or ArgumentException)
+            {
+                _logger.LogWarning(ex, "Failed to get the programs for series timer {Name}", seriesTimer.Name);
+                continue;
+            }
+
+            DateTime now = DateTime.UtcNow;
+            matches.AddRange(programs
+                .Where(program => program.EndDate > now && MatchesSeriesTimer(seriesTimer, program))
+                .Select(program => (seriesTimer, program)));
+        }
+
+        foreach (int providerId in matches.Select(match => GetProviderId(match.Program.ChannelId)).Distinct())
+        {
+            await _streamMonitor.GetMaxConnectionsAsync(providerId, cancellationToken).ConfigureAwait(false);
+        }
+
+        await _lock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(cancellationToken).ConfigureAwait(false);
+            int added = 0;
+            foreach ((SeriesTimerInfo seriesTimer, ProgramInfo program) in matches)
+            {
+                // Programs which were cancelled or recorded before are not scheduled again
+                if (schedule.SeriesTimers.All(other => other.Id != seriesTimer.Id) ||
+                    schedule.Timers.Any(timer => timer.ProgramId == program.Id))
+                {
+                    continue;
+                }
+
+                schedule.Timers.Add(new RecordingTimer
+                {
+                    Id = Guid.NewGuid().ToString("N"),
+                    SeriesTimerId = seriesTimer.Id,
+                    ChannelId = program.ChannelId,
+                    ProgramId = program.Id,
+                    Name = program.Name,
+                    Overview = program.Overview,
+                    StartDate = program.StartDate,
+                    EndDate = program.EndDate,
+                    PrePaddingSeconds = seriesTimer.PrePaddingSeconds,
+                    PostPaddingSeconds = seriesTimer.PostPaddingSeconds,
+                    Status = RecordingStatus.New,
+                });
+                added++;
+            }
+
+            if (added > 0)
+            {
+                UpdateConflicts(schedule);
+                await SaveAsync(schedule, cancellationToken).ConfigureAwait(false);
+                _logger.LogInformation("Scheduled {Count} recordings for series timers", added);
+            }
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    private async Task CheckTimersAsync(CancellationToken stoppingToken)
+    {
+        DateTime now = DateTime.UtcNow;
+        if (now - _lastSeriesSchedule >= SeriesScheduleInterval)
+        {
+            _lastSeriesSchedule = now;
+            IReadOnlyList<SeriesTimerInfo> seriesTimers = await GetSeriesTimersAsync(stoppingToken).ConfigureAwait(false);
+            await ScheduleSeriesTimersAsync(seriesTimers, stoppingToken).ConfigureAwait(false);
+        }
+
+        List<(RecordingTimer Timer, string Path, CancellationTokenSource Cancellation)> due = [];
+        await _lock.WaitAsync(stoppingToken).ConfigureAwait(false);
+        try
+        {
+            RecordingSchedule schedule = await LoadAsync(stoppingToken).ConfigureAwait(false);
+            UpdateConflicts(schedule);
+            foreach (RecordingTimer timer in schedule.Timers.Where(timer => timer.IsPending))
+            {
+                if (now >= timer.RecordingEnd)
+                {
+                    timer.Error ??= timer.Status == RecordingStatus.ConflictedNotOk ?
+                        "Not recorded, the provider does not allow more simultaneous connections." :
+                        "Not recorded, the server was not running when the program started.";
+                    timer.Status = RecordingStatus.Error;
+                }
+                else if (now >= timer.RecordingStart && timer.Status == RecordingStatus.New)
+                {
+                    // Claimed with its cancellation registered, so a cancel can never miss the starting recording
+                    timer.Status = RecordingStatus.InProgress;
+                    string path = timer.Path ??= Path.Combine(
+                        RecordingPath,
+                        ToFileName(timer.Name),
+                        $"{ToFileName(timer.Name)} {timer.StartDate.ToLocalTime().ToString("yyyy-MM-dd HH-mm", CultureInfo.InvariantCulture)}.ts");
+                    CancellationTokenSource cancellation = CancellationTokenSource.CreateLinkedTokenSource(stoppingToken);
+                    _active[timer.Id] = cancellation;
+                    due.Add((timer, path, cancellation));
+                }
+            }
+
+            List<RecordingTimer> finished = schedule.Timers
+                .Where(timer => !timer.IsPending && timer.Status != RecordingStatus.InProgress)
+                .OrderByDescending(timer => timer.EndDate)
+                .Skip(MaxFinishedTimers)
+                .ToList();
+            foreach (RecordingTimer timer in finished)
+            {
+                schedule.Timers.Remove(timer);
+            }
+
+            await SaveAsync(schedule, stoppingToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+
+        foreach ((RecordingTimer timer, string path, CancellationTokenSource cancellation) in due)
+        {
+            _ = Task.Run(
+                async () =>
+                {
+                    using (cancellation)
+                    {
+                        await RecordAsync(timer, path, stoppingToken, cancellation.Token).ConfigureAwait(false);
+                    }
+                },
+                CancellationToken.None);
+        }
+    }
+
+    private async Task RecordAsync(RecordingTimer timer, string path, CancellationToken stoppingToken, CancellationToken cancellationToken)
+    {
+        string? error = null;
+        try
+        {
+            int streamId = StreamService.FromLiveTvChannelId(timer.ChannelId, out int providerId);
+            Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+            _logger.LogInformation("Recording {Name} to {Path}", timer.Name, path);
+
+            // A recording resumed after a restart continues the same file
+            FileStream output = new(path, FileMode.Append, FileAccess.Write, FileShare.Read);
+            await using (output.ConfigureAwait(false))
+            {
+                while (DateTime.UtcNow < timer.RecordingEnd)
+                {
+                    try
+                    {
+                        await CaptureAsync(timer, providerId, streamId, output, cancellationToken).ConfigureAwait(false);
+                    }
+                    catch (LiveTvConflictException ex)
+                    {
+                        // Wait for a stream of the provider to become free
+                        error = ex.Message;
+                        _logger.LogWarning("Recording of {Name} is waiting for a free stream: {Message}", timer.Name, ex.Message);
+                        TimeSpan remaining = timer.RecordingEnd - DateTime.UtcNow;
+                        if (remaining > TimeSpan.Zero)
+                        {
+                            await Task.Delay(remaining < ReconnectDelay ? remaining : ReconnectDelay, cancellationToken).ConfigureAwait(false);
+                        }
+                    }
+                    catch (Exception ex) when (ex is HttpRequestException or IOException or TimeoutException || (ex is TaskCanceledException && !cancellationToken.IsCancellationRequested))
+                    {
+                        error = $"The stream was interrupted: {ex.Message}";
+                        _logger.LogWarning(ex, "Recording of {Name} was interrupted, reconnecting", timer.Name);
+                        TimeSpan remaining = timer.RecordingEnd - DateTime.UtcNow;
+                        if (remaining > TimeSpan.Zero)
+                        {
+                            await Task.Delay(remaining < ReconnectDelay ? remaining : ReconnectDelay, cancellationToken).ConfigureAwait(false);
+                        }
+                    }
+                }
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            if (stoppingToken.IsCancellationRequested)
+            {
+                // Resumed when the server starts again
+                await _lock.WaitAsync(CancellationToken.None).ConfigureAwait(false);
+                try
+                {
+                    _active.TryRemove(timer.Id, out _);
+                    _progress.TryRemove(timer.Id, out long recorded);
+                    timer.BytesRecorded += recorded;
+                    await SaveAsync(await LoadAsync(CancellationToken.None).ConfigureAwait(false), CancellationToken.None).ConfigureAwait(false);
+                }
+                finally
+                {
+                    _lock.Release();
+                }
+
+                return;
+            }
+
+            _logger.LogInformation("Recording of {Name} was cancelled", timer.Name);
+        }
+        catch (Exception ex)
+        {
+            error = ex.Message;
+            _logger.LogError(ex, "Recording of {Name} failed", timer.Name);
+        }
+
+        await _lock.WaitAsync(CancellationToken.None).ConfigureAwait(false);
+        try
+        {
+            _active.TryRemove(timer.Id, out _);
+            _progress.TryRemove(timer.Id, out long recorded);
+            timer.BytesRecorded += recorded;
+            if (cancellationToken.IsCancellationRequested)
+            {
+                timer.Status = RecordingStatus.Cancelled;
+            }
+            else
+            {
+                timer.Status = timer.BytesRecorded > 0 ? RecordingStatus.Completed : RecordingStatus.Error;
+            }
+
+            timer.Error = error ?? (timer.Status == RecordingStatus.Error ? "The provider did not send any data." : null);
+            RecordingSchedule schedule = await LoadAsync(CancellationToken.None).ConfigureAwait(false);
+            UpdateConflicts(schedule);
+            await SaveAsync(schedule, CancellationToken.None).ConfigureAwait(false);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+
+        _logger.LogInformation("Recording of {Name} finished with status {Status}", timer.Name, timer.Status);
+    }
+
+    /// <summary>
+    /// Copies the channel to the output until the recording ends, through a <see cref="Restream"/> of its own.
+    /// The copied bytes are counted in the progress of the recording.
+    /// </summary>
+    private async Task CaptureAsync(RecordingTimer timer, int providerId, int streamId, Stream output, CancellationToken cancellationToken)
+    {
+        MediaSourceInfo mediaSource = Plugin.Instance.StreamService.GetMediaSourceInfo(StreamType.Live, streamId, restream: true, providerId: providerId);
+        using Restream restream = new(_appHost, _httpClientFactory, _logger, _streamMonitor, mediaSource, providerId, streamId) { IsRecording = true };
+        await restream.Open(cancellationToken).ConfigureAwait(false);
+        restream.ConsumerCount++;
+        try
+        {
+            Stream input = restream.GetStream();
+            await using (input.ConfigureAwait(false))
+            {
+                byte[] buffer = new byte[81920];
+                while (DateTime.UtcNow < timer.RecordingEnd)
+                {
+                    TimeSpan remaining = timer.RecordingEnd - DateTime.UtcNow;
+                    if (remaining <= TimeSpan.Zero)
+                    {
+                        break;
+                    }
+
+                    using CancellationTokenSource read = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                    read.CancelAfter(remaining < StallTimeout ? remaining : StallTimeout);
+
+                    int count;
+                    try
+                    {
+                        count = await input.ReadAsync(buffer, read.Token).ConfigureAwait(false);
+                    }
+                    catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                    {
+                        if (DateTime.UtcNow >= timer.RecordingEnd)
+                        {
+                            break;
+                        }
+
+                        throw new TimeoutException("No data was received for a minute.");
+                    }
+
+                    if (count == 0)
+                    {
+                        throw new IOException("The provider closed the stream.");
+                    }
+
+                    await output.WriteAsync(buffer.AsMemory(0, count), cancellationToken).ConfigureAwait(false);
+                    _progress.AddOrUpdate(timer.Id, count, (_, total) => total + count);
+                }
+            }
+        }
+        finally
+        {
+            restream.ConsumerCount--;
+            await restream.Close().ConfigureAwait(false);
+        }
+    }
+}
@@ -0,0 +1,155 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Text.Json.Serialization;
+using MediaBrowser.Controller.LiveTv;
+using MediaBrowser.Model.LiveTv;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// A scheduled, running or finished recording of a Live TV program.
+/// </summary>
+public class RecordingTimer
+{
+    /// <summary>
+    /// Gets or sets the id of the timer.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the id of the series timer which scheduled this timer, if any.
+    /// </summary>
+    public string? SeriesTimerId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the id of the Live TV channel to record.
+    /// </summary>
+    public string ChannelId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the id of the program to record, if any.
+    /// </summary>
+    public string? ProgramId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the program.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the description of the program.
+    /// </summary>
+    public string? Overview { get; set; }
+
+    /// <summary>
+    /// Gets or sets the start time of the program.
+    /// </summary>
+    public DateTime StartDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the end time of the program.
+    /// </summary>
+    public DateTime EndDate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of seconds to start recording before the program starts.
+    /// </summary>
+    public int PrePaddingSeconds { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of seconds to keep recording after the program ends.
+    /// </summary>
+    public int PostPaddingSeconds { get; set; }
+
+    /// <summary>
+    /// Gets or sets the status of the recording.
+    /// </summary>
+    public RecordingStatus Status { get; set; }
+
+    /// <summary>
+    /// Gets or sets the path of the recorded file, once the recording started.
+    /// </summary>
+    public string? Path { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of bytes recorded.
+    /// </summary>
+    public long BytesRecorded { get; set; }
+
+    /// <summary>
+    /// Gets or sets why the program was not or only partially recorded.
+    /// </summary>
+    public string? Error { get; set; }
+
+    /// <summary>
+    /// Gets the time the recording starts, including the padding.
+    /// </summary>
+    [JsonIgnore]
+    public DateTime RecordingStart => StartDate.AddSeconds(-PrePaddingSeconds);
+
+    /// <summary>
+    /// Gets the time the recording ends, including the padding.
+    /// </summary>
+    [JsonIgnore]
+    public DateTime RecordingEnd => EndDate.AddSeconds(PostPaddingSeconds);
+
+    /// <summary>
+    /// Gets a value indicating whether the recording is still to be made.
+    /// </summary>
+    [JsonIgnore]
+    public bool IsPending => Status is RecordingStatus.New or RecordingStatus.ConflictedOk or RecordingStatus.ConflictedNotOk;
+
+    /// <summary>
+    /// Creates a timer from the timer info of Jellyfin.
+    /// </summary>
+    /// <param name="info">The timer info.</param>
+    /// <returns>A new timer.</returns>
+    public static RecordingTimer FromTimerInfo(TimerInfo info) => new()
+    {
+        Id = Guid.NewGuid().ToString("N"),
+        SeriesTimerId = string.IsNullOrEmpty(info.SeriesTimerId) ? null : info.SeriesTimerId,
+        ChannelId = info.ChannelId,
+        ProgramId = info.ProgramId,
+        Name = info.Name,
+        Overview = info.Overview,
+        StartDate = info.StartDate,
+        EndDate = info.EndDate,
+        PrePaddingSeconds = info.PrePaddingSeconds,
+        PostPaddingSeconds = info.PostPaddingSeconds,
+        Status = RecordingStatus.New,
+    };
+
+    /// <summary>
+    /// Converts this timer to the timer info of Jellyfin.
+    /// </summary>
+    /// <returns>The timer info.</returns>
+    public TimerInfo ToTimerInfo() => new()
+    {
+        Id = Id,
+        SeriesTimerId = SeriesTimerId,
+        ChannelId = ChannelId,
+        ProgramId = ProgramId,
+        Name = Name,
+        Overview = Overview,
+        StartDate = StartDate,
+        EndDate = EndDate,
+        PrePaddingSeconds = PrePaddingSeconds,
+        PostPaddingSeconds = PostPaddingSeconds,
+        Status = Status,
+        RecordingPath = Path,
+    };
+}
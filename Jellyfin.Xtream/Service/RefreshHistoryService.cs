@@ -0,0 +1,197 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading;
+using System.Threading.Tasks;
+using MediaBrowser.Common.Configuration;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Service for persisting the statistics of the latest cache refreshes.
+/// The history is stored as a JSON file in the plugin's data directory.
+/// </summary>
+public class RefreshHistoryService : IDisposable
+{
+    /// <summary>
+    /// The number of runs kept in the history.
+    /// </summary>
+    public const int MaxRuns = 20;
+
+    /// <summary>
+    /// The number of errors kept for each run.
+    /// </summary>
+    public const int MaxErrorsPerRun = 100;
+
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private readonly string _historyPath;
+    private readonly ILogger<RefreshHistoryService>? _logger;
+    private readonly SemaphoreSlim _fileLock = new(1, 1);
+    private List<RefreshRun>? _cachedRuns;
+    private bool _disposed;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="RefreshHistoryService"/> class.
+    /// </summary>
+    /// <param name="applicationPaths">Application paths for determining plugin data directory.</param>
+    /// <param name="fileName">The name of the history file.</param>
+    /// <param name="logger">Optional logger instance.</param>
+    public RefreshHistoryService(IApplicationPaths applicationPaths, string fileName, ILogger<RefreshHistoryService>? logger = null)
+    {
+        _logger = logger;
+        string pluginDataPath = Path.Combine(applicationPaths.PluginConfigurationsPath, "Jellyfin.Xtream");
+        Directory.CreateDirectory(pluginDataPath);
+        _historyPath = Path.Combine(pluginDataPath, fileName);
+    }
+
+    /// <summary>
+    /// Gets the latest runs, newest first.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The latest runs.</returns>
+    public async Task<IReadOnlyCollection<RefreshRun>> GetRunsAsync(CancellationToken cancellationToken = default)
+    {
+        await _fileLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            return (await LoadRunsAsync(cancellationToken).ConfigureAwait(false)).ToList();
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Adds a run to the history, dropping the oldest runs beyond <see cref="MaxRuns"/>.
+    /// Failures to save are logged, so recording the history never fails a refresh.
+    /// </summary>
+    /// <param name="run">The finished run.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task AddRunAsync(RefreshRun run, CancellationToken cancellationToken = default)
+    {
+        await _fileLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            List<RefreshRun> runs = await LoadRunsAsync(cancellationToken).ConfigureAwait(false);
+            runs.Insert(0, run);
+            if (runs.Count > MaxRuns)
+            {
+                runs.RemoveRange(MaxRuns, runs.Count - MaxRuns);
+            }
+
+            string json = JsonSerializer.Serialize(runs, JsonOptions);
+            await File.WriteAllTextAsync(_historyPath, json, cancellationToken).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "Failed to save refresh history to {Path}", _historyPath);
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Removes all runs from the history.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task ClearAsync(CancellationToken cancellationToken = default)
+    {
+        await _fileLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            _cachedRuns = [];
+            if (File.Exists(_historyPath))
+            {
+                File.Delete(_historyPath);
+                _logger?.LogInformation("Refresh history cleared - deleted {Path}", _historyPath);
+            }
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    /// <inheritdoc />
+    public void Dispose()
+    {
+        Dispose(true);
+        GC.SuppressFinalize(this);
+    }
+
+    /// <summary>
+    /// Releases the unmanaged resources used by the RefreshHistoryService and optionally releases the managed resources.
+    /// </summary>
+    /// <param name="disposing">True to release both managed and unmanaged resources; false to release only unmanaged resources.</param>
+    protected virtual void Dispose(bool disposing)
+    {
+        if (_disposed)
+        {
+            return;
+        }
+
+        if (disposing)
+        {
+            _fileLock?.Dispose();
+        }
+
+        _disposed = true;
+    }
+
+    private async Task<List<RefreshRun>> LoadRunsAsync(CancellationToken cancellationToken)
+    {
+        if (_cachedRuns != null)
+        {
+            return _cachedRuns;
+        }
+
+        if (!File.Exists(_historyPath))
+        {
+            _cachedRuns = [];
+            return _cachedRuns;
+        }
+
+        try
+        {
+            string json = await File.ReadAllTextAsync(_historyPath, cancellationToken).ConfigureAwait(false);
+            _cachedRuns = JsonSerializer.Deserialize<List<RefreshRun>>(json, JsonOptions) ?? [];
+        }
+        catch (JsonException ex)
+        {
+            _logger?.LogWarning(ex, "Error loading refresh history from {Path}, starting fresh", _historyPath);
+            _cachedRuns = [];
+        }
+
+        return _cachedRuns;
+    }
+}
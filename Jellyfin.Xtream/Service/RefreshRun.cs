@@ -0,0 +1,102 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.ObjectModel;
+
+#pragma warning disable CA2227
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The statistics of a single series or VOD cache refresh.
+/// </summary>
+public class RefreshRun
+{
+    /// <summary>
+    /// Gets or sets the unique ID of the run.
+    /// </summary>
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether unchanged items were skipped.
+    /// </summary>
+    public bool IsIncremental { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time the run started.
+    /// </summary>
+    public DateTime StartTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time the run ended.
+    /// </summary>
+    public DateTime EndTime { get; set; }
+
+    /// <summary>
+    /// Gets or sets how the run ended: completed, cancelled or failed.
+    /// </summary>
+    public CacheRefreshPhase Result { get; set; }
+
+    /// <summary>
+    /// Gets or sets the error which stopped the run, if any.
+    /// </summary>
+    public string? ErrorMessage { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of categories fetched.
+    /// </summary>
+    public int Categories { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of series or movies processed.
+    /// </summary>
+    public int Processed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of unchanged series or movies skipped by an incremental run.
+    /// </summary>
+    public int Skipped { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of seasons cached.
+    /// </summary>
+    public int Seasons { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of episodes cached.
+    /// </summary>
+    public int Episodes { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of metadata lookups which found a match.
+    /// </summary>
+    public int MetadataFound { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of metadata lookups without a match.
+    /// </summary>
+    public int MetadataNotFound { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of series or movies which failed.
+    /// </summary>
+    public int Failures { get; set; }
+
+    /// <summary>
+    /// Gets or sets the failures, limited to <see cref="RefreshHistoryService.MaxErrorsPerRun"/> entries.
+    /// </summary>
+    public Collection<RefreshRunError> Errors { get; set; } = [];
+}
+#pragma warning restore CA2227
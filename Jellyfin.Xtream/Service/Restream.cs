@@ -49,6 +49,7 @@ public class Restream : ILiveStream, IDirectStreamProvider, IDisposable
     private readonly WrappedBufferStream _buffer;
     private readonly IHttpClientFactory _httpClientFactory;
     private readonly ILogger _logger;
+    private readonly StreamMonitorService _streamMonitor;
     private readonly CancellationTokenSource _tokenSource;
     private readonly string _url;
 
@@ -61,12 +62,18 @@ public class Restream : ILiveStream, IDirectStreamProvider, IDisposable
     /// <param name="appHost">Instance of the <see cref="IServerApplicationHost"/> interface.</param>
     /// <param name="httpClientFactory">Instance of the <see cref="IHttpClientFactory"/> interface.</param>
     /// <param name="logger">Instance of the <see cref="ILogger"/> interface.</param>
+    /// <param name="streamMonitor">Instance of the <see cref="StreamMonitorService"/> class.</param>
     /// <param name="mediaSource">The media which must be restreamed.</param>
-    public Restream(IServerApplicationHost appHost, IHttpClientFactory httpClientFactory, ILogger logger, MediaSourceInfo mediaSource)
+    /// <param name="providerId">The id of the provider of the channel.</param>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    public Restream(IServerApplicationHost appHost, IHttpClientFactory httpClientFactory, ILogger logger, StreamMonitorService streamMonitor, MediaSourceInfo mediaSource, int providerId, int streamId)
     {
         _httpClientFactory = httpClientFactory;
         _logger = logger;
+        _streamMonitor = streamMonitor;
         MediaSource = mediaSource;
+        ProviderId = providerId;
+        StreamId = streamId;
 
         _buffer = new WrappedBufferStream(16 * 1024 * 1024); // 16MiB
         _tokenSource = new CancellationTokenSource();
@@ -99,6 +106,31 @@ public class Restream : ILiveStream, IDirectStreamProvider, IDisposable
     /// <inheritdoc />
     public string UniqueId { get; init; }
 
+    /// <summary>
+    /// Gets the id of the provider of the channel.
+    /// </summary>
+    public int ProviderId { get; }
+
+    /// <summary>
+    /// Gets the Xtream stream id of the channel.
+    /// </summary>
+    public int StreamId { get; }
+
+    /// <summary>
+    /// Gets a value indicating whether the stream is opened for a recording instead of playback.
+    /// </summary>
+    public bool IsRecording { get; init; }
+
+    /// <summary>
+    /// Gets the time the connection to the provider was opened.
+    /// </summary>
+    public DateTime StartTime { get; private set; }
+
+    /// <summary>
+    /// Gets the number of bytes received from the provider.
+    /// </summary>
+    public long BytesRelayed => _buffer.TotalBytesWritten;
+
     /// <inheritdoc />
     public async Task Open(CancellationToken openCancellationToken)
     {
@@ -111,22 +143,31 @@ public class Restream : ILiveStream, IDirectStreamProvider, IDisposable
         string channelId = MediaSource.Id;
         _logger.LogInformation("Starting restream for channel {ChannelId}.", channelId);
 
-        // Response stream is disposed manually.
-        HttpResponseMessage response = await _httpClientFactory.CreateClient(NamedClient.Default)
-            .GetAsync(_url, HttpCompletionOption.ResponseHeadersRead, openCancellationToken)
-            .ConfigureAwait(true);
-        _logger.LogDebug("Stream for channel {ChannelId} using url {Url}", channelId, _url);
-
-        // Handle a manual redirect in the case of a HTTPS to HTTP downgrade.
-        if (_redirects.Contains(response.StatusCode))
+        // The stream counts towards the stream limit while its connection is opened
+        StartTime = DateTime.UtcNow;
+        await _streamMonitor.ReserveAsync(this, openCancellationToken).ConfigureAwait(false);
+        try
+        {
+            // Response stream is disposed manually.
+            HttpResponseMessage response = await GetAsync(new Uri(_url), openCancellationToken).ConfigureAwait(true);
+            _logger.LogDebug("Stream for channel {ChannelId} using url {Url}", channelId, _url);
+
+            // Handle a manual redirect in the case of a HTTPS to HTTP downgrade.
+            if (_redirects.Contains(response.StatusCode))
+            {
+                _logger.LogDebug("Stream for channel {ChannelId} redirected to url {Url}", channelId, response.Headers.Location);
+                response = await GetAsync(response.Headers.Location!, openCancellationToken).ConfigureAwait(true);
+            }
+
+            _inputStream = await response.Content.ReadAsStreamAsync(CancellationToken.None).ConfigureAwait(false);
+        }
+        catch
         {
-            _logger.LogDebug("Stream for channel {ChannelId} redirected to url {Url}", channelId, response.Headers.Location);
-            response = await _httpClientFactory.CreateClient(NamedClient.Default)
-                .GetAsync(response.Headers.Location, HttpCompletionOption.ResponseHeadersRead, openCancellationToken)
-                .ConfigureAwait(true);
+            _streamMonitor.Remove(this);
+            throw;
         }
 
-        _inputStream = await response.Content.ReadAsStreamAsync(CancellationToken.None).ConfigureAwait(false);
+        _buffer.IsCompleted = false;
         _copyTask = _inputStream.CopyToAsync(_buffer, _tokenSource.Token)
             .ContinueWith(
                 (Task t) =>
@@ -134,12 +175,28 @@ public class Restream : ILiveStream, IDirectStreamProvider, IDisposable
                     _logger.LogInformation("Restream for channel {ChannelId} finished with state {Status}", MediaSource.Id, t.Status);
                     _inputStream.Close();
                     _inputStream = null;
+                    _buffer.IsCompleted = true;
+                    _streamMonitor.Remove(this);
                 },
                 CancellationToken.None,
                 TaskContinuationOptions.None,
                 TaskScheduler.Default);
     }
 
+    private async Task<HttpResponseMessage> GetAsync(Uri uri, CancellationToken cancellationToken)
+    {
+        // Send the headers the provider requires, such as its user agent
+        using HttpRequestMessage request = new(HttpMethod.Get, uri);
+        foreach ((string name, string value) in MediaSource.RequiredHttpHeaders)
+        {
+            request.Headers.TryAddWithoutValidation(name, value);
+        }
+
+        return await _httpClientFactory.CreateClient(NamedClient.Default)
+            .SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken)
+            .ConfigureAwait(false);
+    }
+
     /// <inheritdoc />
     public async Task Close()
     {
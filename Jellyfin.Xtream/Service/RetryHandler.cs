@@ -12,153 +12,83 @@ namespace Jellyfin.Xtream.Service;
 /// </summary>
 public class RetryHandler
 {
-    private readonly FailureTrackingService _failureTracker;
     private readonly ILogger<RetryHandler> _logger;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="RetryHandler"/> class.
     /// </summary>
-    /// <param name="failureTracker">The failure tracking service.</param>
     /// <param name="logger">The logger instance.</param>
-    public RetryHandler(FailureTrackingService failureTracker, ILogger<RetryHandler> logger)
+    public RetryHandler(ILogger<RetryHandler> logger)
     {
-        _failureTracker = failureTracker;
         _logger = logger;
     }
 
     /// <summary>
     /// Executes an HTTP operation with retry logic and exponential backoff.
     /// </summary>
+    /// <typeparam name="T">The type of the result.</typeparam>
     /// <param name="uri">The URI being requested.</param>
     /// <param name="operation">The async operation to execute.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
-    /// <returns>The operation result, or null if all retries failed.</returns>
-    public async Task<string?> ExecuteWithRetryAsync(
+    /// <returns>The operation result.</returns>
+    /// <exception cref="HttpRequestException">A non-retryable error, or the last error once all attempts failed.</exception>
+    public async Task<T> ExecuteWithRetryAsync<T>(
         Uri uri,
-        Func<Uri, CancellationToken, Task<string>> operation,
+        Func<CancellationToken, Task<T>> operation,
         CancellationToken cancellationToken)
     {
-        string url = uri.ToString();
-
-        // Check if this URL is known to fail persistently
-        if (_failureTracker.IsKnownFailure(url))
-        {
-            _logger.LogDebug("Skipping retry for known persistent failure: {Url}", url);
-            return null;
-        }
-
         int maxAttempts = Plugin.Instance?.Configuration.HttpRetryMaxAttempts ?? 3;
         int initialDelayMs = Plugin.Instance?.Configuration.HttpRetryInitialDelayMs ?? 1000;
 
-        // Validate configuration
-        if (maxAttempts < 0)
-        {
-            maxAttempts = 0;
-        }
-
-        if (maxAttempts > 10)
+        // Without retries the request is still attempted once
+        if (!(Plugin.Instance?.Configuration.EnableHttpRetry ?? true))
         {
-            maxAttempts = 10;
+            maxAttempts = 1;
         }
 
-        if (initialDelayMs < 100)
-        {
-            initialDelayMs = 100;
-        }
-
-        if (initialDelayMs > 10000)
-        {
-            initialDelayMs = 10000;
-        }
-
-        HttpRequestException? lastException = null;
+        // Validate configuration
+        maxAttempts = Math.Clamp(maxAttempts, 1, 10);
+        initialDelayMs = Math.Clamp(initialDelayMs, 100, 10000);
 
-        for (int attempt = 1; attempt <= maxAttempts; attempt++)
+        for (int attempt = 1; ; attempt++)
         {
             try
             {
-                // Execute the operation
-                string result = await operation(uri, cancellationToken).ConfigureAwait(false);
-                return result;
-            }
-            catch (HttpRequestException ex) when (IsRetryableError(ex))
-            {
-                lastException = ex;
-
-                if (attempt < maxAttempts)
-                {
-                    // Calculate exponential backoff delay: initialDelay * 2^(attempt-1)
-                    int delayMs = initialDelayMs * (int)Math.Pow(2, attempt - 1);
-
-                    _logger.LogWarning(
-                        "HTTP {StatusCode} error on attempt {Attempt}/{MaxAttempts} for {Url}. Retrying in {DelayMs}ms. Error: {Message}",
-                        ex.StatusCode,
-                        attempt,
-                        maxAttempts,
-                        url,
-                        delayMs,
-                        ex.Message);
-
-                    // Wait before retry
-                    await Task.Delay(delayMs, cancellationToken).ConfigureAwait(false);
-                }
-                else
-                {
-                    // All retries exhausted
-                    _logger.LogWarning(
-                        "HTTP {StatusCode} error persisted after {MaxAttempts} attempts for {Url}. Recording as persistent failure. Error: {Message}",
-                        ex.StatusCode,
-                        maxAttempts,
-                        url,
-                        ex.Message);
-
-                    // Record this URL as a persistent failure
-                    _failureTracker.RecordFailure(url, $"HTTP {ex.StatusCode}: {ex.Message}");
-                }
+                return await operation(cancellationToken).ConfigureAwait(false);
             }
-            catch (HttpRequestException ex) when (!IsRetryableError(ex))
+            catch (Exception ex) when (attempt < maxAttempts && IsRetryableError(ex, cancellationToken))
             {
-                // Non-retryable error (4xx client errors) - fail immediately
-                _logger.LogDebug(
-                    "Non-retryable HTTP {StatusCode} error for {Url}. Not retrying. Error: {Message}",
-                    ex.StatusCode,
-                    url,
+                // Calculate exponential backoff delay: initialDelay * 2^(attempt-1)
+                int delayMs = initialDelayMs * (int)Math.Pow(2, attempt - 1);
+
+                _logger.LogWarning(
+                    "HTTP error on attempt {Attempt}/{MaxAttempts} for {Url}. Retrying in {DelayMs}ms. Error: {Message}",
+                    attempt,
+                    maxAttempts,
+                    uri,
+                    delayMs,
                     ex.Message);
-                throw;
-            }
-            catch (OperationCanceledException)
-            {
-                // Cancellation requested - don't retry
-                _logger.LogDebug("Operation cancelled for {Url}", url);
-                throw;
-            }
-        }
 
-        // All retries exhausted, return null for graceful degradation
-        bool throwOnFailure = Plugin.Instance?.Configuration.HttpRetryThrowOnPersistentFailure ?? false;
-        if (throwOnFailure && lastException != null)
-        {
-            throw lastException;
+                // Wait before retry
+                await Task.Delay(delayMs, cancellationToken).ConfigureAwait(false);
+            }
         }
-
-        return null;
     }
 
     /// <summary>
-    /// Determines if an HTTP error is retryable.
+    /// Determines if an error is transient, so the request may succeed when it is retried.
     /// </summary>
-    /// <param name="ex">The HTTP request exception.</param>
-    /// <returns>True if the error is retryable (5xx server errors), false otherwise.</returns>
-    private static bool IsRetryableError(HttpRequestException ex)
+    /// <param name="ex">The error of the request.</param>
+    /// <param name="cancellationToken">The cancellation token of the request.</param>
+    /// <returns>True for network errors, timeouts and 5xx server errors, false otherwise.</returns>
+    public static bool IsRetryableError(Exception ex, CancellationToken cancellationToken) => ex switch
     {
-        if (ex.StatusCode == null)
-        {
-            // Network errors without status code are retryable
-            return true;
-        }
-
-        // Retry on 5xx server errors
-        return ex.StatusCode >= HttpStatusCode.InternalServerError &&
-               ex.StatusCode < (HttpStatusCode)600;
-    }
+        // Network errors without status code are retryable, as are 5xx server errors
+        HttpRequestException http => http.StatusCode is null
+            || (http.StatusCode >= HttpStatusCode.InternalServerError && http.StatusCode < (HttpStatusCode)600),
+
+        // The HTTP client timed out, while the caller did not cancel
+        TaskCanceledException => !cancellationToken.IsCancellationRequested,
+        _ => false,
+    };
 }
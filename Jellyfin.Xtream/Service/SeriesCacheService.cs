@@ -14,6 +14,7 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Linq;
 using System.Net;
@@ -21,6 +22,7 @@ using System.Net.Http;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
 using MediaBrowser.Controller.Channels;
 using MediaBrowser.Controller.Configuration;
 using MediaBrowser.Controller.Entities;
@@ -48,10 +50,18 @@ namespace Jellyfin.Xtream.Service;
 /// </summary>
 public class SeriesCacheService : IDisposable
 {
+    /// <summary>
+    /// The number of hours after which cached entries are dropped when no refresh replaced them.
+    /// </summary>
+    public const int CacheEntryLifetimeHours = 24;
+
+    private readonly int _providerId;
     private readonly StreamService _streamService;
     private readonly IMemoryCache _memoryCache;
     private readonly FailureTrackingService _failureTrackingService;
     private readonly SyncStateService _syncStateService;
+    private readonly RefreshHistoryService _refreshHistoryService;
+    private readonly MetadataMatchStore _matchStore;
     private readonly ILogger<SeriesCacheService>? _logger;
     private readonly IProviderManager? _providerManager;
     private readonly IServerConfigurationManager? _serverConfigManager;
@@ -60,6 +70,10 @@ public class SeriesCacheService : IDisposable
     private bool _isRefreshing = false;
     private double _currentProgress = 0.0;
     private string _currentStatus = "Idle";
+    private CacheRefreshPhase _phase = CacheRefreshPhase.Idle;
+    private int _processed;
+    private int _total;
+    private int _errors;
     private DateTime? _lastRefreshStart;
     private DateTime? _lastRefreshComplete;
     private CancellationTokenSource? _refreshCancellationTokenSource;
@@ -67,37 +81,51 @@ public class SeriesCacheService : IDisposable
     /// <summary>
     /// Initializes a new instance of the <see cref="SeriesCacheService"/> class.
     /// </summary>
+    /// <param name="providerId">The id of the provider whose content is cached.</param>
     /// <param name="streamService">The stream service instance.</param>
     /// <param name="memoryCache">The memory cache instance.</param>
     /// <param name="failureTrackingService">The failure tracking service instance.</param>
     /// <param name="syncStateService">The sync state service instance.</param>
+    /// <param name="refreshHistoryService">The service keeping the history of refresh runs.</param>
+    /// <param name="matchStore">The store of the metadata lookup results of every provider.</param>
     /// <param name="logger">Optional logger instance.</param>
     /// <param name="providerManager">Optional provider manager for TMDB lookups.</param>
     /// <param name="serverConfigManager">Optional server configuration manager for metadata language.</param>
     public SeriesCacheService(
+        int providerId,
         StreamService streamService,
         IMemoryCache memoryCache,
         FailureTrackingService failureTrackingService,
         SyncStateService syncStateService,
+        RefreshHistoryService refreshHistoryService,
+        MetadataMatchStore matchStore,
         ILogger<SeriesCacheService>? logger = null,
         IProviderManager? providerManager = null,
         IServerConfigurationManager? serverConfigManager = null)
     {
+        _providerId = providerId;
         _streamService = streamService;
         _memoryCache = memoryCache;
         _failureTrackingService = failureTrackingService;
         _syncStateService = syncStateService;
+        _refreshHistoryService = refreshHistoryService;
+        _matchStore = matchStore;
         _logger = logger;
         _providerManager = providerManager;
         _serverConfigManager = serverConfigManager;
     }
 
+    /// <summary>
+    /// Occurs whenever the progress of a cache refresh changes.
+    /// </summary>
+    public event EventHandler<CacheProgress>? ProgressChanged;
+
     /// <summary>
     /// Gets the current cache key prefix.
-    /// Uses CacheDataVersion which only changes when cache-relevant settings change
+    /// Uses the cache data version of the provider, which only changes when cache-relevant settings change
     /// (not when refresh frequency changes).
     /// </summary>
-    private string CachePrefix => $"series_cache_{Plugin.Instance.CacheDataVersion}_v{_cacheVersion}_";
+    private string CachePrefix => $"series_cache_{Plugin.Instance.GetCacheDataVersion(_providerId)}_p{_providerId}_v{_cacheVersion}_";
 
     /// <summary>
     /// Pre-fetches and caches all series data (categories, series, seasons, episodes).
@@ -119,6 +147,8 @@ public class SeriesCacheService : IDisposable
             return;
         }
 
+        RefreshRun? run = null;
+        ConcurrentQueue<RefreshRunError> runErrors = new();
         try
         {
             if (_isRefreshing)
@@ -129,8 +159,12 @@ public class SeriesCacheService : IDisposable
 
             _isRefreshing = true;
             _currentProgress = 0.0;
-            _currentStatus = "Starting...";
+            _processed = 0;
+            _total = 0;
+            _errors = 0;
             _lastRefreshStart = DateTime.UtcNow;
+            run = new RefreshRun { StartTime = _lastRefreshStart.Value };
+            SetStatus(CacheRefreshPhase.Starting, "Starting...");
 
             // Create a linked cancellation token source so we can cancel the refresh
             // Use atomic swap to avoid race with CancelRefresh()
@@ -145,7 +179,7 @@ public class SeriesCacheService : IDisposable
             // Determine if we should do a full sync
             bool isIncrementalSync = config.IncrementalSyncEnabled
                 && !forceFullSync
-                && !SyncStateService.IsFullSyncNeeded(syncState, config.FullSyncIntervalHours);
+                && !SyncStateService.IsFullSyncNeeded(syncState.SeriesSync, config.FullSyncIntervalHours);
 
             if (forceFullSync)
             {
@@ -155,11 +189,11 @@ public class SeriesCacheService : IDisposable
             {
                 _logger?.LogInformation("Starting FULL series cache refresh (incremental sync disabled)");
             }
-            else if (SyncStateService.IsFullSyncNeeded(syncState, config.FullSyncIntervalHours))
+            else if (SyncStateService.IsFullSyncNeeded(syncState.SeriesSync, config.FullSyncIntervalHours))
             {
                 _logger?.LogInformation(
                     "Starting FULL series cache refresh (last full sync: {LastFullSync}, interval: {Interval}h)",
-                    syncState.LastFullSync,
+                    syncState.SeriesSync.LastFullSync,
                     config.FullSyncIntervalHours);
                 isIncrementalSync = false;
             }
@@ -167,17 +201,20 @@ public class SeriesCacheService : IDisposable
             {
                 _logger?.LogInformation(
                     "Starting INCREMENTAL series cache refresh (last sync: {LastSync}, {TrackedCount} series tracked)",
-                    syncState.LastIncrementalSync,
+                    syncState.SeriesSync.LastIncrementalSync,
                     syncState.SeriesLastModified.Count);
             }
 
-            string cacheDataVersion = Plugin.Instance.CacheDataVersion;
-            string cachePrefix = $"series_cache_{cacheDataVersion}_v{_cacheVersion}_";
+            run.IsIncremental = isIncrementalSync;
+            string cacheDataVersion = Plugin.Instance.GetCacheDataVersion(_providerId);
+            string cachePrefix = $"series_cache_{cacheDataVersion}_p{_providerId}_v{_cacheVersion}_";
 
             // Clear old cache entries only for full sync
             if (!isIncrementalSync)
             {
                 ClearCache(cacheDataVersion);
+                await _matchStore.LoadAsync(_refreshCancellationTokenSource.Token).ConfigureAwait(false);
+                _matchStore.Clear(_providerId);
             }
 
             try
@@ -187,20 +224,21 @@ public class SeriesCacheService : IDisposable
                 // Normal refresh frequency is controlled by the scheduled task (default: every 60 minutes)
                 MemoryCacheEntryOptions cacheOptions = new()
                 {
-                    AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(24)
+                    AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(CacheEntryLifetimeHours)
                 };
 
                 // Fetch all categories
-                _currentStatus = "Fetching categories...";
+                SetStatus(CacheRefreshPhase.FetchingCategories, "Fetching categories...");
                 progress?.Report(0.05);
                 _logger?.LogInformation("Fetching series categories...");
-                IEnumerable<Category> categories = await _streamService.GetSeriesCategories(_refreshCancellationTokenSource.Token).ConfigureAwait(false);
+                IEnumerable<Category> categories = await _streamService.GetSeriesCategories(_providerId, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
                 List<Category> categoryList = categories.ToList();
                 _memoryCache.Set($"{cachePrefix}categories", categoryList, cacheOptions);
                 _logger?.LogInformation("Found {CategoryCount} categories", categoryList.Count);
+                run.Categories = categoryList.Count;
 
                 // Log configuration state for debugging
-                var seriesConfig = Plugin.Instance.Configuration.Series;
+                var seriesConfig = Plugin.Instance.Configuration.GetProvider(_providerId)?.Series ?? [];
                 _logger?.LogInformation("Configuration has {ConfigCategoryCount} configured series categories", seriesConfig.Count);
                 foreach (var kvp in seriesConfig)
                 {
@@ -223,17 +261,19 @@ public class SeriesCacheService : IDisposable
                 // Single pass: fetch all series lists and cache them for reuse
                 // This eliminates the double API call that was happening before
                 Dictionary<int, List<XtreamSeries>> seriesListsByCategory = new();
-                _currentStatus = "Fetching series lists...";
+                SetStatus(CacheRefreshPhase.FetchingItems, "Fetching series lists...");
                 foreach (Category category in categoryList)
                 {
                     _refreshCancellationTokenSource.Token.ThrowIfCancellationRequested();
-                    IEnumerable<XtreamSeries> seriesList = await _streamService.GetSeries(category.CategoryId, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
+                    IEnumerable<XtreamSeries> seriesList = await _streamService.GetSeries(_providerId, category.CategoryId, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
                     List<XtreamSeries> seriesItems = seriesList.ToList();
                     seriesListsByCategory[category.CategoryId] = seriesItems;
                     totalSeries += seriesItems.Count;
                 }
 
                 _logger?.LogInformation("Fetched {TotalSeries} series across {CategoryCount} categories", totalSeries, categoryList.Count);
+                _total = totalSeries;
+                SetStatus(CacheRefreshPhase.ProcessingItems, $"Processing series 0/{totalSeries}");
 
                 // Get parallelism configuration
                 int parallelism = Math.Max(1, Math.Min(10, Plugin.Instance?.Configuration.CacheRefreshParallelism ?? 3));
@@ -292,6 +332,7 @@ public class SeriesCacheService : IDisposable
                 foreach (int deletedId in deletedSeriesIds)
                 {
                     syncState.SeriesLastModified.TryRemove(deletedId, out _);
+                    _matchStore.Remove(_providerId, deletedId);
                     seriesDeleted++;
                 }
 
@@ -331,6 +372,8 @@ public class SeriesCacheService : IDisposable
                             {
                                 double progressValue = 0.1 + (skippedProcessed * 0.8 / totalSeries);
                                 _currentProgress = progressValue;
+                                _processed = skippedProcessed;
+                                PublishProgress();
                                 progress?.Report(progressValue);
                             }
 
@@ -341,7 +384,7 @@ public class SeriesCacheService : IDisposable
                         await ThrottleRequestAsync().ConfigureAwait(false);
 
                         // Fetch seasons for this series (makes ONE API call to get SeriesStreamInfo)
-                        IEnumerable<Tuple<SeriesStreamInfo, int>> seasons = await _streamService.GetSeasons(series.SeriesId, ct).ConfigureAwait(false);
+                        IEnumerable<Tuple<SeriesStreamInfo, int>> seasons = await _streamService.GetSeasons(_providerId, series.SeriesId, ct).ConfigureAwait(false);
                         List<Tuple<SeriesStreamInfo, int>> seasonList = seasons.ToList();
 
                         // Reuse the SeriesStreamInfo from GetSeasons for all episodes
@@ -357,7 +400,7 @@ public class SeriesCacheService : IDisposable
                             localSeasonCount++;
 
                             // Get episodes from the already-fetched SeriesStreamInfo (no API call)
-                            IEnumerable<Tuple<SeriesStreamInfo, XtreamSeason?, XtreamEpisode>> episodes = _streamService.GetEpisodesFromSeriesInfo(seriesStreamInfo!, series.SeriesId, seasonId);
+                            IEnumerable<Tuple<SeriesStreamInfo, XtreamSeason?, XtreamEpisode>> episodes = _streamService.GetEpisodesFromSeriesInfo(_providerId, seriesStreamInfo!, series.SeriesId, seasonId);
 
                             List<XtreamEpisode> episodeList = episodes.Select(e => e.Item3).ToList();
                             localEpisodeCount += episodeList.Count;
@@ -390,7 +433,8 @@ public class SeriesCacheService : IDisposable
                         {
                             double progressValue = 0.1 + (currentProcessed * 0.8 / totalSeries);
                             _currentProgress = progressValue;
-                            _currentStatus = $"Processing series {currentProcessed}/{totalSeries} ({seriesCount} series, {seasonCount} seasons, {episodeCount} episodes)";
+                            _processed = currentProcessed;
+                            SetStatus(CacheRefreshPhase.ProcessingItems, $"Processing series {currentProcessed}/{totalSeries} ({seriesCount} series, {seasonCount} seasons, {episodeCount} episodes)");
                             progress?.Report(progressValue);
                         }
 
@@ -405,6 +449,10 @@ public class SeriesCacheService : IDisposable
                                 episodeCount);
                         }
                     }
+                    catch (HttpRequestException) when (Plugin.Instance?.Configuration.HttpRetryThrowOnPersistentFailure ?? false)
+                    {
+                        throw; // Abort the refresh instead of skipping the series
+                    }
                     catch (HttpRequestException ex) when (ex.StatusCode >= HttpStatusCode.InternalServerError)
                     {
                         // HTTP 5xx errors - already retried by RetryHandler if enabled
@@ -416,6 +464,8 @@ public class SeriesCacheService : IDisposable
                             Plugin.Instance?.Configuration.HttpRetryMaxAttempts ?? 3,
                             ex.Message);
                         Interlocked.Increment(ref processedSeries);
+                        Interlocked.Increment(ref _errors);
+                        runErrors.Enqueue(new RefreshRunError { ItemId = series.SeriesId, Name = series.Name, Message = ex.Message });
                     }
                     catch (OperationCanceledException)
                     {
@@ -425,9 +475,16 @@ public class SeriesCacheService : IDisposable
                     {
                         _logger?.LogWarning(ex, "Failed to cache data for series {SeriesId} ({SeriesName})", series.SeriesId, series.Name);
                         Interlocked.Increment(ref processedSeries);
+                        Interlocked.Increment(ref _errors);
+                        runErrors.Enqueue(new RefreshRunError { ItemId = series.SeriesId, Name = series.Name, Message = ex.Message });
                     }
                 }).ConfigureAwait(false);
 
+                run.Processed = seriesCount;
+                run.Skipped = seriesSkipped;
+                run.Seasons = seasonCount;
+                run.Episodes = episodeCount;
+
                 if (isIncrementalSync)
                 {
                     _logger?.LogInformation(
@@ -451,7 +508,7 @@ public class SeriesCacheService : IDisposable
                 if (useTvdb && _providerManager != null)
                 {
                     _logger?.LogInformation("Looking up TVDb metadata for {Count} series...", totalSeries);
-                    _currentStatus = "Fetching TVDb images...";
+                    SetStatus(CacheRefreshPhase.FetchingMetadata, "Fetching TVDb images...");
 
                     // Parse title overrides once before the lookup loop
                     Dictionary<string, string> titleOverrides = ParseTitleOverrides(
@@ -493,6 +550,8 @@ public class SeriesCacheService : IDisposable
                         "TVDb lookup completed: {Found} found, {NotFound} not found",
                         tmdbFound,
                         tmdbNotFound);
+                    run.MetadataFound = tmdbFound;
+                    run.MetadataNotFound = tmdbNotFound;
 
                     // NOTE: Per-episode TVDb image lookup is disabled.
                     // The TVDb plugin's TvdbEpisodeProvider.GetSearchResults() does not populate ImageUrl.
@@ -502,20 +561,22 @@ public class SeriesCacheService : IDisposable
                 }
 
                 // Update and save sync state
-                syncState.LastIncrementalSync = DateTime.UtcNow;
+                syncState.SeriesSync.LastIncrementalSync = DateTime.UtcNow;
                 if (!isIncrementalSync)
                 {
-                    syncState.LastFullSync = DateTime.UtcNow;
+                    syncState.SeriesSync.LastFullSync = DateTime.UtcNow;
                 }
 
                 await _syncStateService.SaveStateAsync(syncState, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
 
                 progress?.Report(1.0); // 100% complete
                 _currentProgress = 1.0;
-                _currentStatus = isIncrementalSync
-                    ? $"Completed: {seriesCount} processed, {seriesSkipped} skipped, {seasonCount} seasons, {episodeCount} episodes"
-                    : $"Completed: {seriesCount} series, {seasonCount} seasons, {episodeCount} episodes";
                 _lastRefreshComplete = DateTime.UtcNow;
+                SetStatus(
+                    CacheRefreshPhase.Completed,
+                    isIncrementalSync
+                        ? $"Completed: {seriesCount} processed, {seriesSkipped} skipped, {seasonCount} seasons, {episodeCount} episodes"
+                        : $"Completed: {seriesCount} series, {seasonCount} seasons, {episodeCount} episodes");
 
                 if (isIncrementalSync)
                 {
@@ -570,20 +631,35 @@ public class SeriesCacheService : IDisposable
             catch (OperationCanceledException)
             {
                 _logger?.LogInformation("Cache refresh cancelled");
-                _currentStatus = "Cancelled";
+                SetStatus(CacheRefreshPhase.Cancelled, "Cancelled");
             }
             catch (Exception ex)
             {
                 _logger?.LogError(ex, "Error during cache refresh");
+                run.ErrorMessage = ex.Message;
                 throw;
             }
         }
         finally
         {
             _isRefreshing = false;
-            if (_currentProgress < 1.0)
+            if (_currentProgress < 1.0 && _phase != CacheRefreshPhase.Cancelled)
+            {
+                SetStatus(CacheRefreshPhase.Failed, "Failed or cancelled");
+            }
+            else
+            {
+                PublishProgress();
+            }
+
+            if (run != null)
             {
-                _currentStatus = "Failed or cancelled";
+                run.EndTime = DateTime.UtcNow;
+                run.Result = _phase is CacheRefreshPhase.Cancelled or CacheRefreshPhase.Failed ? _phase : CacheRefreshPhase.Completed;
+                run.Failures = _errors;
+                run.Errors = new(runErrors.Take(RefreshHistoryService.MaxErrorsPerRun).ToList());
+                await _refreshHistoryService.AddRunAsync(run, CancellationToken.None).ConfigureAwait(false);
+                await _matchStore.SaveAsync(CancellationToken.None).ConfigureAwait(false);
             }
 
             _refreshLock.Release();
@@ -751,6 +827,42 @@ public class SeriesCacheService : IDisposable
         return null;
     }
 
+    /// <summary>
+    /// Gets the results of the latest TVDb lookups of the provider.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The lookup results.</returns>
+    public Task<IReadOnlyCollection<MetadataMatch>> GetMetadataMatchesAsync(CancellationToken cancellationToken)
+    {
+        return _matchStore.GetMatchesAsync(_providerId, cancellationToken);
+    }
+
+    /// <summary>
+    /// Repeats the TVDb lookup for a single series using the current title overrides.
+    /// </summary>
+    /// <param name="seriesId">The Xtream series ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The new lookup result, or null if the series was never looked up.</returns>
+    public async Task<MetadataMatch?> RelookupAsync(int seriesId, CancellationToken cancellationToken)
+    {
+        MetadataMatch? previous = await _matchStore.GetMatchAsync(_providerId, seriesId, cancellationToken).ConfigureAwait(false);
+        if (previous is null)
+        {
+            return null;
+        }
+
+        Dictionary<string, string> titleOverrides = ParseTitleOverrides(
+            Plugin.Instance?.Configuration.TvdbTitleOverrides ?? string.Empty);
+        MemoryCacheEntryOptions cacheOptions = new()
+        {
+            AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(CacheEntryLifetimeHours)
+        };
+
+        await LookupAndCacheTmdbImageAsync(seriesId, previous.Name, titleOverrides, cacheOptions, cancellationToken).ConfigureAwait(false);
+        await _matchStore.SaveAsync(cancellationToken).ConfigureAwait(false);
+        return await _matchStore.GetMatchAsync(_providerId, seriesId, cancellationToken).ConfigureAwait(false) ?? previous;
+    }
+
     /// <summary>
     /// Looks up TMDB image URL for a series and caches it.
     /// Checks title overrides first for direct TVDb ID lookup, then falls back to name search.
@@ -796,6 +908,7 @@ public class SeriesCacheService : IDisposable
                     _memoryCache.Set($"{CachePrefix}tvdb_series_id_{seriesId}", tvdbId, cacheOptions);
 
                     _logger?.LogInformation("Cached TVDb image for series {SeriesId} ({Name}) via override (TVDb ID {TvdbId}): {Url}", seriesId, cleanName, tvdbId, overrideResult);
+                    RecordMatch(seriesId, seriesName, tvdbId, null, null, true);
                     return overrideResult;
                 }
 
@@ -847,11 +960,13 @@ public class SeriesCacheService : IDisposable
                     }
 
                     _logger?.LogInformation("Cached TVDb image for series {SeriesId} ({Name}) using search term '{SearchTerm}': {Url}", seriesId, cleanName, searchTerm, resultWithImage.ImageUrl);
+                    RecordMatch(seriesId, seriesName, foundTvdbId, resultWithImage.Name, resultWithImage.ProductionYear, false);
                     return resultWithImage.ImageUrl;
                 }
             }
 
             _logger?.LogWarning("TVDb search found no image for series {SeriesId} ({Name}) after trying: {SearchTerms}", seriesId, cleanName, string.Join(", ", searchTerms));
+            RecordMatch(seriesId, seriesName, null, null, null, false);
         }
         catch (Exception ex)
         {
@@ -861,6 +976,14 @@ public class SeriesCacheService : IDisposable
         return null;
     }
 
+    /// <summary>
+    /// Stores the outcome of a TVDb lookup for the metadata match review.
+    /// </summary>
+    private void RecordMatch(int seriesId, string name, string? providerId, string? matchedName, int? matchedYear, bool overridden)
+    {
+        _matchStore.Record(MetadataMatchClassifier.Classify(_providerId, seriesId, name, providerId, matchedName, matchedYear, overridden));
+    }
+
     /// <summary>
     /// Looks up a series on TVDb by its TVDb ID and returns the image URL.
     /// </summary>
@@ -1116,7 +1239,7 @@ public class SeriesCacheService : IDisposable
         if (_isRefreshing && cts != null)
         {
             _logger?.LogInformation("Cancelling cache refresh...");
-            _currentStatus = "Cancelling...";
+            SetStatus(_phase, "Cancelling...");
             try
             {
                 cts.Cancel();
@@ -1136,8 +1259,8 @@ public class SeriesCacheService : IDisposable
     {
         _cacheVersion++;
         _currentProgress = 0.0;
-        _currentStatus = "Cache invalidated";
         _lastRefreshComplete = null;
+        SetStatus(CacheRefreshPhase.Idle, "Cache invalidated");
         _logger?.LogInformation("Cache invalidated (version incremented to {Version})", _cacheVersion);
     }
 
@@ -1160,7 +1283,7 @@ public class SeriesCacheService : IDisposable
     /// <returns>A task representing the async operation.</returns>
     public async Task PopulateJellyfinDatabaseAsync(CancellationToken cancellationToken)
     {
-        _currentStatus = "Populating Jellyfin database...";
+        SetStatus(CacheRefreshPhase.PopulatingDatabase, "Populating Jellyfin database...");
         var startTime = DateTime.UtcNow;
 
         try
@@ -1199,7 +1322,7 @@ public class SeriesCacheService : IDisposable
                         {
                             var parsedName = StreamService.ParseName(series.Name);
                             // Generate the same GUID that SeriesChannel uses for folder IDs
-                            Guid folderGuid = StreamService.ToGuid(StreamService.SeriesPrefix, series.CategoryId, series.SeriesId, 0);
+                            Guid folderGuid = StreamService.ToGuid(StreamService.ToProviderPrefix(StreamService.SeriesPrefix, _providerId), series.CategoryId, series.SeriesId, 0);
                             expectedSeriesList.Add((series.SeriesId, parsedName.Title, series.CategoryId, folderGuid));
                         }
                     }
@@ -1211,7 +1334,7 @@ public class SeriesCacheService : IDisposable
             if (expectedSeriesList.Count == 0)
             {
                 _logger?.LogInformation("No series in cache, skipping database population");
-                _currentStatus = "No series to populate";
+                SetStatus(CacheRefreshPhase.Completed, "No series to populate");
                 return;
             }
 
@@ -1318,7 +1441,7 @@ public class SeriesCacheService : IDisposable
                         existingSeriesCount,
                         expectedSeriesList.Count,
                         elapsed.TotalSeconds);
-                    _currentStatus = "Database up to date";
+                    SetStatus(CacheRefreshPhase.Completed, "Database up to date");
                     return;
                 }
             }
@@ -1466,7 +1589,7 @@ public class SeriesCacheService : IDisposable
                         totalSeries,
                         Volatile.Read(ref seasonsProcessed),
                         Volatile.Read(ref episodesProcessed));
-                    _currentStatus = $"Populating: {currentProcessed}/{totalSeries} series...";
+                    SetStatus(CacheRefreshPhase.PopulatingDatabase, $"Populating: {currentProcessed}/{totalSeries} series...");
                 }
             }).ConfigureAwait(false);
 
@@ -1493,7 +1616,7 @@ public class SeriesCacheService : IDisposable
                     episodesProcessed);
             }
 
-            _currentStatus = $"Database populated: {seriesProcessed} series, {seasonsProcessed} seasons, {episodesProcessed} episodes";
+            SetStatus(CacheRefreshPhase.Completed, $"Database populated: {seriesProcessed} series, {seasonsProcessed} seasons, {episodesProcessed} episodes");
         }
         catch (OperationCanceledException)
         {
@@ -1515,6 +1638,48 @@ public class SeriesCacheService : IDisposable
         return (_isRefreshing, _currentProgress, _currentStatus, _lastRefreshStart, _lastRefreshComplete);
     }
 
+    /// <summary>
+    /// Gets the statistics of the latest cache refreshes, newest first.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The latest refresh runs.</returns>
+    public Task<IReadOnlyCollection<RefreshRun>> GetRefreshHistoryAsync(CancellationToken cancellationToken)
+    {
+        return _refreshHistoryService.GetRunsAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Gets a snapshot of the current cache refresh progress.
+    /// </summary>
+    /// <returns>The cache refresh progress.</returns>
+    public CacheProgress GetProgress()
+    {
+        return new CacheProgress
+        {
+            IsRefreshing = _isRefreshing,
+            Phase = _phase,
+            Progress = _currentProgress,
+            Status = _currentStatus,
+            Processed = _processed,
+            Total = _total,
+            Errors = _errors,
+            StartTime = _lastRefreshStart,
+            CompleteTime = _lastRefreshComplete,
+        };
+    }
+
+    private void SetStatus(CacheRefreshPhase phase, string status)
+    {
+        _phase = phase;
+        _currentStatus = status;
+        PublishProgress();
+    }
+
+    private void PublishProgress()
+    {
+        ProgressChanged?.Invoke(this, GetProgress());
+    }
+
     /// <inheritdoc />
     public void Dispose()
     {
@@ -0,0 +1,240 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Xtream.Client;
+using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
+using MediaBrowser.Controller.LiveTv;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Keeps track of the open <see cref="Restream"/> instances and of the connection limits of the providers.
+/// </summary>
+/// <param name="xtreamClient">Instance of the <see cref="IXtreamClient"/> interface.</param>
+/// <param name="logger">The logger instance.</param>
+public class StreamMonitorService(IXtreamClient xtreamClient, ILogger<StreamMonitorService> logger)
+{
+    private static readonly TimeSpan MaxConnectionsValidity = TimeSpan.FromHours(1);
+
+    private readonly ConcurrentDictionary<string, Restream> _streams = new();
+    private readonly Dictionary<int, int> _reserved = new();
+    private readonly object _reserveLock = new();
+    private readonly ConcurrentDictionary<int, (int MaxConnections, DateTime CheckedAt)> _maxConnections = new();
+
+    /// <summary>
+    /// Gets the open streams.
+    /// </summary>
+    /// <returns>The streams ordered by start time.</returns>
+    public IReadOnlyList<Restream> GetStreams() =>
+        _streams.Values.OrderBy(stream => stream.StartTime).ToList();
+
+    /// <summary>
+    /// Gets the number of connections to a provider, which are its open streams and the connections reserved by other requests.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The number of connections to the provider held by the server.</returns>
+    public int CountStreams(int providerId)
+    {
+        lock (_reserveLock)
+        {
+            return _streams.Values.Count(stream => stream.ProviderId == providerId) + _reserved.GetValueOrDefault(providerId);
+        }
+    }
+
+    /// <summary>
+    /// Registers a stream before its connection to the provider is opened.
+    /// Checking the stream limit and registering happen at once, so concurrent streams cannot both take the last connection.
+    /// </summary>
+    /// <param name="stream">The stream.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>A task representing the async operation.</returns>
+    /// <exception cref="LiveTvConflictException">The stream limit is reached.</exception>
+    public async Task ReserveAsync(Restream stream, CancellationToken cancellationToken)
+    {
+        int limit = await GetEnforcedLimitAsync(stream.ProviderId, cancellationToken).ConfigureAwait(false);
+        lock (_reserveLock)
+        {
+            EnsureCapacity(stream.ProviderId, limit);
+            _streams[stream.UniqueId] = stream;
+        }
+    }
+
+    /// <summary>
+    /// Reserves a connection to a provider for a request which does not go through a <see cref="Restream"/>.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The reservation, which releases the connection when disposed.</returns>
+    /// <exception cref="LiveTvConflictException">The stream limit is reached.</exception>
+    public async Task<IDisposable> ReserveAsync(int providerId, CancellationToken cancellationToken)
+    {
+        int limit = await GetEnforcedLimitAsync(providerId, cancellationToken).ConfigureAwait(false);
+        lock (_reserveLock)
+        {
+            EnsureCapacity(providerId, limit);
+            _reserved[providerId] = _reserved.GetValueOrDefault(providerId) + 1;
+        }
+
+        return new Reservation(this, providerId);
+    }
+
+    /// <summary>
+    /// Unregisters a stream once its connection to the provider is closed or failed to open.
+    /// </summary>
+    /// <param name="stream">The stream.</param>
+    public void Remove(Restream stream) => _streams.TryRemove(stream.UniqueId, out _);
+
+    /// <summary>
+    /// Closes the connection of a playback stream to the provider, which ends the stream for all its consumers.
+    /// </summary>
+    /// <param name="id">The unique id of the stream.</param>
+    /// <returns><c>true</c> if the stream was closed; <c>false</c> if it is not open.</returns>
+    /// <exception cref="InvalidOperationException">The stream belongs to a recording.</exception>
+    public async Task<bool> CloseAsync(string id)
+    {
+        if (!_streams.TryGetValue(id, out Restream? stream))
+        {
+            return false;
+        }
+
+        if (stream.IsRecording)
+        {
+            throw new InvalidOperationException("The stream belongs to a recording; cancel the recording instead.");
+        }
+
+        logger.LogInformation("Closing restream {Id} of channel {StreamId} with {Count} consumers", id, stream.StreamId, stream.ConsumerCount);
+        try
+        {
+            await stream.Close().ConfigureAwait(false);
+        }
+        catch (ObjectDisposedException)
+        {
+            // Closed by the server in the meantime
+        }
+
+        Remove(stream);
+        return true;
+    }
+
+    /// <summary>
+    /// Gets the last known maximum number of connections of a provider account, without querying the provider.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The maximum number of connections, or 0 when it is unknown or unlimited.</returns>
+    public int GetKnownMaxConnections(int providerId) =>
+        _maxConnections.TryGetValue(providerId, out var cached) ? cached.MaxConnections : 0;
+
+    /// <summary>
+    /// Gets the maximum number of connections of a provider account, which is queried at most once an hour.
+    /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The maximum number of connections, or 0 when it is unknown or unlimited.</returns>
+    public async Task<int> GetMaxConnectionsAsync(int providerId, CancellationToken cancellationToken)
+    {
+        if (_maxConnections.TryGetValue(providerId, out var cached) && DateTime.UtcNow - cached.CheckedAt < MaxConnectionsValidity)
+        {
+            return cached.MaxConnections;
+        }
+
+        try
+        {
+            PlayerApi info = await xtreamClient.GetUserAndServerInfoAsync(Plugin.Instance.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
+            _maxConnections[providerId] = (info.UserInfo.MaxConnections, DateTime.UtcNow);
+            return info.UserInfo.MaxConnections;
+        }
+        catch (Exception ex) when (ex is HttpRequestException or ArgumentException)
+        {
+            logger.LogWarning(ex, "Failed to get the connection limit of provider {ProviderId}", providerId);
+            return GetKnownMaxConnections(providerId);
+        }
+    }
+
+    /// <summary>
+    /// Gets the number of streams a provider may open at the same time when its stream limit is enforced.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <param name="cancellationToken">The cancellation token for cancelling requests.</param>
+    /// <returns>The configured limit or else the maximum number of connections, 0 when unlimited.</returns>
+    public async Task<int> GetStreamLimitAsync(ProviderProfile provider, CancellationToken cancellationToken) =>
+        provider.StreamLimit > 0 ? provider.StreamLimit : await GetMaxConnectionsAsync(provider.Id, cancellationToken).ConfigureAwait(false);
+
+    /// <summary>
+    /// Gets the stream limit of a provider when it is enforced.
+    /// </summary>
+    private async Task<int> GetEnforcedLimitAsync(int providerId, CancellationToken cancellationToken)
+    {
+        ProviderProfile? provider = Plugin.Instance.Configuration.GetProvider(providerId);
+        if (provider is null || !provider.LimitStreams)
+        {
+            return 0;
+        }
+
+        return await GetStreamLimitAsync(provider, cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Refuses a new connection when the limit is reached. Must be called while holding the reservation lock.
+    /// </summary>
+    private void EnsureCapacity(int providerId, int limit)
+    {
+        int open = _streams.Values.Count(stream => stream.ProviderId == providerId) + _reserved.GetValueOrDefault(providerId);
+        if (limit > 0 && open >= limit)
+        {
+            string name = Plugin.Instance.Configuration.GetProvider(providerId)?.Name ?? providerId.ToString(CultureInfo.InvariantCulture);
+            logger.LogWarning("Refusing a new stream of provider {ProviderId}: {Open} of {Limit} streams are open", providerId, open, limit);
+            throw new LiveTvConflictException($"All {limit} streams of {name} are in use.");
+        }
+    }
+
+    private void Release(int providerId)
+    {
+        lock (_reserveLock)
+        {
+            int count = _reserved.GetValueOrDefault(providerId) - 1;
+            if (count > 0)
+            {
+                _reserved[providerId] = count;
+            }
+            else
+            {
+                _reserved.Remove(providerId);
+            }
+        }
+    }
+
+    private sealed class Reservation(StreamMonitorService monitor, int providerId) : IDisposable
+    {
+        private int _released;
+
+        public void Dispose()
+        {
+            if (Interlocked.Exchange(ref _released, 1) == 0)
+            {
+                monitor.Release(providerId);
+            }
+        }
+    }
+}
@@ -15,6 +15,7 @@
 
 using System;
 using System.Collections.Generic;
+using System.Collections.ObjectModel;
 using System.Globalization;
 using System.Linq;
 using System.Text.RegularExpressions;
@@ -95,6 +96,8 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
 
     private static readonly Regex _tagRegex = TagRegex();
 
+    private (Collection<NameCleanupRule> Rules, ChannelNameCleaner Cleaner)? _nameCleaner;
+
     /// <summary>
     /// Parses tags in the name of a stream entry.
     /// The name commonly contains tags of the forms:
@@ -147,6 +150,59 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
         };
     }
 
+    /// <summary>
+    /// Gets the id prefix for items of the given provider.
+    /// The provider id is stored in the second byte, so the items of the primary provider keep their ids.
+    /// </summary>
+    /// <param name="prefix">The id prefix of the item type.</param>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The id prefix namespaced to the provider.</returns>
+    public static int ToProviderPrefix(int prefix, int providerId) => prefix ^ (providerId << 16);
+
+    /// <summary>
+    /// Splits an id prefix created by <see cref="ToProviderPrefix"/> into the item type prefix and the provider id.
+    /// </summary>
+    /// <param name="value">The namespaced id prefix.</param>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The id prefix of the item type.</returns>
+    public static int FromProviderPrefix(int value, out int providerId)
+    {
+        // All item type prefixes share the second byte
+        providerId = ((value ^ VodCategoryPrefix) >> 16) & ProviderProfile.MaxId;
+        return value ^ (providerId << 16);
+    }
+
+    /// <summary>
+    /// Gets the id of the Jellyfin Live TV channel of a stream.
+    /// </summary>
+    /// <param name="streamId">The Xtream stream id of the channel.</param>
+    /// <param name="providerId">The id of the provider of the stream.</param>
+    /// <returns>The Live TV channel id.</returns>
+    public static string ToLiveTvChannelId(int streamId, int providerId) =>
+        ToGuid(ToProviderPrefix(LiveTvPrefix, providerId), streamId, 0, 0).ToString();
+
+    /// <summary>
+    /// Gets the stream id and provider of a Live TV channel id.
+    /// </summary>
+    /// <param name="channelId">The id of the Live TV channel.</param>
+    /// <param name="providerId">The id of the provider.</param>
+    /// <returns>The Xtream stream id of the channel.</returns>
+    /// <exception cref="ArgumentException">The id is not a Live TV channel id.</exception>
+    public static int FromLiveTvChannelId(string channelId, out int providerId)
+    {
+        FromGuid(Guid.Parse(channelId), out int value, out int streamId, out int _, out int _);
+        if (FromProviderPrefix(value, out providerId) != LiveTvPrefix)
+        {
+            throw new ArgumentException("Unsupported channel", nameof(channelId));
+        }
+
+        return streamId;
+    }
+
+    private static ProviderProfile GetProvider(int providerId) =>
+        Plugin.Instance.Configuration.GetProvider(providerId)
+            ?? throw new ArgumentException($"Unknown provider {providerId}", nameof(providerId));
+
     private bool IsConfigured(SerializableDictionary<int, HashSet<int>> config, int category, int id)
     {
         if (!config.TryGetValue(category, out var values))
@@ -169,28 +225,63 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
     /// <summary>
     /// Gets an async iterator for the configured channels.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<StreamInfo>> GetLiveStreams(CancellationToken cancellationToken)
+    public async Task<IEnumerable<StreamInfo>> GetLiveStreams(int providerId, CancellationToken cancellationToken)
     {
-        PluginConfiguration config = Plugin.Instance.Configuration;
+        ProviderProfile provider = GetProvider(providerId);
+
+        IEnumerable<StreamInfo> streams = await xtreamClient.GetLiveStreamsAsync(Plugin.Instance.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
+        return streams.Where((StreamInfo channel) => channel.CategoryId.HasValue && IsConfigured(provider.LiveTv, channel.CategoryId.Value, channel.StreamId));
+    }
+
+    /// <summary>
+    /// Gets the cleaner for the configured name rules. It is only rebuilt when the configuration is saved,
+    /// so invalid rules are logged once per change instead of on every channel list.
+    /// </summary>
+    private ChannelNameCleaner GetNameCleaner(Collection<NameCleanupRule> rules)
+    {
+        (Collection<NameCleanupRule> Rules, ChannelNameCleaner Cleaner)? cached = _nameCleaner;
+        if (cached is not null && ReferenceEquals(cached.Value.Rules, rules))
+        {
+            return cached.Value.Cleaner;
+        }
+
+        foreach (NameCleanupRule rule in rules.Where(rule => rule.Enabled))
+        {
+            string? error = ChannelNameCleaner.Validate(rule);
+            if (error is not null)
+            {
+                logger.LogWarning("Skipping channel name rule {Type} '{Pattern}': {Error}", rule.Type, rule.Pattern, error);
+            }
+        }
 
-        IEnumerable<StreamInfo> streams = await xtreamClient.GetLiveStreamsAsync(Plugin.Instance.Creds, cancellationToken).ConfigureAwait(false);
-        return streams.Where((StreamInfo channel) => channel.CategoryId.HasValue && IsConfigured(config.LiveTv, channel.CategoryId.Value, channel.StreamId));
+        ChannelNameCleaner cleaner = new(rules);
+        _nameCleaner = (rules, cleaner);
+        return cleaner;
     }
 
     /// <summary>
-    /// Gets an async iterator for the configured channels after applying the configured overrides.
+    /// Gets an async iterator for the configured channels after applying the configured name rules and overrides.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<StreamInfo>> GetLiveStreamsWithOverrides(CancellationToken cancellationToken)
+    public async Task<IEnumerable<StreamInfo>> GetLiveStreamsWithOverrides(int providerId, CancellationToken cancellationToken)
     {
         PluginConfiguration config = Plugin.Instance.Configuration;
-        IEnumerable<StreamInfo> streams = await GetLiveStreams(cancellationToken).ConfigureAwait(false);
+        ProviderProfile provider = GetProvider(providerId);
+        IEnumerable<StreamInfo> streams = await GetLiveStreams(providerId, cancellationToken).ConfigureAwait(false);
+        ChannelNameCleaner cleaner = GetNameCleaner(config.LiveTvNameRules);
         return streams.Select((StreamInfo stream) =>
         {
-            if (config.LiveTvOverrides.TryGetValue(stream.StreamId, out ChannelOverrides? overrides))
+            if (cleaner.HasRules)
+            {
+                stream.Name = cleaner.Clean(stream.Name);
+            }
+
+            if (provider.LiveTvOverrides.TryGetValue(stream.StreamId, out ChannelOverrides? overrides))
             {
                 stream.Num = overrides.Number ?? stream.Num;
                 stream.Name = overrides.Name ?? stream.Name;
@@ -205,14 +296,15 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
     /// Gets an channel item info for the category.
     /// </summary>
     /// <param name="prefix">The channel category prefix.</param>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="category">The Xtream category.</param>
     /// <returns>A channel item representing the category.</returns>
-    public static ChannelItemInfo CreateChannelItemInfo(int prefix, Category category)
+    public static ChannelItemInfo CreateChannelItemInfo(int prefix, int providerId, Category category)
     {
         ParsedName parsedName = ParseName(category.CategoryName);
         return new ChannelItemInfo()
         {
-            Id = ToGuid(prefix, category.CategoryId, 0, 0).ToString(),
+            Id = ToGuid(ToProviderPrefix(prefix, providerId), category.CategoryId, 0, 0).ToString(),
             Name = category.CategoryName,
             Tags = new List<string>(parsedName.Tags),
             Type = ChannelItemType.Folder,
@@ -222,65 +314,74 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
     /// <summary>
     /// Gets an iterator for the configured VOD categories.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<Category>> GetVodCategories(CancellationToken cancellationToken)
+    public async Task<IEnumerable<Category>> GetVodCategories(int providerId, CancellationToken cancellationToken)
     {
-        List<Category> categories = await xtreamClient.GetVodCategoryAsync(Plugin.Instance.Creds, cancellationToken).ConfigureAwait(false);
-        return categories.Where((Category category) => Plugin.Instance.Configuration.Vod.ContainsKey(category.CategoryId));
+        ProviderProfile provider = GetProvider(providerId);
+        List<Category> categories = await xtreamClient.GetVodCategoryAsync(Plugin.Instance.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
+        return categories.Where((Category category) => provider.Vod.ContainsKey(category.CategoryId));
     }
 
     /// <summary>
     /// Gets an iterator for the configured VOD streams.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="categoryId">The Xtream id of the category.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<StreamInfo>> GetVodStreams(int categoryId, CancellationToken cancellationToken)
+    public async Task<IEnumerable<StreamInfo>> GetVodStreams(int providerId, int categoryId, CancellationToken cancellationToken)
     {
-        if (!Plugin.Instance.Configuration.Vod.ContainsKey(categoryId))
+        ProviderProfile provider = GetProvider(providerId);
+        if (!provider.Vod.ContainsKey(categoryId))
         {
             return new List<StreamInfo>();
         }
 
-        List<StreamInfo> streams = await xtreamClient.GetVodStreamsByCategoryAsync(Plugin.Instance.Creds, categoryId, cancellationToken).ConfigureAwait(false);
-        return streams.Where((StreamInfo stream) => IsConfigured(Plugin.Instance.Configuration.Vod, categoryId, stream.StreamId));
+        List<StreamInfo> streams = await xtreamClient.GetVodStreamsByCategoryAsync(Plugin.Instance.GetCreds(providerId), categoryId, cancellationToken).ConfigureAwait(false);
+        return streams.Where((StreamInfo stream) => IsConfigured(provider.Vod, categoryId, stream.StreamId));
     }
 
     /// <summary>
     /// Gets an iterator for the configured Series categories.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<Category>> GetSeriesCategories(CancellationToken cancellationToken)
+    public async Task<IEnumerable<Category>> GetSeriesCategories(int providerId, CancellationToken cancellationToken)
     {
-        List<Category> categories = await xtreamClient.GetSeriesCategoryAsync(Plugin.Instance.Creds, cancellationToken).ConfigureAwait(false);
-        return categories.Where((Category category) => Plugin.Instance.Configuration.Series.ContainsKey(category.CategoryId));
+        ProviderProfile provider = GetProvider(providerId);
+        List<Category> categories = await xtreamClient.GetSeriesCategoryAsync(Plugin.Instance.GetCreds(providerId), cancellationToken).ConfigureAwait(false);
+        return categories.Where((Category category) => provider.Series.ContainsKey(category.CategoryId));
     }
 
     /// <summary>
     /// Gets an iterator for the configured Series.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="categoryId">The Xtream id of the category.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<Series>> GetSeries(int categoryId, CancellationToken cancellationToken)
+    public async Task<IEnumerable<Series>> GetSeries(int providerId, int categoryId, CancellationToken cancellationToken)
     {
+        ProviderProfile provider = GetProvider(providerId);
+
         // Log all configured series categories for debugging
-        var configuredCategories = Plugin.Instance.Configuration.Series.Keys.ToList();
+        var configuredCategories = provider.Series.Keys.ToList();
         logger.LogInformation(
             "GetSeries called for category {CategoryId}. Configured categories: [{Categories}]",
             categoryId,
             string.Join(", ", configuredCategories));
 
-        if (!Plugin.Instance.Configuration.Series.ContainsKey(categoryId))
+        if (!provider.Series.ContainsKey(categoryId))
         {
             logger.LogWarning("GetSeries: Category {CategoryId} NOT in configuration, returning empty list", categoryId);
             return new List<Series>();
         }
 
         // Log the configured series IDs for this category
-        if (Plugin.Instance.Configuration.Series.TryGetValue(categoryId, out var configuredSeriesIds))
+        if (provider.Series.TryGetValue(categoryId, out var configuredSeriesIds))
         {
             if (configuredSeriesIds.Count == 0)
             {
@@ -298,11 +399,11 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
 
         // Fetch from API
         logger.LogInformation("GetSeries: Calling API GetSeriesByCategoryAsync for category {CategoryId}", categoryId);
-        List<Series> series = await xtreamClient.GetSeriesByCategoryAsync(Plugin.Instance.Creds, categoryId, cancellationToken).ConfigureAwait(false);
+        List<Series> series = await xtreamClient.GetSeriesByCategoryAsync(Plugin.Instance.GetCreds(providerId), categoryId, cancellationToken).ConfigureAwait(false);
         logger.LogInformation("GetSeries: API returned {Count} series for category {CategoryId}", series.Count, categoryId);
 
         // Filter based on configuration
-        var filtered = series.Where((Series s) => IsConfigured(Plugin.Instance.Configuration.Series, s.CategoryId, s.SeriesId)).ToList();
+        var filtered = series.Where((Series s) => IsConfigured(provider.Series, s.CategoryId, s.SeriesId)).ToList();
         logger.LogInformation(
             "GetSeries: After filtering, {FilteredCount}/{TotalCount} series remain for category {CategoryId}",
             filtered.Count,
@@ -315,14 +416,15 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
     /// <summary>
     /// Gets an iterator for the configured seasons in the Series.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="seriesId">The Xtream id of the Series.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<Tuple<SeriesStreamInfo, int>>> GetSeasons(int seriesId, CancellationToken cancellationToken)
+    public async Task<IEnumerable<Tuple<SeriesStreamInfo, int>>> GetSeasons(int providerId, int seriesId, CancellationToken cancellationToken)
     {
-        SeriesStreamInfo series = await xtreamClient.GetSeriesStreamsBySeriesAsync(Plugin.Instance.Creds, seriesId, cancellationToken).ConfigureAwait(false);
+        SeriesStreamInfo series = await xtreamClient.GetSeriesStreamsBySeriesAsync(Plugin.Instance.GetCreds(providerId), seriesId, cancellationToken).ConfigureAwait(false);
         int categoryId = series.Info.CategoryId;
-        if (!IsConfigured(Plugin.Instance.Configuration.Series, categoryId, seriesId))
+        if (!IsConfigured(GetProvider(providerId).Series, categoryId, seriesId))
         {
             return new List<Tuple<SeriesStreamInfo, int>>();
         }
@@ -338,28 +440,30 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
     /// <summary>
     /// Gets an iterator for the configured seasons in the Series.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="seriesId">The Xtream id of the Series.</param>
     /// <param name="seasonId">The Xtream id of the Season.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>IAsyncEnumerable{StreamInfo}.</returns>
-    public async Task<IEnumerable<Tuple<SeriesStreamInfo, Season?, Episode>>> GetEpisodes(int seriesId, int seasonId, CancellationToken cancellationToken)
+    public async Task<IEnumerable<Tuple<SeriesStreamInfo, Season?, Episode>>> GetEpisodes(int providerId, int seriesId, int seasonId, CancellationToken cancellationToken)
     {
-        SeriesStreamInfo series = await xtreamClient.GetSeriesStreamsBySeriesAsync(Plugin.Instance.Creds, seriesId, cancellationToken).ConfigureAwait(false);
-        return GetEpisodesFromSeriesInfo(series, seriesId, seasonId);
+        SeriesStreamInfo series = await xtreamClient.GetSeriesStreamsBySeriesAsync(Plugin.Instance.GetCreds(providerId), seriesId, cancellationToken).ConfigureAwait(false);
+        return GetEpisodesFromSeriesInfo(providerId, series, seriesId, seasonId);
     }
 
     /// <summary>
     /// Gets episodes from an already-fetched SeriesStreamInfo object without making an API call.
     /// Use this when you already have the SeriesStreamInfo from a previous GetSeasons() call.
     /// </summary>
+    /// <param name="providerId">The id of the provider.</param>
     /// <param name="series">The pre-fetched SeriesStreamInfo.</param>
     /// <param name="seriesId">The Xtream id of the Series.</param>
     /// <param name="seasonId">The Xtream id of the Season.</param>
     /// <returns>List of episodes with series and season info.</returns>
-    public IEnumerable<Tuple<SeriesStreamInfo, Season?, Episode>> GetEpisodesFromSeriesInfo(SeriesStreamInfo series, int seriesId, int seasonId)
+    public IEnumerable<Tuple<SeriesStreamInfo, Season?, Episode>> GetEpisodesFromSeriesInfo(int providerId, SeriesStreamInfo series, int seriesId, int seasonId)
     {
         int categoryId = series.Info.CategoryId;
-        if (!IsConfigured(Plugin.Instance.Configuration.Series, categoryId, seriesId))
+        if (!IsConfigured(GetProvider(providerId).Series, categoryId, seriesId))
         {
             return new List<Tuple<SeriesStreamInfo, Season?, Episode>>();
         }
@@ -477,6 +581,7 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
     /// <param name="durationMinutes">The duration in minutes of the catcup TV stream.</param>
     /// <param name="videoInfo">The Xtream video info if known.</param>
     /// <param name="audioInfo">The Xtream audio info if known.</param>
+    /// <param name="providerId">The id of the provider serving the stream.</param>
     /// <returns>The media source info as <see cref="MediaSourceInfo"/> class.</returns>
     public MediaSourceInfo GetMediaSourceInfo(
         StreamType type,
@@ -486,7 +591,8 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
         DateTime? start = null,
         int durationMinutes = 0,
         VideoInfo? videoInfo = null,
-        AudioInfo? audioInfo = null)
+        AudioInfo? audioInfo = null,
+        int providerId = ProviderProfile.PrimaryId)
     {
         string prefix = string.Empty;
         switch (type)
@@ -499,8 +605,8 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
                 break;
         }
 
-        PluginConfiguration config = Plugin.Instance.Configuration;
-        string uri = $"{config.BaseUrl}{prefix}/{config.Username}/{config.Password}/{id}";
+        ConnectionInfo config = Plugin.Instance.GetCreds(providerId);
+        string uri = $"{config.BaseUrl}{prefix}/{config.UserName}/{config.Password}/{id}";
         if (!string.IsNullOrEmpty(extension))
         {
             uri += $".{extension}";
@@ -509,15 +615,18 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
         if (type == StreamType.CatchUp)
         {
             string? startString = start?.ToString("yyyy'-'MM'-'dd':'HH'-'mm", CultureInfo.InvariantCulture);
-            uri = $"{config.BaseUrl}/streaming/timeshift.php?username={config.Username}&password={config.Password}&stream={id}&start={startString}&duration={durationMinutes}";
+            uri = $"{config.BaseUrl}/streaming/timeshift.php?username={config.UserName}&password={config.Password}&stream={id}&start={startString}&duration={durationMinutes}";
         }
 
+        // Playback does not go through the API client, so the user agent of the provider is passed along with the stream
+        string? userAgent = Plugin.Instance.Configuration.GetProvider(providerId)?.UserAgent;
+
         bool isLive = type == StreamType.Live;
         return new MediaSourceInfo()
         {
             Container = extension,
             EncoderProtocol = MediaProtocol.Http,
-            Id = ToGuid(MediaSourcePrefix, (int)type, id, 0).ToString(),
+            Id = ToGuid(ToProviderPrefix(MediaSourcePrefix, providerId), (int)type, id, 0).ToString(),
             IsInfiniteStream = isLive,
             IsRemote = true,
             MediaStreams =
@@ -556,6 +665,7 @@ public partial class StreamService(IXtreamClient xtreamClient, ILogger<StreamSer
             Name = "default",
             Path = uri,
             Protocol = MediaProtocol.Http,
+            RequiredHttpHeaders = string.IsNullOrWhiteSpace(userAgent) ? new Dictionary<string, string>() : new Dictionary<string, string> { ["User-Agent"] = userAgent },
             RequiresClosing = restream,
             RequiresOpening = restream,
             SupportsDirectPlay = true,
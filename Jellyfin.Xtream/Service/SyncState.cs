@@ -26,16 +26,14 @@ namespace Jellyfin.Xtream.Service;
 public class SyncState
 {
     /// <summary>
-    /// Gets or sets the timestamp of the last full sync.
-    /// A full sync fetches all series/episodes regardless of timestamps.
+    /// Gets or sets the sync timestamps of the series cache.
     /// </summary>
-    public DateTime LastFullSync { get; set; }
+    public SyncTimes SeriesSync { get; set; } = new();
 
     /// <summary>
-    /// Gets or sets the timestamp of the last incremental sync.
-    /// An incremental sync only processes items that have changed since the last sync.
+    /// Gets or sets the sync timestamps of the VOD cache.
     /// </summary>
-    public DateTime LastIncrementalSync { get; set; }
+    public SyncTimes VodSync { get; set; } = new();
 
     /// <summary>
     /// Gets or sets the last modified timestamp for each series.
@@ -30,8 +30,6 @@ namespace Jellyfin.Xtream.Service;
 /// </summary>
 public class SyncStateService : IDisposable
 {
-    private const string StateFileName = "sync-state.json";
-
     private static readonly JsonSerializerOptions JsonOptions = new()
     {
         WriteIndented = true,
@@ -48,16 +46,22 @@ public class SyncStateService : IDisposable
     /// Initializes a new instance of the <see cref="SyncStateService"/> class.
     /// </summary>
     /// <param name="applicationPaths">Application paths for determining plugin data directory.</param>
+    /// <param name="fileName">The name of the state file.</param>
     /// <param name="logger">Optional logger instance.</param>
-    public SyncStateService(IApplicationPaths applicationPaths, ILogger<SyncStateService>? logger = null)
+    public SyncStateService(IApplicationPaths applicationPaths, string fileName, ILogger<SyncStateService>? logger = null)
     {
         _logger = logger;
         // Store state in the plugin's data directory
         string pluginDataPath = Path.Combine(applicationPaths.PluginConfigurationsPath, "Jellyfin.Xtream");
         Directory.CreateDirectory(pluginDataPath);
-        _statePath = Path.Combine(pluginDataPath, StateFileName);
+        _statePath = Path.Combine(pluginDataPath, fileName);
     }
 
+    /// <summary>
+    /// Gets the file the state is persisted to.
+    /// </summary>
+    public FileInfo StateFile => new(_statePath);
+
     /// <summary>
     /// Loads the sync state from disk, or returns a new state if none exists.
     /// </summary>
@@ -98,10 +102,13 @@ public class SyncStateService : IDisposable
             // Ensure dictionaries are initialized (JSON deserialization may not initialize them)
             state.SeriesLastModified ??= new ConcurrentDictionary<int, DateTime>();
             state.MoviesAdded ??= new ConcurrentDictionary<int, DateTime>();
+            state.SeriesSync ??= new SyncTimes();
+            state.VodSync ??= new SyncTimes();
 
             _logger?.LogInformation(
-                "Loaded sync state: LastFullSync={LastFullSync}, {SeriesCount} series, {MovieCount} movies tracked",
-                state.LastFullSync,
+                "Loaded sync state: series LastFullSync={SeriesLastFullSync}, VOD LastFullSync={VodLastFullSync}, {SeriesCount} series, {MovieCount} movies tracked",
+                state.SeriesSync.LastFullSync,
+                state.VodSync.LastFullSync,
                 state.SeriesLastModified.Count,
                 state.MoviesAdded.Count);
 
@@ -136,8 +143,9 @@ public class SyncStateService : IDisposable
             _cachedState = state;
 
             _logger?.LogDebug(
-                "Saved sync state: LastFullSync={LastFullSync}, {SeriesCount} series, {MovieCount} movies tracked",
-                state.LastFullSync,
+                "Saved sync state: series LastFullSync={SeriesLastFullSync}, VOD LastFullSync={VodLastFullSync}, {SeriesCount} series, {MovieCount} movies tracked",
+                state.SeriesSync.LastFullSync,
+                state.VodSync.LastFullSync,
                 state.SeriesLastModified.Count,
                 state.MoviesAdded.Count);
         }
@@ -187,17 +195,17 @@ public class SyncStateService : IDisposable
     /// <summary>
     /// Checks if a full sync is needed based on the configured interval.
     /// </summary>
-    /// <param name="state">The current sync state.</param>
+    /// <param name="times">The sync timestamps of the cache.</param>
     /// <param name="fullSyncIntervalHours">The configured full sync interval in hours.</param>
     /// <returns>True if a full sync is needed, false otherwise.</returns>
-    public static bool IsFullSyncNeeded(SyncState state, int fullSyncIntervalHours)
+    public static bool IsFullSyncNeeded(SyncTimes times, int fullSyncIntervalHours)
     {
-        if (state.LastFullSync == default)
+        if (times.LastFullSync == default)
         {
             return true;
         }
 
-        var timeSinceFullSync = DateTime.UtcNow - state.LastFullSync;
+        var timeSinceFullSync = DateTime.UtcNow - times.LastFullSync;
         return timeSinceFullSync.TotalHours >= fullSyncIntervalHours;
     }
 
@@ -0,0 +1,36 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The sync timestamps of a single cache (series or VOD).
+/// </summary>
+public class SyncTimes
+{
+    /// <summary>
+    /// Gets or sets the timestamp of the last full sync.
+    /// A full sync fetches all items regardless of timestamps.
+    /// </summary>
+    public DateTime LastFullSync { get; set; }
+
+    /// <summary>
+    /// Gets or sets the timestamp of the last incremental sync.
+    /// An incremental sync only processes items that have changed since the last sync.
+    /// </summary>
+    public DateTime LastIncrementalSync { get; set; }
+}
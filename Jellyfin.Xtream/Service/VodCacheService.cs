@@ -14,6 +14,7 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Linq;
 using System.Net;
@@ -21,6 +22,7 @@ using System.Net.Http;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
 using MediaBrowser.Controller.Channels;
 using MediaBrowser.Controller.Configuration;
 using MediaBrowser.Controller.Entities;
@@ -42,10 +44,18 @@ namespace Jellyfin.Xtream.Service;
 /// </summary>
 public class VodCacheService : IDisposable
 {
+    /// <summary>
+    /// The number of hours after which cached entries are dropped when no refresh replaced them.
+    /// </summary>
+    public const int CacheEntryLifetimeHours = 24;
+
+    private readonly int _providerId;
     private readonly StreamService _streamService;
     private readonly IMemoryCache _memoryCache;
     private readonly FailureTrackingService _failureTrackingService;
     private readonly SyncStateService _syncStateService;
+    private readonly RefreshHistoryService _refreshHistoryService;
+    private readonly MetadataMatchStore _matchStore;
     private readonly ILogger<VodCacheService>? _logger;
     private readonly IProviderManager? _providerManager;
     private readonly IServerConfigurationManager? _serverConfigManager;
@@ -54,6 +64,10 @@ public class VodCacheService : IDisposable
     private bool _isRefreshing = false;
     private double _currentProgress = 0.0;
     private string _currentStatus = "Idle";
+    private CacheRefreshPhase _phase = CacheRefreshPhase.Idle;
+    private int _processed;
+    private int _total;
+    private int _errors;
     private DateTime? _lastRefreshStart;
     private DateTime? _lastRefreshComplete;
     private CancellationTokenSource? _refreshCancellationTokenSource;
@@ -61,37 +75,51 @@ public class VodCacheService : IDisposable
     /// <summary>
     /// Initializes a new instance of the <see cref="VodCacheService"/> class.
     /// </summary>
+    /// <param name="providerId">The id of the provider whose content is cached.</param>
     /// <param name="streamService">The stream service instance.</param>
     /// <param name="memoryCache">The memory cache instance.</param>
     /// <param name="failureTrackingService">The failure tracking service instance.</param>
     /// <param name="syncStateService">The sync state service instance.</param>
+    /// <param name="refreshHistoryService">The service keeping the history of refresh runs.</param>
+    /// <param name="matchStore">The store of the metadata lookup results of every provider.</param>
     /// <param name="logger">Optional logger instance.</param>
     /// <param name="providerManager">Optional provider manager for TMDB lookups.</param>
     /// <param name="serverConfigManager">Optional server configuration manager for metadata language.</param>
     public VodCacheService(
+        int providerId,
         StreamService streamService,
         IMemoryCache memoryCache,
         FailureTrackingService failureTrackingService,
         SyncStateService syncStateService,
+        RefreshHistoryService refreshHistoryService,
+        MetadataMatchStore matchStore,
         ILogger<VodCacheService>? logger = null,
         IProviderManager? providerManager = null,
         IServerConfigurationManager? serverConfigManager = null)
     {
+        _providerId = providerId;
         _streamService = streamService;
         _memoryCache = memoryCache;
         _failureTrackingService = failureTrackingService;
         _syncStateService = syncStateService;
+        _refreshHistoryService = refreshHistoryService;
+        _matchStore = matchStore;
         _logger = logger;
         _providerManager = providerManager;
         _serverConfigManager = serverConfigManager;
     }
 
+    /// <summary>
+    /// Occurs whenever the progress of a cache refresh changes.
+    /// </summary>
+    public event EventHandler<CacheProgress>? ProgressChanged;
+
     /// <summary>
     /// Gets the current cache key prefix.
-    /// Uses VodCacheDataVersion which only changes when cache-relevant settings change
+    /// Uses the VOD cache data version of the provider, which only changes when cache-relevant settings change
     /// (not when refresh frequency changes).
     /// </summary>
-    private string CachePrefix => $"vod_cache_{Plugin.Instance.VodCacheDataVersion}_v{_cacheVersion}_";
+    private string CachePrefix => $"vod_cache_{Plugin.Instance.GetVodCacheDataVersion(_providerId)}_p{_providerId}_v{_cacheVersion}_";
 
     /// <summary>
     /// Pre-fetches and caches all VOD movie data (categories, movies, TMDB images).
@@ -113,6 +141,8 @@ public class VodCacheService : IDisposable
             return;
         }
 
+        RefreshRun? run = null;
+        ConcurrentQueue<RefreshRunError> runErrors = new();
         try
         {
             if (_isRefreshing)
@@ -123,8 +153,12 @@ public class VodCacheService : IDisposable
 
             _isRefreshing = true;
             _currentProgress = 0.0;
-            _currentStatus = "Starting...";
+            _processed = 0;
+            _total = 0;
+            _errors = 0;
             _lastRefreshStart = DateTime.UtcNow;
+            run = new RefreshRun { StartTime = _lastRefreshStart.Value };
+            SetStatus(CacheRefreshPhase.Starting, "Starting...");
 
             // Create a linked cancellation token source so we can cancel the refresh
             var oldCts = _refreshCancellationTokenSource;
@@ -138,7 +172,7 @@ public class VodCacheService : IDisposable
             // Determine if we should do a full sync
             bool isIncrementalSync = config.IncrementalSyncEnabled
                 && !forceFullSync
-                && !SyncStateService.IsFullSyncNeeded(syncState, config.FullSyncIntervalHours);
+                && !SyncStateService.IsFullSyncNeeded(syncState.VodSync, config.FullSyncIntervalHours);
 
             if (forceFullSync)
             {
@@ -148,11 +182,11 @@ public class VodCacheService : IDisposable
             {
                 _logger?.LogInformation("Starting FULL VOD cache refresh (incremental sync disabled)");
             }
-            else if (SyncStateService.IsFullSyncNeeded(syncState, config.FullSyncIntervalHours))
+            else if (SyncStateService.IsFullSyncNeeded(syncState.VodSync, config.FullSyncIntervalHours))
             {
                 _logger?.LogInformation(
                     "Starting FULL VOD cache refresh (last full sync: {LastFullSync}, interval: {Interval}h)",
-                    syncState.LastFullSync,
+                    syncState.VodSync.LastFullSync,
                     config.FullSyncIntervalHours);
                 isIncrementalSync = false;
             }
@@ -160,17 +194,20 @@ public class VodCacheService : IDisposable
             {
                 _logger?.LogInformation(
                     "Starting INCREMENTAL VOD cache refresh (last sync: {LastSync}, {TrackedCount} movies tracked)",
-                    syncState.LastIncrementalSync,
+                    syncState.VodSync.LastIncrementalSync,
                     syncState.MoviesAdded.Count);
             }
 
-            string cacheDataVersion = Plugin.Instance.VodCacheDataVersion;
-            string cachePrefix = $"vod_cache_{cacheDataVersion}_v{_cacheVersion}_";
+            run.IsIncremental = isIncrementalSync;
+            string cacheDataVersion = Plugin.Instance.GetVodCacheDataVersion(_providerId);
+            string cachePrefix = $"vod_cache_{cacheDataVersion}_p{_providerId}_v{_cacheVersion}_";
 
             // Clear old cache entries only for full sync
             if (!isIncrementalSync)
             {
                 ClearCache(cacheDataVersion);
+                await _matchStore.LoadAsync(_refreshCancellationTokenSource.Token).ConfigureAwait(false);
+                _matchStore.Clear(_providerId);
             }
 
             try
@@ -178,20 +215,21 @@ public class VodCacheService : IDisposable
                 // Cache entries have a 24-hour safety expiration to prevent memory leaks
                 MemoryCacheEntryOptions cacheOptions = new()
                 {
-                    AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(24)
+                    AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(CacheEntryLifetimeHours)
                 };
 
                 // Fetch all categories
-                _currentStatus = "Fetching categories...";
+                SetStatus(CacheRefreshPhase.FetchingCategories, "Fetching categories...");
                 progress?.Report(0.05);
                 _logger?.LogInformation("Fetching VOD categories...");
-                IEnumerable<Category> categories = await _streamService.GetVodCategories(_refreshCancellationTokenSource.Token).ConfigureAwait(false);
+                IEnumerable<Category> categories = await _streamService.GetVodCategories(_providerId, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
                 List<Category> categoryList = categories.ToList();
                 _memoryCache.Set($"{cachePrefix}categories", categoryList, cacheOptions);
                 _logger?.LogInformation("Found {CategoryCount} VOD categories", categoryList.Count);
+                run.Categories = categoryList.Count;
 
                 // Log configuration state for debugging
-                var vodConfig = Plugin.Instance.Configuration.Vod;
+                var vodConfig = Plugin.Instance.Configuration.GetProvider(_providerId)?.Vod ?? [];
                 _logger?.LogInformation("Configuration has {ConfigCategoryCount} configured VOD categories", vodConfig.Count);
 
                 int movieCount = 0;
@@ -200,11 +238,11 @@ public class VodCacheService : IDisposable
 
                 // Fetch all movie lists from categories
                 Dictionary<int, List<StreamInfo>> moviesByCategory = new();
-                _currentStatus = "Fetching movie lists...";
+                SetStatus(CacheRefreshPhase.FetchingItems, "Fetching movie lists...");
                 foreach (Category category in categoryList)
                 {
                     _refreshCancellationTokenSource.Token.ThrowIfCancellationRequested();
-                    IEnumerable<StreamInfo> movies = await _streamService.GetVodStreams(category.CategoryId, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
+                    IEnumerable<StreamInfo> movies = await _streamService.GetVodStreams(_providerId, category.CategoryId, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
                     List<StreamInfo> movieItems = movies.ToList();
                     moviesByCategory[category.CategoryId] = movieItems;
                     totalMovies += movieItems.Count;
@@ -263,7 +301,8 @@ public class VodCacheService : IDisposable
                 if (useTmdb && _providerManager != null)
                 {
                     _logger?.LogInformation("Looking up TMDB metadata for {Count} movies...", totalMovies);
-                    _currentStatus = "Fetching TMDB images...";
+                    _total = totalMovies;
+                    SetStatus(CacheRefreshPhase.FetchingMetadata, "Fetching TMDB images...");
 
                     // Parse title overrides once before the lookup loop
                     Dictionary<string, string> titleOverrides = ParseTitleOverrides(
@@ -299,6 +338,7 @@ public class VodCacheService : IDisposable
                     foreach (int deletedId in deletedMovieIds)
                     {
                         syncState.MoviesAdded.TryRemove(deletedId, out _);
+                        _matchStore.Remove(_providerId, deletedId);
                         moviesDeleted++;
                     }
 
@@ -337,6 +377,8 @@ public class VodCacheService : IDisposable
                                 {
                                     double progressValue = 0.2 + (skippedProcessed * 0.7 / totalMovies);
                                     _currentProgress = progressValue;
+                                    _processed = skippedProcessed;
+                                    PublishProgress();
                                     progress?.Report(progressValue);
                                 }
 
@@ -377,6 +419,8 @@ public class VodCacheService : IDisposable
                                 movie.Name,
                                 ex.Message);
                             Interlocked.Increment(ref tmdbNotFound);
+                            Interlocked.Increment(ref _errors);
+                            runErrors.Enqueue(new RefreshRunError { ItemId = movie.StreamId, Name = movie.Name, Message = ex.Message });
                         }
                         catch (OperationCanceledException)
                         {
@@ -386,6 +430,8 @@ public class VodCacheService : IDisposable
                         {
                             _logger?.LogWarning(ex, "Failed to lookup TMDB for movie {MovieId} ({MovieName})", movie.StreamId, movie.Name);
                             Interlocked.Increment(ref tmdbNotFound);
+                            Interlocked.Increment(ref _errors);
+                            runErrors.Enqueue(new RefreshRunError { ItemId = movie.StreamId, Name = movie.Name, Message = ex.Message });
                         }
 
                         int currentProcessed = Interlocked.Increment(ref processedMovies);
@@ -393,7 +439,8 @@ public class VodCacheService : IDisposable
                         {
                             double progressValue = 0.2 + (currentProcessed * 0.7 / totalMovies);
                             _currentProgress = progressValue;
-                            _currentStatus = $"TMDB lookup {currentProcessed}/{totalMovies} ({tmdbFound} found)";
+                            _processed = currentProcessed;
+                            SetStatus(CacheRefreshPhase.FetchingMetadata, $"TMDB lookup {currentProcessed}/{totalMovies} ({tmdbFound} found)");
                             progress?.Report(progressValue);
                         }
 
@@ -422,23 +469,31 @@ public class VodCacheService : IDisposable
                             tmdbFound,
                             tmdbNotFound);
                     }
+
+                    run.MetadataFound = tmdbFound;
+                    run.MetadataNotFound = tmdbNotFound;
+                    run.Skipped = moviesSkipped;
                 }
 
+                run.Processed = movieCount;
+
                 // Update and save sync state
-                syncState.LastIncrementalSync = DateTime.UtcNow;
+                syncState.VodSync.LastIncrementalSync = DateTime.UtcNow;
                 if (!isIncrementalSync)
                 {
-                    syncState.LastFullSync = DateTime.UtcNow;
+                    syncState.VodSync.LastFullSync = DateTime.UtcNow;
                 }
 
                 await _syncStateService.SaveStateAsync(syncState, _refreshCancellationTokenSource.Token).ConfigureAwait(false);
 
                 progress?.Report(0.95);
                 _currentProgress = 0.95;
-                _currentStatus = isIncrementalSync
-                    ? $"Completed: {movieCount} processed, {moviesSkipped} skipped"
-                    : $"Completed: {movieCount} movies";
                 _lastRefreshComplete = DateTime.UtcNow;
+                SetStatus(
+                    CacheRefreshPhase.Completed,
+                    isIncrementalSync
+                        ? $"Completed: {movieCount} processed, {moviesSkipped} skipped"
+                        : $"Completed: {movieCount} movies");
 
                 if (isIncrementalSync)
                 {
@@ -487,25 +542,40 @@ public class VodCacheService : IDisposable
 
                 progress?.Report(1.0);
                 _currentProgress = 1.0;
-                _currentStatus = $"Completed: {movieCount} movies";
+                SetStatus(CacheRefreshPhase.Completed, $"Completed: {movieCount} movies");
             }
             catch (OperationCanceledException)
             {
                 _logger?.LogInformation("VOD cache refresh cancelled");
-                _currentStatus = "Cancelled";
+                SetStatus(CacheRefreshPhase.Cancelled, "Cancelled");
             }
             catch (Exception ex)
             {
                 _logger?.LogError(ex, "Error during VOD cache refresh");
+                run.ErrorMessage = ex.Message;
                 throw;
             }
         }
         finally
         {
             _isRefreshing = false;
-            if (_currentProgress < 1.0)
+            if (_currentProgress < 1.0 && _phase != CacheRefreshPhase.Cancelled)
             {
-                _currentStatus = "Failed or cancelled";
+                SetStatus(CacheRefreshPhase.Failed, "Failed or cancelled");
+            }
+            else
+            {
+                PublishProgress();
+            }
+
+            if (run != null)
+            {
+                run.EndTime = DateTime.UtcNow;
+                run.Result = _phase is CacheRefreshPhase.Cancelled or CacheRefreshPhase.Failed ? _phase : CacheRefreshPhase.Completed;
+                run.Failures = _errors;
+                run.Errors = new(runErrors.Take(RefreshHistoryService.MaxErrorsPerRun).ToList());
+                await _refreshHistoryService.AddRunAsync(run, CancellationToken.None).ConfigureAwait(false);
+                await _matchStore.SaveAsync(CancellationToken.None).ConfigureAwait(false);
             }
 
             _refreshLock.Release();
@@ -592,6 +662,42 @@ public class VodCacheService : IDisposable
         return _memoryCache.TryGetValue(cacheKey, out string? tmdbId) ? tmdbId : null;
     }
 
+    /// <summary>
+    /// Gets the results of the latest TMDB lookups of the provider.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The lookup results.</returns>
+    public Task<IReadOnlyCollection<MetadataMatch>> GetMetadataMatchesAsync(CancellationToken cancellationToken)
+    {
+        return _matchStore.GetMatchesAsync(_providerId, cancellationToken);
+    }
+
+    /// <summary>
+    /// Repeats the TMDB lookup for a single movie using the current title overrides.
+    /// </summary>
+    /// <param name="movieId">The Xtream movie ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The new lookup result, or null if the movie was never looked up.</returns>
+    public async Task<MetadataMatch?> RelookupAsync(int movieId, CancellationToken cancellationToken)
+    {
+        MetadataMatch? previous = await _matchStore.GetMatchAsync(_providerId, movieId, cancellationToken).ConfigureAwait(false);
+        if (previous is null)
+        {
+            return null;
+        }
+
+        Dictionary<string, string> titleOverrides = ParseTitleOverrides(
+            Plugin.Instance?.Configuration.TmdbTitleOverrides ?? string.Empty);
+        MemoryCacheEntryOptions cacheOptions = new()
+        {
+            AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(CacheEntryLifetimeHours)
+        };
+
+        await LookupAndCacheTmdbImageAsync(movieId, previous.Name, titleOverrides, cacheOptions, cancellationToken).ConfigureAwait(false);
+        await _matchStore.SaveAsync(cancellationToken).ConfigureAwait(false);
+        return await _matchStore.GetMatchAsync(_providerId, movieId, cancellationToken).ConfigureAwait(false) ?? previous;
+    }
+
     /// <summary>
     /// Looks up TMDB image URL for a movie and caches it.
     /// Checks title overrides first for direct TMDB ID lookup, then falls back to name search.
@@ -631,6 +737,7 @@ public class VodCacheService : IDisposable
                     _memoryCache.Set($"{CachePrefix}tmdb_movie_id_{movieId}", tmdbId, cacheOptions);
 
                     _logger?.LogInformation("Cached TMDB image for movie {MovieId} ({Name}) via override (TMDB ID {TmdbId}): {Url}", movieId, cleanName, tmdbId, overrideResult);
+                    RecordMatch(movieId, movieName, tmdbId, null, null, true);
                     return overrideResult;
                 }
 
@@ -681,11 +788,13 @@ public class VodCacheService : IDisposable
                     }
 
                     _logger?.LogDebug("Cached TMDB image for movie {MovieId} ({Name}) using search term '{SearchTerm}': {Url}", movieId, cleanName, searchTerm, resultWithImage.ImageUrl);
+                    RecordMatch(movieId, movieName, foundTmdbId, resultWithImage.Name, resultWithImage.ProductionYear, false);
                     return resultWithImage.ImageUrl;
                 }
             }
 
             _logger?.LogDebug("TMDB search found no image for movie {MovieId} ({Name}) after trying: {SearchTerms}", movieId, cleanName, string.Join(", ", searchTerms));
+            RecordMatch(movieId, movieName, null, null, null, false);
         }
         catch (Exception ex)
         {
@@ -695,6 +804,14 @@ public class VodCacheService : IDisposable
         return null;
     }
 
+    /// <summary>
+    /// Stores the outcome of a TMDB lookup for the metadata match review.
+    /// </summary>
+    private void RecordMatch(int movieId, string name, string? providerId, string? matchedName, int? matchedYear, bool overridden)
+    {
+        _matchStore.Record(MetadataMatchClassifier.Classify(_providerId, movieId, name, providerId, matchedName, matchedYear, overridden));
+    }
+
     /// <summary>
     /// Looks up a movie on TMDB by its TMDB ID and returns the image URL.
     /// </summary>
@@ -858,7 +975,7 @@ public class VodCacheService : IDisposable
         if (_isRefreshing && cts != null)
         {
             _logger?.LogInformation("Cancelling VOD cache refresh...");
-            _currentStatus = "Cancelling...";
+            SetStatus(_phase, "Cancelling...");
             try
             {
                 cts.Cancel();
@@ -878,8 +995,8 @@ public class VodCacheService : IDisposable
     {
         _cacheVersion++;
         _currentProgress = 0.0;
-        _currentStatus = "Cache invalidated";
         _lastRefreshComplete = null;
+        SetStatus(CacheRefreshPhase.Idle, "Cache invalidated");
         _logger?.LogInformation("VOD cache invalidated (version incremented to {Version})", _cacheVersion);
     }
 
@@ -902,7 +1019,7 @@ public class VodCacheService : IDisposable
     /// <returns>A task representing the async operation.</returns>
     public async Task PopulateJellyfinDatabaseAsync(CancellationToken cancellationToken)
     {
-        _currentStatus = "Populating Jellyfin database...";
+        SetStatus(CacheRefreshPhase.PopulatingDatabase, "Populating Jellyfin database...");
         var startTime = DateTime.UtcNow;
 
         try
@@ -941,7 +1058,7 @@ public class VodCacheService : IDisposable
                         {
                             var parsedName = StreamService.ParseName(movie.Name);
                             // Movie IDs use StreamPrefix
-                            Guid movieGuid = StreamService.ToGuid(StreamService.StreamPrefix, movie.StreamId, 0, 0);
+                            Guid movieGuid = StreamService.ToGuid(StreamService.ToProviderPrefix(StreamService.StreamPrefix, _providerId), movie.StreamId, 0, 0);
                             expectedMovies.Add((movie.StreamId, parsedName.Title, category.CategoryId, movieGuid));
                         }
                     }
@@ -953,7 +1070,7 @@ public class VodCacheService : IDisposable
             if (expectedMovies.Count == 0)
             {
                 _logger?.LogInformation("No movies in cache, skipping database population");
-                _currentStatus = "No movies to populate";
+                SetStatus(CacheRefreshPhase.Completed, "No movies to populate");
                 return;
             }
 
@@ -980,7 +1097,7 @@ public class VodCacheService : IDisposable
                 "Jellyfin VOD database population completed in {Elapsed:F1}s",
                 totalElapsed.TotalSeconds);
 
-            _currentStatus = $"Database populated: {expectedMovies.Count} movies";
+            SetStatus(CacheRefreshPhase.Completed, $"Database populated: {expectedMovies.Count} movies");
         }
         catch (OperationCanceledException)
         {
@@ -1002,6 +1119,48 @@ public class VodCacheService : IDisposable
         return (_isRefreshing, _currentProgress, _currentStatus, _lastRefreshStart, _lastRefreshComplete);
     }
 
+    /// <summary>
+    /// Gets the statistics of the latest cache refreshes, newest first.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The latest refresh runs.</returns>
+    public Task<IReadOnlyCollection<RefreshRun>> GetRefreshHistoryAsync(CancellationToken cancellationToken)
+    {
+        return _refreshHistoryService.GetRunsAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Gets a snapshot of the current cache refresh progress.
+    /// </summary>
+    /// <returns>The cache refresh progress.</returns>
+    public CacheProgress GetProgress()
+    {
+        return new CacheProgress
+        {
+            IsRefreshing = _isRefreshing,
+            Phase = _phase,
+            Progress = _currentProgress,
+            Status = _currentStatus,
+            Processed = _processed,
+            Total = _total,
+            Errors = _errors,
+            StartTime = _lastRefreshStart,
+            CompleteTime = _lastRefreshComplete,
+        };
+    }
+
+    private void SetStatus(CacheRefreshPhase phase, string status)
+    {
+        _phase = phase;
+        _currentStatus = status;
+        PublishProgress();
+    }
+
+    private void PublishProgress()
+    {
+        ProgressChanged?.Invoke(this, GetProgress());
+    }
+
     /// <inheritdoc />
     public void Dispose()
     {
@@ -16,6 +16,7 @@
 using System;
 using System.IO;
 using System.Threading;
+using System.Threading.Tasks;
 
 namespace Jellyfin.Xtream.Service;
 
@@ -77,6 +78,11 @@ public class WrappedBufferReadStream : Stream
         // We cannot return with 0 bytes read, as that indicates the end of the stream has been reached
         while (gap == 0)
         {
+            if (_sourceBuffer.IsCompleted)
+            {
+                return 0;
+            }
+
             Thread.Sleep(1);
             gap = _sourceBuffer.TotalBytesWritten - ReadHead;
         }
@@ -109,6 +115,18 @@ public class WrappedBufferReadStream : Stream
         return (int)read;
     }
 
+    /// <inheritdoc />
+    public override async Task<int> ReadAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken)
+    {
+        // Unlike Read, waiting for new data can be cancelled when the source stopped writing
+        while (_sourceBuffer.TotalBytesWritten == ReadHead && !_sourceBuffer.IsCompleted)
+        {
+            await Task.Delay(10, cancellationToken).ConfigureAwait(false);
+        }
+
+        return Read(buffer, offset, count);
+    }
+
     /// <inheritdoc />
     public override void Write(byte[] buffer, int offset, int count)
     {
@@ -41,6 +41,12 @@ public class WrappedBufferStream(int bufferSize) : Stream
     /// </summary>
     public long TotalBytesWritten { get; private set; }
 
+    /// <summary>
+    /// Gets or sets a value indicating whether no more bytes will be written.
+    /// Readers reach the end of the stream once they have read all bytes.
+    /// </summary>
+    public bool IsCompleted { get; set; }
+
     /// <inheritdoc />
     public override long Position
     {
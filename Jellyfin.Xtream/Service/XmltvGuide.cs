@@ -0,0 +1,35 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// The channels and programmes of an uploaded XMLTV guide.
+/// </summary>
+public class XmltvGuide
+{
+    /// <summary>
+    /// Gets the display names of the channels by XMLTV channel id.
+    /// </summary>
+    public Dictionary<string, string> Channels { get; } = new(StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// Gets the programmes by XMLTV channel id, ordered by start time.
+    /// </summary>
+    public Dictionary<string, IReadOnlyList<XmltvProgram>> Programs { get; } = new(StringComparer.OrdinalIgnoreCase);
+}
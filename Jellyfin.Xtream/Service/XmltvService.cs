@@ -0,0 +1,368 @@
+// Copyright (C) 2022  Kevin Jilissen
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.IO.Compression;
+using System.Threading;
+using System.Threading.Tasks;
+using System.Xml;
+using System.Xml.Linq;
+using MediaBrowser.Common.Configuration;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Service;
+
+/// <summary>
+/// Stores an XMLTV guide uploaded by the administrator, which Live TV channels can be mapped to.
+/// </summary>
+public class XmltvService : IDisposable
+{
+    /// <summary>
+    /// The maximum size of a guide in bytes, which applies to the uncompressed XML as the whole guide is kept in memory.
+    /// </summary>
+    public const long MaxGuideSize = 100L * 1024 * 1024;
+
+    private readonly ILogger<XmltvService> _logger;
+    private readonly string _guidePath;
+    private readonly SemaphoreSlim _guideLock = new(1, 1);
+    private XmltvGuide? _guide;
+    private DateTime _guideTime;
+    private bool _disposed;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="XmltvService"/> class.
+    /// </summary>
+    /// <param name="applicationPaths">Application paths for determining the guide location.</param>
+    /// <param name="logger">Logger instance.</param>
+    public XmltvService(IApplicationPaths applicationPaths, ILogger<XmltvService> logger)
+    {
+        _logger = logger;
+        _guidePath = Path.Combine(applicationPaths.PluginConfigurationsPath, "Jellyfin.Xtream", "guide.xml");
+    }
+
+    /// <summary>
+    /// Gets the time the guide was uploaded.
+    /// </summary>
+    /// <returns>The upload time in UTC, or null if no guide was uploaded.</returns>
+    public DateTime? GetUploadTime() => File.Exists(_guidePath) ? File.GetLastWriteTimeUtc(_guidePath) : null;
+
+    /// <summary>
+    /// Gets the uploaded guide, parsing the file again when it changed.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The guide, or null if no guide was uploaded.</returns>
+    public async Task<XmltvGuide?> GetGuideAsync(CancellationToken cancellationToken)
+    {
+        await _guideLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            DateTime? uploadTime = GetUploadTime();
+            if (uploadTime is null)
+            {
+                _guide = null;
+                return null;
+            }
+
+            if (_guide is null || _guideTime != uploadTime)
+            {
+                try
+                {
+                    _guide = await ParseAsync(_guidePath, cancellationToken).ConfigureAwait(false);
+                }
+                catch (Exception ex) when (ex is XmlException or InvalidDataException)
+                {
+                    // E.g. a guide stored before the size limit was lowered, it is not parsed again until it is replaced
+                    _logger.LogError(ex, "Failed to read the XMLTV guide {Path}", _guidePath);
+                    _guide = new();
+                }
+
+                _guideTime = uploadTime.Value;
+            }
+
+            return _guide;
+        }
+        finally
+        {
+            _guideLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Gets the programmes of a channel of the uploaded guide.
+    /// </summary>
+    /// <param name="channelId">The XMLTV channel id.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The programmes ordered by start time, empty if the channel is unknown.</returns>
+    public async Task<IReadOnlyList<XmltvProgram>> GetProgramsAsync(string channelId, CancellationToken cancellationToken)
+    {
+        XmltvGuide? guide = await GetGuideAsync(cancellationToken).ConfigureAwait(false);
+        return guide?.Programs.GetValueOrDefault(channelId) ?? [];
+    }
+
+    /// <summary>
+    /// Stores an uploaded guide, replacing the previous one. Gzip compressed files are accepted as well.
+    /// </summary>
+    /// <param name="content">The XMLTV data.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The parsed guide.</returns>
+    /// <exception cref="ArgumentException">When the file is too large or not a valid XMLTV guide.</exception>
+    public async Task<XmltvGuide> SaveGuideAsync(Stream content, CancellationToken cancellationToken)
+    {
+        string uploadPath = _guidePath + ".upload";
+        Directory.CreateDirectory(Path.GetDirectoryName(_guidePath)!);
+        try
+        {
+            FileStream upload = new(uploadPath, FileMode.Create, FileAccess.Write, FileShare.None);
+            await using (upload.ConfigureAwait(false))
+            {
+                byte[] chunk = new byte[81920];
+                int read;
+                while ((read = await content.ReadAsync(chunk, cancellationToken).ConfigureAwait(false)) > 0)
+                {
+                    if (upload.Length + read > MaxGuideSize)
+                    {
+                        throw new ArgumentException($"The XMLTV file is larger than {MaxGuideSize / 1024 / 1024} MB.", nameof(content));
+                    }
+
+                    await upload.WriteAsync(chunk.AsMemory(0, read), cancellationToken).ConfigureAwait(false);
+                }
+            }
+
+            XmltvGuide guide;
+            try
+            {
+                guide = await ParseAsync(uploadPath, cancellationToken).ConfigureAwait(false);
+            }
+            catch (XmlException ex) when (ex.Message.Contains(nameof(XmlReaderSettings.MaxCharactersInDocument), StringComparison.Ordinal))
+            {
+                throw new ArgumentException($"The uncompressed XMLTV guide is larger than {MaxGuideSize / 1024 / 1024} MB.", nameof(content), ex);
+            }
+            catch (Exception ex) when (ex is XmlException or InvalidDataException)
+            {
+                throw new ArgumentException($"The file is not a valid XMLTV guide: {ex.Message}", nameof(content), ex);
+            }
+
+            if (guide.Channels.Count == 0 && guide.Programs.Count == 0)
+            {
+                throw new ArgumentException("The file contains no XMLTV channels or programmes.", nameof(content));
+            }
+
+            await _guideLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+            try
+            {
+                File.Move(uploadPath, _guidePath, true);
+                _guide = guide;
+                _guideTime = File.GetLastWriteTimeUtc(_guidePath);
+            }
+            finally
+            {
+                _guideLock.Release();
+            }
+
+            _logger.LogInformation("Stored XMLTV guide with {Channels} channels", guide.Channels.Count);
+            return guide;
+        }
+        finally
+        {
+            File.Delete(uploadPath);
+        }
+    }
+
+    /// <summary>
+    /// Deletes the uploaded guide.
+    /// </summary>
+    /// <returns>True if the guide was deleted.</returns>
+    public bool DeleteGuide()
+    {
+        if (!File.Exists(_guidePath))
+        {
+            return false;
+        }
+
+        File.Delete(_guidePath);
+        _guide = null;
+        _logger.LogInformation("Deleted the XMLTV guide");
+        return true;
+    }
+
+    /// <summary>
+    /// Parses an XMLTV time, e.g. <c>20240101203000 +0100</c>.
+    /// </summary>
+    /// <param name="value">The XMLTV time.</param>
+    /// <returns>The time in UTC, or null if the value is not a valid XMLTV time.</returns>
+    public static DateTime? ParseTime(string? value)
+    {
+        string[] parts = (value ?? string.Empty).Split(' ', 2, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        if (parts.Length == 0
+            || !DateTime.TryParseExact(parts[0], ["yyyyMMddHHmmss", "yyyyMMddHHmm"], CultureInfo.InvariantCulture, DateTimeStyles.None, out DateTime time))
+        {
+            return null;
+        }
+
+        // Times without an offset are UTC according to the XMLTV specification
+        TimeSpan offset = TimeSpan.Zero;
+        if (parts.Length > 1)
+        {
+            string zone = parts[1].Replace(":", string.Empty, StringComparison.Ordinal);
+            if (zone.Length != 5
+                || (zone[0] != '+' && zone[0] != '-')
+                || !int.TryParse(zone.AsSpan(1, 2), NumberStyles.None, CultureInfo.InvariantCulture, out int hours)
+                || !int.TryParse(zone.AsSpan(3, 2), NumberStyles.None, CultureInfo.InvariantCulture, out int minutes))
+            {
+                return null;
+            }
+
+            offset = new TimeSpan(hours, minutes, 0);
+            if (zone[0] == '-')
+            {
+                offset = offset.Negate();
+            }
+        }
+
+        return new DateTimeOffset(time, offset).UtcDateTime;
+    }
+
+    /// <inheritdoc />
+    public void Dispose()
+    {
+        Dispose(true);
+        GC.SuppressFinalize(this);
+    }
+
+    /// <summary>
+    /// Releases the unmanaged resources used by the XmltvService and optionally releases the managed resources.
+    /// </summary>
+    /// <param name="disposing">True to release both managed and unmanaged resources; false to release only unmanaged resources.</param>
+    protected virtual void Dispose(bool disposing)
+    {
+        if (_disposed)
+        {
+            return;
+        }
+
+        if (disposing)
+        {
+            _guideLock.Dispose();
+        }
+
+        _disposed = true;
+    }
+
+    private static async Task<XmltvGuide> ParseAsync(string path, CancellationToken cancellationToken)
+    {
+        FileStream file = new(path, FileMode.Open, FileAccess.Read, FileShare.Read, 81920, true);
+        await using (file.ConfigureAwait(false))
+        {
+            bool compressed = file.ReadByte() == 0x1f && file.ReadByte() == 0x8b;
+            file.Position = 0;
+            Stream input = compressed ? new GZipStream(file, CompressionMode.Decompress, true) : file;
+            try
+            {
+                return await ParseAsync(input, cancellationToken).ConfigureAwait(false);
+            }
+            finally
+            {
+                if (compressed)
+                {
+                    await input.DisposeAsync().ConfigureAwait(false);
+                }
+            }
+        }
+    }
+
+    private static async Task<XmltvGuide> ParseAsync(Stream input, CancellationToken cancellationToken)
+    {
+        XmltvGuide guide = new();
+        Dictionary<string, List<XmltvProgram>> programs = new(StringComparer.OrdinalIgnoreCase);
+        XmlReaderSettings settings = new()
+        {
+            Async = true,
+            DtdProcessing = DtdProcessing.Ignore,
+            IgnoreComments = true,
+            IgnoreWhitespace = true,
+
+            // Also bounds gzip compressed guides, which can expand far beyond the upload size
+            MaxCharactersInDocument = MaxGuideSize,
+        };
+
+        using (XmlReader reader = XmlReader.Create(input, settings))
+        {
+            await reader.MoveToContentAsync().ConfigureAwait(false);
+            while (!reader.EOF)
+            {
+                if (reader.NodeType != XmlNodeType.Element || (reader.LocalName != "channel" && reader.LocalName != "programme"))
+                {
+                    await reader.ReadAsync().ConfigureAwait(false);
+                    continue;
+                }
+
+                XElement element = (XElement)await XNode.ReadFromAsync(reader, cancellationToken).ConfigureAwait(false);
+                if (element.Name.LocalName == "channel")
+                {
+                    string? id = (string?)element.Attribute("id");
+                    if (!string.IsNullOrEmpty(id))
+                    {
+                        guide.Channels[id] = (string?)element.Element("display-name") ?? id;
+                    }
+
+                    continue;
+                }
+
+                string? channel = (string?)element.Attribute("channel");
+                DateTime? start = ParseTime((string?)element.Attribute("start"));
+                if (string.IsNullOrEmpty(channel) || start is null)
+                {
+                    continue;
+                }
+
+                if (!programs.TryGetValue(channel, out List<XmltvProgram>? list))
+                {
+                    list = [];
+                    programs[channel] = list;
+                }
+
+                list.Add(new()
+                {
+                    Start = start.Value,
+                    End = ParseTime((string?)element.Attribute("stop")) ?? DateTime.MinValue,
+                    Title = (string?)element.Element("title") ?? string.Empty,
+                    Description = (string?)element.Element("desc"),
+                });
+            }
+        }
+
+        foreach ((string channel, List<XmltvProgram> list) in programs)
+        {
+            list.Sort((a, b) => a.Start.CompareTo(b.Start));
+
+            // The stop time is optional, a programme then lasts until the next one starts
+            for (int i = 0; i < list.Count - 1; ++i)
+            {
+                if (list[i].End == DateTime.MinValue)
+                {
+                    list[i].End = list[i + 1].Start;
+                }
+            }
+
+            list.RemoveAll(program => program.End <= program.Start);
+            guide.Programs[channel] = list;
+        }
+
+        return guide;
+    }
+}
@@ -64,12 +64,12 @@ public class SeriesCacheRefreshTask : IScheduledTask
     /// <inheritdoc />
     public async Task ExecuteAsync(IProgress<double> progress, CancellationToken cancellationToken)
     {
-        if (Plugin.Instance?.SeriesCacheService == null)
+        if (Plugin.Instance == null)
         {
             return;
         }
 
-        await Plugin.Instance.SeriesCacheService.RefreshCacheAsync(progress, forceFullSync: false, cancellationToken).ConfigureAwait(false);
+        await Plugin.Instance.RefreshSeriesCachesAsync(progress, cancellationToken).ConfigureAwait(false);
     }
 
     /// <summary>
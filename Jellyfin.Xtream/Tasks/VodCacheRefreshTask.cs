@@ -64,12 +64,12 @@ public class VodCacheRefreshTask : IScheduledTask
     /// <inheritdoc />
     public async Task ExecuteAsync(IProgress<double> progress, CancellationToken cancellationToken)
     {
-        if (Plugin.Instance?.VodCacheService == null)
+        if (Plugin.Instance == null)
         {
             return;
         }
 
-        await Plugin.Instance.VodCacheService.RefreshCacheAsync(progress, forceFullSync: false, cancellationToken).ConfigureAwait(false);
+        await Plugin.Instance.RefreshVodCachesAsync(progress, cancellationToken).ConfigureAwait(false);
     }
 
     /// <summary>
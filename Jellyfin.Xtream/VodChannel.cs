@@ -17,9 +17,11 @@ using System;
 using System.Collections.Generic;
 using System.Globalization;
 using System.Linq;
+using System.Net.Http;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Xtream.Client.Models;
+using Jellyfin.Xtream.Configuration;
 using Jellyfin.Xtream.Providers;
 using Jellyfin.Xtream.Service;
 using MediaBrowser.Controller.Channels;
@@ -102,10 +104,11 @@ public class VodChannel(ILogger<VodChannel> logger) : IChannel, IDisableMediaSou
             }
 
             Guid guid = Guid.Parse(query.FolderId);
-            StreamService.FromGuid(guid, out int prefix, out int categoryId, out int _, out int _);
+            StreamService.FromGuid(guid, out int value, out int categoryId, out int _, out int _);
+            int prefix = StreamService.FromProviderPrefix(value, out int providerId);
             if (prefix == StreamService.VodCategoryPrefix)
             {
-                return await GetStreams(categoryId, cancellationToken).ConfigureAwait(false);
+                return await GetStreams(providerId, categoryId, cancellationToken).ConfigureAwait(false);
             }
 
             return new ChannelItemResult()
@@ -120,17 +123,19 @@ public class VodChannel(ILogger<VodChannel> logger) : IChannel, IDisableMediaSou
         }
     }
 
-    private Task<ChannelItemInfo> CreateChannelItemInfo(StreamInfo stream)
+    private Task<ChannelItemInfo> CreateChannelItemInfo(int providerId, StreamInfo stream)
     {
         long added = long.Parse(stream.Added, CultureInfo.InvariantCulture);
         ParsedName parsedName = StreamService.ParseName(stream.Name);
+        bool isPrimary = providerId == ProviderProfile.PrimaryId;
 
         List<MediaSourceInfo> sources =
         [
             Plugin.Instance.StreamService.GetMediaSourceInfo(
                 StreamType.Vod,
                 stream.StreamId,
-                stream.ContainerExtension)
+                stream.ContainerExtension,
+                providerId: providerId)
         ];
 
         // Try to get TMDB image from cache if caching is enabled
@@ -138,7 +143,7 @@ public class VodChannel(ILogger<VodChannel> logger) : IChannel, IDisableMediaSou
         if (Plugin.Instance.Configuration.EnableVodCaching &&
             Plugin.Instance.Configuration.UseTmdbForVodMetadata)
         {
-            string? tmdbImageUrl = Plugin.Instance.VodCacheService.GetCachedTmdbImageUrl(stream.StreamId);
+            string? tmdbImageUrl = Plugin.Instance.GetProviderCaches(providerId).VodCacheService.GetCachedTmdbImageUrl(stream.StreamId);
             if (!string.IsNullOrEmpty(tmdbImageUrl))
             {
                 imageUrl = tmdbImageUrl;
@@ -149,7 +154,7 @@ public class VodChannel(ILogger<VodChannel> logger) : IChannel, IDisableMediaSou
         {
             ContentType = ChannelMediaContentType.Movie,
             DateCreated = DateTimeOffset.FromUnixTimeSeconds(added).DateTime,
-            Id = StreamService.ToGuid(StreamService.StreamPrefix, stream.StreamId, 0, 0).ToString(),
+            Id = StreamService.ToGuid(StreamService.ToProviderPrefix(StreamService.StreamPrefix, providerId), stream.StreamId, 0, 0).ToString(),
             ImageUrl = imageUrl,
             IsLiveStream = false,
             MediaSources = sources,
@@ -157,78 +162,70 @@ public class VodChannel(ILogger<VodChannel> logger) : IChannel, IDisableMediaSou
             Name = parsedName.Title,
             Tags = new List<string>(parsedName.Tags),
             Type = ChannelItemType.Media,
-            ProviderIds = { { XtreamVodProvider.ProviderName, stream.StreamId.ToString(CultureInfo.InvariantCulture) } },
         };
 
+        // The metadata provider looks up movies of the primary provider
+        if (isPrimary)
+        {
+            result.ProviderIds[XtreamVodProvider.ProviderName] = stream.StreamId.ToString(CultureInfo.InvariantCulture);
+        }
+
         return Task.FromResult(result);
     }
 
-    private async Task<ChannelItemResult> GetCategories(CancellationToken cancellationToken)
+    private static async Task<IEnumerable<Category>> GetProviderCategories(int providerId, CancellationToken cancellationToken)
     {
         IEnumerable<Category>? categories = null;
 
         // Try cache first if caching is enabled
         if (Plugin.Instance.Configuration.EnableVodCaching)
         {
-            categories = Plugin.Instance.VodCacheService.GetCachedCategories();
+            categories = Plugin.Instance.GetProviderCaches(providerId).VodCacheService.GetCachedCategories();
         }
 
         // Fallback to API if cache miss
-        if (categories == null)
-        {
-            categories = await Plugin.Instance.StreamService.GetVodCategories(cancellationToken).ConfigureAwait(false);
-        }
-
-        List<ChannelItemInfo> items = new List<ChannelItemInfo>(
-            categories.Select((Category category) => StreamService.CreateChannelItemInfo(StreamService.VodCategoryPrefix, category)));
-        return new()
-        {
-            Items = items,
-            TotalRecordCount = items.Count
-        };
+        return categories ?? await Plugin.Instance.StreamService.GetVodCategories(providerId, cancellationToken).ConfigureAwait(false);
     }
 
-    private async Task<ChannelItemResult> GetAllStreamsFlattened(CancellationToken cancellationToken)
+    private static async Task<IEnumerable<StreamInfo>> GetProviderStreams(int providerId, int categoryId, CancellationToken cancellationToken)
     {
-        IEnumerable<Category>? categories = null;
+        IEnumerable<StreamInfo>? streams = null;
 
         // Try cache first if caching is enabled
         if (Plugin.Instance.Configuration.EnableVodCaching)
         {
-            categories = Plugin.Instance.VodCacheService.GetCachedCategories();
+            streams = Plugin.Instance.GetProviderCaches(providerId).VodCacheService.GetCachedMovies(categoryId);
         }
 
         // Fallback to API if cache miss
-        if (categories == null)
-        {
-            categories = await Plugin.Instance.StreamService.GetVodCategories(cancellationToken).ConfigureAwait(false);
-        }
-
-        List<ChannelItemInfo> items = new();
+        return streams ?? await Plugin.Instance.StreamService.GetVodStreams(providerId, categoryId, cancellationToken).ConfigureAwait(false);
+    }
 
-        // Get all streams from all selected categories
-        foreach (Category category in categories)
+    private async Task<List<(int ProviderId, Category Category)>> GetAllCategories(CancellationToken cancellationToken)
+    {
+        List<(int ProviderId, Category Category)> categories = [];
+        foreach (ProviderProfile provider in Plugin.Instance.Configuration.GetProviders())
         {
-            IEnumerable<StreamInfo>? streams = null;
-
-            // Try cache first if caching is enabled
-            if (Plugin.Instance.Configuration.EnableVodCaching)
+            try
             {
-                streams = Plugin.Instance.VodCacheService.GetCachedMovies(category.CategoryId);
+                IEnumerable<Category> providerCategories = await GetProviderCategories(provider.Id, cancellationToken).ConfigureAwait(false);
+                categories.AddRange(providerCategories.Select(category => (provider.Id, category)));
             }
-
-            // Fallback to API if cache miss
-            if (streams == null)
+            catch (HttpRequestException ex) when (provider.Id != ProviderProfile.PrimaryId)
             {
-                streams = await Plugin.Instance.StreamService.GetVodStreams(category.CategoryId, cancellationToken).ConfigureAwait(false);
+                // An unreachable additional provider should not hide the content of the others
+                logger.LogWarning(ex, "Failed to get the VOD categories of provider {Provider}", provider.Name);
             }
-
-            items.AddRange(await Task.WhenAll(streams.Select(CreateChannelItemInfo)).ConfigureAwait(false));
         }
 
-        // Sort alphabetically for consistent display
-        items = items.OrderBy(item => item.Name).ToList();
+        return categories;
+    }
 
+    private async Task<ChannelItemResult> GetCategories(CancellationToken cancellationToken)
+    {
+        List<(int ProviderId, Category Category)> categories = await GetAllCategories(cancellationToken).ConfigureAwait(false);
+        List<ChannelItemInfo> items = new List<ChannelItemInfo>(
+            categories.Select(c => StreamService.CreateChannelItemInfo(StreamService.VodCategoryPrefix, c.ProviderId, c.Category)));
         return new()
         {
             Items = items,
@@ -236,23 +233,32 @@ public class VodChannel(ILogger<VodChannel> logger) : IChannel, IDisableMediaSou
         };
     }
 
-    private async Task<ChannelItemResult> GetStreams(int categoryId, CancellationToken cancellationToken)
+    private async Task<ChannelItemResult> GetAllStreamsFlattened(CancellationToken cancellationToken)
     {
-        IEnumerable<StreamInfo>? streams = null;
+        List<(int ProviderId, Category Category)> categories = await GetAllCategories(cancellationToken).ConfigureAwait(false);
+        List<ChannelItemInfo> items = new();
 
-        // Try cache first if caching is enabled
-        if (Plugin.Instance.Configuration.EnableVodCaching)
+        // Get all streams from all selected categories
+        foreach ((int providerId, Category category) in categories)
         {
-            streams = Plugin.Instance.VodCacheService.GetCachedMovies(categoryId);
+            IEnumerable<StreamInfo> streams = await GetProviderStreams(providerId, category.CategoryId, cancellationToken).ConfigureAwait(false);
+            items.AddRange(await Task.WhenAll(streams.Select(stream => CreateChannelItemInfo(providerId, stream))).ConfigureAwait(false));
         }
 
-        // Fallback to API if cache miss
-        if (streams == null)
+        // Sort alphabetically for consistent display
+        items = items.OrderBy(item => item.Name).ToList();
+
+        return new()
         {
-            streams = await Plugin.Instance.StreamService.GetVodStreams(categoryId, cancellationToken).ConfigureAwait(false);
-        }
+            Items = items,
+            TotalRecordCount = items.Count
+        };
+    }
 
-        List<ChannelItemInfo> items = [.. await Task.WhenAll(streams.Select(CreateChannelItemInfo)).ConfigureAwait(false)];
+    private async Task<ChannelItemResult> GetStreams(int providerId, int categoryId, CancellationToken cancellationToken)
+    {
+        IEnumerable<StreamInfo> streams = await GetProviderStreams(providerId, categoryId, cancellationToken).ConfigureAwait(false);
+        List<ChannelItemInfo> items = [.. await Task.WhenAll(streams.Select(stream => CreateChannelItemInfo(providerId, stream))).ConfigureAwait(false)];
         ChannelItemResult result = new ChannelItemResult()
         {
             Items = items,